@@ -1,5 +1,11 @@
 import 'dotenv/config';
 import AIService from './services/ai.service.js';
+import { getRecordReplayMode } from './utils/record-replay.js';
+
+// Record/replay (see utils/record-replay.js):
+//   npm run test:record:ai  -> real OpenAI calls, saved to fixtures/ai-service.json
+//   npm run test:replay:ai  -> answers from fixtures/ai-service.json, no network and no API key
+// Streams are never recorded, so the streaming test only runs against the real API.
 
 // Importar mock de UploadService si es necesario para testing
 // import UploadService from '../services/upload.service.js';
@@ -20,6 +26,13 @@ import AIService from './services/ai.service.js';
 async function setupTest() {
   console.log('🧪 Configurando entorno de pruebas...');
 
+  const recordReplayMode = getRecordReplayMode();
+  if (recordReplayMode !== 'off') {
+    console.log(`💡 Record/replay: ${recordReplayMode} (cassette: ${process.env.RECORD_REPLAY_CASSETTE || 'default'})`);
+  }
+  // En replay no se llama a la API, así que no hace falta la key
+  if (recordReplayMode === 'replay') return;
+
   // Verificar que las variables de entorno necesarias estén definidas
   const requiredEnvVars = [
     'OPENAI_API_KEY'
@@ -288,7 +301,11 @@ async function runAllTests() {
     await testSendMessageOpenAI();
     await testSendMessageWithTools();
     await testSendMessageWithJsonMode();
-    await testSendMessageStreaming();
+    if (getRecordReplayMode() === 'off') {
+      await testSendMessageStreaming();
+    } else {
+      console.log('\n⏭️ TEST omitido: sendMessage con streaming (los streams no se graban)');
+    }
 
     // Tests de métodos internos
     await testInternalMethods();
@@ -297,6 +314,7 @@ async function runAllTests() {
   } catch (error) {
     console.error('\n❌❌❌ FALLOS EN LOS TESTS ❌❌❌');
     console.error('Error general:', error);
+    process.exitCode = 1;
   }
 }
 
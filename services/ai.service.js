@@ -4,9 +4,12 @@ import axios from 'axios';
 import { promptTokensEstimate } from 'openai-chat-tokens';
 import { groqModels, openAIModels, openRouterModels, perplexityModels } from '../assets/data/ai-models.js';
 import UploadService from '#services/upload.service.js';
+import ApiCallService from '#services/api-call.service.js';
 import { createLogger } from '#utils/logger.js';
+import { isRecordReplayActive, recordOrReplay } from '#utils/record-replay.js';
 import fs from 'fs';
 import FormData from 'form-data';
+import { StringDecoder } from 'string_decoder';
 class AIService {
 	static openaiAPIKey = process.env.OPENAI_API_KEY;
 
@@ -132,8 +135,21 @@ class AIService {
 
 	/**
 	 * Sends a message to the appropriate AI provider API.
+	 * Non-stream requests are recorded to or replayed from the cassette when `RECORD_REPLAY_MODE` is set.
+	 * Non-stream responses carry `apiCallId`, the ApiCall row stored for them (null if none was stored).
 	 */
 	static async sendMessage(data) {
+		if(!data.stream && isRecordReplayActive()) {
+			// El id de ApiCall no va al cassette: al reproducirlo esa fila no existe
+			return recordOrReplay('ai', data, async () => {
+				const { apiCallId, ...response } = await this._sendToProvider(data);
+				return response;
+			});
+		}
+		return this._sendToProvider(data);
+	}
+
+	static async _sendToProvider(data) {
 		const functionName = 'sendMessage';
 		// Avoid logging full history/prompt in entry if potentially large/sensitive
 		this.logger.entry(functionName, {
@@ -141,6 +157,7 @@ class AIService {
 			systemLength: data.system?.length,
 			promptLength: data.prompt?.length,
 			historyLength: data.history?.length,
+			followUpLength: data.followUp?.length,
 			stream: data.stream,
 			toolsCount: data.tools?.length,
 			responseFormat: data.responseFormat,
@@ -152,6 +169,7 @@ class AIService {
 			prompt,
 			stream = false,
 			history = [],
+			followUp = [], // Messages after the user prompt (assistant tool_calls + tool results)
 			temperature = 0.5,
 			max_tokens, // Will be calculated if not provided
 			top_p = 1,
@@ -172,11 +190,25 @@ class AIService {
 			throw new Error('Missing field: prompt');
 		}
 
+		// Datos para registrar la llamada en ApiCall (también si falla)
+		let provider = null;
+		let startTime = null;
+		const requestSummary = {
+			type: 'completion',
+			temperature,
+			stream,
+			historyLength: history.length,
+			followUpLength: followUp.length,
+			toolsCount: tools.length,
+			responseFormat: responseFormat?.type || null,
+		};
+
 		try {
 			// 1. Get model info (provider, auth, context window)
 			this.logger.info('Step 1: Resolving model info...');
 			const modelInfo = this.solveModelInfo(model); // Logs internally
-			const { provider, contextWindow, authToken } = modelInfo;
+			provider = modelInfo.provider;
+			const { contextWindow, authToken } = modelInfo;
 			this.logger.info(`Model resolved: ${ model }, Provider: ${ provider }, Context: ${ contextWindow }`);
 
 			// 2. Adjust content length if needed
@@ -193,6 +225,7 @@ class AIService {
 				{ role: 'system', content: system },
 				...history,
 				{ role: 'user', content: prompt },
+				...followUp,
 			];
 			this.logger.debug(`Built ${ messages.length } messages.`);
 
@@ -253,6 +286,11 @@ class AIService {
 				this.logger.info('Step 7: No response_format provided.');
 			}
 
+			// OpenAI only reports usage at the end of a stream when asked to
+			if(stream && provider === 'openai') {
+				requestData.stream_options = { include_usage: true };
+			}
+
 			// Add stop sequence if provided
 			if(stop) {
 				requestData.stop = stop;
@@ -293,7 +331,7 @@ class AIService {
 
 			// 10. Make the API call
 			this.logger.info(`Step 10: Sending request to ${ provider } at ${ url }...`);
-			const startTime = Date.now();
+			startTime = Date.now();
 			const response = await axios.post(url, requestData, axiosConfig);
 			const duration = Date.now() - startTime;
 
@@ -306,15 +344,37 @@ class AIService {
 			} else {
 				this.logger.success(`Request successful. Status: ${ response.status }. Duration: ${ duration }ms.`);
 				this.logger.debug('Response data:', response.data); // Log the actual data for non-stream
+				// Las llamadas en streaming las registra streamMessage al terminar de leer el stream
+				const apiCallId = await ApiCallService.record({
+					provider,
+					model,
+					usage: response.data?.usage,
+					latencyMs: duration,
+					functionCalling: !!requestData.tools,
+					requestData: requestSummary,
+					responseData: this._summarizeCompletion(response.data),
+				});
 				this.logger.exit(functionName, {
 					stream: false,
 					status: response.status,
 					responseId: response.data?.id,
 				});
-				return response.data;
+				return { ...response.data, apiCallId };
 			}
 
 		} catch(error) {
+			if(startTime) {
+				await ApiCallService.record({
+					provider,
+					model,
+					latencyMs: Date.now() - startTime,
+					success: false,
+					errorMessage: error.response?.data?.error?.message || error.message,
+					functionCalling: tools.length > 0,
+					requestData: requestSummary,
+				});
+			}
+
 			// Enhanced error logging from Axios errors
 			if(error.response) {
 				this.logger.error(`API Error: Provider responded with status ${ error.response.status }. URL: ${ error.config?.url }`, error.response.data);
@@ -514,6 +574,193 @@ class AIService {
 	// ------------------------------------------------------------------
 	//    Helper: Estimate Tokens
 	// ------------------------------------------------------------------
+	/**
+	 * Same as sendMessage but streams the completion, calling `onDelta(deltaText, fullText)` for every
+	 * content fragment. Resolves with a non-stream shaped response (`choices[0].message` with the full
+	 * content and any tool_calls, plus `usage` when the provider reports it), so callers can treat both
+	 * paths alike, including `apiCallId`. Models without the "streaming" feature, or streams that fail to start, fall back to
+	 * a regular request whose content is delivered as a single delta, as does any call made while
+	 * record/replay is active.
+	 * @param {object} data - Same options as sendMessage (`stream` is ignored).
+	 * @param {function(string, string): void} onDelta - Receives each content fragment and the accumulated text.
+	 * @returns {Promise<object>} Chat completion response.
+	 */
+	static async streamMessage(data, onDelta) {
+		const functionName = 'streamMessage';
+		this.logger.entry(functionName, { model: data.model });
+
+		if(!this.supportsStreaming(data.model)) {
+			this.logger.info(`Model ${ data.model } does not support streaming, using a regular request.`);
+			return this._sendWithoutStreaming(data, onDelta);
+		}
+
+		// Los streams no se graban: con record/replay activo se pide la respuesta completa
+		if(isRecordReplayActive()) return this._sendWithoutStreaming(data, onDelta);
+
+		let response;
+		const startTime = Date.now();
+		try {
+			response = await this.sendMessage({ ...data, stream: true });
+		} catch(error) {
+			this.logger.warn(`Could not open stream for ${ data.model }, falling back to a regular request: ${ error.message }`);
+			return this._sendWithoutStreaming(data, onDelta);
+		}
+
+		// sendMessage ya resolvió el modelo, así que aquí no puede fallar
+		const { provider } = this.solveModelInfo(data.model);
+		let completion;
+		try {
+			completion = await this._readCompletionStream(response.data, onDelta);
+		} catch(error) {
+			await ApiCallService.record({
+				provider,
+				model: data.model,
+				latencyMs: Date.now() - startTime,
+				success: false,
+				errorMessage: `Stream interrupted: ${ error.message }`,
+				functionCalling: !!data.tools?.length,
+				requestData: { type: 'completion', stream: true },
+			});
+			throw error;
+		}
+
+		const apiCallId = await ApiCallService.record({
+			provider,
+			model: data.model,
+			usage: completion.usage,
+			latencyMs: Date.now() - startTime,
+			functionCalling: !!data.tools?.length,
+			requestData: { type: 'completion', stream: true, toolsCount: data.tools?.length || 0, responseFormat: data.responseFormat?.type || null },
+			responseData: this._summarizeCompletion(completion),
+		});
+		this.logger.exit(functionName, {
+			contentLength: completion.choices[0].message.content?.length || 0,
+			toolCalls: completion.choices[0].message.tool_calls?.length || 0,
+		});
+		return { ...completion, apiCallId };
+	}
+
+	/**
+	 * Whether a model declares the "streaming" feature in ai-models.js.
+	 * @param {string} model - Model name.
+	 * @returns {boolean}
+	 */
+	static supportsStreaming(model) {
+		const allModels = [ ...openAIModels, ...perplexityModels, ...groqModels, ...openRouterModels ];
+		return !!allModels.find(m => m.name === model)?.features?.includes('streaming');
+	}
+
+	static async _sendWithoutStreaming(data, onDelta) {
+		const response = await this.sendMessage({ ...data, stream: false });
+		const content = response.choices?.[0]?.message?.content;
+		if(content) this._emitDelta(onDelta, content, content);
+		return response;
+	}
+
+	/**
+	 * Consumes an OpenAI-compatible SSE stream and rebuilds the full completion from its deltas.
+	 * @private
+	 */
+	static async _readCompletionStream(stream, onDelta) {
+		const decoder = new StringDecoder('utf8');
+		let buffer = '';
+		let content = '';
+		const toolCalls = [];
+		let usage = null;
+		let finishReason = null;
+		let id = null;
+
+		const handleLine = rawLine => {
+			const line = rawLine.trim();
+			if(!line.startsWith('data:')) return;
+			const payload = line.substring(5).trim();
+			if(!payload || payload === '[DONE]') return;
+
+			let chunk;
+			try {
+				chunk = JSON.parse(payload);
+			} catch(e) {
+				this.logger.warn('Skipping unparseable stream chunk', { payload: payload.substring(0, 100) });
+				return;
+			}
+
+			id = chunk.id || id;
+			if(chunk.usage) usage = chunk.usage;
+			const choice = chunk.choices?.[0];
+			if(!choice) return;
+			if(choice.finish_reason) finishReason = choice.finish_reason;
+
+			const delta = choice.delta || {};
+			// Los tool_calls llegan troceados: el índice identifica la llamada y los argumentos se concatenan
+			for(const toolCallDelta of delta.tool_calls || []) {
+				const index = toolCallDelta.index ?? toolCalls.length;
+				if(!toolCalls[index]) toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+				const toolCall = toolCalls[index];
+				if(toolCallDelta.id) toolCall.id = toolCallDelta.id;
+				if(toolCallDelta.type) toolCall.type = toolCallDelta.type;
+				if(toolCallDelta.function?.name) toolCall.function.name += toolCallDelta.function.name;
+				if(toolCallDelta.function?.arguments) toolCall.function.arguments += toolCallDelta.function.arguments;
+			}
+
+			if(delta.content) {
+				content += delta.content;
+				this._emitDelta(onDelta, delta.content, content);
+			}
+		};
+
+		for await (const chunk of stream) {
+			buffer += decoder.write(chunk);
+			const lines = buffer.split('\n');
+			buffer = lines.pop();
+			lines.forEach(handleLine);
+		}
+		buffer += decoder.end();
+		if(buffer) handleLine(buffer);
+
+		const message = { role: 'assistant', content: content || null };
+		const completedToolCalls = toolCalls.filter(Boolean);
+		if(completedToolCalls.length > 0) message.tool_calls = completedToolCalls;
+
+		return { id, usage, choices: [ { index: 0, message, finish_reason: finishReason } ] };
+	}
+
+	static _emitDelta(onDelta, delta, fullText) {
+		if(typeof onDelta !== 'function') return;
+		try {
+			const result = onDelta(delta, fullText);
+			if(result && typeof result.catch === 'function') {
+				result.catch(e => this.logger.warn('Error in stream delta callback', { error: e.message }));
+			}
+		} catch(e) {
+			this.logger.warn('Error in stream delta callback', { error: e.message });
+		}
+	}
+
+	/**
+	 * Calculates the USD cost of a completion from its `usage` block, using the per-1M-token
+	 * prices in ai-models.js.
+	 * @param {string} model - Model name.
+	 * @param {object} usage - `{ prompt_tokens, completion_tokens }` as returned by the provider.
+	 * @returns {number|null} Cost in USD, or null if the usage or the model prices are unknown.
+	 */
+	static calculateCost(model, usage) {
+		return ApiCallService.calculateCost(model, usage);
+	}
+
+	/**
+	 * Small, storable summary of a completion for ApiCall.responseData.
+	 * @private
+	 */
+	static _summarizeCompletion(completion) {
+		const choice = completion?.choices?.[0];
+		return {
+			id: completion?.id || null,
+			finishReason: choice?.finish_reason || null,
+			contentLength: choice?.message?.content?.length || 0,
+			toolCalls: choice?.message?.tool_calls?.map(toolCall => toolCall.function?.name) || [],
+		};
+	}
+
 	static estimateTokens(messages) {
 		const functionName = 'estimateTokens';
 		// Avoid logging entry/exit for this simple utility unless debugging
@@ -547,17 +794,36 @@ class AIService {
 				textPreview: text.substring(0, 50) + '...',
 			});
 
-			const response = await axios.post('https://api.openai.com/v1/audio/speech', {
+			const startTime = Date.now();
+			let response;
+			try {
+				response = await axios.post('https://api.openai.com/v1/audio/speech', {
+					model: 'tts-1',
+					input: sanitizedText,
+					voice: voice,
+					speed: 1,
+				}, {
+					headers: {
+						'Authorization': `Bearer ${ this.openaiAPIKey }`,
+						'Content-Type': 'application/json',
+					},
+					responseType: 'arraybuffer',
+				});
+			} catch(requestError) {
+				await ApiCallService.record({
+					model: 'tts-1',
+					latencyMs: Date.now() - startTime,
+					success: false,
+					errorMessage: requestError.message,
+					requestData: { type: 'tts', voice, characters: sanitizedText.length },
+				});
+				throw requestError;
+			}
+			await ApiCallService.record({
 				model: 'tts-1',
-				input: sanitizedText,
-				voice: voice,
-				speed: 1,
-			}, {
-				headers: {
-					'Authorization': `Bearer ${ this.openaiAPIKey }`,
-					'Content-Type': 'application/json',
-				},
-				responseType: 'arraybuffer',
+				usage: { characters: sanitizedText.length },
+				latencyMs: Date.now() - startTime,
+				requestData: { type: 'tts', voice, characters: sanitizedText.length },
 			});
 
 			this.logger.debug('Received audio response', {
@@ -616,12 +882,34 @@ class AIService {
 			const form = new FormData();
 			form.append('file', fs.createReadStream(filePath));
 			form.append('model', 'whisper-1');
+			// verbose_json incluye la duración del audio, necesaria para calcular el costo (se cobra por minuto)
+			form.append('response_format', 'verbose_json');
 
-			const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
-				headers: {
-					'Authorization': `Bearer ${ this.openaiAPIKey }`,
-					...form.getHeaders(),
-				},
+			const startTime = Date.now();
+			let response;
+			try {
+				response = await axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
+					headers: {
+						'Authorization': `Bearer ${ this.openaiAPIKey }`,
+						...form.getHeaders(),
+					},
+				});
+			} catch(requestError) {
+				await ApiCallService.record({
+					model: 'whisper-1',
+					latencyMs: Date.now() - startTime,
+					success: false,
+					errorMessage: requestError.message,
+					requestData: { type: 'transcription' },
+				});
+				throw requestError;
+			}
+			await ApiCallService.record({
+				model: 'whisper-1',
+				usage: { seconds: response.data?.duration || 0 },
+				latencyMs: Date.now() - startTime,
+				requestData: { type: 'transcription', seconds: response.data?.duration || 0 },
+				responseData: { language: response.data?.language || null, textLength: response.data?.text?.length || 0 },
 			});
 
 			this.logger.info('Audio transcribed successfully', {
@@ -0,0 +1,292 @@
+// alert-condition.service.js
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { OpenAIEmbeddingFunction } from 'chromadb';
+import VybeService from './vybe.service.js';
+import ChromaService from './chroma.service.js';
+import ApiCallService from './api-call.service.js';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Parses and evaluates the pipe-encoded conditions stored in alert ScheduledTask payloads
+ * (e.g. `token_symbol:SOL|condition:price_above|threshold:200|currency:USD`).
+ */
+class AlertConditionService {
+	static TOKEN_COLLECTION_NAME = 'token_resolution';
+	static TOKEN_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+	static CONDITION_TYPES = [ 'price_above', 'price_below', 'percent_change', 'volume_spike' ];
+
+	// Ventanas soportadas para percent_change, con la resolución de velas usada para cada una
+	static TIMEFRAMES = {
+		'1h': { resolution: '1h', seconds: 60 * 60 },
+		'4h': { resolution: '1h', seconds: 4 * 60 * 60 },
+		'24h': { resolution: '1h', seconds: 24 * 60 * 60 },
+		'7d': { resolution: '1d', seconds: 7 * 24 * 60 * 60 },
+	};
+
+	constructor() {
+		this.logger = createLogger({
+			name: 'AlertConditionService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+	}
+
+	/**
+	 * Parses a pipe-encoded condition into an object.
+	 * Numeric `threshold` and `lookback` values are converted to numbers.
+	 * @param {string} condition - e.g. `token_symbol:SOL|condition:price_above|threshold:200|currency:USD`.
+	 * @returns {object|null} Parsed condition or null if the string is not in the pipe format.
+	 */
+	static parseCondition(condition) {
+		if(!condition || typeof condition !== 'string' || !condition.includes(':')) return null;
+
+		const parsed = {};
+		for(const part of condition.split('|')) {
+			const separatorIndex = part.indexOf(':');
+			if(separatorIndex === -1) continue;
+			const key = part.substring(0, separatorIndex).trim();
+			const value = part.substring(separatorIndex + 1).trim();
+			if(key) parsed[key] = value;
+		}
+
+		if(parsed.threshold !== undefined) parsed.threshold = parseFloat(parsed.threshold);
+		if(parsed.lookback !== undefined) parsed.lookback = parseInt(parsed.lookback);
+
+		return Object.keys(parsed).length > 0 ? parsed : null;
+	}
+
+	/**
+	 * Whether a condition string can be evaluated by this service.
+	 * @param {string} condition - Pipe-encoded condition.
+	 * @returns {boolean}
+	 */
+	static isEvaluable(condition) {
+		const parsed = AlertConditionService.parseCondition(condition);
+		return !!parsed
+			&& AlertConditionService.CONDITION_TYPES.includes(parsed.condition)
+			&& (!!parsed.token_symbol || !!parsed.token_address)
+			&& !isNaN(parsed.threshold);
+	}
+
+	/**
+	 * Evaluates the condition of an alert task against current market data.
+	 * @param {object} task - ScheduledTask row whose payload contains `condition`.
+	 * @returns {Promise<object>} `{ triggered, condition, tokenAddress, observed, summary }`.
+	 */
+	async evaluate(task) {
+		const functionName = 'evaluate';
+		this.logger.entry(functionName, { taskId: task.id, condition: task.payload?.condition });
+
+		const condition = AlertConditionService.parseCondition(task.payload?.condition);
+		if(!condition || !AlertConditionService.CONDITION_TYPES.includes(condition.condition)) {
+			this.logger.error('Unsupported alert condition.', { condition: task.payload?.condition });
+			throw new Error(`Unsupported alert condition: ${ task.payload?.condition }`);
+		}
+
+		const tokenAddress = condition.token_address
+			|| task.payload?.tokenAddress
+			|| await this.resolveTokenAddress(condition.token_symbol);
+
+		// Guardamos la dirección resuelta para no repetir la resolución en cada chequeo
+		if(!condition.token_address && !task.payload?.tokenAddress) {
+			await this.prisma.scheduledTask.update({
+				where: { id: task.id },
+				data: { payload: { ...task.payload, tokenAddress } },
+			}).catch(e => this.logger.warn(`Could not persist resolved address for task ${ task.id }: ${ e.message }`));
+		}
+
+		let evaluation;
+		switch(condition.condition) {
+			case 'price_above':
+			case 'price_below':
+				evaluation = await this._evaluatePriceThreshold(condition, tokenAddress);
+				break;
+			case 'percent_change':
+				evaluation = await this._evaluatePercentChange(condition, tokenAddress);
+				break;
+			case 'volume_spike':
+				evaluation = await this._evaluateVolumeSpike(condition, tokenAddress);
+				break;
+		}
+
+		const result = { ...evaluation, condition, tokenAddress };
+		this.logger.info(`Condition ${ condition.condition } for ${ condition.token_symbol || tokenAddress }: ${ result.triggered ? 'TRIGGERED' : 'not met' }`, result.observed);
+		this.logger.exit(functionName, { triggered: result.triggered });
+		return result;
+	}
+
+	/**
+	 * Resolves a token symbol to its mint address, first via the Token table
+	 * (highest daily volume wins on duplicates) and then via the token_resolution collection.
+	 * @param {string} symbol - Token symbol, e.g. 'JUP'.
+	 * @returns {Promise<string>} Mint address.
+	 */
+	async resolveTokenAddress(symbol) {
+		const functionName = 'resolveTokenAddress';
+		this.logger.entry(functionName, { symbol });
+
+		if(!symbol) {
+			this.logger.error('Symbol is required to resolve a token address.');
+			throw new Error('Token symbol is required to resolve its address');
+		}
+
+		const [ token ] = await this.prisma.token.findMany({
+			where: { symbol },
+			orderBy: { dailyVolume: 'desc' },
+			take: 1,
+		});
+		if(token?.address) {
+			this.logger.exit(functionName, { source: 'database', address: token.address });
+			return token.address;
+		}
+
+		this.logger.info(`Symbol ${ symbol } not found in Token table, querying ${ AlertConditionService.TOKEN_COLLECTION_NAME }...`);
+		try {
+			const embeddingFunction = ApiCallService.trackEmbeddingFunction(new OpenAIEmbeddingFunction({
+				openai_api_key: process.env.OPENAI_API_KEY,
+				openai_model: AlertConditionService.TOKEN_EMBEDDING_MODEL,
+			}), AlertConditionService.TOKEN_EMBEDDING_MODEL);
+			const collection = await ChromaService.client.getCollection({
+				name: AlertConditionService.TOKEN_COLLECTION_NAME,
+				embeddingFunction,
+			});
+			const searchResults = await collection.query({
+				queryTexts: [ symbol ],
+				nResults: 1,
+				include: [ 'documents' ],
+			});
+
+			const document = searchResults.documents?.[0]?.[0];
+			const addressMatch = document?.match(/Address: ([^.]+)\./);
+			if(addressMatch) {
+				const address = addressMatch[1].trim();
+				this.logger.exit(functionName, { source: 'chroma', address });
+				return address;
+			}
+		} catch(error) {
+			this.logger.warn(`Semantic token resolution failed for ${ symbol }: ${ error.message }`);
+		}
+
+		this.logger.exit(functionName, { error: true });
+		throw new Error(`Could not resolve token address for symbol ${ symbol }`);
+	}
+
+	/**
+	 * Current USD price from token details, falling back to the last OHLC close.
+	 * @param {string} tokenAddress - Mint address.
+	 * @returns {Promise<number>}
+	 */
+	async _getCurrentPrice(tokenAddress) {
+		const details = await VybeService.getTokenDetails(tokenAddress);
+		const price = parseFloat(details?.price ?? details?.price_usd);
+		if(!isNaN(price) && price > 0) return price;
+
+		const candles = await this._fetchCandles(tokenAddress, '1h', 2 * 60 * 60);
+		const lastClose = candles.length > 0 ? candles[candles.length - 1].close : NaN;
+		if(isNaN(lastClose)) {
+			throw new Error(`No price available for token ${ tokenAddress }`);
+		}
+		return lastClose;
+	}
+
+	/**
+	 * Fetches OHLC candles for a window ending now, normalized to numbers and sorted oldest first.
+	 * @param {string} tokenAddress - Mint address.
+	 * @param {string} resolution - Candle resolution (e.g. '1h', '1d').
+	 * @param {number} windowSeconds - Window size in seconds.
+	 * @returns {Promise<Array<{time: number, open: number, close: number, volume: number}>>}
+	 */
+	async _fetchCandles(tokenAddress, resolution, windowSeconds) {
+		const now = Math.floor(Date.now() / 1000);
+		const ohlc = await VybeService.getTokenOhlc(tokenAddress, {
+			resolution,
+			timeStart: now - windowSeconds,
+			timeEnd: now,
+			limit: 1000,
+		});
+
+		return (ohlc?.data || [])
+			.map(candle => ({
+				time: parseInt(candle.time ?? candle.timeBucketStart),
+				open: parseFloat(candle.open),
+				close: parseFloat(candle.close),
+				volume: parseFloat(candle.volumeUsd ?? candle.volume),
+			}))
+			.filter(candle => !isNaN(candle.close))
+			.sort((a, b) => a.time - b.time);
+	}
+
+	async _evaluatePriceThreshold(condition, tokenAddress) {
+		const price = await this._getCurrentPrice(tokenAddress);
+		const triggered = condition.condition === 'price_above'
+			? price >= condition.threshold
+			: price <= condition.threshold;
+
+		return {
+			triggered,
+			observed: { price },
+			summary: `Current price: ${ price } ${ condition.currency || 'USD' }`,
+		};
+	}
+
+	async _evaluatePercentChange(condition, tokenAddress) {
+		const timeframe = AlertConditionService.TIMEFRAMES[condition.timeframe] ? condition.timeframe : '24h';
+		const { resolution, seconds } = AlertConditionService.TIMEFRAMES[timeframe];
+
+		const candles = await this._fetchCandles(tokenAddress, resolution, seconds);
+		if(candles.length === 0) {
+			throw new Error(`No price history available for token ${ tokenAddress }`);
+		}
+
+		const referencePrice = isNaN(candles[0].open) ? candles[0].close : candles[0].open;
+		const price = await this._getCurrentPrice(tokenAddress);
+		const changePercent = referencePrice > 0 ? ((price - referencePrice) / referencePrice) * 100 : 0;
+
+		const threshold = Math.abs(condition.threshold);
+		let triggered;
+		switch(condition.direction) {
+			case 'up':
+				triggered = changePercent >= threshold;
+				break;
+			case 'down':
+				triggered = changePercent <= -threshold;
+				break;
+			default:
+				triggered = Math.abs(changePercent) >= threshold;
+		}
+
+		return {
+			triggered,
+			observed: { price, referencePrice, changePercent, timeframe },
+			summary: `Price moved ${ changePercent.toFixed(2) }% over ${ timeframe } (now ${ price })`,
+		};
+	}
+
+	async _evaluateVolumeSpike(condition, tokenAddress) {
+		const lookback = condition.lookback > 0 ? condition.lookback : 24;
+		const candles = await this._fetchCandles(tokenAddress, '1h', (lookback + 1) * 60 * 60);
+		const volumes = candles.map(candle => candle.volume).filter(volume => !isNaN(volume));
+
+		if(volumes.length < 2) {
+			return { triggered: false, observed: { candles: volumes.length }, summary: 'Not enough volume history' };
+		}
+
+		const latestVolume = volumes[volumes.length - 1];
+		const previous = volumes.slice(0, -1);
+		const averageVolume = previous.reduce((sum, volume) => sum + volume, 0) / previous.length;
+		const ratio = averageVolume > 0 ? latestVolume / averageVolume : 0;
+
+		return {
+			triggered: averageVolume > 0 && ratio >= condition.threshold,
+			observed: { latestVolume, averageVolume, ratio, lookback },
+			summary: `Last hour volume is ${ ratio.toFixed(2) }x the ${ lookback }h average`,
+		};
+	}
+}
+
+export default AlertConditionService;
@@ -0,0 +1,182 @@
+// api-call.service.js
+import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+import { PrismaClient } from '@prisma/client';
+import { groqModels, openAIModels, openRouterModels, perplexityModels } from '../assets/data/ai-models.js';
+import { createLogger } from '#utils/logger.js';
+import { getRecordReplayMode } from '#utils/record-replay.js';
+
+/**
+ * Records every paid AI call (completions, embeddings, TTS, transcriptions) in the ApiCall table
+ * with token counts, latency and cost.
+ *
+ * Who the call is for is taken from an async context opened with `runWithContext`
+ * (`{ userId, chatId, messageId }`), so AIService and the Chroma embedding functions can log calls
+ * without every caller passing those ids down.
+ */
+class ApiCallService {
+	static prisma = new PrismaClient();
+
+	static logger = createLogger({
+		name: 'ApiCallService',
+		level: process.env.LOG_LEVEL || 'info',
+		files: process.env.LOG_TO_FILES === 'true',
+		console: true,
+	});
+
+	static storage = new AsyncLocalStorage();
+
+	/**
+	 * Runs `fn` with an ApiCall context. Nested contexts inherit the fields they don't override.
+	 * @param {object} context - `{ userId?, chatId?, messageId? }`.
+	 * @param {function(): Promise<*>} fn
+	 * @returns {Promise<*>} Whatever `fn` returns.
+	 */
+	static runWithContext(context, fn) {
+		return this.storage.run({ ...this.getContext(), ...context }, fn);
+	}
+
+	/**
+	 * @returns {object} Current context (empty object outside of `runWithContext`).
+	 */
+	static getContext() {
+		return this.storage.getStore() || {};
+	}
+
+	/**
+	 * Updates the current context in place, e.g. once the triggering message has been saved.
+	 * Has no effect outside of `runWithContext`.
+	 * @param {object} values - Fields to set.
+	 */
+	static setContext(values) {
+		const store = this.storage.getStore();
+		if(store) Object.assign(store, values);
+	}
+
+	/**
+	 * Computes the USD cost of a call from the prices in ai-models.js. Supported units:
+	 * chat models (`input`/`output` per 1M tokens), embeddings (`cost` per 1M tokens),
+	 * TTS (`speech_generation` per 1M characters) and transcription (`transcription` per minute).
+	 * @param {string} model - Model name.
+	 * @param {object} usage - `{ prompt_tokens?, completion_tokens?, total_tokens?, characters?, seconds? }`.
+	 * @returns {number|null} Cost in USD, or null if usage or prices are unknown.
+	 */
+	static calculateCost(model, usage) {
+		if(!usage) return null;
+
+		const allModels = [ ...openAIModels, ...perplexityModels, ...groqModels, ...openRouterModels ];
+		const prices = allModels.find(m => m.name === model)?.prices;
+		if(!prices) {
+			this.logger.warn(`No prices found for model ${ model }, cost not calculated.`);
+			return null;
+		}
+
+		if(typeof prices.input === 'number' && typeof prices.output === 'number') {
+			return ((usage.prompt_tokens || 0) * prices.input + (usage.completion_tokens || 0) * prices.output) / 1_000_000;
+		}
+		if(typeof prices.cost === 'number') {
+			return ((usage.total_tokens ?? usage.prompt_tokens ?? 0) * prices.cost) / 1_000_000;
+		}
+		if(typeof prices.speech_generation === 'number') {
+			return ((usage.characters || 0) * prices.speech_generation) / 1_000_000;
+		}
+		if(typeof prices.transcription === 'number') {
+			return ((usage.seconds || 0) / 60) * prices.transcription;
+		}
+
+		this.logger.warn(`Unsupported price format for model ${ model }, cost not calculated.`);
+		return null;
+	}
+
+	/**
+	 * Stores an ApiCall row for the current context. Never throws: a failed write is only logged,
+	 * it must not break the AI call being measured.
+	 * @param {object} call
+	 * @param {string} [call.provider='openai']
+	 * @param {string} call.model
+	 * @param {object} [call.usage] - Provider usage block or `{ characters }` / `{ seconds }`.
+	 * @param {number} call.latencyMs
+	 * @param {boolean} [call.success=true]
+	 * @param {string} [call.errorMessage]
+	 * @param {boolean} [call.functionCalling=false]
+	 * @param {object} [call.requestData]
+	 * @param {object} [call.responseData]
+	 * Nothing is stored while replaying a cassette: replayed calls cost nothing.
+	 * @returns {Promise<number|null>} Id of the created row, or null if it could not be (or was not) stored.
+	 */
+	static async record({ provider = 'openai', model, usage = null, latencyMs, success = true, errorMessage = null, functionCalling = false, requestData = null, responseData = null }) {
+		if(getRecordReplayMode() === 'replay') return null;
+
+		const { userId = null, chatId = null, messageId = null } = this.getContext();
+		const promptTokens = usage?.prompt_tokens || 0;
+		const completionTokens = usage?.completion_tokens || 0;
+		const cost = this.calculateCost(model, usage) || 0;
+
+		try {
+			const apiCall = await this.prisma.apiCall.create({
+				data: {
+					userId,
+					chatId,
+					messageId,
+					provider,
+					model,
+					promptTokens,
+					completionTokens,
+					totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+					latencyMs: Math.round(latencyMs || 0),
+					cost,
+					requestData,
+					responseData,
+					success,
+					errorMessage,
+					functionCalling,
+				},
+			});
+
+			this.logger.debug(`Recorded ApiCall ${ apiCall.id }`, { model, cost, promptTokens, completionTokens, success });
+			return apiCall.id;
+		} catch(error) {
+			this.logger.error('Could not record ApiCall', { model, error: error.message });
+			return null;
+		}
+	}
+
+	/**
+	 * Wraps a Chroma embedding function so every `generate` call is recorded.
+	 * The Chroma OpenAI function does not expose usage, so tokens are estimated (~4 chars per token).
+	 * @param {object} embeddingFunction - Object with `generate(texts)`, e.g. OpenAIEmbeddingFunction.
+	 * @param {string} model - Embedding model used by the function.
+	 * @returns {object} Embedding function with the same interface.
+	 */
+	static trackEmbeddingFunction(embeddingFunction, model) {
+		return {
+			generate: async texts => {
+				const startTime = Date.now();
+				const characters = (texts || []).reduce((sum, text) => sum + (text?.length || 0), 0);
+				const usage = { prompt_tokens: Math.ceil(characters / 4), total_tokens: Math.ceil(characters / 4) };
+
+				try {
+					const embeddings = await embeddingFunction.generate(texts);
+					await this.record({
+						model,
+						usage,
+						latencyMs: Date.now() - startTime,
+						requestData: { type: 'embedding', inputs: texts?.length || 0, estimatedTokens: true },
+					});
+					return embeddings;
+				} catch(error) {
+					await this.record({
+						model,
+						latencyMs: Date.now() - startTime,
+						success: false,
+						errorMessage: error.message,
+						requestData: { type: 'embedding', inputs: texts?.length || 0 },
+					});
+					throw error;
+				}
+			},
+		};
+	}
+}
+
+export default ApiCallService;
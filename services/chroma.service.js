@@ -1,6 +1,8 @@
 // chroma-service-enhanced.js
 import 'dotenv/config';
 import {ChromaClient, OpenAIEmbeddingFunction} from 'chromadb';
+import ApiCallService from './api-call.service.js';
+import { recordOrReplay } from '#utils/record-replay.js';
 
 class ChromaService {
 	static BASE_URL = process.env.CHROMA_SERVER_URL;
@@ -10,7 +12,15 @@ class ChromaService {
 	 * - Eliminamos `auth: { provider: 'basic', ... }`
 	 * - Inyectamos cabecera de Authorization vía `fetchOptions`
 	 */
-	static client = new ChromaClient({
+	static COLLECTION_GETTERS = ['getCollection', 'createCollection', 'getOrCreateCollection'];
+	static CLIENT_METHODS = ['listCollections', 'countCollections', 'deleteCollection', 'heartbeat'];
+	static COLLECTION_METHODS = ['add', 'upsert', 'update', 'query', 'get', 'peek', 'count', 'delete', 'modify'];
+
+	/**
+	 * El cliente pasa por record/replay (ver `#utils/record-replay.js`): con RECORD_REPLAY_MODE apagado
+	 * las llamadas van directas; en replay las colecciones son objetos con sólo `name`, `id` y `metadata`.
+	 */
+	static client = ChromaService._wrapClient(new ChromaClient({
 		path: ChromaService.BASE_URL,
 		fetchOptions: {
 			headers: {
@@ -20,7 +30,46 @@ class ChromaService {
 				'Content-Type': 'application/json',
 			},
 		},
-	});
+	}));
+
+	static _wrapClient(client) {
+		return new Proxy(client, {
+			get(target, prop) {
+				const value = target[prop];
+				if (typeof value !== 'function') return value;
+
+				if (ChromaService.COLLECTION_GETTERS.includes(prop)) {
+					return async (...args) => {
+						let collection = null;
+						const info = await recordOrReplay('chroma', {method: prop, args}, async () => {
+							collection = await target[prop](...args);
+							return {name: collection.name, id: collection.id, metadata: collection.metadata ?? null};
+						});
+						return ChromaService._wrapCollection(collection || info, info.name);
+					};
+				}
+
+				if (ChromaService.CLIENT_METHODS.includes(prop)) {
+					return (...args) => recordOrReplay('chroma', {method: prop, args}, () => target[prop](...args));
+				}
+
+				return value.bind(target);
+			},
+		});
+	}
+
+	static _wrapCollection(collection, name) {
+		return new Proxy(collection, {
+			get(target, prop) {
+				if (!ChromaService.COLLECTION_METHODS.includes(prop)) return target[prop];
+				return (...args) => recordOrReplay(
+					'chroma',
+					{method: `collection.${prop}`, collection: name, args},
+					() => target[prop](...args),
+				);
+			},
+		});
+	}
 
 	/**
 	 * Creates a new collection.
@@ -340,6 +389,14 @@ class ChromaService {
 		integration = 'openai',
 		model = 'text-embedding-3-small',
 	) {
+		return recordOrReplay(
+			'chroma',
+			{method: 'generateEmbeddings', texts, integration, model},
+			() => this._generateEmbeddings(texts, integration, model),
+		);
+	}
+
+	static async _generateEmbeddings(texts, integration, model) {
 		console.log('=== generateEmbeddings Debug Logs ===');
 		// console.log('Input texts:', texts);
 		console.log('Integration:', integration);
@@ -370,10 +427,10 @@ class ChromaService {
 				}
 
 				// Creamos la función de embedding con reintentos
-				const embeddingFunction = new OpenAIEmbeddingFunction({
+				const embeddingFunction = ApiCallService.trackEmbeddingFunction(new OpenAIEmbeddingFunction({
 					openai_api_key: process.env.OPENAI_API_KEY,
 					openai_model: model,
-				});
+				}), model);
 
 				// Implementar reintentos automáticos
 				const maxRetries = 3;
@@ -434,10 +491,10 @@ class ChromaService {
 		let embeddingFunction;
 		switch (integration.toLowerCase()) {
 			case 'openai':
-				embeddingFunction = new OpenAIEmbeddingFunction({
+				embeddingFunction = ApiCallService.trackEmbeddingFunction(new OpenAIEmbeddingFunction({
 					openai_api_key: process.env.OPENAI_API_KEY,
 					openai_model: model,
-				});
+				}), model);
 				break;
 			default:
 				throw new Error(`Unsupported embedding integration: ${integration}`);
@@ -462,6 +519,10 @@ class ChromaService {
 	 * Verifica la salud del servidor Chroma.
 	 */
 	static async checkServerHealth() {
+		return recordOrReplay('chroma', {method: 'checkServerHealth'}, () => this._checkServerHealth());
+	}
+
+	static async _checkServerHealth() {
 		console.log('=== Chroma Server Health Check ===');
 		console.log('Server URL:', ChromaService.BASE_URL);
 		console.log('Credentials present:', !!process.env.CHROMA_SERVER_CREDENTIALS);
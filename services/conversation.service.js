@@ -2,10 +2,22 @@
 import 'dotenv/config';
 import { PrismaClient } from '@prisma/client';
 import AIService from './ai.service.js';
-import VybeService from './vybe.service.js';
+import ApiCallService from './api-call.service.js';
+import VybeService, { VybeDegradedError } from './vybe.service.js';
 import ChromaService from './chroma.service.js';
+import KnownAccountsService from './known-accounts.service.js';
+import AlertConditionService from './alert-condition.service.js';
+import RoutineScanService from './routine-scan.service.js';
+import StrategyBacktestService from './strategy-backtest.service.js';
+import TradeSetupTrackerService from './trade-setup-tracker.service.js';
+import PortfolioRebalanceService from './portfolio-rebalance.service.js';
 import { createLogger } from '#utils/logger.js';
+import { getNextCronRun, toCronExpression } from '#utils/cron.js';
+import { mapWithConcurrency } from '#utils/concurrency.js';
+import { SOLANA_ADDRESS_REGEX } from '#utils/format.js';
+import { getRecordReplayMode } from '#utils/record-replay.js';
 import { OpenAIEmbeddingFunction } from 'chromadb';
+import moment from 'moment-timezone';
 
 /**
  * Service to handle AI conversations and related actions
@@ -14,6 +26,27 @@ class ConversationService {
 	static TOKEN_COLLECTION_NAME = 'token_resolution';
 	// Asegúrate que este modelo coincida con el usado para crear los embeddings en la colección
 	static TOKEN_EMBEDDING_MODEL = 'text-embedding-3-small';
+	// Argumentos de acciones que aceptan una etiqueta de SavedAddress en lugar de la dirección
+	static ADDRESS_ARG_KEYS = [ 'wallet_address', 'owner_address', 'address' ];
+	static ADDRESS_LIST_ARG_KEYS = [ 'wallet_addresses' ];
+	// Símbolos que analyze_oracle_deviation compara contra un peg de 1 USD si no se indica otro
+	static USD_STABLECOIN_SYMBOLS = [ 'USDC', 'USDT', 'PYUSD', 'USDS', 'DAI' ];
+	// Ventanas de program_activity_report (en segundos)
+	static PROGRAM_ACTIVITY_RANGES = { '1h': 3600, '24h': 86400, '7d': 604800, '30d': 2592000 };
+	// Límites del loop agéntico de sendMessage (configurables por env)
+	static DEFAULT_MAX_AGENT_STEPS = 5;
+	static DEFAULT_MAX_TURN_COST_USD = 0.05;
+	// Nota para la síntesis según el stopReason del loop agéntico ('completed' no lleva nota)
+	static EARLY_STOP_NOTES = {
+		step_budget: 'The analysis was stopped early (step limit reached). Answer with the data available and briefly tell the user which parts could not be completed.',
+		cost_ceiling: 'The analysis was stopped early (cost limit reached). Answer with the data available and briefly tell the user which parts could not be completed.',
+		empty_response: 'The analysis was stopped early because the AI returned an empty response. Answer with the data available and briefly tell the user which parts could not be completed.',
+		vybe_degraded: 'The analysis was stopped early because Vybe is degraded (rate limited or failing). Answer with the data available, tell the user plainly that Vybe is degraded and suggest trying again shortly.',
+	};
+	// Tool results longer than this are truncated before being fed back to the model
+	static MAX_TOOL_RESULT_CHARS = 12000;
+	// Tool calls de un mismo turno que se ejecutan a la vez
+	static DEFAULT_TOOL_CONCURRENCY = 4;
 
 	constructor() {
 		// Reemplazar tu logger actual con EfficientLogger
@@ -29,10 +62,18 @@ class ConversationService {
 		this.defaultModel = process.env.DEFAULT_AI_MODEL || 'gpt-4.1-nano';
 		this.availableActions = this.loadAvailableActions();
 		this.memoryContextSize = 6;
+		this.maxAgentSteps = parseInt(process.env.AGENT_MAX_STEPS) || ConversationService.DEFAULT_MAX_AGENT_STEPS;
+		this.maxTurnCostUsd = parseFloat(process.env.AGENT_MAX_TURN_COST_USD) || ConversationService.DEFAULT_MAX_TURN_COST_USD;
+		this.toolConcurrency = parseInt(process.env.TOOL_CONCURRENCY) || ConversationService.DEFAULT_TOOL_CONCURRENCY;
+		this.backtestService = new StrategyBacktestService();
+		this.rebalanceService = new PortfolioRebalanceService();
 
 		this.logger.info('Initialized with:', {
 			defaultModel: this.defaultModel,
 			memoryContextSize: this.memoryContextSize,
+			maxAgentSteps: this.maxAgentSteps,
+			maxTurnCostUsd: this.maxTurnCostUsd,
+			toolConcurrency: this.toolConcurrency,
 			actionsLoaded: !!this.availableActions?.actions?.length,
 		});
 	}
@@ -77,7 +118,7 @@ class ConversationService {
 					},
 					{
 						name: 'create_price_alert',
-						description: 'Sets up a notification for when a specific cryptocurrency token\'s price goes above or below a certain value in a given currency (default USD). Use this *only* when the user explicitly asks to set a price alert or monitor a specific price target.',
+						description: 'Sets up a notification for when a specific cryptocurrency token\'s price goes above or below a certain value, moves by a given percentage, or its trading volume spikes. Fires once. Use this *only* when the user explicitly asks to set a price/volume alert or monitor a specific price target.',
 						parameters: {
 							type: 'object',
 							properties: {
@@ -85,14 +126,30 @@ class ConversationService {
 									type: 'string',
 									description: 'The trading symbol of the cryptocurrency (e.g., \'SOL\', \'BTC\', \'ETH\', \'JUP\', \'BONK\'). Must be a valid symbol known by the Vybe API.',
 								},
+								token_address: {
+									type: 'string',
+									description: 'Optional. The token mint address if already resolved. Avoids ambiguity between tokens sharing a symbol.',
+								},
 								condition_type: {
 									type: 'string',
-									description: 'Whether to alert when the price is \'price_above\' or \'price_below\' the threshold.',
-									enum: [ 'price_above', 'price_below' ],
+									description: '\'price_above\' / \'price_below\': price crosses the threshold. \'percent_change\': price moves at least threshold % within the timeframe. \'volume_spike\': last hour volume is at least threshold times the average hourly volume.',
+									enum: [ 'price_above', 'price_below', 'percent_change', 'volume_spike' ],
 								},
 								threshold_value: {
 									type: 'number',
-									description: 'The target price value (positive number) to trigger the alert.',
+									description: 'Positive number. Target price for price_above/price_below, percentage for percent_change (e.g. 10 for 10%), multiplier for volume_spike (e.g. 3 for 3x).',
+								},
+								timeframe: {
+									type: 'string',
+									description: 'Only for percent_change. Window over which the change is measured. Default: \'24h\'.',
+									enum: [ '1h', '4h', '24h', '7d' ],
+									default: '24h',
+								},
+								direction: {
+									type: 'string',
+									description: 'Only for percent_change. \'up\' for gains, \'down\' for drops, \'any\' for both. Default: \'any\'.',
+									enum: [ 'up', 'down', 'any' ],
+									default: 'any',
 								},
 								currency: {
 									type: 'string',
@@ -106,6 +163,35 @@ class ConversationService {
 						category: 'Alerts',
 						isActive: true,
 					},
+					{
+						name: 'create_whale_alert',
+						description: 'Sets up push notifications for large ("whale") transfers of tokens on the user\'s watchlists. Each transfer above the USD or token threshold is sent to the chat with sender and receiver labelled (e.g. "Binance Hot Wallet → unknown"). Only tokens that are on one of the user\'s watchlists are covered: add them with upsert_token_watchlist first. Calling it again for the same token or watchlist updates the thresholds.',
+						parameters: {
+							type: 'object',
+							properties: {
+								token_symbol: {
+									type: 'string',
+									description: 'Optional. A single watched token (symbol or mint address, as it appears in the watchlist). If omitted, every token of the watchlist(s) is covered.',
+								},
+								watchlist_name: {
+									type: 'string',
+									description: 'Optional. Restricts the alert to the tokens of this watchlist. If omitted, all of the user\'s watchlists are used.',
+								},
+								min_usd_value: {
+									type: 'number',
+									description: 'Notify transfers worth at least this many USD (e.g. 100000).',
+								},
+								min_token_amount: {
+									type: 'number',
+									description: 'Notify transfers of at least this many tokens. Requires token_symbol. If both thresholds are given, meeting either one notifies.',
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionCreateWhaleAlert',
+						category: 'Alerts',
+						isActive: true,
+					},
 					{
 						'name': 'fetch_token_data',
 						// --- DESCRIPCIÓN MEJORADA ---
@@ -190,6 +276,16 @@ class ConversationService {
 									description: 'Optional. Page number for pagination if more results than the limit are available. Default: 1.',
 									default: 1,
 								},
+								fetch_all: {
+									type: 'boolean',
+									description: 'Optional. Walk every page of the top holders (up to max_holders) and return a concentration analysis of the whole set, plus the first `limit` holders. Use it for distribution / whale concentration questions. Default: false.',
+									default: false,
+								},
+								max_holders: {
+									type: 'integer',
+									description: 'Optional. With fetch_all, maximum number of holders to analyse (Vybe serves the top 1000). Default: 1000.',
+									default: 1000,
+								},
 							},
 							required: [ 'token_address' ],
 						},
@@ -205,7 +301,7 @@ class ConversationService {
 							properties: {
 								wallet_address: {
 									type: 'string',
-									description: 'The public key (address) of the Solana wallet.',
+									description: 'The public key (address) of the Solana wallet, or the label of one of the user\'s saved addresses (e.g., "cold wallet").',
 								},
 								include_tokens: {
 									type: 'boolean',
@@ -224,6 +320,111 @@ class ConversationService {
 						category: 'Wallet Info',
 						isActive: true,
 					}, // testeado
+					{
+						name: 'fetch_multi_wallet_portfolio',
+						description: 'Combines the SPL token holdings of several Solana wallets into one portfolio: merged holdings table, combined USD value, per-wallet breakdown and a combined daily value history. Use it when the user asks about "my wallets" or a group of wallets together.',
+						parameters: {
+							type: 'object',
+							properties: {
+								wallet_addresses: {
+									type: 'array',
+									items: { type: 'string' },
+									description: 'Wallet addresses, or labels of the user\'s saved addresses (e.g., ["cold wallet", "trading"]). Between 2 and 10 wallets.',
+								},
+								days: {
+									type: 'integer',
+									description: 'Optional. Days of combined value history to include (0 to skip it). Default: 7.',
+									default: 7,
+								},
+								limit: {
+									type: 'integer',
+									description: 'Optional. Maximum number of merged holdings to return, most valuable first. Default: 20.',
+									default: 20,
+								},
+							},
+							required: [ 'wallet_addresses' ],
+						},
+						handlerFunction: 'actionFetchMultiWalletPortfolio',
+						category: 'Portfolio',
+						isActive: true,
+					},
+					{
+						name: 'fetch_wallet_nfts',
+						description: 'Fetches the NFT holdings of a Solana wallet grouped by collection: items held, floor price and estimated value in USD and SOL. Use it when the user asks specifically about a wallet\'s NFTs.',
+						parameters: {
+							type: 'object',
+							properties: {
+								wallet_address: {
+									type: 'string',
+									description: 'The public key (address) of the Solana wallet, or the label of one of the user\'s saved addresses (e.g., "cold wallet").',
+								},
+								limit: {
+									type: 'integer',
+									description: 'Optional. Maximum number of collections to return, most valuable first. Default: 20.',
+									default: 20,
+								},
+								include_unpriced: {
+									type: 'boolean',
+									description: 'Optional. Set to true to also include collections without price data. Default: false.',
+									default: false,
+								},
+							},
+							required: [ 'wallet_address' ],
+						},
+						handlerFunction: 'actionFetchWalletNfts',
+						category: 'Wallet Info',
+						isActive: true,
+					},
+					{
+						name: 'fetch_multi_wallet_nfts',
+						description: 'Aggregates the NFT holdings of several Solana wallets into one portfolio grouped by collection, with combined item counts and value. Useful when the user owns several wallets or wants to compare a group of wallets.',
+						parameters: {
+							type: 'object',
+							properties: {
+								wallet_addresses: {
+									type: 'array',
+									items: { type: 'string' },
+									description: 'Wallet addresses, or labels of the user\'s saved addresses (e.g., ["cold wallet", "trading"]). Between 2 and 10 wallets.',
+								},
+								limit: {
+									type: 'integer',
+									description: 'Optional. Maximum number of collections to return, most valuable first. Default: 20.',
+									default: 20,
+								},
+							},
+							required: [ 'wallet_addresses' ],
+						},
+						handlerFunction: 'actionFetchMultiWalletNfts',
+						category: 'Wallet Info',
+						isActive: true,
+					},
+					{
+						name: 'analyze_nft_collection_owners',
+						description: 'Analyzes who owns an NFT collection: number of owners, how concentrated ownership is (top 1/10 share, owners by number of items held) and the whale wallets holding the most items.',
+						parameters: {
+							type: 'object',
+							properties: {
+								collection_address: {
+									type: 'string',
+									description: 'The address of the NFT collection.',
+								},
+								whale_min_items: {
+									type: 'integer',
+									description: 'Optional. Minimum number of items for an owner to count as a whale. Default: 10.',
+									default: 10,
+								},
+								top_n: {
+									type: 'integer',
+									description: 'Optional. Number of top owners to list. Default: 10.',
+									default: 10,
+								},
+							},
+							required: [ 'collection_address' ],
+						},
+						handlerFunction: 'actionAnalyzeNftCollectionOwners',
+						category: 'Analysis',
+						isActive: true,
+					},
 					{
 						name: 'fetch_wallet_pnl',
 						description: 'Calculates and retrieves the realized and unrealized Profit and Loss (PnL) performance analysis for a specific Solana wallet over a specified number of past days. Useful for understanding the wallet\'s investment performance.',
@@ -232,7 +433,7 @@ class ConversationService {
 							properties: {
 								wallet_address: {
 									type: 'string',
-									description: 'The public key (address) of the Solana wallet.',
+									description: 'The public key (address) of the Solana wallet, or the label of one of the user\'s saved addresses (e.g., "cold wallet").',
 								},
 								days: {
 									type: 'integer',
@@ -396,6 +597,29 @@ class ConversationService {
 						category: 'Program Info',
 						isActive: true,
 					}, // -----
+					{
+						name: 'program_activity_report',
+						description: 'Builds an activity report for a Solana program over a time window: active users, instruction count, transaction count and TVL time series, with growth rates, per-user ratios and anomalous spikes or drops in each series. Use it to judge whether a protocol is growing, shrinking or seeing unusual activity.',
+						parameters: {
+							type: 'object',
+							properties: {
+								program_id: {
+									type: 'string',
+									description: 'The unique public key (address) of the Solana program.',
+								},
+								range: {
+									type: 'string',
+									description: 'Optional. Window to analyze. Default: "30d".',
+									enum: [ '1h', '24h', '7d', '30d' ],
+									default: '30d',
+								},
+							},
+							required: [ 'program_id' ],
+						},
+						handlerFunction: 'actionProgramActivityReport',
+						category: 'Program Info',
+						isActive: true,
+					},
 					{
 						name: 'fetch_program_ranking',
 						description: 'Gets a ranked list of Solana programs based on certain metrics provided by the Vybe API (e.g., activity, TVL growth). Useful for discovering popular or significant programs.',
@@ -484,6 +708,128 @@ class ConversationService {
 						category: 'Market Info',
 						isActive: true,
 					}, // -----
+					{
+						name: 'search_pyth_price_feeds',
+						description: 'Searches the Pyth oracle price feeds available through Vybe by symbol (e.g. "SOL", "JUP/USD") and returns their price feed and product account IDs. Use it to find the feed ID before querying oracle prices.',
+						parameters: {
+							type: 'object',
+							properties: {
+								symbol: {
+									type: 'string',
+									description: 'Optional. Symbol or part of it, e.g. "SOL" or "Crypto.BONK/USD".',
+								},
+								product_id: {
+									type: 'string',
+									description: 'Optional. Filter by Pyth product account ID.',
+								},
+								price_feed_id: {
+									type: 'string',
+									description: 'Optional. Filter by Pyth price feed account ID.',
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionSearchPythPriceFeeds',
+						category: 'Market Info',
+						isActive: true,
+					},
+					{
+						name: 'fetch_pyth_price',
+						description: 'Gets the current Pyth oracle price of an asset with its confidence interval (price ± confidence), EMA price, last update time and product metadata. Pass either the price feed ID or the symbol.',
+						parameters: {
+							type: 'object',
+							properties: {
+								price_feed_id: {
+									type: 'string',
+									description: 'Optional. Pyth price feed account ID.',
+								},
+								symbol: {
+									type: 'string',
+									description: 'Optional. Asset symbol (e.g. "SOL"), used to find the USD feed when no price_feed_id is given.',
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionFetchPythPrice',
+						category: 'Market Info',
+						isActive: true,
+					},
+					{
+						name: 'fetch_pyth_price_history',
+						description: 'Gets historical Pyth oracle prices for a feed, either as OHLC candles or as a price and confidence time series, with a summary of the change and of how wide the confidence interval has been.',
+						parameters: {
+							type: 'object',
+							properties: {
+								price_feed_id: {
+									type: 'string',
+									description: 'Optional. Pyth price feed account ID.',
+								},
+								symbol: {
+									type: 'string',
+									description: 'Optional. Asset symbol (e.g. "SOL"), used to find the USD feed when no price_feed_id is given.',
+								},
+								series: {
+									type: 'string',
+									enum: [ 'ohlc', 'price_confidence' ],
+									description: 'Optional. "ohlc" for candles or "price_confidence" for the price and confidence time series. Default: "ohlc".',
+									default: 'ohlc',
+								},
+								resolution: {
+									type: 'string',
+									description: 'Optional. Interval, e.g. "1m", "1h", "1d". Default: "1h".',
+									default: '1h',
+								},
+								days: {
+									type: 'integer',
+									description: 'Optional. Number of past days to cover. Default: 1.',
+									default: 1,
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionFetchPythPriceHistory',
+						category: 'Market Info',
+						isActive: true,
+					},
+					{
+						name: 'analyze_oracle_deviation',
+						description: 'Compares the Pyth oracle price of a token against its DEX market price and flags problems: oracle/market deviation above a threshold, depeg of a stablecoin or pegged asset, stale oracle feed, stale DEX price and unusually wide oracle confidence.',
+						parameters: {
+							type: 'object',
+							properties: {
+								token_address: {
+									type: 'string',
+									description: 'The mint address of the token on Solana.',
+								},
+								price_feed_id: {
+									type: 'string',
+									description: 'Optional. Pyth price feed account ID. If omitted, the USD feed for the token symbol is used.',
+								},
+								dex_program_id: {
+									type: 'string',
+									description: 'Optional. DEX/AMM program ID; when given, the USD-quoted markets of the token on that DEX are also compared one by one.',
+								},
+								max_deviation_percent: {
+									type: 'number',
+									description: 'Optional. Deviation (in %) above which the oracle and market prices are flagged. Default: 1.',
+									default: 1,
+								},
+								peg_price: {
+									type: 'number',
+									description: 'Optional. Expected price for a pegged asset. Defaults to 1 for USD stablecoins.',
+								},
+								max_staleness_seconds: {
+									type: 'integer',
+									description: 'Optional. Age (in seconds) above which the oracle price is considered stale. Default: 120.',
+									default: 120,
+								},
+							},
+							required: [ 'token_address' ],
+						},
+						handlerFunction: 'actionAnalyzeOracleDeviation',
+						category: 'Analysis',
+						isActive: true,
+					},
 					{
 						name: 'analyze_token_trend',
 						description: 'Performs a trend analysis for a specific Solana token by fetching and summarizing historical data (like price, volume, or holders count) over a selected timeframe (day, week, month).',
@@ -550,7 +896,7 @@ class ConversationService {
 					}, // testeado
 					{
 						name: 'schedule_alert',
-						description: 'Schedules a generic alert or reminder task to be executed at a later time or when a specific condition is met. Use this for custom reminders or checks not covered by \'create_price_alert\'. The \'condition\' parameter requires specific backend logic to evaluate.',
+						description: 'Schedules a generic alert or reminder task to be executed at a later time, on a recurring schedule (e.g. daily digests, hourly checks) or when a specific condition is met. Use this for custom reminders or checks not covered by \'create_price_alert\'. The \'condition\' parameter requires specific backend logic to evaluate.',
 						parameters: {
 							type: 'object',
 							properties: {
@@ -568,9 +914,17 @@ class ConversationService {
 								},
 								scheduled_for: {
 									type: 'string',
-									description: 'Optional. The specific time to trigger the alert, in ISO 8601 format (e.g., "2025-12-31T23:59:59Z"). If omitted, the alert relies solely on the \'condition\' being met.',
+									description: 'Optional. The specific time to trigger the alert, in ISO 8601 format (e.g., "2025-12-31T23:59:59Z"). If omitted, the alert relies solely on the \'condition\' being met. For recurring alerts this is the first run.',
 									format: 'date-time', // Hint for LLM about format
 								},
+								recurrence: {
+									type: 'string',
+									description: 'Optional. Makes the alert recurring. Either a 5-field cron expression (e.g., "0 9 * * 1-5") or a natural-language phrase such as "every weekday at 9am", "every day at 8:30pm", "hourly", "every 4 hours", "every monday at 10am".',
+								},
+								timezone: {
+									type: 'string',
+									description: 'Optional. IANA timezone the recurrence is expressed in (e.g., "America/Mexico_City", "Europe/Madrid"). Defaults to the timezone saved in memory under the key "timezone", otherwise UTC.',
+								},
 							},
 							required: [ 'type', 'message' ], // Either condition or scheduled_for must be meaningful
 						},
@@ -687,6 +1041,34 @@ class ConversationService {
 						category: 'Account Info',
 						isActive: true,
 					}, // -----
+					{
+						name: 'get_network_graph',
+						description: 'Builds a link to Vybe\'s interactive network graph for a wallet, token or program, showing the wallets, tokens or programs it is connected to. Use it when the user wants to visualize relationships, fund flows or counterparties; the link is shown as a button under the reply.',
+						parameters: {
+							type: 'object',
+							properties: {
+								address: {
+									type: 'string',
+									description: 'The wallet address, token mint address or program ID, or the label of one of the user\'s saved addresses.',
+								},
+								entity: {
+									type: 'string',
+									description: 'What the address is.',
+									enum: [ 'wallet', 'token', 'program' ],
+								},
+								connection_node: {
+									type: 'string',
+									description: 'Optional. Type of node the connections are drawn to. Default: "wallet".',
+									enum: [ 'wallet', 'token', 'program' ],
+									default: 'wallet',
+								},
+							},
+							required: [ 'address', 'entity' ],
+						},
+						handlerFunction: 'actionGetNetworkGraph',
+						category: 'Account Info',
+						isActive: true,
+					},
 					{
 						name: 'get_wallet_tokens_time_series',
 						description: 'Retrieves the daily historical balances (snapshot at end of day) of all SPL tokens held by a specific Solana wallet, presented as a time series. Useful for tracking portfolio composition changes over time.',
@@ -695,7 +1077,7 @@ class ConversationService {
 							properties: {
 								wallet_address: {
 									type: 'string',
-									description: 'The public key (address) of the Solana wallet.',
+									description: 'The public key (address) of the Solana wallet, or the label of one of the user\'s saved addresses (e.g., "cold wallet").',
 								},
 								days: {
 									type: 'integer',
@@ -736,6 +1118,11 @@ class ConversationService {
 									enum: [ 'volume', 'frequency', 'whales' ],
 									default: 'volume',
 								},
+								max_transfers: {
+									type: 'integer',
+									description: 'Optional. Maximum number of transfers to page through (newest first). The result says whether the whole window was covered. Default: 5000.',
+									default: 5000,
+								},
 							},
 							required: [ 'token_address' ],
 						},
@@ -743,6 +1130,33 @@ class ConversationService {
 						category: 'Analysis',
 						isActive: true,
 					}, // -----
+					{
+						name: 'analyze_token_trades',
+						description: 'Analyzes the recent DEX trade flow of a Solana token: buy/sell pressure, trade size distribution, unique traders, volume broken down by DEX program and the largest trades.',
+						parameters: {
+							type: 'object',
+							properties: {
+								token_address: {
+									type: 'string',
+									description: 'The unique mint address of the Solana token.',
+								},
+								hours: {
+									type: 'integer',
+									description: 'Optional. Number of past hours to analyze (1-168). Default: 24.',
+									default: 24,
+								},
+								max_trades: {
+									type: 'integer',
+									description: 'Optional. Maximum number of trades to page through (newest first). The result says whether the whole window was covered. Default: 3000.',
+									default: 3000,
+								},
+							},
+							required: [ 'token_address' ],
+						},
+						handlerFunction: 'actionAnalyzeTokenTrades',
+						category: 'Analysis',
+						isActive: true,
+					},
 					{
 						name: 'get_price_prediction',
 						description: 'Generates a speculative price prediction for a specific Solana token for a future timeframe (e.g., 24h, 7d, 30d) based on historical price trends and volatility analysis. **Disclaimer: This is purely statistical and NOT financial advice.**',
@@ -1050,29 +1464,92 @@ class ConversationService {
 						isActive: true,
 					},
 					{
-						name: 'upsert_token_watchlist',
-						description: 'Creates or updates a token watchlist for monitoring specific tokens.',
+						name: 'backtest_strategy',
+						description: 'Backtests one of the user\'s saved trading strategies over historical candles: turns its entry/exit conditions into rules, replays them and reports the trades, win rate, max drawdown and return compared with buy-and-hold. If some conditions cannot be understood automatically, pass them as structured entry_rules / exit_rules (they are saved with the strategy for next time).',
 						parameters: {
 							type: 'object',
 							properties: {
-								name: {
+								strategy_name: {
 									type: 'string',
-									description: 'A unique name for the watchlist.',
-								},
-								tokens: {
-									type: 'array',
-									items: { type: 'string' },
-									description: 'List of token symbols or addresses to watch.',
+									description: 'Name of the saved strategy.',
 								},
-								description: {
+								token: {
 									type: 'string',
-									description: 'Optional. A description of the watchlist purpose.',
+									description: 'Optional. Token symbol or mint address to test on. Default: the first token of the strategy.',
 								},
-								criteria: {
+								quote_mint_address: {
 									type: 'string',
-									description: 'Optional. Specific criteria for selecting these tokens.',
+									description: 'Optional. Quote token mint to test the base/quote pair price (e.g. the SOL mint) instead of the USD price.',
 								},
-							},
+								resolution: {
+									type: 'string',
+									description: 'Optional. Candle size. Default: "1d".',
+									enum: Object.keys(StrategyBacktestService.RESOLUTIONS),
+									default: '1d',
+								},
+								days: {
+									type: 'integer',
+									description: 'Optional. Days of history to test (at most 1000 candles are used). Default: 90.',
+									default: 90,
+								},
+								entry_rules: {
+									type: 'array',
+									description: 'Optional. Structured entry rules, all must hold. Replaces the ones parsed from the strategy text.',
+									items: StrategyBacktestService.RULE_SCHEMA,
+								},
+								exit_rules: {
+									type: 'array',
+									description: 'Optional. Structured exit rules, any of them closes the position. Replaces the ones parsed from the strategy text.',
+									items: StrategyBacktestService.RULE_SCHEMA,
+								},
+								stop_loss_percent: {
+									type: 'number',
+									description: 'Optional. Stop loss below the entry price, in percent.',
+								},
+								take_profit_percent: {
+									type: 'number',
+									description: 'Optional. Take profit above the entry price, in percent.',
+								},
+								trailing_stop_percent: {
+									type: 'number',
+									description: 'Optional. Trailing stop below the highest price since entry, in percent.',
+								},
+								fee_percent: {
+									type: 'number',
+									description: `Optional. Trading fee per side, in percent. Default: ${ StrategyBacktestService.DEFAULT_FEE_PERCENT }.`,
+									default: StrategyBacktestService.DEFAULT_FEE_PERCENT,
+								},
+							},
+							required: [ 'strategy_name' ],
+						},
+						handlerFunction: 'actionBacktestStrategy',
+						category: 'Strategies',
+						isActive: true,
+					},
+					{
+						name: 'upsert_token_watchlist',
+						description: 'Creates or updates a token watchlist for monitoring specific tokens.',
+						parameters: {
+							type: 'object',
+							properties: {
+								name: {
+									type: 'string',
+									description: 'A unique name for the watchlist.',
+								},
+								tokens: {
+									type: 'array',
+									items: { type: 'string' },
+									description: 'List of token symbols or addresses to watch.',
+								},
+								description: {
+									type: 'string',
+									description: 'Optional. A description of the watchlist purpose.',
+								},
+								criteria: {
+									type: 'string',
+									description: 'Optional. Specific criteria for selecting these tokens.',
+								},
+							},
 							required: [ 'name', 'tokens' ],
 						},
 						handlerFunction: 'upsertTokenWatchlist',
@@ -1126,6 +1603,46 @@ class ConversationService {
 						category: 'Portfolio',
 						isActive: true,
 					},
+					{
+						name: 'rebalance_portfolio',
+						description: 'Compares a saved portfolio plan (target allocations) with what the user actually holds in the wallet(s) they name: drift per asset in percentage points, which assets are outside the tolerance band, and the buy/sell amounts that bring them back to target. Can also schedule a recurring drift alert that only messages the user when the portfolio drifts out of band.',
+						parameters: {
+							type: 'object',
+							properties: {
+								plan_name: {
+									type: 'string',
+									description: 'Optional. Name of the portfolio plan. Default: the most recently updated plan.',
+								},
+								wallet_addresses: {
+									type: 'array',
+									items: { type: 'string' },
+									description: 'The user\'s own wallet addresses, or labels of their saved addresses, whose holdings are combined (1 to 10). Required: saved addresses are not assumed to be the user\'s wallets, so ask which ones hold the portfolio if they did not say.',
+								},
+								tolerance_percent: {
+									type: 'number',
+									description: 'Optional. Allowed drift from each target, in percentage points (e.g. 5 means a 20% target may range 15-25%). Default: 5.',
+									default: 5,
+								},
+								min_trade_usd: {
+									type: 'number',
+									description: 'Optional. Trades smaller than this USD amount are not proposed. Default: 10.',
+									default: 10,
+								},
+								alert_recurrence: {
+									type: 'string',
+									description: 'Optional. Schedules a drift alert with this recurrence (e.g. "daily at 9am", "every monday", or a cron expression) in addition to returning the report.',
+								},
+								timezone: {
+									type: 'string',
+									description: 'Optional. IANA timezone of alert_recurrence (e.g. "America/New_York"). Default: the user\'s saved timezone or UTC.',
+								},
+							},
+							required: [ 'wallet_addresses' ],
+						},
+						handlerFunction: 'actionRebalancePortfolio',
+						category: 'Portfolio',
+						isActive: true,
+					},
 					{
 						name: 'upsert_trade_setup',
 						description: 'Creates or updates a specific trade setup with entry, exit, and risk management details.',
@@ -1354,7 +1871,7 @@ class ConversationService {
 					},
 					{
 						'name': 'get_trade_setups',
-						'description': 'Retrieves previously saved trade setups for the user. Can optionally filter by token symbol or status.',
+						'description': 'Retrieves previously saved trade setups for the user, including their live tracking state (pending, entered, stopped, target_hit) and last checked price. Can optionally filter by token symbol or status.',
 						'parameters': {
 							'type': 'object',
 							'properties': {
@@ -1379,6 +1896,33 @@ class ConversationService {
 						'category': 'Trading',
 						'isActive': true,
 					},
+					{
+						name: 'get_trade_journal',
+						description: 'Retrieves the user\'s trade journal: the outcome of every trade setup the tracker closed (stop loss or take profit hit), with entry/exit prices, return, R multiple and duration, plus a summary (win rate, average return, total R). Use it to review past trades.',
+						parameters: {
+							type: 'object',
+							properties: {
+								token: {
+									type: 'string',
+									description: 'Optional. Only trades on this token symbol.',
+								},
+								outcome: {
+									type: 'string',
+									description: 'Optional. Only trades with this outcome.',
+									enum: [ 'stopped', 'target_hit' ],
+								},
+								limit: {
+									type: 'integer',
+									description: 'Optional. Maximum number of entries to return (summary covers all matching trades). Default: 20.',
+									default: 20,
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionGetTradeJournal',
+						category: 'Trading',
+						isActive: true,
+					},
 					{
 						'name': 'get_market_analyses',
 						'description': 'Retrieves previously saved market analysis records. Can optionally filter by title.',
@@ -1401,6 +1945,137 @@ class ConversationService {
 						'category': 'Analysis',
 						'isActive': true,
 					},
+					{
+						name: 'save_address',
+						description: 'Saves a wallet (or any Solana) address in the user\'s address book under a friendly label, so it can later be referred to by name (e.g., "my cold wallet", "trading wallet"). Saving an existing label updates its address.',
+						parameters: {
+							type: 'object',
+							properties: {
+								label: {
+									type: 'string',
+									description: 'Friendly name for the address, without possessives (e.g., "cold wallet", "binance deposit").',
+								},
+								address: {
+									type: 'string',
+									description: 'The full address to save.',
+								},
+								description: {
+									type: 'string',
+									description: 'Optional. Notes about the address.',
+								},
+								network: {
+									type: 'string',
+									description: 'Optional. Blockchain network. Default: "solana".',
+									default: 'solana',
+								},
+							},
+							required: [ 'label', 'address' ],
+						},
+						handlerFunction: 'actionSaveAddress',
+						category: 'Address Book',
+						isActive: true,
+					},
+					{
+						name: 'list_saved_addresses',
+						description: 'Lists the addresses saved in the user\'s address book with their labels.',
+						parameters: {
+							type: 'object',
+							properties: {
+								network: {
+									type: 'string',
+									description: 'Optional. Only list addresses of this network (e.g., "solana").',
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionListSavedAddresses',
+						category: 'Address Book',
+						isActive: true,
+					},
+					{
+						name: 'delete_saved_address',
+						description: 'Removes an address from the user\'s address book, identified by its label or by the address itself.',
+						parameters: {
+							type: 'object',
+							properties: {
+								label: {
+									type: 'string',
+									description: 'The label of the saved address to delete.',
+								},
+								address: {
+									type: 'string',
+									description: 'Alternatively, the saved address to delete.',
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionDeleteSavedAddress',
+						category: 'Address Book',
+						isActive: true,
+					},
+					{
+						name: 'create_routine_scan',
+						description: 'Sets up a recurring monitoring scan that periodically checks a wallet\'s token balances or a token\'s top holders and notifies the user in Telegram ONLY when something changed since the previous scan (new/closed positions, balance changes, holders entering/leaving the top list). Use when the user asks to monitor, watch or track a wallet or a token\'s whales over time.',
+						parameters: {
+							type: 'object',
+							properties: {
+								scan_type: {
+									type: 'string',
+									description: '\'wallet\' to monitor the SPL token balances of a wallet, \'token_holders\' to monitor the top holders of a token.',
+									enum: [ 'wallet', 'token_holders' ],
+								},
+								address: {
+									type: 'string',
+									description: 'The wallet address (for \'wallet\') or the token mint address (for \'token_holders\').',
+								},
+								frequency: {
+									type: 'string',
+									description: 'How often to scan. A cron expression or a phrase like "hourly", "every 4 hours", "every day at 9am". Default: "hourly".',
+									default: 'hourly',
+								},
+								label: {
+									type: 'string',
+									description: 'Optional. Friendly name shown in notifications (e.g., "My trading wallet", "JUP whales").',
+								},
+								min_change_percent: {
+									type: 'number',
+									description: 'Optional. Minimum balance change (in %) to be reported. Default: 1.',
+									default: 1,
+								},
+								top_n: {
+									type: 'integer',
+									description: 'Optional. Only for \'token_holders\'. Number of top holders to track. Default: 20.',
+									default: 20,
+								},
+								timezone: {
+									type: 'string',
+									description: 'Optional. IANA timezone the frequency is expressed in. Defaults to the user\'s saved timezone, otherwise UTC.',
+								},
+							},
+							required: [ 'scan_type', 'address' ],
+						},
+						handlerFunction: 'actionCreateRoutineScan',
+						category: 'Alerts',
+						isActive: true,
+					},
+					{
+						name: 'list_routine_scans',
+						description: 'Lists the monitoring scans (wallet balances / token top holders) the user has set up, with their frequency, last and next scan time.',
+						parameters: {
+							type: 'object',
+							properties: {
+								include_inactive: {
+									type: 'boolean',
+									description: 'Optional. Include scans that were deactivated. Default: false.',
+									default: false,
+								},
+							},
+							required: [],
+						},
+						handlerFunction: 'actionListRoutineScans',
+						category: 'Alerts',
+						isActive: true,
+					},
 				],
 			};
 			this.logger.success('Successfully loaded available actions.', { count: actions.actions.length });
@@ -1792,6 +2467,13 @@ class ConversationService {
 					timeframe: fullStrategyData.timeframe,
 				});
 
+				// create_strategy solo guarda los campos básicos: completamos con condiciones y riesgo
+				// (backtest_strategy los necesita)
+				await this.prisma.memoryObject.update({
+					where: { id: createResult.strategy.id },
+					data: { data: fullStrategyData },
+				});
+
 				// Add the enriched data to the result
 				createResult.strategy.details = fullStrategyData;
 				result = {
@@ -1813,6 +2495,127 @@ class ConversationService {
 		}
 	}
 
+	/**
+	 * Action: Backtest a saved trading strategy
+	 * The rule set is saved in the strategy (`data.ruleSet`) together with the strategy's `updatedAt`,
+	 * so rules given once by the model are reused until the strategy is edited.
+	 */
+	async actionBacktestStrategy(chatId, args) {
+		const functionName = 'actionBacktestStrategy';
+		this.logger.entry(functionName, { chatId, args });
+		const {
+			strategy_name,
+			token,
+			quote_mint_address,
+			resolution = '1d',
+			days = 90,
+			entry_rules,
+			exit_rules,
+			stop_loss_percent,
+			take_profit_percent,
+			trailing_stop_percent,
+			fee_percent = StrategyBacktestService.DEFAULT_FEE_PERCENT,
+		} = args;
+
+		if(!strategy_name) {
+			this.logger.error('Strategy name is required.', { args });
+			throw new Error('Strategy name is required for backtest_strategy action');
+		}
+
+		try {
+			const strategy = await this.prisma.memoryObject.findFirst({
+				where: { chatId, objectType: 'strategy', name: strategy_name, isActive: true },
+			});
+			if(!strategy) {
+				const saved = await this.prisma.memoryObject.findMany({
+					where: { chatId, objectType: 'strategy', isActive: true },
+					select: { name: true },
+				});
+				throw new Error(`Strategy '${ strategy_name }' not found. Saved strategies: ${ saved.map(item => item.name).join(', ') || 'none' }`);
+			}
+
+			const data = strategy.data || {};
+			const strategyVersion = data.updatedAt || data.createdAt || null;
+			const hasOverrides = [ entry_rules, exit_rules ].some(rules => Array.isArray(rules) && rules.length > 0)
+				|| [ stop_loss_percent, take_profit_percent, trailing_stop_percent ].some(value => value !== undefined && value !== null);
+			const savedRuleSet = data.ruleSet?.strategyVersion === strategyVersion ? data.ruleSet : null;
+
+			const ruleSet = StrategyBacktestService.buildRuleSet(data, hasOverrides ? {
+				entry: entry_rules ?? savedRuleSet?.entry,
+				exit: exit_rules ?? savedRuleSet?.exit,
+				stopLossPercent: stop_loss_percent ?? savedRuleSet?.stopLossPercent,
+				takeProfitPercent: take_profit_percent ?? savedRuleSet?.takeProfitPercent,
+				trailingStopPercent: trailing_stop_percent ?? savedRuleSet?.trailingStopPercent,
+			} : (savedRuleSet || {}));
+
+			if(ruleSet.entry.length === 0) {
+				throw new Error(`Could not derive entry rules from strategy '${ strategy_name }'. Unrecognized conditions: ${ ruleSet.unparsed.join('; ') || 'none' }. Pass them as structured entry_rules.`);
+			}
+
+			const backtestToken = token || (Array.isArray(data.tokens) ? data.tokens[0] : null);
+			if(!backtestToken) {
+				throw new Error(`Strategy '${ strategy_name }' has no tokens; pass the token to backtest`);
+			}
+
+			this.logger.info(`Backtesting strategy '${ strategy_name }' on ${ backtestToken } (${ resolution }, ${ days } days)...`);
+			const backtest = await this.backtestService.backtest({
+				ruleSet,
+				token: backtestToken,
+				quoteMintAddress: quote_mint_address || null,
+				resolution,
+				days: parseInt(days) || 90,
+				// null o texto no numérico (el modelo a veces los manda) usan la comisión por defecto
+				feePercent: parseFloat(fee_percent) >= 0 ? parseFloat(fee_percent) : StrategyBacktestService.DEFAULT_FEE_PERCENT,
+			});
+
+			// Curva de equity reducida a ~30 puntos para no inflar el contexto del modelo
+			const step = Math.max(1, Math.ceil(backtest.equityCurve.length / 30));
+			const equityCurve = backtest.equityCurve
+				.filter((_, index) => index % step === 0 || index === backtest.equityCurve.length - 1)
+				.map(point => ({ time: point.time, equity: Math.round(point.equity * 10000) / 10000 }));
+
+			await this.prisma.memoryObject.update({
+				where: { id: strategy.id },
+				data: {
+					data: {
+						...data,
+						ruleSet: { ...ruleSet, strategyVersion },
+						lastBacktest: {
+							ranAt: new Date().toISOString(),
+							token: backtestToken,
+							resolution,
+							window: backtest.window,
+							stats: backtest.stats,
+							buyAndHold: backtest.buyAndHold,
+						},
+					},
+				},
+			}).catch(error => this.logger.warn(`Could not save backtest results for strategy ${ strategy.id }: ${ error.message }`));
+
+			const result = {
+				strategy: strategy_name,
+				token: backtestToken,
+				tokenAddress: backtest.tokenAddress,
+				quoteMintAddress: backtest.quoteMintAddress,
+				resolution,
+				window: backtest.window,
+				ruleSet,
+				stats: backtest.stats,
+				buyAndHold: backtest.buyAndHold,
+				trades: backtest.trades.slice(-20),
+				equityCurve,
+			};
+
+			this.logger.success(`Completed ${ functionName } for '${ strategy_name }'`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for '${ strategy_name }'`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to backtest strategy: ${ error.message }`);
+		}
+	}
+
 	/**
 	 * Creates or updates a token watchlist
 	 * @param {number} chatId - The chat ID
@@ -2058,6 +2861,82 @@ class ConversationService {
 		}
 	}
 
+	/**
+	 * Action: Compares a portfolio plan with the holdings of the wallets in `wallet_addresses` and proposes
+	 * the trades that bring out-of-band assets back to target. Optionally schedules a recurring drift alert.
+	 * The wallets are required: saved addresses may belong to others, so none are used by default.
+	 * @param {number} userId - User ID
+	 * @param {number} chatId - Chat ID
+	 * @param {Object} args - { plan_name, wallet_addresses, tolerance_percent, min_trade_usd, alert_recurrence, timezone }
+	 * @returns {Promise<Object>} Rebalance report (see PortfolioRebalanceService.buildReport) plus `driftAlert` when scheduled
+	 */
+	async actionRebalancePortfolio(userId, chatId, args = {}) {
+		const functionName = 'actionRebalancePortfolio';
+		this.logger.entry(functionName, { userId, chatId, args });
+		const { plan_name, alert_recurrence, timezone } = args;
+		const tolerancePercent = parseFloat(args.tolerance_percent ?? PortfolioRebalanceService.DEFAULT_TOLERANCE_PERCENT);
+		const minTradeUsd = parseFloat(args.min_trade_usd ?? PortfolioRebalanceService.DEFAULT_MIN_TRADE_USD);
+
+		if(isNaN(tolerancePercent) || tolerancePercent < 0 || tolerancePercent >= 100) {
+			this.logger.error('Invalid tolerance_percent.', { args });
+			throw new Error('tolerance_percent must be between 0 and 100 for rebalance_portfolio action');
+		}
+		if(isNaN(minTradeUsd) || minTradeUsd < 0) {
+			this.logger.error('Invalid min_trade_usd.', { args });
+			throw new Error('min_trade_usd must be a positive number for rebalance_portfolio action');
+		}
+		if(timezone && !moment.tz.zone(timezone)) {
+			this.logger.error(`Invalid timezone: ${ timezone }`, { args });
+			throw new Error(`Unknown timezone '${ timezone }'. Use an IANA name such as 'America/New_York'`);
+		}
+
+		// La libreta de direcciones también guarda wallets ajenas (ballenas, exchanges): solo las que indica el usuario
+		const wallets = this._parseWalletList(args.wallet_addresses, 'rebalance_portfolio', 1);
+
+		try {
+			const plan = await this.rebalanceService.loadPlan(chatId, plan_name);
+			const result = await this.rebalanceService.buildReport({ plan, wallets, tolerancePercent, minTradeUsd });
+
+			if(alert_recurrence) {
+				const cronExpression = toCronExpression(alert_recurrence);
+				const userTimezone = await this._getUserTimezone(chatId, timezone);
+				const nextRun = getNextCronRun(cronExpression, userTimezone);
+				const task = await this.prisma.scheduledTask.create({
+					data: {
+						userId,
+						taskType: 'alert',
+						name: `Portfolio drift alert: ${ plan.name }`,
+						description: `Drift of portfolio plan "${ plan.name }" beyond ±${ tolerancePercent }%`,
+						cronExpression,
+						nextRun,
+						payload: { type: 'portfolio_drift', chatId, planId: plan.id, planName: plan.name, wallets, tolerancePercent, minTradeUsd, timezone: userTimezone },
+						functionName: 'sendPortfolioDriftAlert',
+						functionArgs: { planId: plan.id },
+						telegramChatId: await this._getTelegramChatId(chatId),
+						status: 'Pending',
+						recurrent: true,
+					},
+				});
+				result.driftAlert = {
+					scheduled: true,
+					taskId: task.id,
+					cronExpression,
+					timezone: userTimezone,
+					nextRun: moment(nextRun).tz(userTimezone).format('YYYY-MM-DD HH:mm z'),
+				};
+				this.logger.info(`Scheduled drift alert ${ task.id } for plan '${ plan.name }' (${ cronExpression }, ${ userTimezone })`);
+			}
+
+			this.logger.success(`Completed ${ functionName } for plan '${ plan.name }' (${ result.outOfBandCount } out of band, ${ result.trades.length } trades)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to build rebalance report: ${ error.message }`);
+		}
+	}
+
 	/**
 	 * Creates or updates a trade setup
 	 * @param {number} chatId - The chat ID
@@ -2127,16 +3006,20 @@ class ConversationService {
 
 			if(existingSetup) {
 				// Update existing trade setup
+				const data = {
+					...existingSetup.data,
+					...tradeObj,
+					createdAt: existingSetup.data.createdAt, // Keep original creation date
+					updatedAt: new Date().toISOString(),
+				};
+				// Reabrir explícitamente un setup cerrado lo vuelve a poner bajo seguimiento
+				if([ 'planned', 'active' ].includes(tradeData.status)
+					&& TradeSetupTrackerService.CLOSED_STATES.includes(data.tracking?.state)) {
+					delete data.tracking;
+				}
 				const updatedSetup = await this.prisma.memoryObject.update({
 					where: { id: existingSetup.id },
-					data: {
-						data: {
-							...existingSetup.data,
-							...tradeObj,
-							createdAt: existingSetup.data.createdAt, // Keep original creation date
-							updatedAt: new Date().toISOString(),
-						},
-					},
+					data: { data },
 				});
 
 				result = {
@@ -2196,18 +3079,134 @@ class ConversationService {
 	}
 
 	/**
-	 * Creates or updates a market analysis record
+	 * Action: Lists the user's trade setups with their tracking state (pending, entered, stopped,
+	 * target_hit), last checked price and unrealized return.
 	 * @param {number} chatId - The chat ID
-	 * @param {Object} analysisData - Market analysis details
-	 * @returns {Promise<Object>} Result with created/updated analysis
+	 * @param {Object} args - { token, status, limit }
+	 * @returns {Promise<Object>} Matching setups, newest first
 	 */
-	async upsertMarketAnalysis(chatId, analysisData) {
-		const functionName = 'upsertMarketAnalysis';
-		this.logger.entry(functionName, { chatId, analysisData });
+	async actionGetTradeSetups(chatId, args = {}) {
+		const functionName = 'actionGetTradeSetups';
+		this.logger.entry(functionName, { chatId, args });
 
-		// Validate required fields
-		if(!analysisData.title || !analysisData.content) {
-			this.logger.error('Invalid analysis data', { analysisData });
+		const limit = Math.min(Math.max(parseInt(args.limit) || 10, 1), 50);
+		const token = args.token ? args.token.replace(/^\$/, '').toUpperCase() : null;
+
+		try {
+			const rows = await this.prisma.memoryObject.findMany({
+				where: { chatId, objectType: 'trade_setup', isActive: true },
+				orderBy: { created: 'desc' },
+			});
+
+			const tradeSetups = rows
+				.filter(row => !token || row.data?.token?.replace(/^\$/, '').toUpperCase() === token)
+				.filter(row => !args.status || row.data?.status === args.status)
+				.slice(0, limit)
+				.map(row => {
+					const { data } = row;
+					const tracked = TradeSetupTrackerService.isTracked(data);
+					return {
+						id: row.id,
+						name: row.name,
+						token: data.token,
+						tokenAddress: data.tokenAddress || null,
+						direction: data.direction,
+						entryPrice: data.entryPrice,
+						stopLoss: data.stopLoss ?? null,
+						takeProfit: data.takeProfit ?? null,
+						riskRewardRatio: data.riskRewardRatio ?? null,
+						timeframe: data.timeframe,
+						rationale: data.rationale || '',
+						status: data.status,
+						trackingState: data.tracking?.state || (tracked ? (data.status === 'active' ? 'entered' : 'pending') : null),
+						tracking: data.tracking || null,
+						createdAt: data.createdAt,
+						updatedAt: data.updatedAt,
+					};
+				});
+
+			const result = { count: tradeSetups.length, tradeSetups };
+			this.logger.success(`Retrieved ${ tradeSetups.length } trade setups`);
+			this.logger.exit(functionName, { count: tradeSetups.length });
+			return result;
+		} catch(error) {
+			this.logger.error('Error retrieving trade setups', error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to retrieve trade setups: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Returns the trade journal (`trade_journal` memory objects written by the trade setup
+	 * tracker when a setup hits its stop or target) with a summary of the outcomes.
+	 * @param {number} chatId - The chat ID
+	 * @param {Object} args - { token, outcome, limit }
+	 * @returns {Promise<Object>} Entries, newest first, and summary over all matching entries
+	 */
+	async actionGetTradeJournal(chatId, args = {}) {
+		const functionName = 'actionGetTradeJournal';
+		this.logger.entry(functionName, { chatId, args });
+
+		if(args.outcome && !TradeSetupTrackerService.CLOSED_STATES.includes(args.outcome)) {
+			this.logger.error('Invalid outcome filter', { outcome: args.outcome });
+			throw new Error(`Invalid outcome "${ args.outcome }" for get_trade_journal action`);
+		}
+
+		const limit = Math.min(Math.max(parseInt(args.limit) || 20, 1), 100);
+		const token = args.token ? args.token.replace(/^\$/, '').toUpperCase() : null;
+
+		try {
+			const rows = await this.prisma.memoryObject.findMany({
+				where: { chatId, objectType: 'trade_journal', isActive: true },
+				orderBy: { created: 'desc' },
+			});
+
+			const entries = rows
+				.map(row => ({ id: row.id, ...row.data }))
+				.filter(entry => !token || entry.token?.replace(/^\$/, '').toUpperCase() === token)
+				.filter(entry => !args.outcome || entry.outcome === args.outcome);
+
+			const wins = entries.filter(entry => entry.outcome === 'target_hit').length;
+			const withR = entries.filter(entry => typeof entry.rMultiple === 'number');
+			const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+			const result = {
+				count: entries.length,
+				summary: {
+					trades: entries.length,
+					targetsHit: wins,
+					stopsHit: entries.length - wins,
+					winRate: entries.length ? wins / entries.length * 100 : null,
+					averageReturnPercent: average(entries.map(entry => entry.returnPercent)),
+					totalR: withR.length ? withR.reduce((sum, entry) => sum + entry.rMultiple, 0) : null,
+					averageDurationHours: average(entries.map(entry => entry.durationHours)),
+				},
+				entries: entries.slice(0, limit),
+			};
+
+			this.logger.success(`Retrieved ${ result.entries.length } of ${ entries.length } trade journal entries`);
+			this.logger.exit(functionName, { count: entries.length });
+			return result;
+		} catch(error) {
+			this.logger.error('Error retrieving trade journal', error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to retrieve trade journal: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Creates or updates a market analysis record
+	 * @param {number} chatId - The chat ID
+	 * @param {Object} analysisData - Market analysis details
+	 * @returns {Promise<Object>} Result with created/updated analysis
+	 */
+	async upsertMarketAnalysis(chatId, analysisData) {
+		const functionName = 'upsertMarketAnalysis';
+		this.logger.entry(functionName, { chatId, analysisData });
+
+		// Validate required fields
+		if(!analysisData.title || !analysisData.content) {
+			this.logger.error('Invalid analysis data', { analysisData });
 			throw new Error('Market analysis requires title and content');
 		}
 
@@ -2370,14 +3369,7 @@ class ConversationService {
 
 			// 2. Initialize embedding function - this is crucial
 			this.logger.info('Initializing OpenAI embedding function...');
-			if(!process.env.OPENAI_API_KEY) {
-				this.logger.error('OpenAI API Key is missing.');
-				throw new Error('Missing OpenAI API Key configuration.');
-			}
-			const embeddingFunction = new OpenAIEmbeddingFunction({
-				openai_api_key: process.env.OPENAI_API_KEY,
-				openai_model: ConversationService.TOKEN_EMBEDDING_MODEL,
-			});
+			const embeddingFunction = this._createEmbeddingFunction();
 			this.logger.info(`Embedding function created for model: ${ ConversationService.TOKEN_EMBEDDING_MODEL }.`);
 
 			// 3. Get the collection WITH the embedding function
@@ -2799,22 +3791,40 @@ Choose the most appropriate tool(s) for the user's request.`;
 
 	/**
 	 * Starts or continues a conversation with the AI, handling tool calls and final synthesis.
+	 * Tool calls run in an agentic loop: results are fed back to the model as `tool` messages
+	 * until it stops calling tools, the step budget (AGENT_MAX_STEPS) is used up or the turn
+	 * cost reaches AGENT_MAX_TURN_COST_USD.
 	 * @param {number} userId - User ID
 	 * @param {number|null} chatId - Conversation ID (null for new)
 	 * @param {string} message - User message
 	 * @param {number|null} sessionId - Session ID (for Telegram)
 	 * @param {Function|null} progressCallback - Optional callback for progress updates
+	 * @param {Function|null} streamCallback - Optional callback receiving the reply text accumulated so far
+	 *   while the final answer is generated (token streaming)
 	 * @returns {Promise<Object>} Response including chat, messages, actions, and structured data.
 	 */
-	async sendMessage(userId, chatId, message, sessionId = null, progressCallback = null) {
+	async sendMessage(userId, chatId, message, sessionId = null, progressCallback = null, streamCallback = null) {
+		// Todas las llamadas a IA del turno quedan registradas en ApiCall con este usuario/chat/mensaje
+		return ApiCallService.runWithContext(
+			{ userId, chatId },
+			() => this._sendMessage(userId, chatId, message, sessionId, progressCallback, streamCallback),
+		);
+	}
+
+	/**
+	 * Body of sendMessage, run inside an ApiCall context.
+	 * @private
+	 */
+	async _sendMessage(userId, chatId, message, sessionId, progressCallback, streamCallback) {
 		const functionName = 'sendMessage';
 		this.logger.entry(functionName, { userId, chatId, message: message.substring(0, 50) + '...', sessionId });
 
 		// Helper function to report progress if callback provided
+		const reportProgress = (stage, detail = '', object = null) => this.reportProgress(stage, detail, object, progressCallback);
 		try {
 			// --- 1. Setup and User Message ---
 			this.logger.info('Step 1: Setup and User Message');
-			this.reportProgress('setup', 'Initializing conversation');
+			reportProgress('setup', 'Initializing conversation');
 
 			// Use the existing method to get or create the chat
 			const chatInfo = await this.getOrCreateChat(userId, chatId, sessionId);
@@ -2824,6 +3834,7 @@ Choose the most appropriate tool(s) for the user's request.`;
 
 			const userMessage = await this.saveMessage(currentChatId, userId, message, 'user');
 			this.logger.info('User message saved:', { messageId: userMessage.id });
+			ApiCallService.setContext({ chatId: currentChatId, messageId: userMessage.id });
 
 			// Basic context for preliminary phases
 			const basicContext = await this.buildBasicContext(currentChatId);
@@ -2831,7 +3842,7 @@ Choose the most appropriate tool(s) for the user's request.`;
 			/// basic context is
 			this.logger.info('basicContext is: ', basicContext);
 			// --- 2. Memory Consultation Phase ---
-			this.reportProgress('memory_consultation', 'Checking memory and history');
+			reportProgress('memory_consultation', 'Checking memory and history');
 			// Process with memory tools only
 			const memoryResults = await this.processMemoryconsultation(
 				userId, currentChatId, message, basicContext,
@@ -2843,7 +3854,7 @@ Choose the most appropriate tool(s) for the user's request.`;
 
 			// --- 3. Token Resolution Phase ---
 			this.logger.info('Step 3: Token Resolution Phase');
-			this.reportProgress('token_resolution', 'Identifying token references');
+			reportProgress('token_resolution', 'Identifying token references');
 
 			// Process with token resolution tool only
 			const tokenResults = await this.processTokenResolution(
@@ -2856,71 +3867,41 @@ Choose the most appropriate tool(s) for the user's request.`;
 			/// print the full token resolution context
 			this.logger.info('Token resolution context tokenResults:', tokenResults);
 
+			// --- 3b. Saved Address Resolution Phase ---
+			const addressResults = await this.processAddressResolution(userId, message);
+
 			// --- 4. Build Full Context with Results ---
 			this.logger.info('Step 4: Building Enhanced Context');
 
 			const enhancedContext = await this.buildEnhancedContext(
-				currentChatId, userId, memoryResults, tokenResults,
+				currentChatId, userId, memoryResults, tokenResults, addressResults,
 			);
 
 			this.logger.info('==============================================================================');
 			this.logger.info('Enhanced context built with memory and token data:', enhancedContext);
 			this.logger.info('==============================================================================');
-			// --- 5. Main AI Consultation (with all Vybe tools) ---
+			// --- 5. Main AI Consultation (agentic loop with all Vybe tools) ---
 			this.logger.info('Step 5: Main AI Consultation');
-			this.reportProgress('main_consultation', 'Processing your request');
-
-			const firstAiRequest = this.buildAIRequest(enhancedContext, message);
-			this.logger.info(`Built AI request for model: ${ firstAiRequest.model }`);
+			reportProgress('main_consultation', 'Processing your request');
 
-			const firstAiResponse = await AIService.sendMessage(firstAiRequest);
-			this.logger.info('Received AI response.');
+			const aiRequest = this.buildAIRequest(enhancedContext, message);
+			this.logger.info(`Built AI request for model: ${ aiRequest.model }`);
 
-			// --- 6. Process Initial Response ---
-			this.logger.info('Step 6: Process Initial Response');
-
-			let initialContent = '';
-			let toolCalls = null;
-			this.logger.info('==============================================================================');
-			this.logger.info('===========================FIRST AI RESPONSE==================================');
-			this.logger.info('Raw AI Response:', firstAiResponse);
-			this.logger.info('==============================================================================');
-			if(firstAiResponse.choices && firstAiResponse.choices[0]?.message) {
-				const responseMessage = firstAiResponse.choices[0].message;
-				initialContent = responseMessage.content || '';
-				toolCalls = responseMessage.tool_calls;
-				this.logger.info(`Initial content present: ${ !!initialContent }, Tool calls present: ${ !!toolCalls?.length }`);
-				if(toolCalls) {
-					this.logger.info('Tool calls requested:', toolCalls.map(t => t.function.name));
-				}
-			} else {
-				this.logger.warn('AI response structure unexpected or empty in first call.');
-				initialContent = 'I encountered an issue communicating with the AI. Please try again.';
-			}
+			const agentResult = await this.runAgentLoop(aiRequest, currentChatId, userId, reportProgress, streamCallback);
+			const { executedActions, placeholderMessage } = agentResult;
+			const initialContent = agentResult.content;
+			// ApiCall de la llamada que escribió el texto final de la respuesta
+			let responseApiCallId = agentResult.apiCallId;
 
-			let executedActions = [];
 			let finalContent = initialContent;
 			let structuredData = null;
 			let assistantMessage;
 
-			// --- 7. Handle Tool Calls (if any) ---
-			if(toolCalls && toolCalls.length > 0) {
-				this.logger.info(`Step 7: Handle ${ toolCalls.length } Tool Calls`);
-				this.reportProgress('executing_tools', `Running ${ toolCalls.length } actions`);
-
-				// 7a. Save Placeholder Message
-				this.logger.info('Saving placeholder assistant message...');
-				const placeholderMessage = await this.saveMessage(currentChatId, userId, '...', 'assistant');
-				this.logger.info('Placeholder message saved:', { messageId: placeholderMessage.id });
-
-				// 7b. Execute Tools
-				this.logger.info('Executing tool calls...');
-				executedActions = await this.executeToolCalls(toolCalls, currentChatId, userId, placeholderMessage.id);
-				this.logger.info('Respuesta de ejecutar toolcalls:', executedActions);
-
-				// --- 8. Second AI Call (Synthesis with JSON Mode) ---
+			// --- 7. Handle Tool Results (if any) ---
+			if(executedActions.length > 0) {
+				// --- 8. Final AI Call (Synthesis with JSON Mode) ---
 				this.logger.info('Step 8: Synthesis');
-				this.reportProgress('synthesis', 'Preparing your answer');
+				reportProgress('synthesis', 'Preparing your answer');
 
 				const synthesisSystemPrompt = `You are an AI assistant processing the results of tool executions.
 Your task is to analyze these results and generate a response ONLY in a valid JSON object format.
@@ -2944,23 +3925,39 @@ Respond ONLY with the valid JSON object and nothing else.`;
 
 				// Build the main prompt content with the action results
 				let synthesisPromptContent = `Context: The user previously interacted. The user's last message that triggered the tool call was: "${ message }"\n`;
-				synthesisPromptContent += `Results of the executed actions:\n`;
+				synthesisPromptContent += `Results of the executed actions (in execution order, grouped by step):\n`;
 				executedActions.forEach(action => {
-					synthesisPromptContent += `- Action: ${ action.name }\n  Result: ${ JSON.stringify(action.result) }\n`;
+					synthesisPromptContent += `- Step ${ action.step }, Action: ${ action.name }\n  Result: ${ JSON.stringify(action.result) }\n`;
 				});
+				if(initialContent) {
+					synthesisPromptContent += `\nDraft answer written by the assistant after the last step:\n${ initialContent }\n`;
+				}
+				if(agentResult.stopReason !== 'completed') {
+					const earlyStopNote = ConversationService.EARLY_STOP_NOTES[agentResult.stopReason]
+						|| `The analysis was stopped early (${ agentResult.stopReason }). Answer with the data available and briefly tell the user which parts could not be completed.`;
+					synthesisPromptContent += `\nNOTE: ${ earlyStopNote }\n`;
+				}
 
 				this.logger.info('Built synthesis prompts for JSON mode.');
 
-				// 8b. Make the second AI call using the defined prompts
+				// 8b. Make the final AI call using the defined prompts
 				this.logger.info('Sending synthesis request to AI (JSON Mode)...');
-				const synthesisResponse = await AIService.sendMessage({
+				const synthesisRequest = {
 					model: this.defaultModel,
 					system: synthesisSystemPrompt,
 					prompt: synthesisPromptContent,
 					temperature: 0.4,
 					responseFormat: { type: 'json_object' },
-				});
+				};
+				// En streaming solo reenviamos el campo "reply" del JSON parcial
+				const synthesisResponse = typeof streamCallback === 'function'
+					? await AIService.streamMessage(synthesisRequest, (delta, rawJson) => {
+						const partialReply = this._extractPartialJsonString(rawJson, 'reply');
+						if(partialReply) return streamCallback(partialReply);
+					})
+					: await AIService.sendMessage(synthesisRequest);
 				this.logger.info('Raw Synthesis AI Response:', synthesisResponse);
+				agentResult.costUsd += AIService.calculateCost(this.defaultModel, synthesisResponse.usage) || 0;
 
 				// 8c. Process Synthesis Response
 				this.logger.info('Processing synthesis response.');
@@ -2976,6 +3973,7 @@ Respond ONLY with the valid JSON object and nothing else.`;
 
 						finalContent = parsedJson.reply;
 						structuredData = parsedJson.actionData;
+						responseApiCallId = synthesisResponse.apiCallId;
 						this.logger.success('Successfully parsed synthesis JSON.');
 						this.logger.info('Parsed structured data:', structuredData);
 
@@ -2996,14 +3994,14 @@ Respond ONLY with the valid JSON object and nothing else.`;
 
 				// 8d. Update the placeholder message with the synthesized content
 				this.logger.info('Updating placeholder message with final synthesized content.');
-				this.reportProgress('finalizing', 'Completing your answer');
+				reportProgress('finalizing', 'Completing your answer');
 				assistantMessage = await this.updateMessageContent(placeholderMessage.id, finalContent);
 				this.logger.info('Assistant message updated.', { messageId: assistantMessage.id });
 
 			} else {
 				// --- No Tool Calls: Save Initial Content Directly ---
 				this.logger.info('No Tool Calls - Saving initial content directly.');
-				this.reportProgress('finalizing', 'Completing your answer');
+				reportProgress('finalizing', 'Completing your answer');
 
 				// Ensure finalContent uses initialContent if it exists and wasn't overwritten by errors
 				if(!finalContent && initialContent) {
@@ -3013,13 +4011,27 @@ Respond ONLY with the valid JSON object and nothing else.`;
 					finalContent = 'I\'m sorry, I couldn\'t generate a response for that.';
 				}
 
-				assistantMessage = await this.saveMessage(currentChatId, userId, finalContent, 'assistant');
+				// Si hubo tool calls que no produjeron acciones, reutilizamos el placeholder
+				assistantMessage = placeholderMessage
+					? await this.updateMessageContent(placeholderMessage.id, finalContent)
+					: await this.saveMessage(currentChatId, userId, finalContent, 'assistant');
 				this.logger.info('Saved final assistant message directly.', { messageId: assistantMessage.id });
 			}
 
 			// --- 9. Final Steps & Return ---
 			this.logger.info('Step 9: Final Steps');
 
+			// La respuesta guardada apunta a la llamada de IA que generó su texto
+			if(responseApiCallId) {
+				assistantMessage = await this.prisma.message.update({
+					where: { id: assistantMessage.id },
+					data: { apiCallId: responseApiCallId },
+				}).catch(error => {
+					this.logger.warn(`Could not link assistant message ${ assistantMessage.id } to ApiCall ${ responseApiCallId }: ${ error.message }`);
+					return assistantMessage;
+				});
+			}
+
 			// Update chat stats after saving the final message
 			await this.updateChatStats(currentChatId);
 			this.logger.info('Chat stats updated.');
@@ -3064,9 +4076,14 @@ Respond ONLY with the valid JSON object and nothing else.`;
 				structuredData: structuredData,
 				memoryItems: allMemoryItems,
 				memoryObjects: allMemoryObjects,
+				agent: {
+					steps: agentResult.steps,
+					stopReason: agentResult.stopReason,
+					costUsd: agentResult.costUsd,
+				},
 			};
 
-			this.reportProgress('complete', 'Response ready');
+			reportProgress('complete', 'Response ready');
 			this.logger.success(`Successfully completed ${ functionName }.`);
 			this.logger.exit(functionName, { chatId: currentChatId, assistantMessageId: assistantMessage.id });
 
@@ -3074,7 +4091,7 @@ Respond ONLY with the valid JSON object and nothing else.`;
 
 		} catch(error) {
 			this.logger.error(`Critical error in ${ functionName }`, error);
-			this.reportProgress('error', error.message);
+			reportProgress('error', error.message);
 
 			this.logger.exit(functionName, {
 				error: true,
@@ -3088,6 +4105,165 @@ Respond ONLY with the valid JSON object and nothing else.`;
 		}
 	}
 
+	/**
+	 * Runs the tool-calling loop of the main consultation. Each step asks the model for its next
+	 * move; requested tools are executed and their results appended as `tool` messages, so the
+	 * model can chain calls (e.g. resolve token -> fetch holders -> analyze the top holder's wallet).
+	 * @param {Object} aiRequest - Request built by buildAIRequest
+	 * @param {number} chatId - Chat ID
+	 * @param {number} userId - User ID
+	 * @param {Function} reportProgress - Progress reporter bound to the caller's callback
+	 * @param {Function|null} [streamCallback=null] - Receives the accumulated content while each step streams
+	 * @returns {Promise<Object>} { content, executedActions, placeholderMessage, steps, stopReason, costUsd, apiCallId }
+	 *   apiCallId: ApiCall row of the last model response (null if none was stored)
+	 *   stopReason: 'completed' | 'step_budget' | 'cost_ceiling' | 'empty_response' | 'vybe_degraded'
+	 */
+	async runAgentLoop(aiRequest, chatId, userId, reportProgress, streamCallback = null) {
+		const functionName = 'runAgentLoop';
+		this.logger.entry(functionName, { chatId, userId, maxSteps: this.maxAgentSteps, maxCostUsd: this.maxTurnCostUsd });
+
+		const followUp = [];
+		const executedActions = [];
+		let placeholderMessage = null;
+		let content = '';
+		let costUsd = 0;
+		let step = 0;
+		let stopReason = 'completed';
+		let apiCallId = null;
+
+		while(true) {
+			step++;
+			reportProgress('agent_step', `Step ${ step }/${ this.maxAgentSteps }: deciding next action`, { step, costUsd });
+
+			// Si el paso termina siendo una respuesta directa, el usuario ya la habrá visto llegar
+			const aiResponse = typeof streamCallback === 'function'
+				? await AIService.streamMessage({ ...aiRequest, followUp }, (delta, fullText) => streamCallback(fullText))
+				: await AIService.sendMessage({ ...aiRequest, followUp });
+			costUsd += AIService.calculateCost(aiRequest.model, aiResponse.usage) || 0;
+			apiCallId = aiResponse.apiCallId ?? null;
+			this.logger.info(`Agent step ${ step } response received (turn cost so far: $${ costUsd.toFixed(5) })`);
+			this.logger.debug('Raw AI Response:', aiResponse);
+
+			const responseMessage = aiResponse.choices?.[0]?.message;
+			if(!responseMessage) {
+				this.logger.warn(`AI response structure unexpected or empty at step ${ step }.`);
+				content = content || 'I encountered an issue communicating with the AI. Please try again.';
+				stopReason = 'empty_response';
+				break;
+			}
+
+			content = responseMessage.content || '';
+			const toolCalls = responseMessage.tool_calls;
+			if(!toolCalls || toolCalls.length === 0) {
+				this.logger.info(`Model finished after ${ step } step(s) without further tool calls.`);
+				break;
+			}
+
+			this.logger.info(`Step ${ step } tool calls requested:`, toolCalls.map(t => t.function.name));
+			reportProgress('executing_tools', `Step ${ step }: running ${ toolCalls.map(t => t.function.name).join(', ') }`, { step, costUsd });
+
+			// Un solo mensaje placeholder para todos los pasos; las FunctionCall de cada paso cuelgan de él
+			if(!placeholderMessage) {
+				placeholderMessage = await this.saveMessage(chatId, userId, '...', 'assistant');
+				this.logger.info('Placeholder message saved:', { messageId: placeholderMessage.id });
+			}
+
+			const stepActions = await this.executeToolCalls(toolCalls, chatId, userId, placeholderMessage.id);
+			executedActions.push(...stepActions.map(action => ({ ...action, step })));
+
+			followUp.push({ role: 'assistant', content: responseMessage.content || null, tool_calls: toolCalls });
+			followUp.push(...this.buildToolResultMessages(toolCalls, stepActions));
+
+			if(stepActions.some(action => action.result?.degraded)) {
+				this.logger.warn(`Vybe is degraded, stopping the agent loop at step ${ step }.`);
+				stopReason = 'vybe_degraded';
+				break;
+			}
+
+			if(step >= this.maxAgentSteps) {
+				this.logger.warn(`Agent step budget exhausted (${ this.maxAgentSteps } steps).`);
+				stopReason = 'step_budget';
+				break;
+			}
+			if(costUsd >= this.maxTurnCostUsd) {
+				this.logger.warn(`Agent turn cost ceiling reached ($${ costUsd.toFixed(5) } >= $${ this.maxTurnCostUsd }).`);
+				stopReason = 'cost_ceiling';
+				break;
+			}
+		}
+
+		const result = { content, executedActions, placeholderMessage, steps: step, stopReason, costUsd, apiCallId };
+		this.logger.exit(functionName, { steps: step, stopReason, costUsd, actions: executedActions.length });
+		return result;
+	}
+
+	/**
+	 * Reads the (possibly incomplete) value of a string field from a JSON document that is still
+	 * being streamed, e.g. `{"reply": "Hola, el precio` -> `Hola, el precio`.
+	 * @param {string} rawJson - Partial JSON text
+	 * @param {string} key - Field name
+	 * @returns {string} Decoded value so far, or '' if the field has not started yet
+	 */
+	_extractPartialJsonString(rawJson, key) {
+		const match = rawJson?.match(new RegExp(`"${ key }"\\s*:\\s*"`));
+		if(!match) return '';
+
+		const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+		let value = '';
+		let index = match.index + match[0].length;
+		while(index < rawJson.length) {
+			const char = rawJson[index];
+			if(char === '"') break;
+			if(char !== '\\') {
+				value += char;
+				index++;
+				continue;
+			}
+
+			// Secuencia de escape; si está cortada al final del fragmento esperamos al siguiente
+			const next = rawJson[index + 1];
+			if(next === undefined) break;
+			if(next === 'u') {
+				const hex = rawJson.substring(index + 2, index + 6);
+				if(hex.length < 4) break;
+				value += String.fromCharCode(parseInt(hex, 16));
+				index += 6;
+				continue;
+			}
+			value += escapes[next] ?? next;
+			index += 2;
+		}
+		return value;
+	}
+
+	/**
+	 * Converts executed actions into `tool` messages answering each tool call of an assistant turn.
+	 * Every tool_call id gets exactly one message, as required by the chat completions API.
+	 * @param {Array} toolCalls - tool_calls of the assistant message
+	 * @param {Array} executedActions - Results returned by executeToolCalls for those calls
+	 * @returns {Array<Object>} Tool messages
+	 */
+	buildToolResultMessages(toolCalls, executedActions) {
+		return toolCalls.map(toolCall => {
+			const results = executedActions
+				.filter(action => action.toolCallId === toolCall.id)
+				.map(action => ({ name: action.name, result: action.result }));
+
+			let content;
+			if(results.length === 0) {
+				content = JSON.stringify({ success: false, error: 'Tool call was not executed' });
+			} else {
+				content = JSON.stringify(results.length === 1 ? results[0].result : results);
+			}
+
+			if(content.length > ConversationService.MAX_TOOL_RESULT_CHARS) {
+				content = content.substring(0, ConversationService.MAX_TOOL_RESULT_CHARS) + '... [truncated]';
+			}
+
+			return { role: 'tool', tool_call_id: toolCall.id, content };
+		});
+	}
+
 	/**
 	 * Processes the token resolution phase with token resolution tool only
 	 * @param {number} userId - User ID
@@ -3186,6 +4362,109 @@ This step is crucial for the main assistant to use correct token addresses.`;
 		}
 	}
 
+	/**
+	 * Resolves references to the user's saved addresses (e.g. "my cold wallet") in the message.
+	 * Purely local: labels are matched against the message text, no AI call involved.
+	 * @param {number} userId - User ID
+	 * @param {string} message - User message
+	 * @returns {Promise<Object>} { savedAddresses, resolvedAddresses }
+	 */
+	async processAddressResolution(userId, message) {
+		const functionName = 'processAddressResolution';
+		this.logger.entry(functionName, { userId });
+
+		try {
+			const savedAddresses = await this.prisma.savedAddress.findMany({
+				where: { userId },
+				orderBy: { label: 'asc' },
+			});
+
+			const normalizedMessage = ` ${ this._normalizeAddressLabel(message) } `;
+			const resolvedAddresses = savedAddresses
+				.filter(saved => {
+					const label = this._normalizeAddressLabel(saved.label);
+					return label && normalizedMessage.includes(` ${ label } `);
+				})
+				.map(saved => ({
+					label: saved.label,
+					address: saved.address,
+					description: saved.description,
+					network: saved.network,
+				}));
+
+			this.logger.info(`Resolved ${ resolvedAddresses.length } saved address reference(s) out of ${ savedAddresses.length }`);
+			this.logger.exit(functionName, { resolved: resolvedAddresses.length });
+			return {
+				savedAddresses: savedAddresses.map(saved => ({ label: saved.label, address: saved.address })),
+				resolvedAddresses,
+			};
+		} catch(error) {
+			this.logger.error(`Error in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			// No lanzar el error - continuar sin direcciones guardadas
+			return { savedAddresses: [], resolvedAddresses: [], error: error.message };
+		}
+	}
+
+	/**
+	 * Replaces saved-address labels in address arguments with the stored address.
+	 * Values that already look like a Solana address are left untouched.
+	 * @param {number} userId - User ID
+	 * @param {Object} args - Action arguments
+	 * @returns {Promise<Object>} Arguments with labels replaced
+	 */
+	async resolveAddressLabels(userId, args) {
+		if(!userId || !args || typeof args !== 'object') return args;
+
+		const isLabel = value => typeof value === 'string' && value.trim() && !SOLANA_ADDRESS_REGEX.test(value.trim());
+		const candidateKeys = ConversationService.ADDRESS_ARG_KEYS.filter(key => isLabel(args[key]));
+		const candidateListKeys = ConversationService.ADDRESS_LIST_ARG_KEYS.filter(key =>
+			Array.isArray(args[key]) && args[key].some(isLabel),
+		);
+		if(candidateKeys.length === 0 && candidateListKeys.length === 0) return args;
+
+		const resolvedArgs = { ...args };
+		for(const key of candidateKeys) {
+			const saved = await this._findSavedAddressByLabel(userId, args[key]);
+			if(saved) {
+				this.logger.info(`Resolved saved address label '${ args[key] }' -> ${ saved.address } for argument '${ key }'`);
+				resolvedArgs[key] = saved.address;
+			}
+		}
+		for(const key of candidateListKeys) {
+			resolvedArgs[key] = await Promise.all(args[key].map(async value => {
+				if(!isLabel(value)) return value;
+				const saved = await this._findSavedAddressByLabel(userId, value);
+				if(saved) this.logger.info(`Resolved saved address label '${ value }' -> ${ saved.address } in argument '${ key }'`);
+				return saved ? saved.address : value;
+			}));
+		}
+		return resolvedArgs;
+	}
+
+	/**
+	 * Finds a saved address by label, ignoring case, extra spaces and a leading "my"/"mi".
+	 * @param {number} userId - User ID
+	 * @param {string} label - Label as written by the user or the AI
+	 * @returns {Promise<Object|null>} SavedAddress row or null
+	 */
+	async _findSavedAddressByLabel(userId, label) {
+		const normalizedLabel = this._normalizeAddressLabel(label);
+		if(!normalizedLabel) return null;
+
+		const savedAddresses = await this.prisma.savedAddress.findMany({ where: { userId } });
+		return savedAddresses.find(saved => this._normalizeAddressLabel(saved.label) === normalizedLabel) || null;
+	}
+
+	_normalizeAddressLabel(text) {
+		return String(text || '')
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}\s]/gu, ' ')
+			.replace(/^\s*(my|mi|mis)\s+/, '')
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+
 	/**
 	 * Builds basic context with just recent messages for preliminary phases
 	 * @param {number} chatId - Chat ID
@@ -3228,9 +4507,10 @@ This step is crucial for the main assistant to use correct token addresses.`;
 	 * @param {number} userId - User ID
 	 * @param {Object} memoryResults - Results from memory consultation phase
 	 * @param {Object} tokenResults - Results from token resolution phase
+	 * @param {Object} [addressResults] - Results from saved address resolution phase
 	 * @returns {Promise<Object>} Enhanced context for main AI consultation
 	 */
-	async buildEnhancedContext(chatId, userId, memoryResults, tokenResults) {
+	async buildEnhancedContext(chatId, userId, memoryResults, tokenResults, addressResults = null) {
 		const functionName = 'buildEnhancedContext';
 		this.logger.entry(functionName, { chatId, userId });
 
@@ -3280,10 +4560,16 @@ This step is crucial for the main assistant to use correct token addresses.`;
 				};
 			}
 
+			if(addressResults?.savedAddresses?.length > 0) {
+				this.logger.info('Adding saved address results to context');
+				standardContext.addressResolution = addressResults;
+			}
+
 			this.logger.success('Successfully built enhanced context');
 			this.logger.exit(functionName, {
 				hasMemoryResolution: !!standardContext.memoryResolution,
 				hasTokenResolution: !!standardContext.tokenResolution,
+				hasAddressResolution: !!standardContext.addressResolution,
 			});
 
 			return standardContext;
@@ -3332,6 +4618,9 @@ This step is crucial for the main assistant to use correct token addresses.`;
 
 	/**
 	* Executes tool calls requested by the AI.
+	 * Calls are independent by definition (they come from the same assistant turn), so they run
+	 * concurrently with at most TOOL_CONCURRENCY in flight. The returned actions keep the order
+	 * of `toolCalls`, not the completion order.
 	 * @param {Array} toolCalls - The tool_calls array from the AI response.
 	 * @param {number} chatId - The ID of the current chat.
 	 * @param {number} userId - The ID of the user.
@@ -3348,84 +4637,102 @@ This step is crucial for the main assistant to use correct token addresses.`;
 			return []; // No tools to execute
 		}
 
-		let executedActions = [];
-
 		try {
-			for(const toolCall of toolCalls) {
-				this.logger.info('Processing tool call:', { type: toolCall.type, name: toolCall.function?.name });
-				if(toolCall.type === 'function') {
-					const functionName = toolCall.function.name;
-					let parsedArgs;
-
-					try {
-						parsedArgs = JSON.parse(toolCall.function.arguments);
-						this.logger.info(`Parsed arguments for ${ functionName }:`, parsedArgs);
-					} catch(e) {
-						this.logger.error(`Failed to parse arguments for function ${ functionName }`, e, { args: toolCall.function.arguments });
-						parsedArgs = {}; // Continue with empty args? Or handle differently?
-						// Optionally save a failed action result here
-						executedActions.push({
-							name: functionName,
-							result: { success: false, error: `Failed to parse arguments: ${ e.message }` },
-						});
-						continue; // Skip execution if args are crucial and failed to parse
-					}
+			const startTime = Date.now();
+			const actionsPerCall = await mapWithConcurrency(
+				toolCalls,
+				this.toolConcurrency,
+				toolCall => this.executeToolCall(toolCall, chatId, userId, assistantMessageId),
+			);
+			const executedActions = actionsPerCall.flat();
 
-					// 1. Save the function call record BEFORE executing
-					this.logger.info(`Saving function call record for ${ functionName }...`);
-					const functionCallRecord = await this.saveFunctionCall(userId, chatId, functionName, parsedArgs, assistantMessageId); // Will log internally
-					this.logger.info(`Function call record saved:`, { id: functionCallRecord.id });
-
-					let actionResult;
-					this.logger.info(`Executing action: ${ functionName }`);
-
-					// Handle special case: evaluate_query_intent might trigger semantic_query
-					if(functionName === 'evaluate_query_intent') {
-						const evaluationResult = await this.executeAction(functionCallRecord.id, functionName, parsedArgs, chatId, userId); // Logs internally
-						await this.updateFunctionCallResult(functionCallRecord.id, evaluationResult); // Logs internally
-						executedActions.push({ name: functionName, result: evaluationResult });
-						this.logger.info(`Result for ${ functionName }:`, evaluationResult);
-
-						// If evaluation suggests semantic search, execute it immediately
-						if(evaluationResult.success && evaluationResult.data.needs_semantic_search) {
-							this.logger.info('Evaluation suggests semantic search, executing semantic_query...');
-							const semanticQueryArgs = {
-								query: evaluationResult.data.optimized_query,
-								collection: evaluationResult.data.recommended_collection || `chat-${ chatId }`,
-								limit: '5',
-							};
-							const semanticFunctionName = 'semantic_query';
-							const semanticFunctionCallRecord = await this.saveFunctionCall(userId, chatId, semanticFunctionName, semanticQueryArgs, assistantMessageId); // Logs internally
-							const semanticResult = await this.executeAction(semanticFunctionCallRecord.id, semanticFunctionName, semanticQueryArgs, chatId, userId); // Logs internally
-							await this.updateFunctionCallResult(semanticFunctionCallRecord.id, semanticResult); // Logs internally
-							executedActions.push({ name: semanticFunctionName, result: semanticResult });
-							this.logger.info(`Result for ${ semanticFunctionName }:`, semanticResult);
-						}
-					} else {
-						// Normal action execution
-						actionResult = await this.executeAction(functionCallRecord.id, functionName, parsedArgs, chatId, userId); // Logs internally
-						this.logger.info('------------------>Executed action result:', actionResult);
-						await this.updateFunctionCallResult(functionCallRecord.id, actionResult); // Logs internally
-						executedActions.push({ name: functionName, result: actionResult });
-						this.logger.info(`Result for ${ functionName }:`, actionResult);
-					}
-					this.logger.success(`Successfully processed tool call for ${ functionName }.`);
-				} else {
-					this.logger.warn(`Skipping tool call of unknown type: ${ toolCall.type }`);
-				}
-			}
-			this.logger.success(`Finished executing all tool calls.`);
+			this.logger.success(`Finished executing ${ toolCalls.length } tool call(s) in ${ Date.now() - startTime }ms (concurrency ${ this.toolConcurrency }).`);
 			this.logger.exit(functionName, executedActions);
 			return executedActions;
 		} catch(error) {
 			this.logger.error(`Error during ${ functionName }`, error);
-			// Decide if you want to return partially executed actions or just the error
-			this.logger.exit(functionName, { error: true, partialResults: executedActions });
+			this.logger.exit(functionName, { error: true });
 			// Re-throwing might stop the entire sendMessage process, consider if that's desired
 			throw error; // Or handle more gracefully
 		}
 	}
 
+	/**
+	 * Executes a single tool call, recording its FunctionCall row right before running it
+	 * so startTime/endTime/duration reflect the real execution even when queued in the pool.
+	 * @param {Object} toolCall - One entry of the tool_calls array.
+	 * @param {number} chatId - The ID of the current chat.
+	 * @param {number} userId - The ID of the user.
+	 * @param {number} assistantMessageId - The ID of the assistant message this call belongs to.
+	 * @returns {Promise<Array<Object>>} Executed actions for this call (evaluate_query_intent may add a semantic_query).
+	 */
+	async executeToolCall(toolCall, chatId, userId, assistantMessageId) {
+		const executedActions = [];
+		this.logger.info('Processing tool call:', { type: toolCall.type, name: toolCall.function?.name });
+
+		if(toolCall.type !== 'function') {
+			this.logger.warn(`Skipping tool call of unknown type: ${ toolCall.type }`);
+			return executedActions;
+		}
+
+		const functionName = toolCall.function.name;
+		let parsedArgs;
+
+		try {
+			parsedArgs = JSON.parse(toolCall.function.arguments);
+			this.logger.info(`Parsed arguments for ${ functionName }:`, parsedArgs);
+		} catch(e) {
+			this.logger.error(`Failed to parse arguments for function ${ functionName }`, e, { args: toolCall.function.arguments });
+			// Skip execution if args are crucial and failed to parse
+			executedActions.push({
+				toolCallId: toolCall.id,
+				name: functionName,
+				result: { success: false, error: `Failed to parse arguments: ${ e.message }` },
+			});
+			return executedActions;
+		}
+
+		// 1. Save the function call record BEFORE executing
+		this.logger.info(`Saving function call record for ${ functionName }...`);
+		const functionCallRecord = await this.saveFunctionCall(userId, chatId, functionName, parsedArgs, assistantMessageId); // Will log internally
+		this.logger.info(`Function call record saved:`, { id: functionCallRecord.id });
+
+		this.logger.info(`Executing action: ${ functionName }`);
+
+		// Handle special case: evaluate_query_intent might trigger semantic_query
+		if(functionName === 'evaluate_query_intent') {
+			const evaluationResult = await this.executeAction(functionCallRecord.id, functionName, parsedArgs, chatId, userId); // Logs internally
+			await this.updateFunctionCallResult(functionCallRecord.id, evaluationResult); // Logs internally
+			executedActions.push({ toolCallId: toolCall.id, name: functionName, result: evaluationResult });
+			this.logger.info(`Result for ${ functionName }:`, evaluationResult);
+
+			// If evaluation suggests semantic search, execute it immediately
+			if(evaluationResult.success && evaluationResult.data.needs_semantic_search) {
+				this.logger.info('Evaluation suggests semantic search, executing semantic_query...');
+				const semanticQueryArgs = {
+					query: evaluationResult.data.optimized_query,
+					collection: evaluationResult.data.recommended_collection || `chat-${ chatId }`,
+					limit: '5',
+				};
+				const semanticFunctionName = 'semantic_query';
+				const semanticFunctionCallRecord = await this.saveFunctionCall(userId, chatId, semanticFunctionName, semanticQueryArgs, assistantMessageId); // Logs internally
+				const semanticResult = await this.executeAction(semanticFunctionCallRecord.id, semanticFunctionName, semanticQueryArgs, chatId, userId); // Logs internally
+				await this.updateFunctionCallResult(semanticFunctionCallRecord.id, semanticResult); // Logs internally
+				executedActions.push({ toolCallId: toolCall.id, name: semanticFunctionName, result: semanticResult });
+				this.logger.info(`Result for ${ semanticFunctionName }:`, semanticResult);
+			}
+		} else {
+			// Normal action execution
+			const actionResult = await this.executeAction(functionCallRecord.id, functionName, parsedArgs, chatId, userId); // Logs internally
+			await this.updateFunctionCallResult(functionCallRecord.id, actionResult); // Logs internally
+			executedActions.push({ toolCallId: toolCall.id, name: functionName, result: actionResult });
+			this.logger.info(`Result for ${ functionName }:`, actionResult);
+		}
+
+		this.logger.success(`Successfully processed tool call for ${ functionName }.`);
+		return executedActions;
+	}
+
 	/**
 	 * Gets an existing chat or creates a new one
 	 * @param {number} userId
@@ -3670,6 +4977,7 @@ IMPORTANT GUIDELINES:
 3. BASE YOUR RECOMMENDATIONS ON DATA: When offering suggestions, back them up with real data obtained through available tools.
 4. EXECUTE MULTIPLE ACTIONS: Don't hesitate to execute several actions if necessary to provide a complete answer.
 5. COMPLEMENT WITH QUESTIONS: After providing data-based information, you can ask questions to refine your response.
+6. CHAIN ACTIONS: You will see the result of every tool call and can call more tools based on it (e.g. resolve a token, fetch its top holders, then analyze the top holder's wallet). Stop calling tools once you have what you need.
 
 For investment questions, ALWAYS execute 'recommend_tokens' or 'fetch_top_tokens' first, then refine with questions.`;
 
@@ -3756,6 +5064,26 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 			}
 		}
 
+		// Add saved addresses (address book) if the user has any
+		if(context.addressResolution) {
+			const { resolvedAddresses, savedAddresses } = context.addressResolution;
+
+			if(resolvedAddresses.length > 0) {
+				systemPrompt += `\n\nSAVED ADDRESSES MENTIONED BY THE USER:`;
+				resolvedAddresses.forEach(saved => {
+					systemPrompt += `\n- "${ saved.label }": ${ saved.address }${ saved.description ? ` (${ saved.description })` : '' }`;
+				});
+				systemPrompt += `\n\nIMPORTANT: Use these exact addresses when the user refers to them by name.`;
+			}
+
+			const otherLabels = savedAddresses
+				.filter(saved => !resolvedAddresses.some(resolved => resolved.address === saved.address))
+				.map(saved => `"${ saved.label }"`);
+			if(otherLabels.length > 0) {
+				systemPrompt += `\n\nThe user also has these saved address labels, which wallet tools accept in place of an address: ${ otherLabels.join(', ') }.`;
+			}
+		}
+
 		return systemPrompt;
 	}
 
@@ -3907,6 +5235,11 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 		let resultPayload;
 
 		try {
+			// Las etiquetas del address book ("cold wallet") se sustituyen por la dirección guardada
+			if(![ 'save_address', 'delete_saved_address' ].includes(actionName)) {
+				args = await this.resolveAddressLabels(userId, args);
+			}
+
 			this.logger.info(`Routing action: ${ actionName }`);
 			// Execute action according to name
 			switch(actionName) {
@@ -3923,6 +5256,18 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'fetch_wallet_data':
 					resultPayload = await this.actionFetchWalletData(args);
 					break;
+				case 'fetch_multi_wallet_portfolio':
+					resultPayload = await this.actionFetchMultiWalletPortfolio(args);
+					break;
+				case 'fetch_wallet_nfts':
+					resultPayload = await this.actionFetchWalletNfts(args);
+					break;
+				case 'fetch_multi_wallet_nfts':
+					resultPayload = await this.actionFetchMultiWalletNfts(args);
+					break;
+				case 'analyze_nft_collection_owners':
+					resultPayload = await this.actionAnalyzeNftCollectionOwners(args);
+					break;
 				case 'schedule_alert':
 					resultPayload = await this.actionScheduleAlert(userId, chatId, args);
 					break;
@@ -3960,6 +5305,9 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'fetch_program_tvl':
 					resultPayload = await this.actionFetchProgramTvl(args);
 					break;
+				case 'program_activity_report':
+					resultPayload = await this.actionProgramActivityReport(args);
+					break;
 				case 'fetch_program_ranking':
 					resultPayload = await this.actionFetchProgramRanking(args);
 					break;
@@ -3969,6 +5317,18 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'fetch_pair_ohlcv':
 					resultPayload = await this.actionFetchPairOhlcv(args);
 					break;
+				case 'search_pyth_price_feeds':
+					resultPayload = await this.actionSearchPythPriceFeeds(args);
+					break;
+				case 'fetch_pyth_price':
+					resultPayload = await this.actionFetchPythPrice(args);
+					break;
+				case 'fetch_pyth_price_history':
+					resultPayload = await this.actionFetchPythPriceHistory(args);
+					break;
+				case 'analyze_oracle_deviation':
+					resultPayload = await this.actionAnalyzeOracleDeviation(args);
+					break;
 				case 'analyze_token_trend':
 					resultPayload = await this.actionAnalyzeTokenTrend(args);
 					break;
@@ -3978,15 +5338,24 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'create_price_alert':
 					resultPayload = await this.actionCreatePriceAlert(userId, chatId, args);
 					break;
+				case 'create_whale_alert':
+					resultPayload = await this.actionCreateWhaleAlert(chatId, args);
+					break;
 				case 'get_known_accounts':
 					resultPayload = await this.actionGetKnownAccounts(args);
 					break;
+				case 'get_network_graph':
+					resultPayload = await this.actionGetNetworkGraph(args);
+					break;
 				case 'get_wallet_tokens_time_series':
 					resultPayload = await this.actionGetWalletTokensTimeSeries(args);
 					break;
 				case 'get_token_transfers_analysis':
 					resultPayload = await this.actionGetTokenTransfersAnalysis(args);
 					break;
+				case 'analyze_token_trades':
+					resultPayload = await this.actionAnalyzeTokenTrades(args);
+					break;
 				case 'get_price_prediction':
 					resultPayload = await this.actionGetPricePrediction(args);
 					break;
@@ -4027,15 +5396,27 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'upsert_trading_strategy':
 					resultPayload = await this.upsertTradingStrategy(chatId, args);
 					break;
+				case 'backtest_strategy':
+					resultPayload = await this.actionBacktestStrategy(chatId, args);
+					break;
 				case 'upsert_token_watchlist':
 					resultPayload = await this.upsertTokenWatchlist(chatId, args);
 					break;
 				case 'upsert_portfolio_plan':
 					resultPayload = await this.upsertPortfolioPlan(chatId, args);
 					break;
+				case 'rebalance_portfolio':
+					resultPayload = await this.actionRebalancePortfolio(userId, chatId, args);
+					break;
 				case 'upsert_trade_setup':
 					resultPayload = await this.upsertTradeSetup(chatId, args);
 					break;
+				case 'get_trade_setups':
+					resultPayload = await this.actionGetTradeSetups(chatId, args);
+					break;
+				case 'get_trade_journal':
+					resultPayload = await this.actionGetTradeJournal(chatId, args);
+					break;
 				case 'upsert_market_analysis':
 					resultPayload = await this.upsertMarketAnalysis(chatId, args);
 					break;
@@ -4066,11 +5447,29 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				case 'get_language_preference':
 					resultPayload = await this.actionGetLanguagePreference(args, chatId);
 					break;
+				case 'create_routine_scan':
+					resultPayload = await this.actionCreateRoutineScan(userId, chatId, args);
+					break;
+				case 'list_routine_scans':
+					resultPayload = await this.actionListRoutineScans(userId, chatId, args);
+					break;
+				case 'save_address':
+					resultPayload = await this.actionSaveAddress(userId, args);
+					break;
+				case 'list_saved_addresses':
+					resultPayload = await this.actionListSavedAddresses(userId, args);
+					break;
+				case 'delete_saved_address':
+					resultPayload = await this.actionDeleteSavedAddress(userId, args);
+					break;
 				default:
 					this.logger.error(`Action ${ actionName } not implemented.`);
 					throw new Error(`Action ${ actionName } not implemented`);
 			}
 
+			// Direcciones conocidas (exchanges, market makers, programas) etiquetadas antes de la síntesis
+			resultPayload = await KnownAccountsService.annotate(resultPayload);
+
 			const duration = Date.now() - startTime;
 			this.logger.success(`Action ${ actionName } executed successfully.`, { duration: `${ duration }ms` });
 			const finalResult = { success: true, data: resultPayload, duration };
@@ -4080,6 +5479,21 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 		} catch(error) {
 			const duration = Date.now() - startTime;
 			this.logger.error(`Error executing action ${ actionName }`, error, { duration: `${ duration }ms` });
+
+			// Vybe caído o limitando: devolvemos un error claro para que el modelo lo explique en vez de reintentar
+			if(VybeDegradedError.matches(error)) {
+				const retryAfterSeconds = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null;
+				const finalResult = {
+					success: false,
+					degraded: true,
+					error: `Vybe is degraded: the Vybe Network API is rate limiting or failing right now, so ${ actionName } could not get data. Tell the user Vybe is degraded and to try again${ retryAfterSeconds ? ` in about ${ retryAfterSeconds } seconds` : ' in a few minutes' }. Do not retry Vybe tools in this turn.`,
+					retryAfterSeconds,
+					duration,
+				};
+				this.logger.exit(functionName, { success: false, degraded: true, duration });
+				return finalResult;
+			}
+
 			const finalResult = { success: false, error: error.message, duration };
 			this.logger.exit(functionName, { success: false, error: error.message, duration });
 			return finalResult; // Return error structure
@@ -4468,35 +5882,374 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 	}
 
 	/**
-	 * Action: Schedule alert
+	 * Action: Merged token portfolio of several wallets
 	 */
-	async actionScheduleAlert(userId, chatId, args) {
-		const functionName = 'actionScheduleAlert';
-		this.logger.entry(functionName, { userId, chatId, args });
-		const { type, condition, message, scheduled_for } = args;
-		if(!type || !message) {
-			this.logger.error('Type and message are required.', { args });
-			throw new Error('Type and message are required for schedule_alert action');
-		}
+	async actionFetchMultiWalletPortfolio(args) {
+		const functionName = 'actionFetchMultiWalletPortfolio';
+		this.logger.entry(functionName, { args });
+		const { days = 7, limit = 20 } = args;
+		const wallets = this._parseWalletList(args.wallet_addresses, 'fetch_multi_wallet_portfolio');
+		const historyDays = Math.min(Math.max(parseInt(days) || 0, 0), 30);
+
 		try {
-			let scheduledDate = null;
-			if(scheduled_for) {
-				try {
-					scheduledDate = new Date(scheduled_for);
-					if(isNaN(scheduledDate.getTime())) {
-						this.logger.warn(`Invalid date format for scheduled_for: '${ scheduled_for }'. Scheduling without specific time.`);
-						scheduledDate = null; // Treat as invalid
-					} else {
-						this.logger.info(`Parsed scheduled_for date: ${ scheduledDate.toISOString() }`);
-					}
-				} catch(e) {
-					this.logger.warn(`Could not parse scheduled_for date string: '${ scheduled_for }'. Error: ${ e.message }`);
-				}
+			const [ balances, history ] = await Promise.all([
+				VybeService.postWalletTokensMany(wallets, { sortByDesc: 'valueUsd', limit: 1000 }),
+				historyDays > 0
+					? VybeService.postWalletTokensTimeSeriesMany(wallets, { days: historyDays }).catch(e => {
+						this.logger.warn(`Could not fetch combined value history: ${ e.message }`);
+						return null;
+					})
+					: null,
+			]);
+
+			const rows = Array.isArray(balances?.data) ? balances.data : [];
+			const holdingsByMint = new Map();
+			for(const row of rows) {
+				const key = row.mintAddress || row.symbol;
+				const holding = holdingsByMint.get(key) || {
+					mintAddress: row.mintAddress,
+					symbol: row.symbol || 'UNKNOWN',
+					name: row.name || null,
+					priceUsd: parseFloat(row.priceUsd) || 0,
+					amount: 0,
+					valueUsd: 0,
+					valueUsd1dChange: 0,
+					wallets: [],
+				};
+				holding.amount += parseFloat(row.amount) || 0;
+				holding.valueUsd += parseFloat(row.valueUsd) || 0;
+				holding.valueUsd1dChange += parseFloat(row.valueUsd1dChange) || 0;
+				if(row.ownerAddress && !holding.wallets.includes(row.ownerAddress)) holding.wallets.push(row.ownerAddress);
+				holdingsByMint.set(key, holding);
 			}
+			const holdings = [ ...holdingsByMint.values() ].sort((a, b) => b.valueUsd - a.valueUsd);
+			const holdingsValueUsd = holdings.reduce((sum, holding) => sum + holding.valueUsd, 0);
+			const totalValueUsd = parseFloat(balances?.totalTokenValueUsd) || holdingsValueUsd;
 
-			const taskPayload = { type, condition, message, chatId }; // Data needed when the alert runs
-			const functionArgs = { type, message }; // Simplified args for the target function
+			const walletBreakdown = await this._walletPortfolioBreakdown(wallets, rows, totalValueUsd);
+
+			const result = {
+				wallets,
+				totalValueUsd,
+				totalValueUsd1dChange: parseFloat(balances?.totalTokenValueUsd1dChange) || holdings.reduce((sum, holding) => sum + holding.valueUsd1dChange, 0),
+				tokenCount: holdings.length,
+				holdings: holdings.slice(0, Math.min(Math.max(parseInt(limit) || 20, 1), 100)).map(holding => ({
+					...holding,
+					portfolioPercent: totalValueUsd > 0 ? holding.valueUsd / totalValueUsd * 100 : 0,
+				})),
+				walletBreakdown,
+				valueHistory: history ? this._combineWalletValueHistory(history) : null,
+				days: historyDays,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ wallets.length } wallets ($${ totalValueUsd.toFixed(2) })`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch multi-wallet portfolio: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Per-wallet value and top holdings. Uses the owner of each row of the batch response when Vybe
+	 * reports it; otherwise asks for each wallet's balance separately.
+	 * @returns {Promise<Array<{wallet: string, valueUsd: number, portfolioPercent: number, tokenCount: number, topHoldings: Array}>>}
+	 */
+	async _walletPortfolioBreakdown(wallets, rows, totalValueUsd) {
+		const summarize = (wallet, walletRows, reportedValue) => {
+			const valueUsd = reportedValue ?? walletRows.reduce((sum, row) => sum + (parseFloat(row.valueUsd) || 0), 0);
+			return {
+				wallet,
+				valueUsd,
+				portfolioPercent: totalValueUsd > 0 ? valueUsd / totalValueUsd * 100 : 0,
+				tokenCount: walletRows.length,
+				topHoldings: [ ...walletRows ]
+					.sort((a, b) => (parseFloat(b.valueUsd) || 0) - (parseFloat(a.valueUsd) || 0))
+					.slice(0, 3)
+					.map(row => ({ symbol: row.symbol || 'UNKNOWN', valueUsd: parseFloat(row.valueUsd) || 0 })),
+			};
+		};
+
+		if(rows.length > 0 && rows.every(row => row.ownerAddress)) {
+			return wallets.map(wallet => summarize(wallet, rows.filter(row => row.ownerAddress === wallet)));
+		}
+
+		return mapWithConcurrency(wallets, 3, async wallet => {
+			try {
+				const walletTokens = await VybeService.getWalletTokens(wallet, { sortByDesc: 'valueUsd', limit: 100 });
+				const reported = parseFloat(walletTokens?.totalTokenValueUsd);
+				return summarize(wallet, walletTokens?.data || [], isNaN(reported) ? undefined : reported);
+			} catch(error) {
+				this.logger.warn(`Could not fetch balances of ${ wallet } for the breakdown: ${ error.message }`);
+				return { wallet, valueUsd: null, portfolioPercent: null, tokenCount: null, topHoldings: [], error: error.message };
+			}
+		});
+	}
+
+	/**
+	 * Sums the daily value (tokens + SOL + stake) of every wallet. When a wallet has several points in
+	 * a day only its latest one counts.
+	 * @param {Object} history - Response of postWalletTokensTimeSeriesMany
+	 * @returns {Array<{date: string, totalValueUsd: number, wallets: number}>}
+	 */
+	_combineWalletValueHistory(history) {
+		const rows = (Array.isArray(history?.data) ? history.data : [])
+			.flatMap(row => Array.isArray(row.data) ? row.data.map(point => ({ ownerAddress: row.ownerAddress, ...point })) : [ row ]);
+
+		const days = new Map();
+		for(const point of rows) {
+			const time = this._toUnixSeconds(point.blockTime ?? point.timestamp);
+			if(!time) continue;
+			const day = new Date(time * 1000).toISOString().substring(0, 10);
+			const owners = days.get(day) || new Map();
+			const previous = owners.get(point.ownerAddress);
+			if(!previous || previous.time < time) owners.set(point.ownerAddress, { time, point });
+			days.set(day, owners);
+		}
+
+		return [ ...days.entries() ]
+			.sort(([ a ], [ b ]) => a.localeCompare(b))
+			.map(([ date, owners ]) => ({
+				date,
+				totalValueUsd: [ ...owners.values() ].reduce((sum, { point }) =>
+					sum + (parseFloat(point.tokenValue) || 0) + (parseFloat(point.systemValue) || 0) + (parseFloat(point.stakeValue) || 0), 0),
+				wallets: owners.size,
+			}));
+	}
+
+	/**
+	 * Parses the wallet list of a multi-wallet action (array or comma-separated string) after label resolution.
+	 * @param {Array<string>|string} value - wallet_addresses argument
+	 * @param {string} actionName - Action name for the error messages
+	 * @param {number} [minWallets=2] - Fewest wallets the action accepts (at most 10)
+	 * @returns {Array<string>} Unique wallet addresses
+	 */
+	_parseWalletList(value, actionName, minWallets = 2) {
+		// El modelo a veces manda la lista como string separado por comas
+		const wallets = [ ...new Set((Array.isArray(value) ? value : String(value || '').split(','))
+			.map(wallet => String(wallet).trim())
+			.filter(Boolean)) ];
+
+		if(wallets.length < minWallets || wallets.length > 10) {
+			this.logger.error(`Between ${ minWallets } and 10 wallet addresses are required.`, { value });
+			throw new Error(`Between ${ minWallets } and 10 wallet addresses are required for ${ actionName } action`);
+		}
+		const invalidWallets = wallets.filter(wallet => !SOLANA_ADDRESS_REGEX.test(wallet));
+		if(invalidWallets.length > 0) {
+			this.logger.error('Invalid wallet addresses.', { invalidWallets });
+			throw new Error(`Invalid wallet addresses (not an address or saved label): ${ invalidWallets.join(', ') }`);
+		}
+		return wallets;
+	}
+
+	/**
+	 * Action: Fetch the NFT holdings of a wallet, grouped by collection
+	 */
+	async actionFetchWalletNfts(args) {
+		const functionName = 'actionFetchWalletNfts';
+		this.logger.entry(functionName, { args });
+		const { wallet_address, limit = 20, include_unpriced = false } = args;
+
+		if(!wallet_address) {
+			this.logger.error('Wallet address is required.', { args });
+			throw new Error('Wallet address is required for fetch_wallet_nfts action');
+		}
+
+		try {
+			const nftsData = await VybeService.getWalletNfts(wallet_address, {
+				includeNoPriceBalance: String(include_unpriced).toLowerCase() === 'true',
+				sortByDesc: 'valueUsd',
+				limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+			});
+
+			const result = {
+				wallet: wallet_address,
+				...this._summarizeNftBalances(nftsData),
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ wallet_address } (${ result.collections.length } collections)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ wallet_address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch wallet NFTs: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Aggregate the NFT holdings of several wallets
+	 */
+	async actionFetchMultiWalletNfts(args) {
+		const functionName = 'actionFetchMultiWalletNfts';
+		this.logger.entry(functionName, { args });
+		const { limit = 20 } = args;
+		const wallets = this._parseWalletList(args.wallet_addresses, 'fetch_multi_wallet_nfts');
+
+		try {
+			const nftsData = await VybeService.postWalletNftsMany(wallets, {
+				sortByDesc: 'valueUsd',
+				limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+			});
+
+			const result = {
+				wallets,
+				...this._summarizeNftBalances(nftsData),
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ wallets.length } wallets (${ result.collections.length } collections)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch NFTs for multiple wallets: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Ownership distribution and whales of an NFT collection
+	 */
+	async actionAnalyzeNftCollectionOwners(args) {
+		const functionName = 'actionAnalyzeNftCollectionOwners';
+		this.logger.entry(functionName, { args });
+		const { collection_address, whale_min_items = 10, top_n = 10 } = args;
+
+		if(!collection_address) {
+			this.logger.error('Collection address is required.', { args });
+			throw new Error('Collection address is required for analyze_nft_collection_owners action');
+		}
+
+		try {
+			const ownersData = await VybeService.getNftCollectionOwners(collection_address);
+			const owners = (Array.isArray(ownersData?.data) ? ownersData.data : [])
+				.map(row => ({
+					owner: row.owner || row.ownerAddress,
+					items: parseInt(row.amount ?? row.totalItems ?? row.count) || 0,
+				}))
+				.filter(row => row.owner && row.items > 0)
+				.sort((a, b) => b.items - a.items);
+
+			const totalItems = owners.reduce((sum, row) => sum + row.items, 0);
+			const sharePercent = count => totalItems > 0
+				? owners.slice(0, count).reduce((sum, row) => sum + row.items, 0) / totalItems * 100
+				: 0;
+			const whaleMinItems = Math.max(parseInt(whale_min_items) || 10, 1);
+			const whales = owners.filter(row => row.items >= whaleMinItems);
+
+			const buckets = [ [ '1', 1, 1 ], [ '2-5', 2, 5 ], [ '6-20', 6, 20 ], [ '21-100', 21, 100 ], [ '100+', 101, Infinity ] ];
+			const distribution = buckets.map(([ label, min, max ]) => {
+				const bucketOwners = owners.filter(row => row.items >= min && row.items <= max);
+				const bucketItems = bucketOwners.reduce((sum, row) => sum + row.items, 0);
+				return {
+					itemsHeld: label,
+					owners: bucketOwners.length,
+					items: bucketItems,
+					itemsPercent: totalItems > 0 ? bucketItems / totalItems * 100 : 0,
+				};
+			});
+
+			const result = {
+				collection: collection_address,
+				totalOwners: owners.length,
+				totalItems,
+				averageItemsPerOwner: owners.length > 0 ? totalItems / owners.length : 0,
+				top1ItemsPercent: sharePercent(1),
+				top10ItemsPercent: sharePercent(10),
+				distribution,
+				whaleMinItems,
+				whaleCount: whales.length,
+				whaleItemsPercent: totalItems > 0 ? whales.reduce((sum, row) => sum + row.items, 0) / totalItems * 100 : 0,
+				topOwners: owners.slice(0, Math.min(Math.max(parseInt(top_n) || 10, 1), 50)).map(row => ({
+					...row,
+					itemsPercent: totalItems > 0 ? row.items / totalItems * 100 : 0,
+				})),
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ collection_address } (${ owners.length } owners)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ collection_address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to analyze NFT collection owners: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Normalizes a Vybe NFT balance response (single or multiple wallets) into totals plus one row per collection.
+	 * @param {Object} nftsData - Response of getWalletNfts / postWalletNftsMany
+	 * @returns {Object} { totalValueUsd, totalValueSol, collectionCount, totalItems, collections }
+	 */
+	_summarizeNftBalances(nftsData) {
+		const collections = (Array.isArray(nftsData?.data) ? nftsData.data : []).map(row => ({
+			name: row.name || 'Unknown collection',
+			collectionAddress: row.collectionAddress,
+			items: parseInt(row.totalItems) || 0,
+			valueUsd: parseFloat(row.valueUsd) || 0,
+			valueSol: parseFloat(row.valueSol) || 0,
+			floorPriceUsd: parseFloat(row.priceUsd) || 0,
+			floorPriceSol: parseFloat(row.priceSol) || 0,
+			logoUrl: row.logoUrl || null,
+		}));
+
+		return {
+			totalValueUsd: parseFloat(nftsData?.totalUsd) || collections.reduce((sum, row) => sum + row.valueUsd, 0),
+			totalValueSol: parseFloat(nftsData?.totalSol) || collections.reduce((sum, row) => sum + row.valueSol, 0),
+			collectionCount: nftsData?.totalNftCollectionCount ?? collections.length,
+			totalItems: collections.reduce((sum, row) => sum + row.items, 0),
+			collections,
+		};
+	}
+
+	/**
+	 * Action: Schedule alert
+	 */
+	async actionScheduleAlert(userId, chatId, args) {
+		const functionName = 'actionScheduleAlert';
+		this.logger.entry(functionName, { userId, chatId, args });
+		const { type, condition, message, scheduled_for, recurrence, timezone } = args;
+		if(!type || !message) {
+			this.logger.error('Type and message are required.', { args });
+			throw new Error('Type and message are required for schedule_alert action');
+		}
+		if(timezone && !moment.tz.zone(timezone)) {
+			this.logger.error(`Invalid timezone: ${ timezone }`, { args });
+			throw new Error(`Unknown timezone '${ timezone }'. Use an IANA name such as 'America/New_York'`);
+		}
+		try {
+			let scheduledDate = null;
+			if(scheduled_for) {
+				try {
+					scheduledDate = new Date(scheduled_for);
+					if(isNaN(scheduledDate.getTime())) {
+						this.logger.warn(`Invalid date format for scheduled_for: '${ scheduled_for }'. Scheduling without specific time.`);
+						scheduledDate = null; // Treat as invalid
+					} else {
+						this.logger.info(`Parsed scheduled_for date: ${ scheduledDate.toISOString() }`);
+					}
+				} catch(e) {
+					this.logger.warn(`Could not parse scheduled_for date string: '${ scheduled_for }'. Error: ${ e.message }`);
+				}
+			}
+
+			// Recurrence: cron o lenguaje natural, evaluado en la zona horaria del usuario
+			let cronExpression = null;
+			let userTimezone = null;
+			let nextRun = scheduledDate || (AlertConditionService.isEvaluable(condition) ? new Date() : null);
+			if(recurrence) {
+				cronExpression = toCronExpression(recurrence);
+				userTimezone = await this._getUserTimezone(chatId, timezone);
+				if(!scheduledDate) nextRun = getNextCronRun(cronExpression, userTimezone);
+				this.logger.info(`Recurrence '${ recurrence }' -> cron '${ cronExpression }' (${ userTimezone }), next run ${ nextRun.toISOString() }`);
+			}
+
+			const taskPayload = { type, condition, message, chatId, ...(cronExpression && { timezone: userTimezone }) }; // Data needed when the alert runs
+			const functionArgs = { type, message }; // Simplified args for the target function
 			const taskName = `${ type } Alert for Chat ${ chatId }`; // Example name
+			const telegramChatId = await this._getTelegramChatId(chatId);
 
 			this.logger.info(`Creating scheduled task: ${ taskName }`);
 			const task = await this.prisma.scheduledTask.create({
@@ -4505,13 +6258,15 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 					taskType: 'alert',
 					name: taskName,
 					description: message, // Or a more structured description
-					cronExpression: null, // Assuming one-time based on condition or date
+					cronExpression, // Null for one-time alerts
 					scheduledFor: scheduledDate, // If null, needs separate check logic
+					nextRun, // Picked up by SchedulerService once due; evaluable conditions are checked right away
 					payload: taskPayload,
 					functionName: 'sendAlert', // Name of the function to eventually execute
 					functionArgs: functionArgs,
+					telegramChatId,
 					status: 'Pending',
-					recurrent: false, // Assuming non-recurrent for now
+					recurrent: !!cronExpression,
 				},
 			});
 
@@ -4520,6 +6275,12 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 				taskId: task.id,
 				type,
 				scheduledFor: task.scheduledFor ? task.scheduledFor.toISOString() : 'Based on condition', // Informative message
+				...(cronExpression && {
+					recurrent: true,
+					cronExpression,
+					timezone: userTimezone,
+					nextRun: moment(nextRun).tz(userTimezone).format('YYYY-MM-DD HH:mm z'),
+				}),
 			};
 			this.logger.success('Alert scheduled successfully.', result);
 			this.logger.exit(functionName, result);
@@ -4531,6 +6292,327 @@ If the user asks about investments, recommendations, or "what to invest in," YOU
 		}
 	}
 
+	/**
+	 * Action: Create a routine scan that reports wallet balance or top holder changes to Telegram
+	 * @param {number} userId - User ID.
+	 * @param {number} chatId - Chat ID.
+	 * @param {object} args - Arguments { scan_type, address, frequency?, label?, min_change_percent?, top_n?, timezone? }.
+	 * @returns {Promise<object>} Created scan details.
+	 */
+	async actionCreateRoutineScan(userId, chatId, args) {
+		const functionName = 'actionCreateRoutineScan';
+		this.logger.entry(functionName, { userId, chatId, args });
+		const {
+			scan_type,
+			address,
+			frequency = 'hourly',
+			label,
+			min_change_percent = 1,
+			top_n = 20,
+			timezone,
+		} = args;
+
+		if(!scan_type || !RoutineScanService.SCAN_TYPES.includes(scan_type)) {
+			this.logger.error('Invalid or missing scan_type.', { args });
+			throw new Error(`Scan type must be one of: ${ RoutineScanService.SCAN_TYPES.join(', ') }`);
+		}
+		if(!address) {
+			this.logger.error('Address is required.', { args });
+			throw new Error('Address is required for create_routine_scan action');
+		}
+		if(timezone && !moment.tz.zone(timezone)) {
+			this.logger.error(`Invalid timezone: ${ timezone }`, { args });
+			throw new Error(`Unknown timezone '${ timezone }'. Use an IANA name such as 'America/New_York'`);
+		}
+
+		try {
+			const userTimezone = await this._getUserTimezone(chatId, timezone);
+			const nextScan = RoutineScanService.getNextScan(frequency, userTimezone);
+			const telegramChatId = await this._getTelegramChatId(chatId);
+			if(!telegramChatId) {
+				throw new Error('This chat is not linked to a Telegram session');
+			}
+
+			const parameters = {
+				address,
+				label: label || null,
+				minChangePercent: parseFloat(min_change_percent) || 0,
+				topN: Math.min(Math.max(parseInt(top_n) || 20, 1), 100),
+				timezone: userTimezone,
+				chatId,
+				telegramChatId: telegramChatId.toString(), // BigInt no es serializable en JSON
+			};
+
+			const scan = await this.prisma.routineScan.create({
+				data: {
+					userId,
+					dataType: scan_type,
+					parameters,
+					frequency,
+					destination: 'telegram',
+					active: true,
+					// First run takes the baseline snapshot right away; changes are reported from the next one
+					nextScan: new Date(),
+				},
+			});
+
+			const result = {
+				created: true,
+				scanId: scan.id,
+				scanType: scan_type,
+				address,
+				label: parameters.label,
+				frequency,
+				timezone: userTimezone,
+				firstReportAfter: moment(nextScan).tz(userTimezone).format('YYYY-MM-DD HH:mm z'),
+				status_message: `Monitoring ${ label || address } (${ scan_type }) ${ frequency }. Only changes will be reported.`,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ address }`, result);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to create routine scan: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: List the user's routine scans
+	 * @param {number} userId - User ID.
+	 * @param {number} chatId - Chat ID.
+	 * @param {object} args - Arguments { include_inactive? }.
+	 * @returns {Promise<object>} List of scans.
+	 */
+	async actionListRoutineScans(userId, chatId, args = {}) {
+		const functionName = 'actionListRoutineScans';
+		this.logger.entry(functionName, { userId, chatId, args });
+		const includeInactive = String(args.include_inactive).toLowerCase() === 'true';
+
+		try {
+			const scans = await this.prisma.routineScan.findMany({
+				where: {
+					userId,
+					...(!includeInactive && { active: true }),
+				},
+				orderBy: { created: 'desc' },
+			});
+
+			const result = {
+				count: scans.length,
+				scans: scans.map(scan => ({
+					scanId: scan.id,
+					scanType: scan.dataType,
+					address: scan.parameters?.address,
+					label: scan.parameters?.label,
+					frequency: scan.frequency,
+					minChangePercent: scan.parameters?.minChangePercent,
+					active: scan.active,
+					lastScan: scan.lastScan ? scan.lastScan.toISOString() : null,
+					nextScan: scan.nextScan ? scan.nextScan.toISOString() : null,
+				})),
+			};
+
+			this.logger.success(`Completed ${ functionName }: ${ scans.length } scan(s)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to list routine scans: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Save (or update) an address in the user's address book
+	 * @param {number} userId - User ID.
+	 * @param {object} args - Arguments { label, address, description?, network? }.
+	 * @returns {Promise<object>} Saved address details.
+	 */
+	async actionSaveAddress(userId, args) {
+		const functionName = 'actionSaveAddress';
+		this.logger.entry(functionName, { userId, args });
+		const { label, address, description, network = 'solana' } = args;
+
+		if(!label || !this._normalizeAddressLabel(label)) {
+			this.logger.error('Label is required.', { args });
+			throw new Error('Label is required for save_address action');
+		}
+		if(!address) {
+			this.logger.error('Address is required.', { args });
+			throw new Error('Address is required for save_address action');
+		}
+		if(network === 'solana' && !SOLANA_ADDRESS_REGEX.test(address.trim())) {
+			this.logger.error('Invalid Solana address.', { args });
+			throw new Error(`'${ address }' is not a valid Solana address`);
+		}
+
+		try {
+			// Guardamos la etiqueta sin el posesivo ("my cold wallet" -> "cold wallet")
+			const cleanLabel = label.trim().replace(/^(my|mi|mis)\s+/i, '');
+			const existing = await this._findSavedAddressByLabel(userId, cleanLabel);
+
+			const data = {
+				label: cleanLabel,
+				address: address.trim(),
+				description: description || existing?.description || null,
+				network,
+			};
+			const saved = existing
+				? await this.prisma.savedAddress.update({ where: { id: existing.id }, data })
+				: await this.prisma.savedAddress.create({ data: { userId, ...data } });
+
+			const result = {
+				saved: true,
+				updated: !!existing,
+				label: saved.label,
+				address: saved.address,
+				network: saved.network,
+				description: saved.description,
+			};
+
+			this.logger.success(`Completed ${ functionName }: '${ saved.label }'`, result);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to save address: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: List the user's saved addresses
+	 * @param {number} userId - User ID.
+	 * @param {object} args - Arguments { network? }.
+	 * @returns {Promise<object>} Saved addresses.
+	 */
+	async actionListSavedAddresses(userId, args = {}) {
+		const functionName = 'actionListSavedAddresses';
+		this.logger.entry(functionName, { userId, args });
+		const { network } = args;
+
+		try {
+			const savedAddresses = await this.prisma.savedAddress.findMany({
+				where: { userId, ...(network && { network }) },
+				orderBy: { label: 'asc' },
+			});
+
+			const result = {
+				count: savedAddresses.length,
+				addresses: savedAddresses.map(saved => ({
+					label: saved.label,
+					address: saved.address,
+					network: saved.network,
+					description: saved.description,
+				})),
+			};
+
+			this.logger.success(`Completed ${ functionName }: ${ savedAddresses.length } address(es)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to list saved addresses: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Delete an address from the user's address book
+	 * @param {number} userId - User ID.
+	 * @param {object} args - Arguments { label?, address? }.
+	 * @returns {Promise<object>} Deletion result.
+	 */
+	async actionDeleteSavedAddress(userId, args) {
+		const functionName = 'actionDeleteSavedAddress';
+		this.logger.entry(functionName, { userId, args });
+		const { label, address } = args;
+
+		if(!label && !address) {
+			this.logger.error('Label or address is required.', { args });
+			throw new Error('Label or address is required for delete_saved_address action');
+		}
+
+		try {
+			const saved = label
+				? await this._findSavedAddressByLabel(userId, label)
+				: await this.prisma.savedAddress.findFirst({ where: { userId, address: address.trim() } });
+
+			if(!saved) {
+				const result = { deleted: false, message: `No saved address found for '${ label || address }'.` };
+				this.logger.warn(result.message);
+				this.logger.exit(functionName, result);
+				return result;
+			}
+
+			await this.prisma.savedAddress.delete({ where: { id: saved.id } });
+
+			const result = { deleted: true, label: saved.label, address: saved.address };
+			this.logger.success(`Completed ${ functionName }: '${ saved.label }'`, result);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to delete saved address: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * OpenAI embedding function (TOKEN_EMBEDDING_MODEL) for the Chroma collections, tracked in ApiCall.
+	 * The key is not required when replaying a cassette: Chroma calls are served from it and the
+	 * function is never invoked (see `#utils/record-replay.js`).
+	 * @returns {OpenAIEmbeddingFunction}
+	 */
+	_createEmbeddingFunction() {
+		if(!process.env.OPENAI_API_KEY && getRecordReplayMode() !== 'replay') {
+			this.logger.error('OpenAI API Key is missing.');
+			throw new Error('Missing OpenAI API Key configuration.');
+		}
+		return ApiCallService.trackEmbeddingFunction(new OpenAIEmbeddingFunction({
+			openai_api_key: process.env.OPENAI_API_KEY,
+			openai_model: ConversationService.TOKEN_EMBEDDING_MODEL,
+		}), ConversationService.TOKEN_EMBEDDING_MODEL);
+	}
+
+	/**
+	 * Timezone used to evaluate recurrences: the explicit one, then the 'timezone' memory item,
+	 * then DEFAULT_TIMEZONE from env, then UTC.
+	 * @param {number} chatId - Internal chat ID.
+	 * @param {string} [explicitTimezone] - Timezone given in the request.
+	 * @returns {Promise<string>} IANA timezone name.
+	 */
+	async _getUserTimezone(chatId, explicitTimezone = null) {
+		if(explicitTimezone && moment.tz.zone(explicitTimezone)) return explicitTimezone;
+
+		const stored = await this._getMemoryItemByKey(chatId, 'timezone');
+		if(stored?.found && typeof stored.value === 'string' && moment.tz.zone(stored.value)) return stored.value;
+
+		const fallback = process.env.DEFAULT_TIMEZONE;
+		return fallback && moment.tz.zone(fallback) ? fallback : 'UTC';
+	}
+
+	/**
+	 * Resolves the Telegram chat id of an internal chat through its session,
+	 * so scheduled tasks know where to deliver their output.
+	 * @param {number} chatId - Internal chat ID.
+	 * @returns {Promise<bigint|null>} Telegram chat id or null if not linked to a session.
+	 */
+	async _getTelegramChatId(chatId) {
+		try {
+			const chat = await this.prisma.chat.findUnique({
+				where: { id: parseInt(chatId) },
+				include: { session: true },
+			});
+			return chat?.session?.chatId ?? null;
+		} catch(error) {
+			this.logger.warn(`Could not resolve Telegram chat id for chat ${ chatId }: ${ error.message }`);
+			return null;
+		}
+	}
+
 	/**
 	 * Action: Evaluate query intent to determine if semantic search is needed
 	 */
@@ -4738,14 +6820,7 @@ JSON Response:`;
 			this.logger.info(`Performing semantic query in '${ targetCollectionName }' with final query "${ optimizedQuery }" (limit ${ finalLimit }).`);
 
 			this.logger.info('Instantiating OpenAI embedding function...');
-			if(!process.env.OPENAI_API_KEY) {
-				this.logger.error('OpenAI API Key is missing.');
-				throw new Error('Missing OpenAI API Key configuration.');
-			}
-			const embeddingFunction = new OpenAIEmbeddingFunction({
-				openai_api_key: process.env.OPENAI_API_KEY,
-				openai_model: ConversationService.TOKEN_EMBEDDING_MODEL,
-			});
+			const embeddingFunction = this._createEmbeddingFunction();
 			this.logger.info(`Embedding function created for model: ${ ConversationService.TOKEN_EMBEDDING_MODEL }.`);
 
 			this.logger.info(`Getting collection '${ targetCollectionName }' with embedding function...`);
@@ -4997,7 +7072,7 @@ JSON Response:`;
 	async actionFetchTokenHoldersData(args) {
 		const functionName = 'actionFetchTokenHoldersData';
 		this.logger.entry(functionName, { args });
-		const { token_address, limit = '10', page = '1' } = args;
+		const { token_address, limit = '10', page = '1', fetch_all = false, max_holders = '1000' } = args;
 
 		if(!token_address) {
 			this.logger.error('Token address is required.', { args });
@@ -5005,6 +7080,32 @@ JSON Response:`;
 		}
 
 		try {
+			if(fetch_all === true || fetch_all === 'true') {
+				const maxHolders = Math.min(parseInt(max_holders) || 1000, 1000);
+				this.logger.info(`Fetching up to ${ maxHolders } token holders for ${ token_address }...`);
+				const { rows: holders, stats } = await VybeService.collectPages(
+					VybeService.iterateTopTokenHolders(token_address, {}, { maxRows: maxHolders }),
+				);
+
+				// Sólo los primeros `limit` holders van en la respuesta; el análisis cubre el conjunto completo
+				const result = {
+					token: token_address,
+					limit: parseInt(limit),
+					holdersData: { data: holders.slice(0, parseInt(limit)) },
+					distribution: this._summarizeHolderDistribution(holders),
+					dataset: {
+						holdersFetched: holders.length,
+						pagesFetched: stats.pagesFetched,
+						complete: stats.complete,
+						stopReason: stats.stopReason,
+					},
+				};
+
+				this.logger.success(`Completed ${ functionName } for ${ token_address } (${ holders.length } holders, ${ stats.stopReason })`);
+				this.logger.exit(functionName);
+				return result;
+			}
+
 			this.logger.info(`Fetching token holders for ${ token_address }...`);
 			const holdersData = await VybeService.getTopTokenHolders(token_address, {
 				limit: parseInt(limit),
@@ -5030,6 +7131,26 @@ JSON Response:`;
 		}
 	}
 
+	/**
+	 * Concentration metrics over a list of top-holder rows, as returned by Vybe.
+	 * @param {Array<Object>} holders - Holder rows sorted by balance (desc)
+	 * @returns {Object} Supply share of the top 10/50/100 and of all fetched holders, total USD value and holders above 1%
+	 */
+	_summarizeHolderDistribution(holders) {
+		const share = holder => parseFloat(holder.percentageOfSupplyHeld) || 0;
+		const sumShare = count => holders.slice(0, count).reduce((sum, holder) => sum + share(holder), 0);
+
+		return {
+			top10SupplyPercent: sumShare(10),
+			top50SupplyPercent: sumShare(50),
+			top100SupplyPercent: sumShare(100),
+			fetchedSupplyPercent: sumShare(holders.length),
+			holdersAbove1Percent: holders.filter(holder => share(holder) >= 1).length,
+			labelledHolders: holders.filter(holder => holder.ownerName).length,
+			totalValueUsd: holders.reduce((sum, holder) => sum + (parseFloat(holder.valueUsd) || 0), 0),
+		};
+	}
+
 	/**
 	 * Action: Fetch wallet PnL
 	 */
@@ -5340,6 +7461,188 @@ JSON Response:`;
 		}
 	}
 
+	/**
+	 * Action: Program activity report
+	 * Active users, instructions, transactions and TVL over a window, with growth rates and anomalies.
+	 * Each series is fetched on its own: one that fails (e.g. plan restrictions) is reported in
+	 * `unavailable` instead of failing the whole report.
+	 */
+	async actionProgramActivityReport(args) {
+		const functionName = 'actionProgramActivityReport';
+		this.logger.entry(functionName, { args });
+		const { program_id, range = '30d' } = args;
+
+		if(!program_id) {
+			this.logger.error('Program ID is required.', { args });
+			throw new Error('Program ID is required for program_activity_report action');
+		}
+
+		const windowSeconds = ConversationService.PROGRAM_ACTIVITY_RANGES[range];
+		if(!windowSeconds) {
+			this.logger.error('Invalid range.', { args });
+			throw new Error(`Invalid range '${ range }' for program_activity_report action. Use one of: ${ Object.keys(ConversationService.PROGRAM_ACTIVITY_RANGES).join(', ') }`);
+		}
+
+		try {
+			this.logger.info(`Building activity report for program ${ program_id } over ${ range }...`);
+			const unavailable = [];
+			const fetchSeries = async (metric, request) => {
+				try {
+					return await request();
+				} catch(error) {
+					this.logger.warn(`Could not fetch ${ metric } series for ${ program_id }: ${ error.message }`);
+					unavailable.push({ metric, error: error.message });
+					return null;
+				}
+			};
+
+			const tvlResolution = windowSeconds <= 86400 ? '1h' : '1d';
+			const [ details, activeUsers, instructions, transactions, tvl ] = await Promise.all([
+				fetchSeries('details', () => VybeService.getProgramDetails(program_id)),
+				fetchSeries('activeUsers', () => VybeService.getProgramActiveUsersTimeSeries(program_id, { range })),
+				fetchSeries('instructions', () => VybeService.getProgramInstructionsCountTimeSeries(program_id, { range })),
+				fetchSeries('transactions', () => VybeService.getProgramTransactionsCountTimeSeries(program_id, { range })),
+				fetchSeries('tvl', () => VybeService.getProgramTvlTimeSeries(program_id, { resolution: tvlResolution })),
+			]);
+
+			const series = {
+				activeUsers: this._normalizeProgramSeries(activeUsers, [ 'dau', 'activeUsers', 'activeUsersCount', 'count', 'value' ]),
+				instructions: this._normalizeProgramSeries(instructions, [ 'instructionsCount', 'instructions', 'count', 'value' ]),
+				transactions: this._normalizeProgramSeries(transactions, [ 'transactionsCount', 'transactions', 'count', 'value' ]),
+				tvl: this._normalizeProgramSeries(tvl, [ 'tvl', 'tvlUsd', 'value' ]),
+			};
+
+			// El TVL viene con todo el histórico: lo recortamos a la misma ventana que el resto
+			const latestTime = Math.max(0, ...Object.values(series).map(points => points.at(-1)?.time || 0));
+			series.tvl = series.tvl.filter(point => point.time > latestTime - windowSeconds);
+
+			const metrics = {};
+			for(const [ metric, points ] of Object.entries(series)) {
+				if(points.length === 0) {
+					if(!unavailable.some(entry => entry.metric === metric)) unavailable.push({ metric, error: 'No data points returned' });
+					continue;
+				}
+				metrics[metric] = { ...this._summarizeProgramSeries(points), points: points.slice(-60) };
+			}
+
+			const latestOf = metric => metrics[metric]?.latest ?? null;
+			const ratios = {
+				transactionsPerUser: latestOf('activeUsers') > 0 && latestOf('transactions') !== null ?
+					latestOf('transactions') / latestOf('activeUsers') : null,
+				instructionsPerTransaction: latestOf('transactions') > 0 && latestOf('instructions') !== null ?
+					latestOf('instructions') / latestOf('transactions') : null,
+				tvlPerUser: latestOf('activeUsers') > 0 && latestOf('tvl') !== null ?
+					latestOf('tvl') / latestOf('activeUsers') : null,
+			};
+
+			const flags = [];
+			const usersChange = metrics.activeUsers?.changePercent;
+			const tvlChange = metrics.tvl?.changePercent;
+			if(usersChange !== undefined && usersChange !== null) {
+				if(usersChange >= 50) flags.push('user_growth');
+				if(usersChange <= -50) flags.push('user_decline');
+			}
+			if(tvlChange !== undefined && tvlChange !== null) {
+				if(tvlChange <= -30) flags.push('tvl_outflow');
+				if(tvlChange >= 30) flags.push('tvl_inflow');
+			}
+			// Más transacciones sin más usuarios suele indicar bots o wash trading
+			const txChange = metrics.transactions?.changePercent;
+			if(txChange !== undefined && txChange !== null && txChange >= 100 && (usersChange ?? 0) < 20) {
+				flags.push('activity_without_users');
+			}
+			if(Object.values(metrics).some(metric => metric.anomalies.length > 0)) flags.push('anomalies_detected');
+
+			const result = {
+				programId: program_id,
+				programName: details?.friendlyName || details?.name || null,
+				range,
+				details,
+				metrics,
+				ratios,
+				flags,
+				unavailable,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ program_id }`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ program_id }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to build program activity report: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Turns a Vybe program time series response into sorted `{ time, value }` points.
+	 * @param {object|Array} response - Raw response (array or `{ data }`).
+	 * @param {string[]} valueKeys - Candidate value fields, in order of preference.
+	 * @returns {Array<{time: number, value: number}>}
+	 */
+	_normalizeProgramSeries(response, valueKeys) {
+		const rows = Array.isArray(response) ? response : (response?.data || response?.series || []);
+		if(!Array.isArray(rows)) return [];
+
+		const points = new Map();
+		rows.forEach(row => {
+			const time = this._toUnixSeconds(row?.blockTime ?? row?.time ?? row?.timestamp ?? row?.timeBucketStart ?? row?.date);
+			const key = valueKeys.find(candidate => row?.[candidate] !== undefined && row?.[candidate] !== null);
+			const value = key ? parseFloat(row[key]) : NaN;
+			if(time && !isNaN(value)) points.set(time, value);
+		});
+
+		return [ ...points.entries() ]
+			.sort((a, b) => a[0] - b[0])
+			.map(([ time, value ]) => ({ time, value }));
+	}
+
+	/**
+	 * Growth rates and anomalies of a series.
+	 * Anomalies use the median absolute deviation so a single spike does not hide itself by
+	 * inflating the spread; a point is flagged when its robust z-score reaches 3.5.
+	 */
+	_summarizeProgramSeries(points) {
+		const values = points.map(point => point.value);
+		const first = values[0];
+		const latest = values[values.length - 1];
+		const percentChange = (from, to) => from > 0 ? (to - from) / from * 100 : null;
+
+		const half = Math.floor(values.length / 2);
+		const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+		const firstHalfAverage = half > 0 ? average(values.slice(0, half)) : null;
+		const secondHalfAverage = half > 0 ? average(values.slice(half)) : null;
+
+		const median = this._median(values);
+		const mad = this._median(values.map(value => Math.abs(value - median)));
+		const anomalies = mad > 0 ? points
+			.map(point => ({ ...point, score: 0.6745 * (point.value - median) / mad }))
+			.filter(point => Math.abs(point.score) >= 3.5)
+			.map(point => ({
+				time: point.time,
+				value: point.value,
+				score: Math.round(point.score * 100) / 100,
+				direction: point.score > 0 ? 'spike' : 'drop',
+			})) : [];
+
+		const periodChange = values.length > 1 ? percentChange(values[values.length - 2], latest) : null;
+		const trendChange = firstHalfAverage !== null ? percentChange(firstHalfAverage, secondHalfAverage) : null;
+
+		return {
+			first,
+			latest,
+			min: Math.min(...values),
+			max: Math.max(...values),
+			average: average(values),
+			median,
+			changePercent: percentChange(first, latest),
+			lastPeriodChangePercent: periodChange,
+			trendChangePercent: trendChange,
+			trend: trendChange === null ? 'unknown' : trendChange >= 10 ? 'growing' : trendChange <= -10 ? 'declining' : 'stable',
+			anomalies,
+		};
+	}
+
 	/**
 	 * Action: Fetch program ranking
 	 */
@@ -5397,78 +7700,520 @@ JSON Response:`;
 			// Filter for the specific market_id
 			const marketInfo = marketData.data?.find(market => market.id === market_id) || null;
 
-			this.logger.info('Market info received:', marketInfo);
+			this.logger.info('Market info received:', marketInfo);
+
+			const result = {
+				marketId: market_id,
+				programId: program_id,
+				marketInfo: marketInfo,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ market_id }`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ market_id }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch market info: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Fetch pair OHLCV
+	 */
+	async actionFetchPairOhlcv(args) {
+		const functionName = 'actionFetchPairOhlcv';
+		this.logger.entry(functionName, { args });
+		const {
+			base_mint_address,
+			quote_mint_address,
+			program_id,
+			resolution = '1d',
+			time_start,
+			time_end,
+			limit = '30',
+		} = args;
+
+		if(!base_mint_address || !quote_mint_address) {
+			this.logger.error('Base and quote mint addresses are required.', { args });
+			throw new Error('Base and quote mint addresses are required for fetch_pair_ohlcv action');
+		}
+
+		try {
+			this.logger.info(`Fetching OHLCV for pair ${ base_mint_address }/${ quote_mint_address }...`);
+			const ohlcvData = await VybeService.getPairTradeOhlcv(base_mint_address, quote_mint_address, {
+				programId: program_id,
+				resolution,
+				timeStart: time_start,
+				timeEnd: time_end,
+				limit: parseInt(limit),
+			});
+
+			this.logger.info('Pair OHLCV data received:', ohlcvData);
+
+			const result = {
+				baseMint: base_mint_address,
+				quoteMint: quote_mint_address,
+				programId: program_id,
+				resolution,
+				timeRange: {
+					start: time_start || 'default',
+					end: time_end || 'default',
+				},
+				limit: parseInt(limit),
+				ohlcvData: ohlcvData,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ base_mint_address }/${ quote_mint_address }`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ base_mint_address }/${ quote_mint_address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch pair OHLCV data: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Search Pyth price feeds
+	 */
+	async actionSearchPythPriceFeeds(args) {
+		const functionName = 'actionSearchPythPriceFeeds';
+		this.logger.entry(functionName, { args });
+		const { symbol, product_id, price_feed_id } = args;
+
+		try {
+			const accounts = await this._fetchPythAccounts({ productId: product_id, priceFeedId: price_feed_id });
+			const query = String(symbol || '').trim().toUpperCase();
+			const feeds = query
+				? accounts.filter(feed => feed.symbol.toUpperCase().includes(query))
+				: accounts;
+
+			const result = {
+				query: symbol || null,
+				totalMatches: feeds.length,
+				feeds: feeds.slice(0, 20),
+			};
+
+			this.logger.success(`Completed ${ functionName } (${ feeds.length } feeds)`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to search Pyth price feeds: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Current Pyth price with confidence interval
+	 */
+	async actionFetchPythPrice(args) {
+		const functionName = 'actionFetchPythPrice';
+		this.logger.entry(functionName, { args });
+		const { price_feed_id, symbol } = args;
+
+		if(!price_feed_id && !symbol) {
+			this.logger.error('Price feed ID or symbol is required.', { args });
+			throw new Error('Price feed ID or symbol is required for fetch_pyth_price action');
+		}
+
+		try {
+			const feed = await this._resolvePythFeed({ priceFeedId: price_feed_id, symbol });
+			const [ priceData, product ] = await Promise.all([
+				VybeService.getPythPrice(feed.priceFeedId),
+				feed.productId
+					? VybeService.getPythProduct(feed.productId).catch(e => {
+						this.logger.warn(`Could not fetch Pyth product ${ feed.productId }: ${ e.message }`);
+						return null;
+					})
+					: null,
+			]);
+
+			const result = {
+				...feed,
+				...this._normalizePythPrice(priceData),
+				product,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ feed.symbol || feed.priceFeedId }`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to fetch Pyth price: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Action: Historical Pyth prices (OHLC or price/confidence series)
+	 */
+	async actionFetchPythPriceHistory(args) {
+		const functionName = 'actionFetchPythPriceHistory';
+		this.logger.entry(functionName, { args });
+		const { price_feed_id, symbol, series = 'ohlc', resolution = '1h', days = 1 } = args;
+
+		if(!price_feed_id && !symbol) {
+			this.logger.error('Price feed ID or symbol is required.', { args });
+			throw new Error('Price feed ID or symbol is required for fetch_pyth_price_history action');
+		}
+		if(![ 'ohlc', 'price_confidence' ].includes(series)) {
+			this.logger.error('Invalid series.', { args });
+			throw new Error('Series must be "ohlc" or "price_confidence" for fetch_pyth_price_history action');
+		}
+
+		try {
+			const feed = await this._resolvePythFeed({ priceFeedId: price_feed_id, symbol });
+			const timeEnd = Math.floor(Date.now() / 1000);
+			const timeStart = timeEnd - Math.min(Math.max(parseInt(days) || 1, 1), 90) * 24 * 60 * 60;
+			const params = { resolution, timeStart, timeEnd, limit: 500 };
+
+			const historyData = series === 'ohlc'
+				? await VybeService.getPythPriceOhlc(feed.priceFeedId, params)
+				: await VybeService.getPythPriceTimeSeries(feed.priceFeedId, params);
+
+			const points = (Array.isArray(historyData?.data) ? historyData.data : [])
+				.map(row => ({
+					time: this._toUnixSeconds(row.time ?? row.timeBucketStart ?? row.timestamp ?? row.lastUpdated),
+					open: parseFloat(row.open),
+					high: parseFloat(row.high),
+					low: parseFloat(row.low),
+					close: parseFloat(row.close ?? row.price),
+					confidence: parseFloat(row.confidence ?? row.avgConf ?? row.conf),
+				}))
+				.filter(point => !isNaN(point.close))
+				.sort((a, b) => a.time - b.time);
+
+			const confidencePercents = points
+				.filter(point => !isNaN(point.confidence) && point.close > 0)
+				.map(point => point.confidence / point.close * 100);
+			const first = points[0];
+			const last = points[points.length - 1];
 
 			const result = {
-				marketId: market_id,
-				programId: program_id,
-				marketInfo: marketInfo,
+				...feed,
+				series,
+				resolution,
+				timeRange: { start: new Date(timeStart * 1000).toISOString(), end: new Date(timeEnd * 1000).toISOString() },
+				summary: points.length > 0 ? {
+					points: points.length,
+					firstPrice: first.close,
+					lastPrice: last.close,
+					changePercent: first.close > 0 ? (last.close - first.close) / first.close * 100 : null,
+					high: Math.max(...points.map(point => isNaN(point.high) ? point.close : point.high)),
+					low: Math.min(...points.map(point => isNaN(point.low) ? point.close : point.low)),
+					averageConfidencePercent: confidencePercents.length > 0
+						? confidencePercents.reduce((sum, value) => sum + value, 0) / confidencePercents.length
+						: null,
+					maxConfidencePercent: confidencePercents.length > 0 ? Math.max(...confidencePercents) : null,
+				} : null,
+				historyData,
 			};
 
-			this.logger.success(`Completed ${ functionName } for ${ market_id }`);
+			this.logger.success(`Completed ${ functionName } for ${ feed.symbol || feed.priceFeedId } (${ points.length } points)`);
 			this.logger.exit(functionName);
 			return result;
 		} catch(error) {
-			this.logger.error(`Failed in ${ functionName } for ${ market_id }`, error);
+			this.logger.error(`Failed in ${ functionName }`, error);
 			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to fetch market info: ${ error.message }`);
+			throw new Error(`Failed to fetch Pyth price history: ${ error.message }`);
 		}
 	}
 
 	/**
-	 * Action: Fetch pair OHLCV
+	 * Action: Compare the Pyth oracle price with DEX prices and flag depegs or stale feeds
 	 */
-	async actionFetchPairOhlcv(args) {
-		const functionName = 'actionFetchPairOhlcv';
+	async actionAnalyzeOracleDeviation(args) {
+		const functionName = 'actionAnalyzeOracleDeviation';
 		this.logger.entry(functionName, { args });
 		const {
-			base_mint_address,
-			quote_mint_address,
-			program_id,
-			resolution = '1d',
-			time_start,
-			time_end,
-			limit = '30',
+			token_address,
+			price_feed_id,
+			dex_program_id,
+			max_deviation_percent = 1,
+			peg_price,
+			max_staleness_seconds = 120,
 		} = args;
 
-		if(!base_mint_address || !quote_mint_address) {
-			this.logger.error('Base and quote mint addresses are required.', { args });
-			throw new Error('Base and quote mint addresses are required for fetch_pair_ohlcv action');
+		if(!token_address) {
+			this.logger.error('Token address is required.', { args });
+			throw new Error('Token address is required for analyze_oracle_deviation action');
 		}
 
 		try {
-			this.logger.info(`Fetching OHLCV for pair ${ base_mint_address }/${ quote_mint_address }...`);
-			const ohlcvData = await VybeService.getPairTradeOhlcv(base_mint_address, quote_mint_address, {
-				programId: program_id,
-				resolution,
-				timeStart: time_start,
-				timeEnd: time_end,
-				limit: parseInt(limit),
+			const maxDeviation = parseFloat(max_deviation_percent) || 1;
+			const maxStaleness = parseInt(max_staleness_seconds) || 120;
+			const now = Math.floor(Date.now() / 1000);
+
+			const tokenDetails = await VybeService.getTokenDetails(token_address).catch(e => {
+				this.logger.warn(`Could not fetch token details for ${ token_address }: ${ e.message }`);
+				return null;
 			});
+			const tokenSymbol = tokenDetails?.symbol || null;
+			if(!price_feed_id && !tokenSymbol) {
+				throw new Error('Could not determine the token symbol to find its Pyth feed; pass price_feed_id');
+			}
 
-			this.logger.info('Pair OHLCV data received:', ohlcvData);
+			const feed = await this._resolvePythFeed({ priceFeedId: price_feed_id, symbol: tokenSymbol });
+			const oracle = this._normalizePythPrice(await VybeService.getPythPrice(feed.priceFeedId));
+			const dex = await this._fetchLatestDexPrice(token_address, now);
+
+			const deviationPercent = (price, reference) => reference > 0 ? (price - reference) / reference * 100 : null;
+			const pegPrice = peg_price !== undefined && peg_price !== null
+				? parseFloat(peg_price)
+				: (ConversationService.USD_STABLECOIN_SYMBOLS.includes(String(tokenSymbol).toUpperCase()) ? 1 : null);
+
+			const flags = [];
+			const oracleDexDeviation = dex && oracle.price ? deviationPercent(dex.price, oracle.price) : null;
+			if(oracleDexDeviation !== null && Math.abs(oracleDexDeviation) > maxDeviation) {
+				flags.push({
+					type: 'oracle_market_deviation',
+					severity: Math.abs(oracleDexDeviation) > maxDeviation * 5 ? 'high' : 'medium',
+					message: `DEX price deviates ${ oracleDexDeviation.toFixed(2) }% from the Pyth price`,
+				});
+			}
+			if(dex && oracle.price && Math.abs(dex.price - oracle.price) > oracle.confidence * 3 && oracle.confidence > 0) {
+				flags.push({
+					type: 'outside_confidence',
+					severity: 'medium',
+					message: 'DEX price is more than 3 confidence intervals away from the Pyth price',
+				});
+			}
+			if(pegPrice) {
+				for(const [ source, price ] of [ [ 'oracle', oracle.price ], [ 'dex', dex?.price ] ]) {
+					const pegDeviation = price ? deviationPercent(price, pegPrice) : null;
+					if(pegDeviation !== null && Math.abs(pegDeviation) > maxDeviation) {
+						flags.push({
+							type: 'depeg',
+							severity: Math.abs(pegDeviation) > maxDeviation * 3 ? 'high' : 'medium',
+							message: `${ source === 'oracle' ? 'Pyth' : 'DEX' } price ${ price } is ${ pegDeviation.toFixed(2) }% away from the ${ pegPrice } peg`,
+						});
+					}
+				}
+			}
+			// Sin timestamp no sabemos si el feed está desactualizado: se avisa aparte y con menos severidad
+			if(oracle.ageSeconds === null) {
+				flags.push({
+					type: 'unknown_freshness',
+					severity: 'low',
+					message: 'Pyth feed did not report its last update time, its freshness could not be checked',
+				});
+			} else if(oracle.ageSeconds > maxStaleness) {
+				flags.push({
+					type: 'stale_oracle',
+					severity: 'high',
+					message: `Pyth feed last updated ${ oracle.ageSeconds }s ago (limit ${ maxStaleness }s)`,
+				});
+			}
+			if(!dex) {
+				flags.push({ type: 'no_dex_price', severity: 'medium', message: 'No DEX trades found for the token in the last 24 hours' });
+			} else if(dex.ageSeconds > 60 * 60) {
+				flags.push({ type: 'stale_dex_price', severity: 'low', message: `Last DEX price is ${ Math.round(dex.ageSeconds / 60) } minutes old` });
+			}
+			if(oracle.confidencePercent !== null && oracle.confidencePercent > maxDeviation) {
+				flags.push({
+					type: 'wide_confidence',
+					severity: 'medium',
+					message: `Pyth confidence interval is ±${ oracle.confidencePercent.toFixed(2) }% of the price`,
+				});
+			}
+
+			const markets = dex_program_id
+				? await this._compareDexMarkets(token_address, dex_program_id, oracle.price, now)
+				: [];
+			markets
+				.filter(market => market.deviationPercent !== null && Math.abs(market.deviationPercent) > maxDeviation)
+				.forEach(market => flags.push({
+					type: 'market_deviation',
+					severity: 'medium',
+					message: `Market ${ market.marketName || market.marketId } deviates ${ market.deviationPercent.toFixed(2) }% from the Pyth price`,
+				}));
 
 			const result = {
-				baseMint: base_mint_address,
-				quoteMint: quote_mint_address,
-				programId: program_id,
-				resolution,
-				timeRange: {
-					start: time_start || 'default',
-					end: time_end || 'default',
-				},
-				limit: parseInt(limit),
-				ohlcvData: ohlcvData,
+				token: token_address,
+				tokenSymbol,
+				oracle: { ...feed, ...oracle },
+				dex,
+				markets,
+				oracleDexDeviationPercent: oracleDexDeviation,
+				pegPrice,
+				thresholds: { maxDeviationPercent: maxDeviation, maxStalenessSeconds: maxStaleness },
+				status: flags.some(flag => flag.severity === 'high') ? 'alert' : (flags.length > 0 ? 'warning' : 'ok'),
+				flags,
 			};
 
-			this.logger.success(`Completed ${ functionName } for ${ base_mint_address }/${ quote_mint_address }`);
+			this.logger.success(`Completed ${ functionName } for ${ token_address } (${ result.status }, ${ flags.length } flags)`);
 			this.logger.exit(functionName);
 			return result;
 		} catch(error) {
-			this.logger.error(`Failed in ${ functionName } for ${ base_mint_address }/${ quote_mint_address }`, error);
+			this.logger.error(`Failed in ${ functionName } for ${ token_address }`, error);
 			this.logger.exit(functionName, { error: true });
-			throw new Error(`Failed to fetch pair OHLCV data: ${ error.message }`);
+			throw new Error(`Failed to analyze oracle deviation: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Lists Pyth price/product account pairs in a uniform shape.
+	 * @param {Object} [params] - { productId, priceFeedId } filters
+	 * @returns {Promise<Array<{symbol: string, priceFeedId: string, productId: string|null}>>}
+	 */
+	async _fetchPythAccounts(params = {}) {
+		const response = await VybeService.getPythAccounts(params);
+		const rows = Array.isArray(response) ? response : (response?.data || []);
+		return rows
+			.map(row => ({
+				symbol: row.symbol || '',
+				priceFeedId: row.priceFeedAccount || row.priceFeedId,
+				productId: row.productAccount || row.productId || null,
+			}))
+			.filter(feed => feed.priceFeedId);
+	}
+
+	/**
+	 * Finds the Pyth feed for a feed ID or a symbol. A symbol matches feeds whose base asset is that
+	 * symbol (e.g. "SOL" -> "Crypto.SOL/USD"), preferring the USD quote.
+	 * @param {Object} options - { priceFeedId, symbol }
+	 * @returns {Promise<{symbol: string|null, priceFeedId: string, productId: string|null}>}
+	 */
+	async _resolvePythFeed({ priceFeedId, symbol }) {
+		if(priceFeedId) {
+			const [ feed ] = await this._fetchPythAccounts({ priceFeedId }).catch(e => {
+				this.logger.warn(`Could not look up Pyth feed ${ priceFeedId }: ${ e.message }`);
+				return [];
+			});
+			return feed || { symbol: symbol || null, priceFeedId, productId: null };
+		}
+
+		const wanted = String(symbol).trim().toUpperCase();
+		const accounts = await this._fetchPythAccounts();
+		const [ base, quote ] = wanted.replace(/^[A-Z]+\./, '').split('/');
+		const candidates = accounts.filter(feed => {
+			const [ feedBase ] = feed.symbol.toUpperCase().replace(/^[A-Z]+\./, '').split('/');
+			return feedBase === base;
+		});
+		const feed = candidates.find(candidate => candidate.symbol.toUpperCase().endsWith(`/${ quote || 'USD' }`)) || candidates[0];
+
+		if(!feed) {
+			throw new Error(`No Pyth price feed found for symbol ${ symbol }`);
+		}
+		return feed;
+	}
+
+	/**
+	 * Normalizes a Pyth price response: price, confidence (absolute and % of price), EMA and staleness.
+	 * @param {Object} priceData - Response of VybeService.getPythPrice
+	 * @returns {Object}
+	 */
+	_normalizePythPrice(priceData) {
+		const price = parseFloat(priceData?.price);
+		const confidence = parseFloat(priceData?.confidence ?? priceData?.conf);
+		const lastUpdated = this._toUnixSeconds(priceData?.lastUpdated ?? priceData?.publishTime ?? priceData?.timestamp);
+
+		return {
+			price: isNaN(price) ? null : price,
+			confidence: isNaN(confidence) ? null : confidence,
+			confidencePercent: !isNaN(confidence) && price > 0 ? confidence / price * 100 : null,
+			priceRange: !isNaN(confidence) && !isNaN(price) ? { low: price - confidence, high: price + confidence } : null,
+			emaPrice: parseFloat(priceData?.emaPrice) || null,
+			emaConfidence: parseFloat(priceData?.emaConfidence) || null,
+			lastUpdated: lastUpdated ? new Date(lastUpdated * 1000).toISOString() : null,
+			ageSeconds: lastUpdated ? Math.max(0, Math.floor(Date.now() / 1000) - lastUpdated) : null,
+		};
+	}
+
+	/**
+	 * Latest USD price of a token from aggregated DEX trades: 1m candles of the last hour, or hourly
+	 * candles of the last day when the token has not traded recently.
+	 * @param {string} tokenAddress - Token mint
+	 * @param {number} now - Current time (unix seconds)
+	 * @returns {Promise<{price: number, time: string, ageSeconds: number, resolution: string}|null>}
+	 */
+	async _fetchLatestDexPrice(tokenAddress, now) {
+		for(const [ resolution, windowSeconds ] of [ [ '1m', 60 * 60 ], [ '1h', 24 * 60 * 60 ] ]) {
+			const ohlc = await VybeService.getTokenOhlc(tokenAddress, {
+				resolution,
+				timeStart: now - windowSeconds,
+				timeEnd: now,
+				limit: 1000,
+			});
+			const last = this._latestCandle(ohlc);
+			if(last) {
+				return {
+					price: last.close,
+					time: new Date(last.time * 1000).toISOString(),
+					ageSeconds: Math.max(0, now - last.time),
+					resolution,
+				};
+			}
 		}
+		return null;
+	}
+
+	/**
+	 * Compares the latest price of the token's USD-quoted markets on a DEX with the oracle price.
+	 * Markets quoted in anything other than USDC/USDT are skipped, their price is not in USD.
+	 * @returns {Promise<Array<Object>>} Up to 5 markets with their price and deviation
+	 */
+	async _compareDexMarkets(tokenAddress, programId, oraclePrice, now) {
+		const marketsData = await VybeService.getPriceMarkets({ programId, limit: 1000 });
+		const markets = (marketsData?.data || [])
+			.map(market => ({
+				marketId: market.marketId || market.id,
+				marketName: market.marketName || market.name || null,
+				baseMint: market.baseMintAddress || market.baseTokenMint,
+				quoteMint: market.quoteMintAddress || market.quoteTokenMint,
+			}))
+			.filter(market => market.marketId && (
+				(market.baseMint === tokenAddress && VybeService.USD_STABLE_MINTS.includes(market.quoteMint)) ||
+				(market.quoteMint === tokenAddress && VybeService.USD_STABLE_MINTS.includes(market.baseMint))
+			))
+			.slice(0, 5);
+
+		return mapWithConcurrency(markets, 2, async market => {
+			try {
+				const ohlcv = await VybeService.getMarketOhlcv(market.marketId, {
+					resolution: '1m',
+					timeStart: now - 60 * 60,
+					timeEnd: now,
+					limit: 1000,
+				});
+				const last = this._latestCandle(ohlcv);
+				// El precio del mercado es base en quote: si el token es la quote hay que invertirlo
+				const price = last ? (market.baseMint === tokenAddress ? last.close : 1 / last.close) : null;
+				return {
+					...market,
+					price,
+					ageSeconds: last ? Math.max(0, now - last.time) : null,
+					deviationPercent: price && oraclePrice > 0 ? (price - oraclePrice) / oraclePrice * 100 : null,
+				};
+			} catch(error) {
+				this.logger.warn(`Could not fetch OHLCV for market ${ market.marketId }: ${ error.message }`);
+				return { ...market, price: null, ageSeconds: null, deviationPercent: null, error: error.message };
+			}
+		});
+	}
+
+	_latestCandle(ohlc) {
+		return (ohlc?.data || [])
+			.map(candle => ({
+				time: this._toUnixSeconds(candle.time ?? candle.timeBucketStart),
+				close: parseFloat(candle.close),
+			}))
+			.filter(candle => candle.close > 0 && candle.time)
+			.sort((a, b) => b.time - a.time)[0] || null;
+	}
+
+	/**
+	 * Unix seconds from a timestamp in seconds, milliseconds or an ISO string.
+	 * @returns {number|null}
+	 */
+	_toUnixSeconds(value) {
+		if(value === undefined || value === null || value === '') return null;
+		const numeric = Number(value);
+		if(!isNaN(numeric)) return Math.floor(numeric > 1e12 ? numeric / 1000 : numeric);
+		const parsed = Date.parse(value);
+		return isNaN(parsed) ? null : Math.floor(parsed / 1000);
 	}
 
 	/**
@@ -5857,7 +8602,7 @@ JSON Response:`;
 	 * Action: Create price alert (Uses actionScheduleAlert internally)
 	 * @param {number} userId - User ID.
 	 * @param {number} chatId - Chat ID.
-	 * @param {object} args - Arguments { token_symbol, condition_type, threshold_value, currency? }.
+	 * @param {object} args - Arguments { token_symbol, token_address?, condition_type, threshold_value, timeframe?, direction?, currency? }.
 	 * @returns {Promise<object>} Result object containing alert details.
 	 */
 	async actionCreatePriceAlert(userId, chatId, args) {
@@ -5865,15 +8610,33 @@ JSON Response:`;
 		this.logger.entry(functionName, { userId, chatId, args });
 
 		// *** VALIDACIÓN MEJORADA ***
-		const { token_symbol, condition_type, threshold_value, currency = 'USD' } = args;
+		const {
+			token_symbol,
+			token_address,
+			condition_type,
+			threshold_value,
+			timeframe = '24h',
+			direction = 'any',
+			currency = 'USD',
+		} = args;
 
 		if(!token_symbol || typeof token_symbol !== 'string') {
 			this.logger.error('Invalid or missing token_symbol.', { args });
 			throw new Error('Token symbol (string) is required for create_price_alert action');
 		}
-		if(!condition_type || ![ 'price_above', 'price_below' ].includes(condition_type)) {
+		if(!condition_type || !AlertConditionService.CONDITION_TYPES.includes(condition_type)) {
 			this.logger.error('Invalid or missing condition_type.', { args });
-			throw new Error('Condition type must be \'price_above\' or \'price_below\'');
+			throw new Error(`Condition type must be one of: ${ AlertConditionService.CONDITION_TYPES.join(', ') }`);
+		}
+		if(condition_type === 'percent_change') {
+			if(!AlertConditionService.TIMEFRAMES[timeframe]) {
+				this.logger.error('Invalid timeframe.', { args });
+				throw new Error(`Timeframe must be one of: ${ Object.keys(AlertConditionService.TIMEFRAMES).join(', ') }`);
+			}
+			if(![ 'up', 'down', 'any' ].includes(direction)) {
+				this.logger.error('Invalid direction.', { args });
+				throw new Error('Direction must be \'up\', \'down\' or \'any\'');
+			}
 		}
 		const price = parseFloat(threshold_value);
 		if(isNaN(price) || price <= 0) {
@@ -5889,16 +8652,32 @@ JSON Response:`;
 		try {
 			this.logger.info(`Attempting to create price alert for token ${ token_symbol } (${ condition_type } ${ price } ${ currency })...`);
 
-			// NOTA: No se necesita buscar el token address aquí si el backend que procesa
-			// la tarea programada puede mapear el SÍMBOLO (e.g., 'SOL') a la dirección.
-			// Si el backend SÍ necesita la dirección, deberías buscarla aquí primero
-			// usando VybeService.getTokensSummary o similar y filtrar por símbolo.
-			// Por simplicidad, asumimos que el backend puede manejar el símbolo.
+			// El SchedulerService (AlertConditionService) resuelve el símbolo a la dirección
+			// si no la recibimos aquí, y la guarda en el payload de la tarea.
 
 			// Crear la condición para la tarea programada
-			const alertCondition = `token_symbol:${ token_symbol }|condition:${ condition_type }|threshold:${ price }|currency:${ currency }`;
-			const taskName = `Price Alert: ${ token_symbol } ${ condition_type } ${ price } ${ currency }`;
-			const alertMessage = `🔔 Price Alert Triggered! ${ token_symbol } is now ${ condition_type.replace('price_', '') } ${ price } ${ currency }.`;
+			const conditionParts = [
+				`token_symbol:${ token_symbol }`,
+				...(token_address ? [ `token_address:${ token_address }` ] : []),
+				`condition:${ condition_type }`,
+				`threshold:${ price }`,
+				...(condition_type === 'percent_change' ? [ `timeframe:${ timeframe }`, `direction:${ direction }` ] : []),
+				`currency:${ currency }`,
+			];
+			const alertCondition = conditionParts.join('|');
+
+			let conditionLabel;
+			switch(condition_type) {
+				case 'percent_change':
+					conditionLabel = `moved ${ direction === 'any' ? '' : `${ direction } ` }${ price }% within ${ timeframe }`;
+					break;
+				case 'volume_spike':
+					conditionLabel = `volume spiked to ${ price }x its hourly average`;
+					break;
+				default:
+					conditionLabel = `${ condition_type.replace('price_', '') } ${ price } ${ currency }`;
+			}
+			const alertMessage = `🔔 Price Alert Triggered! ${ token_symbol } ${ condition_type.startsWith('price_') ? 'is now ' : '' }${ conditionLabel }.`;
 
 			// Usar la acción existente para crear la tarea programada
 			this.logger.info(`Scheduling task for price alert condition: ${ alertCondition }`);
@@ -5915,8 +8694,9 @@ JSON Response:`;
 				token_symbol: token_symbol,
 				condition_type: condition_type,
 				threshold_value: price,
+				...(condition_type === 'percent_change' && { timeframe, direction }),
 				currency: currency,
-				status_message: `Price alert for ${ token_symbol } ${ condition_type.replace('price_', '') } ${ price } ${ currency } has been scheduled.`,
+				status_message: `Alert for ${ token_symbol } (${ conditionLabel }) has been scheduled. It will fire once.`,
 			};
 
 			this.logger.success(`Successfully scheduled price alert task for ${ token_symbol }`, result);
@@ -5934,6 +8714,109 @@ JSON Response:`;
 		}
 	}
 
+	/**
+	 * Action: Create or update a whale transfer alert on watched tokens.
+	 * Stored as a `whale_alert` memory object; VybeStreamService delivers the matching transfers.
+	 */
+	async actionCreateWhaleAlert(chatId, args) {
+		const functionName = 'actionCreateWhaleAlert';
+		this.logger.entry(functionName, { chatId, args });
+		const { token_symbol, watchlist_name } = args;
+		const minUsd = args.min_usd_value !== undefined && args.min_usd_value !== null ? parseFloat(args.min_usd_value) : null;
+		const minAmount = args.min_token_amount !== undefined && args.min_token_amount !== null ? parseFloat(args.min_token_amount) : null;
+
+		if(!(minUsd > 0) && !(minAmount > 0)) {
+			this.logger.error('Missing or invalid thresholds.', { args });
+			throw new Error('min_usd_value or min_token_amount (positive number) is required for create_whale_alert action');
+		}
+		if(minAmount !== null && !token_symbol) {
+			this.logger.error('min_token_amount without token_symbol.', { args });
+			throw new Error('token_symbol is required when min_token_amount is used in create_whale_alert action');
+		}
+
+		try {
+			const watchlists = await this.prisma.memoryObject.findMany({
+				where: { chatId, objectType: 'watchlist', isActive: true },
+			});
+			const scopedWatchlists = watchlist_name
+				? watchlists.filter(w => w.name.toLowerCase() === watchlist_name.toLowerCase())
+				: watchlists;
+
+			if(scopedWatchlists.length === 0) {
+				throw new Error(watchlist_name
+					? `Watchlist '${ watchlist_name }' not found. Create it with upsert_token_watchlist first`
+					: 'No active watchlists. Create one with upsert_token_watchlist first');
+			}
+
+			const watchedTokens = [ ...new Set(scopedWatchlists.flatMap(w => w.data?.tokens || [])) ];
+			let token = null;
+			if(token_symbol) {
+				token = watchedTokens.find(t => t.toLowerCase() === token_symbol.toLowerCase());
+				if(!token) {
+					throw new Error(`${ token_symbol } is not on ${ watchlist_name ? `watchlist '${ watchlist_name }'` : 'any of your watchlists' }. Add it with upsert_token_watchlist first`);
+				}
+			}
+
+			const watchlist = watchlist_name ? scopedWatchlists[0].name : null;
+			const name = token ? token.toUpperCase() : (watchlist ? `watchlist:${ watchlist }` : 'all watchlists');
+			const alertData = {
+				objectType: 'whale_alert',
+				token,
+				watchlist,
+				minUsd: minUsd > 0 ? minUsd : null,
+				minAmount: minAmount > 0 ? minAmount : null,
+				updatedAt: new Date().toISOString(),
+			};
+
+			const existingAlert = await this.prisma.memoryObject.findFirst({
+				where: { chatId, objectType: 'whale_alert', name, isActive: true },
+			});
+
+			if(existingAlert) {
+				await this.prisma.memoryObject.update({
+					where: { id: existingAlert.id },
+					data: { data: { ...alertData, createdAt: existingAlert.data?.createdAt } },
+				});
+			} else {
+				await this.prisma.memoryObject.create({
+					data: {
+						chatId,
+						objectType: 'whale_alert',
+						name,
+						data: { ...alertData, createdAt: new Date().toISOString() },
+						isActive: true,
+					},
+				});
+			}
+
+			const thresholds = [
+				...(alertData.minUsd ? [ `$${ alertData.minUsd.toLocaleString('en-US') }` ] : []),
+				...(alertData.minAmount ? [ `${ alertData.minAmount.toLocaleString('en-US') } ${ token }` ] : []),
+			].join(' or ');
+			const liveStreamEnabled = process.env.VYBE_STREAM_ENABLED === 'true';
+
+			const result = {
+				whale_alert_created: !existingAlert,
+				whale_alert_updated: !!existingAlert,
+				name,
+				tokens: token ? [ token ] : watchedTokens,
+				min_usd_value: alertData.minUsd,
+				min_token_amount: alertData.minAmount,
+				live_stream_enabled: liveStreamEnabled,
+				status_message: `Whale alert for ${ token || (watchlist ? `watchlist '${ watchlist }'` : 'all watchlist tokens') } set: transfers of at least ${ thresholds } will be sent to this chat.`
+					+ (liveStreamEnabled ? '' : ' Note: the live Vybe stream is currently disabled, so no transfers will be delivered until it is enabled.'),
+			};
+
+			this.logger.success(`Whale alert '${ name }' ${ existingAlert ? 'updated' : 'created' } for chat ${ chatId }`, result);
+			this.logger.exit(functionName, result);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to create whale alert: ${ error.message }`);
+		}
+	}
+
 	/**
 	 * Action: Get known accounts
 	 */
@@ -5973,6 +8856,44 @@ JSON Response:`;
 		}
 	}
 
+	/**
+	 * Action: Get network graph widget link
+	 */
+	async actionGetNetworkGraph(args) {
+		const functionName = 'actionGetNetworkGraph';
+		this.logger.entry(functionName, { args });
+		const { address, entity, connection_node = VybeService.NETWORK_GRAPH_DEFAULT_CONNECTION_NODE } = args;
+		const nodeTypes = [ 'wallet', 'token', 'program' ];
+
+		if(!address || !SOLANA_ADDRESS_REGEX.test(address)) {
+			this.logger.error('A valid address is required.', { args });
+			throw new Error('A valid Solana address is required for get_network_graph action');
+		}
+		if(!nodeTypes.includes(entity) || !nodeTypes.includes(connection_node)) {
+			this.logger.error('Invalid entity or connection node.', { args });
+			throw new Error(`entity and connection_node must be one of: ${ nodeTypes.join(', ') } for get_network_graph action`);
+		}
+
+		try {
+			const url = VybeService.getNetworkGraphWidgetUrl({ address, entity, connectionNode: connection_node });
+
+			const result = {
+				address,
+				entity,
+				connectionNode: connection_node,
+				url,
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ address }`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to build network graph link: ${ error.message }`);
+		}
+	}
+
 	/**
 	 * Action: Get wallet tokens time series
 	 */
@@ -6016,7 +8937,7 @@ JSON Response:`;
 	async actionGetTokenTransfersAnalysis(args) {
 		const functionName = 'actionGetTokenTransfersAnalysis';
 		this.logger.entry(functionName, { args });
-		const { token_address, time_window = '24h', min_amount = '0', analysis_type = 'volume' } = args;
+		const { token_address, time_window = '24h', min_amount = '0', analysis_type = 'volume', max_transfers = '5000' } = args;
 
 		if(!token_address) {
 			this.logger.error('Token address is required.', { args });
@@ -6045,15 +8966,22 @@ JSON Response:`;
 					timeStart = now - (24 * 60 * 60);
 			}
 
-			// Fetch transfers
-			const transfersData = await VybeService.getTokenTransfers({
+			// Fetch every transfer of the window (newest first) within the row/time budget.
+			// timeEnd fijo para que las transferencias nuevas no desplacen las páginas
+			const { rows: transferRows, stats } = await VybeService.collectPages(VybeService.iterateTokenTransfers({
 				mintAddress: token_address,
 				minUsdAmount: min_amount,
 				timeStart,
-				limit: 200, // Get a good sample for analysis
-			});
-
-			const transfers = transfersData.data || [];
+				timeEnd: now,
+				sortByDesc: 'blockTime',
+			}, { pageSize: 500, maxRows: Math.min(parseInt(max_transfers) || 5000, 20000) }));
+
+			const transfers = transferRows.map(t => ({
+				amount_usd: parseFloat(t.valueUsd ?? t.amount_usd) || 0,
+				block_time: t.blockTime ?? t.block_time,
+				sender_address: t.senderAddress ?? t.sender_address,
+				receiver_address: t.receiverAddress ?? t.receiver_address,
+			}));
 
 			// Prepare the analysis based on type
 			let analysis = {};
@@ -6204,6 +9132,15 @@ JSON Response:`;
 				minAmount: min_amount,
 				analysisType: analysis_type,
 				transactionsAnalyzed: transfers.length,
+				dataset: {
+					pagesFetched: stats.pagesFetched,
+					complete: stats.complete,
+					stopReason: stats.stopReason,
+					// Si no se cubrió toda la ventana, el análisis empieza en esta fecha
+					oldestTransferAnalyzed: transfers.length > 0
+						? new Date(transfers.reduce((oldest, t) => Math.min(oldest, t.block_time || now), now) * 1000).toISOString()
+						: null,
+				},
 				analysis: analysis,
 			};
 
@@ -6217,6 +9154,253 @@ JSON Response:`;
 		}
 	}
 
+	/**
+	 * Action: Trade flow analysis (buy/sell pressure, sizes, traders, DEX breakdown)
+	 */
+	async actionAnalyzeTokenTrades(args) {
+		const functionName = 'actionAnalyzeTokenTrades';
+		this.logger.entry(functionName, { args });
+		const { token_address, hours = 24, max_trades = 3000 } = args;
+
+		if(!token_address) {
+			this.logger.error('Token address is required.', { args });
+			throw new Error('Token address is required for analyze_token_trades action');
+		}
+
+		try {
+			const windowHours = Math.min(Math.max(parseInt(hours) || 24, 1), 168);
+			const now = Math.floor(Date.now() / 1000);
+			const timeStart = now - windowHours * 60 * 60;
+
+			const [ tokenDetails, programNames ] = await Promise.all([
+				VybeService.getTokenDetails(token_address).catch(e => {
+					this.logger.warn(`Could not fetch token details for ${ token_address }: ${ e.message }`);
+					return null;
+				}),
+				this._fetchDexProgramNames(),
+			]);
+			const tokenPriceUsd = parseFloat(tokenDetails?.price) || null;
+
+			// timeEnd fijo para que los trades nuevos no desplacen las páginas
+			const { rows, stats } = await VybeService.collectPages(VybeService.iterateTokenTrades({
+				mintAddress: token_address,
+				timeStart,
+				timeEnd: now,
+				sortByDesc: 'blockTime',
+			}, { pageSize: 500, maxRows: Math.min(Math.max(parseInt(max_trades) || 3000, 1), 20000) }));
+
+			const trades = this._classifyTrades(rows, token_address, tokenPriceUsd);
+			const sized = trades.filter(trade => trade.valueUsd !== null);
+
+			const sumUsd = list => list.reduce((sum, trade) => sum + (trade.valueUsd || 0), 0);
+			const buys = trades.filter(trade => trade.side === 'buy');
+			const sells = trades.filter(trade => trade.side === 'sell');
+			const buyVolumeUsd = sumUsd(buys);
+			const sellVolumeUsd = sumUsd(sells);
+
+			const sizeBuckets = [ [ '<$100', 0, 100 ], [ '$100-1K', 100, 1000 ], [ '$1K-10K', 1000, 10000 ], [ '$10K-100K', 10000, 100000 ], [ '$100K+', 100000, Infinity ] ];
+			const sizeDistribution = sizeBuckets.map(([ label, min, max ]) => {
+				const bucket = sized.filter(trade => trade.valueUsd >= min && trade.valueUsd < max);
+				return {
+					size: label,
+					trades: bucket.length,
+					volumeUsd: sumUsd(bucket),
+					buys: bucket.filter(trade => trade.side === 'buy').length,
+					sells: bucket.filter(trade => trade.side === 'sell').length,
+				};
+			});
+
+			const traders = new Map();
+			const programs = new Map();
+			for(const trade of trades) {
+				if(trade.trader) {
+					const trader = traders.get(trade.trader) || { address: trade.trader, trades: 0, volumeUsd: 0, netBuyUsd: 0 };
+					trader.trades++;
+					trader.volumeUsd += trade.valueUsd || 0;
+					trader.netBuyUsd += (trade.side === 'buy' ? 1 : trade.side === 'sell' ? -1 : 0) * (trade.valueUsd || 0);
+					traders.set(trade.trader, trader);
+				}
+
+				const programId = trade.programId || 'unknown';
+				const program = programs.get(programId) || { programId, name: programNames.get(programId) || null, trades: 0, volumeUsd: 0, buyVolumeUsd: 0, sellVolumeUsd: 0 };
+				program.trades++;
+				program.volumeUsd += trade.valueUsd || 0;
+				if(trade.side === 'buy') program.buyVolumeUsd += trade.valueUsd || 0;
+				if(trade.side === 'sell') program.sellVolumeUsd += trade.valueUsd || 0;
+				programs.set(programId, program);
+			}
+
+			const totalVolumeUsd = sumUsd(trades);
+			const traderList = [ ...traders.values() ];
+			const result = {
+				token: token_address,
+				tokenSymbol: tokenDetails?.symbol || null,
+				tokenPriceUsd,
+				windowHours,
+				tradesAnalyzed: trades.length,
+				dataset: {
+					pagesFetched: stats.pagesFetched,
+					complete: stats.complete,
+					stopReason: stats.stopReason,
+					oldestTradeAnalyzed: trades.length > 0
+						? new Date(Math.min(...trades.map(trade => trade.time || now)) * 1000).toISOString()
+						: null,
+					tradesWithoutUsdValue: trades.length - sized.length,
+					sideMethod: this._countBy(trades, 'sideMethod'),
+				},
+				pressure: {
+					buys: buys.length,
+					sells: sells.length,
+					unknown: trades.length - buys.length - sells.length,
+					buyVolumeUsd,
+					sellVolumeUsd,
+					netBuyVolumeUsd: buyVolumeUsd - sellVolumeUsd,
+					buyRatio: buyVolumeUsd + sellVolumeUsd > 0 ? buyVolumeUsd / (buyVolumeUsd + sellVolumeUsd) : null,
+					signal: this._pressureSignal(buyVolumeUsd, sellVolumeUsd),
+				},
+				totalVolumeUsd,
+				averageTradeUsd: sized.length > 0 ? sumUsd(sized) / sized.length : null,
+				medianTradeUsd: this._median(sized.map(trade => trade.valueUsd)),
+				sizeDistribution,
+				traders: {
+					unique: traderList.length,
+					topByVolume: traderList.sort((a, b) => b.volumeUsd - a.volumeUsd).slice(0, 5),
+					topNetBuyers: [ ...traderList ].filter(trader => trader.netBuyUsd > 0).sort((a, b) => b.netBuyUsd - a.netBuyUsd).slice(0, 5),
+					topNetSellers: [ ...traderList ].filter(trader => trader.netBuyUsd < 0).sort((a, b) => a.netBuyUsd - b.netBuyUsd).slice(0, 5),
+				},
+				volumeByProgram: [ ...programs.values() ]
+					.map(program => ({ ...program, volumeSharePercent: totalVolumeUsd > 0 ? program.volumeUsd / totalVolumeUsd * 100 : null }))
+					.sort((a, b) => b.volumeUsd - a.volumeUsd),
+				largestTrades: [ ...sized ]
+					.sort((a, b) => b.valueUsd - a.valueUsd)
+					.slice(0, 10)
+					.map(trade => ({
+						...trade,
+						programName: programNames.get(trade.programId) || null,
+						time: trade.time ? new Date(trade.time * 1000).toISOString() : null,
+					})),
+			};
+
+			this.logger.success(`Completed ${ functionName } for ${ token_address } (${ trades.length } trades, ${ stats.stopReason })`);
+			this.logger.exit(functionName);
+			return result;
+		} catch(error) {
+			this.logger.error(`Failed in ${ functionName } for ${ token_address }`, error);
+			this.logger.exit(functionName, { error: true });
+			throw new Error(`Failed to analyze token trades: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Normalizes Vybe trade rows from the point of view of `tokenAddress` and assigns each one a side.
+	 * The side comes from an explicit `side` field or signed sizes when the API provides them; otherwise
+	 * the tick rule is applied per market (price up vs. the previous trade = buy, down = sell, unchanged
+	 * = same side as the previous trade).
+	 * @param {Array<Object>} rows - Trade rows from getTokenTrades
+	 * @param {string} tokenAddress - Mint analysed
+	 * @param {number|null} tokenPriceUsd - Current USD price, to value trades not quoted in USDC/USDT
+	 * @returns {Array<Object>} { signature, time, trader, programId, marketId, tokenAmount, price, valueUsd, side, sideMethod }
+	 */
+	_classifyTrades(rows, tokenAddress, tokenPriceUsd) {
+		const trades = rows
+			.filter(row => row.baseMintAddress === tokenAddress || row.quoteMintAddress === tokenAddress)
+			.map(row => {
+				const isBase = row.baseMintAddress === tokenAddress;
+				const counterMint = isBase ? row.quoteMintAddress : row.baseMintAddress;
+				const baseSize = parseFloat(row.baseSize) || 0;
+				const quoteSize = parseFloat(row.quoteSize) || 0;
+				const rawPrice = parseFloat(row.price) || 0;
+				const tokenAmount = Math.abs(isBase ? baseSize : quoteSize);
+				const counterAmount = Math.abs(isBase ? quoteSize : baseSize);
+
+				let valueUsd = null;
+				if(VybeService.USD_STABLE_MINTS.includes(counterMint)) valueUsd = counterAmount;
+				else if(tokenPriceUsd) valueUsd = tokenAmount * tokenPriceUsd;
+
+				// Lado explícito o por signo del tamaño (si el API lo da), relativo a la base
+				let side = null;
+				let sideMethod = 'tick_rule';
+				const explicitSide = String(row.side || row.tradeSide || '').toLowerCase();
+				if(explicitSide === 'buy' || explicitSide === 'sell') {
+					side = explicitSide;
+					sideMethod = 'explicit';
+				} else if(baseSize < 0 || quoteSize < 0) {
+					side = baseSize > 0 ? 'buy' : 'sell';
+					sideMethod = 'signed_size';
+				}
+				if(side && !isBase) side = side === 'buy' ? 'sell' : 'buy';
+
+				return {
+					signature: row.signature,
+					time: this._toUnixSeconds(row.blockTime),
+					trader: row.authorityAddress || row.feePayer || null,
+					programId: row.programId || null,
+					marketId: row.marketId || null,
+					tokenAmount,
+					// Precio del token expresado en el otro activo del mercado
+					price: rawPrice > 0 ? (isBase ? rawPrice : 1 / rawPrice) : null,
+					valueUsd,
+					side,
+					sideMethod,
+				};
+			});
+
+		const lastByMarket = new Map();
+		for(const trade of [ ...trades ].sort((a, b) => (a.time || 0) - (b.time || 0))) {
+			if(trade.sideMethod !== 'tick_rule' || !trade.price) continue;
+			const previous = lastByMarket.get(trade.marketId);
+			if(previous) {
+				if(trade.price > previous.price) trade.side = 'buy';
+				else if(trade.price < previous.price) trade.side = 'sell';
+				else trade.side = previous.side;
+			}
+			lastByMarket.set(trade.marketId, { price: trade.price, side: trade.side });
+		}
+		return trades;
+	}
+
+	/**
+	 * Map of DEX program ID -> name from Vybe's price programs (empty if the call fails).
+	 * @returns {Promise<Map<string, string>>}
+	 */
+	async _fetchDexProgramNames() {
+		try {
+			const response = await VybeService.getPricePrograms();
+			const rows = Array.isArray(response) ? response : (response?.data || []);
+			return new Map(rows
+				.filter(row => row.programId)
+				.map(row => [ row.programId, row.programName || row.name || row.programId ]));
+		} catch(error) {
+			this.logger.warn(`Could not fetch DEX program names: ${ error.message }`);
+			return new Map();
+		}
+	}
+
+	_pressureSignal(buyVolumeUsd, sellVolumeUsd) {
+		const total = buyVolumeUsd + sellVolumeUsd;
+		if(total <= 0) return 'unknown';
+		const ratio = buyVolumeUsd / total;
+		if(ratio >= 0.65) return 'strong_buy';
+		if(ratio >= 0.55) return 'buy';
+		if(ratio > 0.45) return 'neutral';
+		if(ratio > 0.35) return 'sell';
+		return 'strong_sell';
+	}
+
+	_countBy(list, key) {
+		return list.reduce((counts, item) => {
+			counts[item[key]] = (counts[item[key]] || 0) + 1;
+			return counts;
+		}, {});
+	}
+
+	_median(values) {
+		if(values.length === 0) return null;
+		const sorted = [ ...values ].sort((a, b) => a - b);
+		const middle = Math.floor(sorted.length / 2);
+		return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+	}
+
 	/**
 	 * Action: Get price prediction
 	 */
@@ -6666,13 +9850,8 @@ JSON Response:`;
 
 			// (El resto es similar a actionSemanticQuery pero con la colección correcta)
 			this.logger.info('Instantiating OpenAI embedding function for chat search...');
-			if(!process.env.OPENAI_API_KEY) {
-				throw new Error('Missing OpenAI API Key configuration.');
-			}
-			const embeddingFunction = new OpenAIEmbeddingFunction({
-				openai_api_key: process.env.OPENAI_API_KEY,
-				openai_model: ConversationService.TOKEN_EMBEDDING_MODEL, // Asegúrate que coincida con el usado en createSearchCollection
-			});
+			// Debe coincidir con el modelo usado en createSearchCollection
+			const embeddingFunction = this._createEmbeddingFunction();
 
 			this.logger.info(`Getting collection '${ targetCollectionName }' with embedding function...`);
 			const chromaCollection = await ChromaService.client.getCollection({
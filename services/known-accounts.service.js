@@ -0,0 +1,210 @@
+// known-accounts.service.js
+import 'dotenv/config';
+import VybeService from './vybe.service.js';
+import { createLogger } from '#utils/logger.js';
+import { SOLANA_ADDRESS_REGEX } from '#utils/format.js';
+
+/**
+ * In-memory directory of Vybe's labeled addresses: known accounts (exchanges, market makers,
+ * treasuries...) and known program accounts. Known accounts are paged up to `ACCOUNTS_BUDGET`,
+ * programs come in a single response, and both are kept for `REFRESH_INTERVAL_MS`; the responses
+ * themselves are also persisted by VybeCacheService, so a restart does not hit the API again.
+ *
+ * `annotate()` adds the labels to action results before they reach the model, and `getLabel()`
+ * is a synchronous lookup for formatters once the directory has been loaded.
+ */
+class KnownAccountsService {
+	static logger = createLogger({
+		name: 'KnownAccountsService',
+		level: process.env.LOG_LEVEL || 'info',
+		files: process.env.LOG_TO_FILES === 'true',
+		console: true,
+	});
+
+	static REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+	// Si la carga falla no reintentamos en cada llamada
+	static RETRY_INTERVAL_MS = 5 * 60 * 1000;
+	static MAX_ANNOTATION_DEPTH = 8;
+	// Presupuesto para recorrer las páginas de known accounts (opciones de VybeService.paginate)
+	static ACCOUNTS_BUDGET = { pageSize: 1000, maxRows: 20000, maxPages: 20, maxDurationMs: 60 * 1000 };
+
+	// address -> { name, entity, labels, type }
+	static directory = new Map();
+	static loadedAt = 0;
+	static failedAt = 0;
+	static loading = null;
+
+	/**
+	 * Loads (or refreshes) the directory when it is older than `REFRESH_INTERVAL_MS`.
+	 * Never throws: on failure the previous directory is kept.
+	 * @param {object} [options]
+	 * @param {boolean} [options.force] - Refresh even if the directory is still fresh.
+	 * @returns {Promise<Map<string, object>>} The directory.
+	 */
+	static async load({ force = false } = {}) {
+		const now = Date.now();
+		const fresh = this.loadedAt && now - this.loadedAt < this.REFRESH_INTERVAL_MS;
+		const backingOff = this.failedAt && now - this.failedAt < this.RETRY_INTERVAL_MS;
+		if(!force && (fresh || backingOff)) return this.directory;
+
+		if(!this.loading) {
+			this.loading = this._fetchDirectory()
+				.then(directory => {
+					this.directory = directory;
+					this.loadedAt = Date.now();
+					this.failedAt = 0;
+					this.logger.info(`Loaded ${ directory.size } known accounts`);
+				})
+				.catch(error => {
+					this.failedAt = Date.now();
+					this.logger.warn(`Could not load known accounts: ${ error.message }`);
+				})
+				.finally(() => {
+					this.loading = null;
+				});
+		}
+		await this.loading;
+		return this.directory;
+	}
+
+	/**
+	 * Synchronous lookup in the loaded directory.
+	 * @param {string} address
+	 * @returns {{ name: string, entity: string|null, labels: string[], type: 'account'|'program' }|null}
+	 */
+	static getAccount(address) {
+		if(!address || typeof address !== 'string') return null;
+		return this.directory.get(address) || null;
+	}
+
+	/**
+	 * Display label of an address (e.g. "Binance Hot Wallet"), or null if it is not labeled.
+	 * @param {string} address
+	 * @returns {string|null}
+	 */
+	static getLabel(address) {
+		return this.getAccount(address)?.name || null;
+	}
+
+	/**
+	 * Loads the directory if needed and returns the label of an address.
+	 * @param {string} address
+	 * @returns {Promise<string|null>}
+	 */
+	static async lookupLabel(address) {
+		await this.load();
+		return this.getLabel(address);
+	}
+
+	/**
+	 * Returns a copy of an action result where every property holding a labeled address gets a
+	 * sibling `<property>Label` (e.g. `ownerAddress` -> `ownerAddressLabel`), plus a top-level
+	 * `knownAccounts` map with every labeled address found, including those inside string arrays.
+	 * Results without labeled addresses (or that are not plain objects) are returned unchanged.
+	 * @param {*} result - Action result.
+	 * @returns {Promise<*>}
+	 */
+	static async annotate(result) {
+		if(!result || typeof result !== 'object' || Array.isArray(result)) return result;
+
+		await this.load();
+		if(this.directory.size === 0) return result;
+
+		const found = {};
+		const annotated = this._annotateValue(result, found, 0);
+		if(Object.keys(found).length === 0) return result;
+
+		return { ...annotated, knownAccounts: found };
+	}
+
+	/**
+	 * @private
+	 */
+	static _annotateValue(value, found, depth) {
+		if(typeof value === 'string') {
+			const account = this._match(value);
+			if(account) found[value] = account;
+			return value;
+		}
+		if(!value || typeof value !== 'object' || depth >= this.MAX_ANNOTATION_DEPTH) return value;
+		if(Array.isArray(value)) return value.map(item => this._annotateValue(item, found, depth + 1));
+		if(Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) return value;
+
+		const annotated = {};
+		for(const [ key, item ] of Object.entries(value)) {
+			annotated[key] = this._annotateValue(item, found, depth + 1);
+			const account = typeof item === 'string' ? this._match(item) : null;
+			if(account && value[`${ key }Label`] === undefined) annotated[`${ key }Label`] = account.name;
+		}
+		return annotated;
+	}
+
+	/**
+	 * @private
+	 */
+	static _match(value) {
+		if(value.length < 32 || value.length > 44 || !SOLANA_ADDRESS_REGEX.test(value)) return null;
+		return this.directory.get(value) || null;
+	}
+
+	/**
+	 * Fetches both lists and builds the directory. Fails only if both lists fail.
+	 * @private
+	 */
+	static async _fetchDirectory() {
+		const [ accounts, programs ] = await Promise.allSettled([
+			this._fetchAccounts(),
+			VybeService.getKnownProgramAccounts(),
+		]);
+		if(accounts.status === 'rejected' && programs.status === 'rejected') throw accounts.reason;
+
+		const directory = new Map();
+		const rowsOf = (settled, key) => {
+			if(settled.status !== 'fulfilled') {
+				this.logger.warn(`Could not fetch known ${ key }: ${ settled.reason?.message }`);
+				return [];
+			}
+			return VybeService._extractRows(settled.value, key);
+		};
+
+		// Los programas primero: si una dirección está en ambas listas gana la etiqueta de cuenta
+		rowsOf(programs, 'programs').forEach(row => {
+			const address = row.programId || row.address;
+			const name = row.friendlyName || row.name || row.entityName;
+			if(address && name) directory.set(address, this._entry(row, name, 'program'));
+		});
+		rowsOf(accounts, 'accounts').forEach(row => {
+			const address = row.ownerAddress || row.address;
+			const name = row.name || row.entityName || row.entity;
+			if(address && name) directory.set(address, this._entry(row, name, 'account'));
+		});
+
+		return directory;
+	}
+
+	/**
+	 * Pages through the known accounts within `ACCOUNTS_BUDGET`.
+	 * @private
+	 */
+	static async _fetchAccounts() {
+		const { rows, stats } = await VybeService.collectPages(VybeService.iterateKnownAccounts({}, this.ACCOUNTS_BUDGET));
+		if(!stats.complete) {
+			this.logger.warn(`Known accounts truncated at ${ stats.rows } rows after ${ stats.pagesFetched } page(s) (${ stats.stopReason })`);
+		}
+		return rows;
+	}
+
+	/**
+	 * @private
+	 */
+	static _entry(row, name, type) {
+		return {
+			name,
+			entity: row.entityName || row.entity || null,
+			labels: Array.isArray(row.labels) ? row.labels : [],
+			type,
+		};
+	}
+}
+
+export default KnownAccountsService;
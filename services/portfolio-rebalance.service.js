@@ -0,0 +1,289 @@
+// portfolio-rebalance.service.js
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import VybeService from './vybe.service.js';
+import AlertConditionService from './alert-condition.service.js';
+import { createLogger } from '#utils/logger.js';
+import { mapWithConcurrency } from '#utils/concurrency.js';
+import { SOLANA_ADDRESS_REGEX, escapeHtml, formatNumber } from '#utils/format.js';
+
+/**
+ * Compares a portfolio plan (`portfolio_plan` memory object saved with `upsert_portfolio_plan`)
+ * with the SPL holdings of the user's wallets and proposes the trades that bring every asset that
+ * drifted outside the tolerance band back to its target weight.
+ *
+ * Drift is measured in percentage points of the total value (target 20%, holding 26% → +6 pp).
+ * Holdings that are not in the plan have a 0% target, so they only show up as sells once they
+ * weigh more than the tolerance. Only out-of-band assets are traded, so sells and buys do not
+ * have to net out: `totals.netUsd` is the cash the proposal needs (or frees when negative).
+ *
+ * Used by the `rebalance_portfolio` action and by the scheduler's `sendPortfolioDriftAlert` task.
+ */
+class PortfolioRebalanceService {
+	static DEFAULT_TOLERANCE_PERCENT = 5;
+	static DEFAULT_MIN_TRADE_USD = 10;
+	static MAX_WALLETS = 10;
+	// Símbolos que representan el mismo activo a efectos del plan
+	static SYMBOL_ALIASES = { WSOL: 'SOL' };
+
+	constructor() {
+		this.logger = createLogger({
+			name: 'PortfolioRebalanceService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+		this.conditionService = new AlertConditionService();
+	}
+
+	/**
+	 * Loads a portfolio plan of a chat by name (case-insensitive), or the most recently updated one.
+	 * @param {number} chatId - Chat ID.
+	 * @param {string} [planName]
+	 * @returns {Promise<object>} MemoryObject row.
+	 */
+	async loadPlan(chatId, planName = null) {
+		const plans = await this.prisma.memoryObject.findMany({
+			where: { chatId, objectType: 'portfolio_plan', isActive: true },
+			orderBy: { modified: 'desc' },
+		});
+		if(plans.length === 0) {
+			throw new Error('No portfolio plan saved yet. Create one with upsert_portfolio_plan first');
+		}
+		if(!planName) return plans[0];
+
+		const plan = plans.find(row => row.name.trim().toLowerCase() === planName.trim().toLowerCase());
+		if(!plan) {
+			throw new Error(`Portfolio plan "${ planName }" not found. Saved plans: ${ plans.map(row => row.name).join(', ') }`);
+		}
+		return plan;
+	}
+
+	/**
+	 * Builds the rebalancing report of a plan against the merged holdings of some wallets.
+	 * @param {object} options
+	 * @param {object} options.plan - `portfolio_plan` MemoryObject row.
+	 * @param {Array<string>} options.wallets - Wallet addresses (1 to `MAX_WALLETS`).
+	 * @param {number} [options.tolerancePercent] - Allowed drift, in percentage points.
+	 * @param {number} [options.minTradeUsd] - Smaller trades are not proposed.
+	 * @returns {Promise<object>} Report (see `computeDrift`) plus `{ plan, wallets }`.
+	 */
+	async buildReport({ plan, wallets, tolerancePercent = PortfolioRebalanceService.DEFAULT_TOLERANCE_PERCENT, minTradeUsd = PortfolioRebalanceService.DEFAULT_MIN_TRADE_USD }) {
+		const functionName = 'buildReport';
+		this.logger.entry(functionName, { planId: plan.id, wallets, tolerancePercent });
+
+		if(!wallets?.length || wallets.length > PortfolioRebalanceService.MAX_WALLETS) {
+			throw new Error(`Between 1 and ${ PortfolioRebalanceService.MAX_WALLETS } wallets are required`);
+		}
+
+		const holdings = await this.fetchHoldings(wallets);
+		const report = PortfolioRebalanceService.computeDrift(plan.data?.allocations || [], holdings, { tolerancePercent, minTradeUsd });
+
+		// Los tokens del plan que no se tienen no traen precio: se busca para poder dar cantidades
+		for(const trade of report.trades.filter(trade => trade.priceUsd === null)) {
+			try {
+				const mintAddress = trade.mintAddress || await this.conditionService.resolveTokenAddress(PortfolioRebalanceService.normalizeSymbol(trade.token));
+				const details = await VybeService.getTokenDetails(mintAddress);
+				const price = parseFloat(details?.price ?? details?.price_usd);
+				trade.mintAddress = mintAddress;
+				if(price > 0) {
+					trade.priceUsd = price;
+					trade.amount = trade.tradeUsd / price;
+				}
+			} catch(error) {
+				this.logger.warn(`Could not price ${ trade.token } for the rebalance proposal: ${ error.message }`);
+			}
+		}
+
+		this.logger.exit(functionName, { outOfBand: report.outOfBandCount, trades: report.trades.length });
+		return {
+			plan: {
+				id: plan.id,
+				name: plan.name,
+				rebalanceFrequency: plan.data?.rebalanceFrequency || null,
+			},
+			wallets,
+			...report,
+		};
+	}
+
+	/**
+	 * SPL holdings of several wallets merged by mint address.
+	 * @param {Array<string>} wallets
+	 * @returns {Promise<Array<{mintAddress: string, symbol: string, amount: number, priceUsd: number, valueUsd: number}>>}
+	 */
+	async fetchHoldings(wallets) {
+		const responses = await mapWithConcurrency(wallets, 3, wallet =>
+			VybeService.getWalletTokens(wallet, { sortByDesc: 'valueUsd', limit: 1000 }).catch(error => {
+				// Sin los saldos de una wallet las derivas serían falsas, así que no se sigue
+				throw new Error(`Could not fetch balances of ${ wallet }: ${ error.message }`);
+			}),
+		);
+
+		const holdings = new Map();
+		for(const row of responses.flatMap(response => Array.isArray(response?.data) ? response.data : [])) {
+			const key = row.mintAddress || row.symbol;
+			const holding = holdings.get(key) || {
+				mintAddress: row.mintAddress || null,
+				symbol: row.symbol || 'UNKNOWN',
+				amount: 0,
+				priceUsd: parseFloat(row.priceUsd) || 0,
+				valueUsd: 0,
+			};
+			holding.amount += parseFloat(row.amount) || 0;
+			holding.valueUsd += parseFloat(row.valueUsd) || 0;
+			holdings.set(key, holding);
+		}
+		return [ ...holdings.values() ];
+	}
+
+	/**
+	 * Drift of every planned asset, plus unplanned holdings above the tolerance, and the trades
+	 * that bring the out-of-band ones back to target. Pure: no I/O.
+	 * @param {Array<{token: string, percentage: number}>} allocations - Plan allocations (token symbol or mint address).
+	 * @param {Array<object>} holdings - Output of `fetchHoldings`.
+	 * @param {object} [options]
+	 * @param {number} [options.tolerancePercent]
+	 * @param {number} [options.minTradeUsd]
+	 * @returns {object} `{ totalValueUsd, tolerancePercent, minTradeUsd, needsRebalance, outOfBandCount, assets, trades, totals, otherHoldings }`
+	 */
+	static computeDrift(allocations, holdings, { tolerancePercent = this.DEFAULT_TOLERANCE_PERCENT, minTradeUsd = this.DEFAULT_MIN_TRADE_USD } = {}) {
+		const totalValueUsd = holdings.reduce((sum, holding) => sum + holding.valueUsd, 0);
+		const percentOf = value => totalValueUsd > 0 ? value / totalValueUsd * 100 : 0;
+
+		const matched = new Set();
+		const rows = allocations.map(allocation => {
+			const token = String(allocation.token).trim();
+			const isAddress = SOLANA_ADDRESS_REGEX.test(token);
+			const symbol = this.normalizeSymbol(token);
+			const held = holdings.filter(holding => isAddress
+				? holding.mintAddress === token
+				: this.normalizeSymbol(holding.symbol) === symbol);
+			held.forEach(holding => matched.add(holding));
+
+			// Con varias mints del mismo símbolo manda la de más valor (precio y dirección)
+			const main = [ ...held ].sort((a, b) => b.valueUsd - a.valueUsd)[0];
+			return {
+				token: isAddress ? (main?.symbol || token) : symbol,
+				mintAddress: main?.mintAddress || (isAddress ? token : null),
+				priceUsd: main?.priceUsd || null,
+				amount: held.reduce((sum, holding) => sum + holding.amount, 0),
+				valueUsd: held.reduce((sum, holding) => sum + holding.valueUsd, 0),
+				targetPercent: parseFloat(allocation.percentage) || 0,
+				planned: true,
+			};
+		});
+
+		const unplanned = holdings.filter(holding => !matched.has(holding));
+		unplanned
+			.filter(holding => percentOf(holding.valueUsd) > tolerancePercent)
+			.forEach(holding => rows.push({
+				token: holding.symbol,
+				mintAddress: holding.mintAddress,
+				priceUsd: holding.priceUsd || null,
+				amount: holding.amount,
+				valueUsd: holding.valueUsd,
+				targetPercent: 0,
+				planned: false,
+			}));
+
+		const assets = rows.map(row => {
+			const currentPercent = percentOf(row.valueUsd);
+			const driftPercent = currentPercent - row.targetPercent;
+			const outOfBand = totalValueUsd > 0 && Math.abs(driftPercent) > tolerancePercent;
+			const tradeUsd = totalValueUsd * row.targetPercent / 100 - row.valueUsd;
+			return {
+				...row,
+				currentPercent,
+				driftPercent,
+				status: !outOfBand ? 'in_band' : driftPercent > 0 ? 'overweight' : 'underweight',
+				tradeUsd: outOfBand ? tradeUsd : 0,
+			};
+		}).sort((a, b) => Math.abs(b.driftPercent) - Math.abs(a.driftPercent));
+
+		// Ventas primero: financian las compras
+		const trades = assets
+			.filter(asset => asset.status !== 'in_band' && Math.abs(asset.tradeUsd) >= minTradeUsd)
+			.map(asset => ({
+				token: asset.token,
+				mintAddress: asset.mintAddress,
+				action: asset.tradeUsd < 0 ? 'sell' : 'buy',
+				tradeUsd: Math.abs(asset.tradeUsd),
+				priceUsd: asset.priceUsd,
+				amount: asset.priceUsd ? Math.abs(asset.tradeUsd) / asset.priceUsd : null,
+				fromPercent: asset.currentPercent,
+				toPercent: asset.targetPercent,
+			}))
+			.sort((a, b) => (a.action === b.action ? b.tradeUsd - a.tradeUsd : a.action === 'sell' ? -1 : 1));
+
+		const sellUsd = trades.filter(trade => trade.action === 'sell').reduce((sum, trade) => sum + trade.tradeUsd, 0);
+		const buyUsd = trades.filter(trade => trade.action === 'buy').reduce((sum, trade) => sum + trade.tradeUsd, 0);
+		const otherHoldings = unplanned.filter(holding => percentOf(holding.valueUsd) <= tolerancePercent);
+		const outOfBandCount = assets.filter(asset => asset.status !== 'in_band').length;
+
+		return {
+			totalValueUsd,
+			tolerancePercent,
+			minTradeUsd,
+			needsRebalance: trades.length > 0,
+			outOfBandCount,
+			assets,
+			trades,
+			totals: { sellUsd, buyUsd, netUsd: buyUsd - sellUsd },
+			otherHoldings: {
+				count: otherHoldings.length,
+				valueUsd: otherHoldings.reduce((sum, holding) => sum + holding.valueUsd, 0),
+				percent: percentOf(otherHoldings.reduce((sum, holding) => sum + holding.valueUsd, 0)),
+			},
+		};
+	}
+
+	/**
+	 * Upper-case symbol without "$", with aliases applied (WSOL → SOL).
+	 * @param {string} symbol
+	 * @returns {string}
+	 */
+	static normalizeSymbol(symbol) {
+		const normalized = String(symbol || '').replace(/^\$/, '').trim().toUpperCase();
+		return this.SYMBOL_ALIASES[normalized] || normalized;
+	}
+
+	/**
+	 * Telegram message of a drift alert.
+	 * @param {object} report - Output of `buildReport`.
+	 * @returns {string} HTML message.
+	 */
+	formatDriftAlert(report) {
+		const lines = [
+			`⚖️ <b>PORTFOLIO DRIFT</b> · ${ escapeHtml(report.plan.name) }`,
+			'',
+			`${ report.outOfBandCount } asset(s) outside the ±${ report.tolerancePercent }% band · Value: $${ formatNumber(report.totalValueUsd, 2, 2) }`,
+			'',
+		];
+
+		report.assets.filter(asset => asset.status !== 'in_band').forEach(asset => {
+			const sign = asset.driftPercent >= 0 ? '+' : '';
+			lines.push(`${ asset.status === 'overweight' ? '🔺' : '🔻' } <b>${ escapeHtml(asset.token) }</b> ${ asset.currentPercent.toFixed(1) }% vs ${ asset.targetPercent.toFixed(1) }% (${ sign }${ asset.driftPercent.toFixed(1) } pp)`);
+		});
+
+		if(report.trades.length > 0) {
+			lines.push('', '<b>Proposed trades</b>');
+			report.trades.forEach(trade => {
+				const amount = trade.amount !== null ? ` (${ formatNumber(trade.amount, 4) } ${ escapeHtml(trade.token) })` : '';
+				lines.push(`${ trade.action === 'sell' ? '🔴 Sell' : '🟢 Buy' } $${ formatNumber(trade.tradeUsd, 2, 2) } of ${ escapeHtml(trade.token) }${ amount }`);
+			});
+			if(Math.abs(report.totals.netUsd) >= report.minTradeUsd) {
+				lines.push(report.totals.netUsd > 0
+					? `<i>Needs $${ formatNumber(report.totals.netUsd, 2, 2) } of extra cash.</i>`
+					: `<i>Frees $${ formatNumber(-report.totals.netUsd, 2, 2) } of cash.</i>`);
+			}
+		}
+
+		lines.push('', '<i>Ask me to "rebalance my portfolio" for the full report.</i>');
+		return lines.join('\n');
+	}
+}
+
+export default PortfolioRebalanceService;
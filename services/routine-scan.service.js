@@ -0,0 +1,327 @@
+// routine-scan.service.js
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import VybeService from './vybe.service.js';
+import { createLogger } from '#utils/logger.js';
+import { getNextCronRun, toCronExpression } from '#utils/cron.js';
+import { escapeHtml, formatNumber } from '#utils/format.js';
+
+/**
+ * Runs RoutineScan rows on their schedule: takes a snapshot of a wallet's balances or a token's
+ * top holders, diffs it against the previous snapshot and sends only the changes to Telegram.
+ */
+class RoutineScanService {
+	static SCAN_TYPES = [ 'wallet', 'token_holders' ];
+	static DEFAULT_MIN_CHANGE_PERCENT = 1;
+	static DEFAULT_TOP_N = 20;
+	static DEFAULT_BATCH_SIZE = 10;
+	// Máximo de cambios listados en un mensaje para no pasar el límite de Telegram
+	static MAX_CHANGES_PER_MESSAGE = 25;
+
+	/**
+	 * @param {import('telegraf').Telegram} telegram - Telegraf API client used to deliver changes.
+	 */
+	constructor(telegram) {
+		this.logger = createLogger({
+			name: 'RoutineScanService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+		this.telegram = telegram;
+	}
+
+	/**
+	 * Computes the next scan date for a frequency ("hourly", "every day at 9am", cron...).
+	 * @param {string} frequency - Cron expression or natural-language recurrence.
+	 * @param {string} [timezone='UTC'] - IANA timezone the frequency is expressed in.
+	 * @param {Date} [fromDate=new Date()]
+	 * @returns {Date}
+	 */
+	static getNextScan(frequency, timezone = 'UTC', fromDate = new Date()) {
+		return getNextCronRun(toCronExpression(frequency), timezone, fromDate);
+	}
+
+	/**
+	 * Runs every active scan whose nextScan is due.
+	 * @returns {Promise<number>} Number of scans processed.
+	 */
+	async runDueScans() {
+		const dueScans = await this.prisma.routineScan.findMany({
+			where: {
+				active: true,
+				nextScan: { lte: new Date() },
+			},
+			orderBy: { nextScan: 'asc' },
+			take: RoutineScanService.DEFAULT_BATCH_SIZE,
+		});
+
+		if(dueScans.length > 0) {
+			this.logger.info(`Found ${ dueScans.length } due routine scan(s).`);
+		}
+
+		for(const scan of dueScans) {
+			await this.runScan(scan);
+		}
+		return dueScans.length;
+	}
+
+	/**
+	 * Runs a single scan, delivers the diff (if any) and schedules the next run.
+	 * The snapshot is stored in `parameters.snapshot` so the next run can diff against it.
+	 * @param {object} scan - RoutineScan row.
+	 * @returns {Promise<object>} `{ changes, delivered }`.
+	 */
+	async runScan(scan) {
+		const functionName = 'runScan';
+		this.logger.entry(functionName, { scanId: scan.id, dataType: scan.dataType });
+
+		const parameters = scan.parameters || {};
+		const now = new Date();
+		let nextScan;
+		try {
+			nextScan = RoutineScanService.getNextScan(scan.frequency, parameters.timezone, now);
+		} catch(error) {
+			this.logger.error(`Scan ${ scan.id } has an invalid frequency '${ scan.frequency }', deactivating.`, { error: error.message });
+			await this.prisma.routineScan.update({ where: { id: scan.id }, data: { active: false } });
+			this.logger.exit(functionName, { error: true });
+			return { changes: [], delivered: false };
+		}
+
+		try {
+			let snapshot;
+			let changes;
+			switch(scan.dataType) {
+				case 'wallet':
+					snapshot = await this.takeWalletSnapshot(parameters.address);
+					changes = this.diffWalletSnapshots(parameters.snapshot, snapshot, parameters);
+					break;
+				case 'token_holders':
+					snapshot = await this.takeHoldersSnapshot(parameters.address, parameters.topN);
+					changes = this.diffHoldersSnapshots(parameters.snapshot, snapshot, parameters);
+					break;
+				default:
+					throw new Error(`Unsupported routine scan type: ${ scan.dataType }`);
+			}
+
+			let delivered = false;
+			if(changes.length > 0 && scan.destination === 'telegram') {
+				await this.deliver(scan, this.formatChanges(scan, changes));
+				delivered = true;
+			}
+
+			await this.prisma.routineScan.update({
+				where: { id: scan.id },
+				data: {
+					parameters: { ...parameters, snapshot },
+					lastScan: now,
+					nextScan,
+				},
+			});
+
+			this.logger.success(`Scan ${ scan.id } done: ${ changes.length } change(s)${ parameters.snapshot ? '' : ' (baseline)' }.`);
+			this.logger.exit(functionName, { changes: changes.length, delivered });
+			return { changes, delivered };
+		} catch(error) {
+			// Un fallo puntual no desactiva el scan; se reintenta en la próxima ejecución
+			this.logger.error(`Scan ${ scan.id } failed`, { error: error.message });
+			await this.prisma.routineScan.update({
+				where: { id: scan.id },
+				data: { lastScan: now, nextScan },
+			}).catch(e => this.logger.error('Could not reschedule failed scan', { error: e.message }));
+			this.logger.exit(functionName, { error: true });
+			return { changes: [], delivered: false, error: error.message };
+		}
+	}
+
+	/**
+	 * Snapshot of a wallet's SPL balances keyed by mint address.
+	 * @param {string} walletAddress
+	 * @returns {Promise<object>} `{ takenAt, totalValueUsd, tokens: { [mint]: { symbol, amount, valueUsd } } }`.
+	 */
+	async takeWalletSnapshot(walletAddress) {
+		const response = await VybeService.getWalletTokens(walletAddress, { limit: 100 });
+		const tokens = {};
+		for(const token of response?.data || []) {
+			const mint = token.mintAddress || token.address;
+			if(!mint) continue;
+			tokens[mint] = {
+				symbol: token.symbol || token.name || mint.substring(0, 6),
+				amount: parseFloat(token.amount ?? token.balance) || 0,
+				valueUsd: parseFloat(token.valueUsd) || 0,
+			};
+		}
+
+		return {
+			takenAt: new Date().toISOString(),
+			totalValueUsd: parseFloat(response?.totalTokenValueUsd) || 0,
+			tokens,
+		};
+	}
+
+	/**
+	 * Snapshot of a token's top holders keyed by owner address.
+	 * @param {string} mintAddress
+	 * @param {number} [topN]
+	 * @returns {Promise<object>} `{ takenAt, holders: { [owner]: { rank, name, balance, percentage } } }`.
+	 */
+	async takeHoldersSnapshot(mintAddress, topN = RoutineScanService.DEFAULT_TOP_N) {
+		const response = await VybeService.getTopTokenHolders(mintAddress, { limit: topN });
+		const holders = {};
+		(response?.data || []).slice(0, topN).forEach((holder, index) => {
+			if(!holder.ownerAddress) return;
+			holders[holder.ownerAddress] = {
+				rank: holder.rank || index + 1,
+				name: holder.ownerName || null,
+				balance: parseFloat(holder.balance) || 0,
+				percentage: parseFloat(holder.percentageOfSupplyHeld) || 0,
+			};
+		});
+
+		return { takenAt: new Date().toISOString(), holders };
+	}
+
+	/**
+	 * Differences between two wallet snapshots. Returns [] for the first (baseline) snapshot.
+	 * @param {object|undefined} previous
+	 * @param {object} current
+	 * @param {object} parameters - Scan parameters (`minChangePercent`).
+	 * @returns {Array<object>} Changes `{ kind: 'added'|'removed'|'changed', symbol, before, after, changePercent }`.
+	 */
+	diffWalletSnapshots(previous, current, parameters = {}) {
+		if(!previous?.tokens) return [];
+		const minChangePercent = parameters.minChangePercent ?? RoutineScanService.DEFAULT_MIN_CHANGE_PERCENT;
+		const changes = [];
+
+		for(const [ mint, token ] of Object.entries(current.tokens)) {
+			const before = previous.tokens[mint];
+			if(!before) {
+				changes.push({ kind: 'added', mint, symbol: token.symbol, before: 0, after: token.amount, valueUsd: token.valueUsd });
+				continue;
+			}
+			const changePercent = this._changePercent(before.amount, token.amount);
+			if(Math.abs(changePercent) >= minChangePercent) {
+				changes.push({ kind: 'changed', mint, symbol: token.symbol, before: before.amount, after: token.amount, changePercent, valueUsd: token.valueUsd });
+			}
+		}
+
+		for(const [ mint, token ] of Object.entries(previous.tokens)) {
+			if(!current.tokens[mint]) {
+				changes.push({ kind: 'removed', mint, symbol: token.symbol, before: token.amount, after: 0, valueUsd: 0 });
+			}
+		}
+
+		return changes;
+	}
+
+	/**
+	 * Differences between two top-holder snapshots. Returns [] for the first (baseline) snapshot.
+	 * @param {object|undefined} previous
+	 * @param {object} current
+	 * @param {object} parameters - Scan parameters (`minChangePercent`).
+	 * @returns {Array<object>} Changes `{ kind: 'entered'|'exited'|'changed', owner, ... }`.
+	 */
+	diffHoldersSnapshots(previous, current, parameters = {}) {
+		if(!previous?.holders) return [];
+		const minChangePercent = parameters.minChangePercent ?? RoutineScanService.DEFAULT_MIN_CHANGE_PERCENT;
+		const changes = [];
+
+		for(const [ owner, holder ] of Object.entries(current.holders)) {
+			const before = previous.holders[owner];
+			if(!before) {
+				changes.push({ kind: 'entered', owner, name: holder.name, rank: holder.rank, before: 0, after: holder.balance });
+				continue;
+			}
+			const changePercent = this._changePercent(before.balance, holder.balance);
+			if(Math.abs(changePercent) >= minChangePercent) {
+				changes.push({
+					kind: 'changed',
+					owner,
+					name: holder.name,
+					rank: holder.rank,
+					previousRank: before.rank,
+					before: before.balance,
+					after: holder.balance,
+					changePercent,
+				});
+			}
+		}
+
+		for(const [ owner, holder ] of Object.entries(previous.holders)) {
+			if(!current.holders[owner]) {
+				changes.push({ kind: 'exited', owner, name: holder.name, previousRank: holder.rank, before: holder.balance, after: null });
+			}
+		}
+
+		return changes;
+	}
+
+	/**
+	 * Builds the HTML Telegram message for a list of changes.
+	 * @param {object} scan - RoutineScan row.
+	 * @param {Array<object>} changes
+	 * @returns {string}
+	 */
+	formatChanges(scan, changes) {
+		const parameters = scan.parameters || {};
+		const target = parameters.label || this._shortenAddress(parameters.address);
+		const title = scan.dataType === 'wallet'
+			? `👛 <b>WALLET UPDATE</b> · ${ escapeHtml(target) }`
+			: `🐳 <b>TOP HOLDERS UPDATE</b> · ${ escapeHtml(target) }`;
+
+		const lines = changes.slice(0, RoutineScanService.MAX_CHANGES_PER_MESSAGE).map(change => {
+			const who = scan.dataType === 'wallet'
+				? `<b>${ escapeHtml(change.symbol) }</b>`
+				: `<code>${ escapeHtml(change.name || this._shortenAddress(change.owner)) }</code>`;
+
+			switch(change.kind) {
+				case 'added':
+					return `🟢 ${ who } new position: ${ formatNumber(change.after) }`;
+				case 'removed':
+					return `🔴 ${ who } position closed (was ${ formatNumber(change.before) })`;
+				case 'entered':
+					return `🟢 ${ who } entered top holders at #${ change.rank } with ${ formatNumber(change.after) }`;
+				case 'exited':
+					return `🔴 ${ who } left top holders (was #${ change.previousRank })`;
+				default: {
+					const arrow = change.changePercent >= 0 ? '📈' : '📉';
+					const sign = change.changePercent >= 0 ? '+' : '';
+					return `${ arrow } ${ who } ${ formatNumber(change.before) } → ${ formatNumber(change.after) } (${ sign }${ change.changePercent.toFixed(2) }%)`;
+				}
+			}
+		});
+
+		const hidden = changes.length - lines.length;
+		return `${ title }\n\n${ lines.join('\n') }${ hidden > 0 ? `\n\n…and ${ hidden } more change(s)` : '' }`;
+	}
+
+	/**
+	 * Sends a message to the Telegram chat stored in the scan parameters.
+	 * @param {object} scan - RoutineScan row.
+	 * @param {string} text - HTML message.
+	 */
+	async deliver(scan, text) {
+		const telegramChatId = scan.parameters?.telegramChatId;
+		if(!this.telegram || !telegramChatId) {
+			throw new Error(`Scan ${ scan.id } has no Telegram chat to deliver to`);
+		}
+		return this.telegram.sendMessage(String(telegramChatId), text, {
+			parse_mode: 'HTML',
+			disable_web_page_preview: true,
+		});
+	}
+
+	_changePercent(before, after) {
+		if(!before) return after ? 100 : 0;
+		return ((after - before) / before) * 100;
+	}
+
+	_shortenAddress(address) {
+		if(!address || address.length < 12) return address || '';
+		return `${ address.substring(0, 4) }...${ address.substring(address.length - 4) }`;
+	}
+}
+
+export default RoutineScanService;
@@ -0,0 +1,457 @@
+// scheduler.service.js
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import AlertConditionService from './alert-condition.service.js';
+import RoutineScanService from './routine-scan.service.js';
+import TradeSetupTrackerService from './trade-setup-tracker.service.js';
+import PortfolioRebalanceService from './portfolio-rebalance.service.js';
+import VybeCacheService from './vybe-cache.service.js';
+import ApiCallService from './api-call.service.js';
+import { createLogger } from '#utils/logger.js';
+import { getNextCronRun } from '#utils/cron.js';
+import { escapeHtml } from '#utils/format.js';
+
+/**
+ * Background worker that picks up due ScheduledTask rows, runs the function
+ * named in `functionName` and delivers the outcome to Telegram.
+ */
+class SchedulerService {
+	static DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+	static DEFAULT_BATCH_SIZE = 20;
+	static RETRY_BASE_DELAY_MS = 60 * 1000;
+	static DEFAULT_CONDITION_CHECK_INTERVAL_MS = 60 * 1000;
+	static DEFAULT_CACHE_CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+	/**
+	 * @param {import('telegraf').Telegram} telegram - Telegraf API client used to deliver messages.
+	 * @param {object} [options]
+	 * @param {number} [options.pollIntervalMs] - How often due tasks are polled.
+	 * @param {number} [options.batchSize] - Max tasks processed per tick.
+	 * @param {number} [options.conditionCheckIntervalMs] - Delay between checks of a conditional alert that has not fired.
+	 * @param {number} [options.cacheCleanupIntervalMs] - How often expired Vybe cache entries are purged.
+	 */
+	constructor(telegram, options = {}) {
+		this.logger = createLogger({
+			name: 'SchedulerService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+		this.telegram = telegram;
+		this.pollIntervalMs = options.pollIntervalMs
+			|| parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS)
+			|| SchedulerService.DEFAULT_POLL_INTERVAL_MS;
+		this.batchSize = options.batchSize || SchedulerService.DEFAULT_BATCH_SIZE;
+		this.conditionCheckIntervalMs = options.conditionCheckIntervalMs
+			|| parseInt(process.env.ALERT_CHECK_INTERVAL_MS)
+			|| SchedulerService.DEFAULT_CONDITION_CHECK_INTERVAL_MS;
+		this.cacheCleanupIntervalMs = options.cacheCleanupIntervalMs
+			|| parseInt(process.env.VYBE_CACHE_CLEANUP_INTERVAL_MS)
+			|| SchedulerService.DEFAULT_CACHE_CLEANUP_INTERVAL_MS;
+		this.conditionService = new AlertConditionService();
+		this.routineScanService = new RoutineScanService(telegram);
+		this.tradeSetupTracker = new TradeSetupTrackerService(telegram, { conditionService: this.conditionService });
+		this.rebalanceService = new PortfolioRebalanceService();
+		this.timer = null;
+		this.cacheCleanupTimer = null;
+		this.isTicking = false;
+
+		// Funciones que una tarea puede invocar mediante `functionName`
+		this.taskHandlers = {
+			sendAlert: this.sendAlert.bind(this),
+			sendPortfolioDriftAlert: this.sendPortfolioDriftAlert.bind(this),
+		};
+	}
+
+	/**
+	 * Starts the polling loop. Safe to call more than once.
+	 */
+	start() {
+		if(this.timer) {
+			this.logger.warn('Scheduler already running.');
+			return;
+		}
+
+		this.logger.info(`Starting scheduler (poll every ${ this.pollIntervalMs }ms, batch ${ this.batchSize })...`);
+		this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+		this.cacheCleanupTimer = setInterval(() => this.cleanupCache(), this.cacheCleanupIntervalMs);
+		this._releaseStaleTasks().finally(() => this.tick());
+	}
+
+	/**
+	 * Purges Vybe cache entries past their stale window and logs the cache hit/miss stats.
+	 */
+	async cleanupCache() {
+		try {
+			await VybeCacheService.cleanup();
+			const stats = await VybeCacheService.getStats();
+			this.logger.info('Vybe cache stats', {
+				hitRate: stats.hitRate,
+				totals: stats.totals,
+				entries: stats.entries,
+				expiredEntries: stats.expiredEntries,
+			});
+		} catch(error) {
+			this.logger.error('Error while cleaning the Vybe cache', { error: error.message });
+		}
+	}
+
+	/**
+	 * Tasks left in Running by a previous process that died mid-execution are put back to Pending.
+	 */
+	async _releaseStaleTasks() {
+		try {
+			const released = await this.prisma.scheduledTask.updateMany({
+				where: { status: 'Running' },
+				data: { status: 'Pending' },
+			});
+			if(released.count > 0) {
+				this.logger.warn(`Released ${ released.count } task(s) left Running by a previous process.`);
+			}
+		} catch(error) {
+			this.logger.error('Could not release stale tasks', { error: error.message });
+		}
+	}
+
+	/**
+	 * Stops the polling and cache cleanup loops and closes the Prisma connections.
+	 */
+	async stop() {
+		if(this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+		if(this.cacheCleanupTimer) {
+			clearInterval(this.cacheCleanupTimer);
+			this.cacheCleanupTimer = null;
+		}
+		await this.prisma.$disconnect();
+		await this.routineScanService.prisma.$disconnect();
+		await this.tradeSetupTracker.prisma.$disconnect();
+		await this.rebalanceService.prisma.$disconnect();
+		await VybeCacheService.prisma.$disconnect();
+		this.logger.info('Scheduler stopped.');
+	}
+
+	/**
+	 * Runs one polling cycle: fetches due Pending tasks and executes them sequentially,
+	 * then runs due routine scans and the trade setup checks. Overlapping ticks are skipped so a slow batch never runs twice.
+	 */
+	async tick() {
+		if(this.isTicking) {
+			this.logger.debug('Previous tick still running, skipping.');
+			return;
+		}
+
+		this.isTicking = true;
+		try {
+			const dueTasks = await this.prisma.scheduledTask.findMany({
+				where: {
+					status: 'Pending',
+					nextRun: { lte: new Date() },
+				},
+				orderBy: { nextRun: 'asc' },
+				take: this.batchSize,
+			});
+
+			if(dueTasks.length > 0) {
+				this.logger.info(`Found ${ dueTasks.length } due task(s).`);
+			}
+
+			for(const task of dueTasks) {
+				// Las llamadas a IA de la tarea (p. ej. embeddings para resolver tokens) se cargan a su dueño
+				await ApiCallService.runWithContext({ userId: task.userId, chatId: task.payload?.chatId ?? null }, () => this.runTask(task));
+			}
+		} catch(error) {
+			this.logger.error('Error while polling scheduled tasks', { error: error.message });
+		}
+
+		try {
+			await this.routineScanService.runDueScans();
+		} catch(error) {
+			this.logger.error('Error while running routine scans', { error: error.message });
+		}
+
+		try {
+			await this.tradeSetupTracker.runChecks();
+		} catch(error) {
+			this.logger.error('Error while checking trade setups', { error: error.message });
+		} finally {
+			this.isTicking = false;
+		}
+	}
+
+	/**
+	 * Executes a single task, recording a TaskExecution row for the attempt.
+	 * Tasks carrying an evaluable condition only run once the condition is met;
+	 * until then they are pushed back by `conditionCheckIntervalMs` without counting as an attempt
+	 * and without an execution row (only the last check is kept, in `payload.lastCheck`).
+	 * A handler may close its own task (e.g. `Cancelled`); the task is then not rescheduled.
+	 * @param {object} task - ScheduledTask row.
+	 * @returns {Promise<boolean>} Whether the attempt succeeded.
+	 */
+	async runTask(task) {
+		const functionName = 'runTask';
+		this.logger.entry(functionName, { taskId: task.id, functionName: task.functionName });
+
+		// Claim the task so another worker (or a later tick) doesn't pick it up meanwhile
+		const claimed = await this.prisma.scheduledTask.updateMany({
+			where: { id: task.id, status: 'Pending' },
+			data: { status: 'Running' },
+		});
+		if(claimed.count === 0) {
+			this.logger.info(`Task ${ task.id } was claimed elsewhere, skipping.`);
+			this.logger.exit(functionName, { skipped: true });
+			return false;
+		}
+
+		let execution = null;
+		try {
+			const handler = this.taskHandlers[task.functionName];
+			if(!handler) {
+				throw new Error(`Unknown task function: ${ task.functionName }`);
+			}
+
+			let evaluation = null;
+			if(AlertConditionService.isEvaluable(task.payload?.condition)) {
+				evaluation = await this.conditionService.evaluate(task);
+				if(!evaluation.triggered) {
+					await this._deferConditionCheck(task, evaluation);
+					this.logger.exit(functionName, { deferred: true });
+					return false;
+				}
+			}
+
+			execution = await this.prisma.taskExecution.create({
+				data: {
+					taskId: task.id,
+					status: 'Running',
+					retryAttempt: task.retryCount,
+				},
+			});
+
+			const result = await handler(task, evaluation);
+
+			await this.prisma.taskExecution.update({
+				where: { id: execution.id },
+				data: { status: 'Completed', endTime: new Date(), result },
+			});
+			const nextRun = this._getNextRecurrence(task);
+			// Solo si sigue en Running: el handler puede haber cerrado la tarea
+			await this.prisma.scheduledTask.updateMany({
+				where: { id: task.id, status: 'Running' },
+				data: nextRun
+					? { status: 'Pending', lastRun: new Date(), nextRun, retryCount: 0 }
+					: { status: 'Completed', lastRun: new Date(), nextRun: null },
+			});
+
+			this.logger.success(`Task ${ task.id } completed.${ nextRun ? ` Next run at ${ nextRun.toISOString() }` : '' }`);
+			this.logger.exit(functionName, { success: true });
+			return true;
+		} catch(error) {
+			this.logger.error(`Task ${ task.id } failed`, { error: error.message });
+
+			// Si falló antes de crear la ejecución (p. ej. al evaluar la condición) se registra igual
+			const failure = { status: 'Failed', endTime: new Date(), errorMessage: error.message };
+			await (execution
+				? this.prisma.taskExecution.update({ where: { id: execution.id }, data: failure })
+				: this.prisma.taskExecution.create({ data: { taskId: task.id, retryAttempt: task.retryCount, ...failure } })
+			).catch(e => this.logger.error('Could not update task execution', { error: e.message }));
+
+			await this._handleFailure(task).catch(e =>
+				this.logger.error('Could not update failed task', { error: e.message }),
+			);
+
+			this.logger.exit(functionName, { error: true });
+			return false;
+		}
+	}
+
+	/**
+	 * Puts a conditional task whose condition is not met yet back in the queue.
+	 * No TaskExecution row is written for the check (one per minute per alert would pile up):
+	 * the last observation overwrites `payload.lastCheck` and a successful check resets the retry counter.
+	 * The token address resolved by `evaluate` is kept so the symbol is not resolved again on the next check.
+	 * @param {object} task - ScheduledTask row.
+	 * @param {object} evaluation - Result of AlertConditionService.evaluate.
+	 */
+	async _deferConditionCheck(task, evaluation) {
+		const now = new Date();
+		await this.prisma.scheduledTask.update({
+			where: { id: task.id },
+			data: {
+				status: 'Pending',
+				retryCount: 0,
+				lastRun: now,
+				payload: {
+					...task.payload,
+					// `task` se leyó antes de evaluate(), que pudo guardar la dirección resuelta
+					...(evaluation.tokenAddress && { tokenAddress: evaluation.tokenAddress }),
+					lastCheck: { checkedAt: now.toISOString(), triggered: false, observed: evaluation.observed },
+				},
+				// Recurring conditional alerts are only re-checked on their schedule
+				nextRun: this._getNextRecurrence(task) || new Date(now.getTime() + this.conditionCheckIntervalMs),
+			},
+		});
+	}
+
+	/**
+	 * Next occurrence of a recurrent task, computed in the timezone saved in its payload.
+	 * @param {object} task - ScheduledTask row.
+	 * @returns {Date|null} Next run, or null if the task is not recurrent (or its cron is invalid).
+	 */
+	_getNextRecurrence(task) {
+		if(!task.recurrent || !task.cronExpression) return null;
+
+		try {
+			return getNextCronRun(task.cronExpression, task.payload?.timezone || 'UTC');
+		} catch(error) {
+			this.logger.error(`Invalid cron expression on task ${ task.id }: ${ task.cronExpression }`, { error: error.message });
+			return null;
+		}
+	}
+
+	/**
+	 * Either reschedules a failed task with exponential backoff or marks it Failed
+	 * once `maxRetries` attempts have been used.
+	 * @param {object} task - ScheduledTask row.
+	 */
+	async _handleFailure(task) {
+		const retryCount = task.retryCount + 1;
+		const now = new Date();
+
+		if(retryCount >= task.maxRetries) {
+			// A recurrent task skips this occurrence instead of dying
+			const nextOccurrence = this._getNextRecurrence(task);
+			if(nextOccurrence) {
+				this.logger.warn(`Task ${ task.id } exhausted its ${ task.maxRetries } retries, skipping to ${ nextOccurrence.toISOString() }.`);
+				await this.prisma.scheduledTask.update({
+					where: { id: task.id },
+					data: { status: 'Pending', retryCount: 0, lastRun: now, nextRun: nextOccurrence },
+				});
+				return;
+			}
+
+			this.logger.warn(`Task ${ task.id } exhausted its ${ task.maxRetries } retries, marking Failed.`);
+			await this.prisma.scheduledTask.update({
+				where: { id: task.id },
+				data: { status: 'Failed', retryCount, lastRun: now, nextRun: null },
+			});
+			return;
+		}
+
+		const delay = SchedulerService.RETRY_BASE_DELAY_MS * Math.pow(2, retryCount - 1);
+		const nextRun = new Date(now.getTime() + delay);
+		this.logger.info(`Retrying task ${ task.id } at ${ nextRun.toISOString() } (attempt ${ retryCount + 1 }/${ task.maxRetries })`);
+		await this.prisma.scheduledTask.update({
+			where: { id: task.id },
+			data: { status: 'Pending', retryCount, lastRun: now, nextRun },
+		});
+	}
+
+	/**
+	 * Task function: delivers the alert message to the task's Telegram chat.
+	 * @param {object} task - ScheduledTask row.
+	 * @param {object|null} [evaluation] - Condition evaluation that triggered the alert, if any.
+	 * @returns {Promise<object>} Delivery details stored in TaskExecution.result.
+	 */
+	async sendAlert(task, evaluation = null) {
+		const message = task.functionArgs?.message || task.payload?.message || task.description;
+		if(!message) {
+			throw new Error('Alert task has no message to deliver');
+		}
+
+		let text = `🔔 <b>ALERT</b>\n\n${ escapeHtml(message) }`;
+		if(evaluation?.summary) {
+			text += `\n\n<i>${ escapeHtml(evaluation.summary) }</i>`;
+		}
+		const sent = await this.deliver(task, text);
+
+		return {
+			delivered: true,
+			telegramMessageId: sent.message_id,
+			...(evaluation && { observed: evaluation.observed }),
+		};
+	}
+
+	/**
+	 * Task function: compares the portfolio plan in the payload with the current holdings of its
+	 * wallets and only messages the chat when some asset drifted outside the tolerance band.
+	 * If the plan was deleted the task is cancelled instead of failing (and retrying) on every run.
+	 * @param {object} task - ScheduledTask row (payload: `{ planId, wallets, tolerancePercent, minTradeUsd }`).
+	 * @returns {Promise<object>} Drift summary stored in TaskExecution.result.
+	 */
+	async sendPortfolioDriftAlert(task) {
+		const { planId, wallets, tolerancePercent, minTradeUsd } = task.payload || {};
+		const plan = planId ? await this.prisma.memoryObject.findUnique({ where: { id: planId } }) : null;
+		if(!plan || !plan.isActive) {
+			this.logger.warn(`Portfolio plan ${ planId } of drift alert ${ task.id } no longer exists, cancelling the alert.`);
+			await this.prisma.scheduledTask.update({
+				where: { id: task.id },
+				data: { status: 'Cancelled', lastRun: new Date(), nextRun: null },
+			});
+			return { delivered: false, reason: 'plan_deleted' };
+		}
+
+		const report = await this.rebalanceService.buildReport({ plan, wallets, tolerancePercent, minTradeUsd });
+		const summary = {
+			totalValueUsd: report.totalValueUsd,
+			outOfBandCount: report.outOfBandCount,
+			trades: report.trades.length,
+		};
+		if(!report.needsRebalance) return { delivered: false, ...summary };
+
+		const sent = await this.deliver(task, this.rebalanceService.formatDriftAlert(report));
+		return { delivered: true, telegramMessageId: sent.message_id, ...summary };
+	}
+
+	/**
+	 * Sends an HTML message to the Telegram chat linked to a task.
+	 * @param {object} task - ScheduledTask row.
+	 * @param {string} text - HTML formatted message.
+	 * @returns {Promise<object>} The Telegram message object.
+	 */
+	async deliver(task, text) {
+		if(!this.telegram) {
+			throw new Error('Telegram client not configured for scheduler');
+		}
+
+		const telegramChatId = await this._resolveTelegramChatId(task);
+		return this.telegram.sendMessage(telegramChatId.toString(), text, { parse_mode: 'HTML' });
+	}
+
+	/**
+	 * Returns the task's telegramChatId, falling back to the session of the chat
+	 * stored in the payload (older rows were created without it) and persisting it.
+	 * @param {object} task - ScheduledTask row.
+	 * @returns {Promise<bigint>}
+	 */
+	async _resolveTelegramChatId(task) {
+		if(task.telegramChatId) return task.telegramChatId;
+
+		const chatId = task.payload?.chatId;
+		if(!chatId) {
+			throw new Error(`Task ${ task.id } has no telegramChatId nor chatId in payload`);
+		}
+
+		const chat = await this.prisma.chat.findUnique({
+			where: { id: parseInt(chatId) },
+			include: { session: true },
+		});
+		const telegramChatId = chat?.session?.chatId;
+		if(!telegramChatId) {
+			throw new Error(`Could not resolve Telegram chat for task ${ task.id }`);
+		}
+
+		await this.prisma.scheduledTask.update({
+			where: { id: task.id },
+			data: { telegramChatId },
+		});
+
+		return telegramChatId;
+	}
+}
+
+export default SchedulerService;
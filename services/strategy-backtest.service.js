@@ -0,0 +1,564 @@
+// strategy-backtest.service.js
+import 'dotenv/config';
+import VybeService from './vybe.service.js';
+import AlertConditionService from './alert-condition.service.js';
+import { createLogger } from '#utils/logger.js';
+import { SOLANA_ADDRESS_REGEX } from '#utils/format.js';
+
+/**
+ * Backtests stored trading strategies (`strategy` memory objects) over historical candles.
+ *
+ * A strategy's free-text entry/exit conditions are turned into a structured rule set; every rule
+ * compares two series candle by candle (`left` vs `right`) with one of `RULE_OPERATORS`:
+ *
+ * - `price`: close vs `value`.
+ * - `price_change`: % change of the close over `lookback` candles vs `value` (negative for drops).
+ * - `rsi`: RSI(`period`) vs `value`.
+ * - `price_vs_sma`: close vs SMA(`period`).
+ * - `sma_cross`: SMA(`fast`) vs SMA(`slow`).
+ * - `breakout`: close vs the highest high (`above`) or lowest low (`below`) of the previous `lookback` candles.
+ * - `volume_spike`: volume / average volume of the previous `lookback` candles vs `value`.
+ *
+ * A position is opened at the close of the first candle where every entry rule holds and closed
+ * at the close of the first candle where any exit rule holds, or intrabar at the stop loss, take
+ * profit or trailing stop price. One position at a time, fully invested, fees charged per side.
+ */
+class StrategyBacktestService {
+	static RULE_TYPES = [ 'price', 'price_change', 'rsi', 'price_vs_sma', 'sma_cross', 'breakout', 'volume_spike' ];
+	static RULE_OPERATORS = [ 'above', 'below', 'cross_above', 'cross_below' ];
+
+	// JSON schema of a structured rule, for tool definitions
+	static RULE_SCHEMA = {
+		type: 'object',
+		description: 'price: close vs value. price_change: % change over lookback candles vs value (negative for drops). rsi: RSI(period) vs value. price_vs_sma: close vs SMA(period). sma_cross: SMA(fast) vs SMA(slow). breakout: close vs highest high (above) or lowest low (below) of the previous lookback candles. volume_spike: volume / average volume of the previous lookback candles >= value.',
+		properties: {
+			type: { type: 'string', enum: StrategyBacktestService.RULE_TYPES },
+			op: { type: 'string', enum: StrategyBacktestService.RULE_OPERATORS },
+			value: { type: 'number' },
+			period: { type: 'integer' },
+			fast: { type: 'integer' },
+			slow: { type: 'integer' },
+			lookback: { type: 'integer' },
+		},
+		required: [ 'type' ],
+	};
+
+	static RESOLUTIONS = { '1h': 60 * 60, '4h': 4 * 60 * 60, '1d': 24 * 60 * 60 };
+	// Vybe devuelve como mucho 1000 velas por petición
+	static MAX_CANDLES = 1000;
+	static DEFAULT_FEE_PERCENT = 0.3;
+
+	constructor() {
+		this.logger = createLogger({
+			name: 'StrategyBacktestService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.conditionService = new AlertConditionService();
+	}
+
+	/**
+	 * Builds the rule set of a stored strategy. Structured rules passed in `overrides` replace the
+	 * ones parsed from the strategy's text for that side.
+	 * @param {object} strategy - Strategy data (`entryConditions`, `exitConditions`, `rules`, `stopLoss`, `takeProfit`).
+	 * @param {object} [overrides]
+	 * @param {Array<object>} [overrides.entry] - Structured entry rules.
+	 * @param {Array<object>} [overrides.exit] - Structured exit rules.
+	 * @param {number} [overrides.stopLossPercent]
+	 * @param {number} [overrides.takeProfitPercent]
+	 * @param {number} [overrides.trailingStopPercent]
+	 * @returns {{ entry: object[], exit: object[], stopLossPercent: number|null, takeProfitPercent: number|null, trailingStopPercent: number|null, unparsed: string[] }}
+	 */
+	static buildRuleSet(strategy = {}, overrides = {}) {
+		const unparsed = [];
+		const parseAll = (conditions, side) => (conditions || []).flatMap(text => {
+			// Stop loss, take profit y trailing stop se leen aparte; no son condiciones sin parsear
+			if(side === 'exit' && StrategyBacktestService._parseRiskLimits(text)) return [];
+			const rule = StrategyBacktestService.parseConditionText(text);
+			if(rule) return [ { ...rule, source: text } ];
+			unparsed.push(text);
+			return [];
+		});
+
+		const entryTexts = [ ...StrategyBacktestService._asList(strategy.entryConditions) ];
+		const exitTexts = [ ...StrategyBacktestService._asList(strategy.exitConditions) ];
+		// Estrategias antiguas solo tienen `rules` en texto libre: se usan como entrada si no hay otra cosa
+		if(entryTexts.length === 0 && strategy.rules) entryTexts.push(...StrategyBacktestService._asList(strategy.rules));
+
+		const structured = (rules, side) => {
+			const normalized = (rules || []).map(rule => StrategyBacktestService.normalizeRule(rule));
+			const invalid = normalized.findIndex(rule => !rule);
+			if(invalid !== -1) throw new Error(`Invalid ${ side } rule: ${ JSON.stringify(rules[invalid]) }`);
+			return normalized;
+		};
+
+		const riskFromText = [ strategy.stopLoss, strategy.takeProfit, ...exitTexts ]
+			.map(text => StrategyBacktestService._parseRiskLimits(text))
+			.reduce((limits, parsed) => ({ ...parsed, ...limits }), {});
+		const percentOf = value => {
+			const number = Math.abs(parseFloat(value));
+			return number > 0 ? number : null;
+		};
+		// stopLoss / takeProfit guardados como "8%", "-8" o "8% below entry"; "2x ATR" no es un porcentaje
+		const storedPercent = value => {
+			const match = String(value ?? '').match(/^\s*[-+]?(\d+(?:\.\d+)?)\s*(?:%|$)/);
+			return match ? percentOf(match[1]) : null;
+		};
+
+		return {
+			entry: Array.isArray(overrides.entry) && overrides.entry.length > 0 ? structured(overrides.entry, 'entry') : parseAll(entryTexts, 'entry'),
+			exit: Array.isArray(overrides.exit) && overrides.exit.length > 0 ? structured(overrides.exit, 'exit') : parseAll(exitTexts, 'exit'),
+			stopLossPercent: percentOf(overrides.stopLossPercent) ?? riskFromText.stopLossPercent ?? storedPercent(strategy.stopLoss),
+			takeProfitPercent: percentOf(overrides.takeProfitPercent) ?? riskFromText.takeProfitPercent ?? storedPercent(strategy.takeProfit),
+			trailingStopPercent: percentOf(overrides.trailingStopPercent) ?? riskFromText.trailingStopPercent ?? null,
+			unparsed,
+		};
+	}
+
+	/**
+	 * Validates a structured rule and fills in defaults.
+	 * @param {object} rule
+	 * @returns {object|null} Normalized rule, or null if it is not valid.
+	 */
+	static normalizeRule(rule) {
+		if(!rule || !StrategyBacktestService.RULE_TYPES.includes(rule.type)) return null;
+
+		const op = rule.op || (rule.type === 'sma_cross' ? 'cross_above' : 'above');
+		if(!StrategyBacktestService.RULE_OPERATORS.includes(op)) return null;
+
+		const integer = (value, fallback) => {
+			const parsed = parseInt(value);
+			return parsed > 0 ? parsed : fallback;
+		};
+		const value = parseFloat(rule.value);
+		const normalized = { type: rule.type, op };
+
+		switch(rule.type) {
+			case 'price':
+				if(isNaN(value)) return null;
+				normalized.value = value;
+				break;
+			case 'price_change':
+				if(isNaN(value)) return null;
+				normalized.value = value;
+				normalized.lookback = integer(rule.lookback, 1);
+				break;
+			case 'rsi':
+				if(isNaN(value)) return null;
+				normalized.value = value;
+				normalized.period = integer(rule.period, 14);
+				break;
+			case 'price_vs_sma':
+				normalized.period = integer(rule.period, 20);
+				break;
+			case 'sma_cross':
+				normalized.fast = integer(rule.fast, 10);
+				normalized.slow = integer(rule.slow, 30);
+				if(normalized.fast >= normalized.slow) return null;
+				break;
+			case 'breakout':
+				if(op !== 'above' && op !== 'below') return null;
+				normalized.lookback = integer(rule.lookback, 20);
+				break;
+			case 'volume_spike':
+				normalized.op = 'above';
+				normalized.value = value > 0 ? value : 2;
+				normalized.lookback = integer(rule.lookback, 20);
+				break;
+		}
+
+		if(rule.source) normalized.source = rule.source;
+		return normalized;
+	}
+
+	/**
+	 * Turns one free-text condition into a rule ("RSI below 30", "price crosses above the 50-day MA",
+	 * "10 MA crosses above 30 MA", "breaks the 20-day high", "volume 3x average", "price drops 10% in 3 days").
+	 * @param {string} text
+	 * @returns {object|null} Rule, or null if the text is not understood.
+	 */
+	static parseConditionText(text) {
+		if(!text || typeof text !== 'string' || StrategyBacktestService._parseRiskLimits(text)) return null;
+		const lower = text.toLowerCase();
+		const number = '(\\d+(?:\\.\\d+)?)';
+		const side = word => /below|under|less|<|drop|fall|down|declin|dump|low/.test(word) ? 'below' : 'above';
+		const crossing = /cross/.test(lower);
+		const withCross = op => crossing ? `cross_${ op }` : op;
+		let match;
+
+		if((match = lower.match(new RegExp(`rsi\\s*(?:\\(?(\\d+)\\)?)?\\s*(?:is\\s+|goes\\s+|crosses\\s+|falls\\s+|drops\\s+|rises\\s+)?(above|over|>|below|under|<)\\s*${ number }`)))) {
+			return StrategyBacktestService.normalizeRule({ type: 'rsi', period: match[1], op: withCross(side(match[2])), value: match[3] });
+		}
+
+		const maPattern = '(?:-?\\s*(?:day|period|candle|hour|d|h)s?)?\\s*(?:simple\\s+|exponential\\s+)?(?:sma|ema|ma|moving\\s+average)';
+		if((match = lower.match(new RegExp(`(\\d+)${ maPattern }.*?cross(?:es|ing)?\\s*(above|over|below|under).*?(\\d+)${ maPattern }`)))) {
+			const [ fast, slow ] = [ parseInt(match[1]), parseInt(match[3]) ].sort((a, b) => a - b);
+			const op = side(match[2]);
+			// "el lento cruza por encima del rápido" equivale a que el rápido cruce por debajo
+			const fastIsLeft = parseInt(match[1]) === fast;
+			return StrategyBacktestService.normalizeRule({ type: 'sma_cross', fast, slow, op: `cross_${ fastIsLeft ? op : (op === 'above' ? 'below' : 'above') }` });
+		}
+
+		if((match = lower.match(new RegExp(`(above|over|below|under)\\s*(?:the\\s+)?(\\d+)${ maPattern }`)))) {
+			return StrategyBacktestService.normalizeRule({ type: 'price_vs_sma', period: match[2], op: withCross(side(match[1])) });
+		}
+
+		if((match = lower.match(/(?:break(?:s|ing)?(?:\s*out)?|new)\s*(?:above|below|through|of)?\s*(?:the\s+)?(\d+)\s*-?\s*(?:day|period|candle|hour|d|h)s?\s*(high|low)/))) {
+			return StrategyBacktestService.normalizeRule({ type: 'breakout', lookback: match[1], op: match[2] === 'low' ? 'below' : 'above' });
+		}
+
+		if((match = lower.match(new RegExp(`volume.*?${ number }\\s*(?:x|times)`))) || (match = lower.match(new RegExp(`${ number }\\s*(?:x|times).*?volume`)))) {
+			const lookback = lower.match(/(\d+)\s*-?\s*(?:day|period|candle|hour|d|h)s?\s*(?:average|avg|mean)/);
+			return StrategyBacktestService.normalizeRule({ type: 'volume_spike', value: match[1], lookback: lookback?.[1] });
+		}
+
+		if((match = lower.match(new RegExp(`(ris|gain|increas|pump|jump|up|drop|fall|declin|dump|down|los)\\w*\\s*(?:by\\s+|more\\s+than\\s+|over\\s+)?${ number }\\s*%`)))) {
+			const lookback = lower.match(/(?:in|within|over)\s*(?:the\s+last\s+)?(\d+)\s*(?:day|candle|hour|period|d|h)s?/);
+			const percent = parseFloat(match[2]);
+			const isDrop = side(match[1]) === 'below';
+			return StrategyBacktestService.normalizeRule({
+				type: 'price_change',
+				op: isDrop ? 'below' : 'above',
+				value: isDrop ? -percent : percent,
+				lookback: lookback?.[1],
+			});
+		}
+
+		if(!lower.includes('%') && (match = lower.match(new RegExp(`price\\s*(?:is\\s+|goes\\s+|closes\\s+|crosses\\s+)?(above|over|>|below|under|<)\\s*\\$?${ number }`)))) {
+			return StrategyBacktestService.normalizeRule({ type: 'price', op: withCross(side(match[1])), value: match[2] });
+		}
+
+		return null;
+	}
+
+	/**
+	 * Resolves the token, fetches candles and runs the simulation.
+	 * @param {object} options
+	 * @param {object} options.ruleSet - Result of `buildRuleSet`.
+	 * @param {string} options.token - Mint address or symbol.
+	 * @param {string} [options.quoteMintAddress] - Backtest the base/quote pair instead of the USD price.
+	 * @param {string} [options.resolution='1d'] - One of `RESOLUTIONS`.
+	 * @param {number} [options.days=90] - History length; capped to `MAX_CANDLES` candles.
+	 * @param {number} [options.feePercent] - Fee per side.
+	 * @returns {Promise<object>} Simulation result plus `{ tokenAddress, quoteMintAddress, resolution, window }`.
+	 */
+	async backtest({ ruleSet, token, quoteMintAddress = null, resolution = '1d', days = 90, feePercent = StrategyBacktestService.DEFAULT_FEE_PERCENT }) {
+		const functionName = 'backtest';
+		this.logger.entry(functionName, { token, quoteMintAddress, resolution, days });
+
+		const resolutionSeconds = StrategyBacktestService.RESOLUTIONS[resolution];
+		if(!resolutionSeconds) {
+			throw new Error(`Resolution must be one of: ${ Object.keys(StrategyBacktestService.RESOLUTIONS).join(', ') }`);
+		}
+
+		const tokenAddress = SOLANA_ADDRESS_REGEX.test(token)
+			? token
+			: await this.conditionService.resolveTokenAddress(token.replace(/^\$/, '').toUpperCase());
+
+		const candleCount = Math.min(StrategyBacktestService.MAX_CANDLES, Math.ceil(days * 86400 / resolutionSeconds));
+		const timeEnd = Math.floor(Date.now() / 1000);
+		const timeStart = timeEnd - candleCount * resolutionSeconds;
+		const params = { resolution, timeStart, timeEnd, limit: StrategyBacktestService.MAX_CANDLES };
+
+		const response = quoteMintAddress
+			? await VybeService.getPairTradeOhlcv(tokenAddress, quoteMintAddress, params)
+			: await VybeService.getTokenOhlc(tokenAddress, params);
+		const candles = StrategyBacktestService.normalizeCandles(response);
+		if(candles.length < 2) {
+			throw new Error(`Not enough price history for ${ token } at ${ resolution } resolution (${ candles.length } candles)`);
+		}
+
+		const result = StrategyBacktestService.simulate(candles, ruleSet, { feePercent });
+		this.logger.exit(functionName, { trades: result.stats.trades, returnPercent: result.stats.returnPercent });
+		return {
+			tokenAddress,
+			quoteMintAddress,
+			resolution,
+			window: {
+				from: new Date(candles[0].time * 1000).toISOString(),
+				to: new Date(candles[candles.length - 1].time * 1000).toISOString(),
+				candles: candles.length,
+				requestedDays: days,
+				truncated: candleCount * resolutionSeconds < days * 86400,
+			},
+			...result,
+		};
+	}
+
+	/**
+	 * Normalizes an OHLCV response into numeric candles sorted oldest first.
+	 * @param {object|Array} response - `{ data: [...] }` or an array of candles.
+	 * @returns {Array<{time: number, open: number, high: number, low: number, close: number, volume: number}>}
+	 */
+	static normalizeCandles(response) {
+		const rows = Array.isArray(response) ? response : (response?.data || []);
+		return rows
+			.map(candle => {
+				const close = parseFloat(candle.close);
+				const open = parseFloat(candle.open);
+				return {
+					time: parseInt(candle.time ?? candle.timeBucketStart),
+					open: isNaN(open) ? close : open,
+					high: parseFloat(candle.high) || Math.max(open || close, close),
+					low: parseFloat(candle.low) || Math.min(open || close, close),
+					close,
+					volume: parseFloat(candle.volumeUsd ?? candle.volume) || 0,
+				};
+			})
+			.filter(candle => !isNaN(candle.close) && candle.close > 0 && !isNaN(candle.time))
+			.sort((a, b) => a.time - b.time);
+	}
+
+	/**
+	 * Replays a rule set over candles.
+	 * @param {Array<object>} candles - Normalized candles, oldest first.
+	 * @param {object} ruleSet - Result of `buildRuleSet`.
+	 * @param {object} [options]
+	 * @param {number} [options.feePercent] - Fee per side.
+	 * @returns {{ trades: object[], stats: object, buyAndHold: object, equityCurve: object[] }}
+	 */
+	static simulate(candles, ruleSet, { feePercent = StrategyBacktestService.DEFAULT_FEE_PERCENT } = {}) {
+		if(!ruleSet?.entry?.length) throw new Error('The strategy has no entry rules to backtest');
+
+		const fee = Math.max(0, feePercent) / 100;
+		const entrySeries = ruleSet.entry.map(rule => StrategyBacktestService._ruleSeries(rule, candles));
+		const exitSeries = (ruleSet.exit || []).map(rule => StrategyBacktestService._ruleSeries(rule, candles));
+		const holds = (series, rule, i) => StrategyBacktestService._compare(rule.op, series, i);
+
+		const trades = [];
+		const equityCurve = [];
+		let equity = 1;
+		let position = null;
+		let candlesInPosition = 0;
+
+		const closePosition = (i, price, reason) => {
+			const grossReturn = price / position.entryPrice;
+			const tradeEquity = position.equityAtEntry * (1 - fee) * grossReturn * (1 - fee);
+			trades.push({
+				entryTime: candles[position.index].time,
+				entryPrice: position.entryPrice,
+				exitTime: candles[i].time,
+				exitPrice: price,
+				reason,
+				candlesHeld: i - position.index,
+				returnPercent: (tradeEquity / position.equityAtEntry - 1) * 100,
+			});
+			equity = tradeEquity;
+			position = null;
+		};
+
+		for(let i = 0; i < candles.length; i++) {
+			const candle = candles[i];
+
+			if(position && i > position.index) {
+				candlesInPosition++;
+				const stopPrices = [];
+				if(ruleSet.stopLossPercent) stopPrices.push({ price: position.entryPrice * (1 - ruleSet.stopLossPercent / 100), reason: 'stop_loss' });
+				if(ruleSet.trailingStopPercent) stopPrices.push({ price: position.peak * (1 - ruleSet.trailingStopPercent / 100), reason: 'trailing_stop' });
+				const stop = stopPrices.sort((a, b) => b.price - a.price)[0];
+				const takeProfitPrice = ruleSet.takeProfitPercent ? position.entryPrice * (1 + ruleSet.takeProfitPercent / 100) : null;
+
+				// Si la vela toca stop y take profit a la vez asumimos lo peor: el stop
+				if(stop && candle.low <= stop.price) {
+					closePosition(i, Math.min(candle.open, stop.price), stop.reason);
+				} else if(takeProfitPrice && candle.high >= takeProfitPrice) {
+					closePosition(i, Math.max(candle.open, takeProfitPrice), 'take_profit');
+				} else if(ruleSet.exit.some((rule, r) => holds(exitSeries[r], rule, i))) {
+					closePosition(i, candle.close, 'exit_rule');
+				} else {
+					position.peak = Math.max(position.peak, candle.high);
+				}
+			} else if(!position && ruleSet.entry.every((rule, r) => holds(entrySeries[r], rule, i)) && i < candles.length - 1) {
+				position = { index: i, entryPrice: candle.close, equityAtEntry: equity, peak: candle.close };
+			}
+
+			const markedEquity = position
+				? position.equityAtEntry * (1 - fee) * (candle.close / position.entryPrice)
+				: equity;
+			equityCurve.push({ time: candle.time, equity: markedEquity });
+		}
+
+		if(position) closePosition(candles.length - 1, candles[candles.length - 1].close, 'end_of_data');
+		equityCurve[equityCurve.length - 1].equity = equity;
+
+		const first = candles[0].close;
+		const last = candles[candles.length - 1].close;
+		const buyAndHoldCurve = candles.map(candle => ({ equity: candle.close / first }));
+		const returns = trades.map(trade => trade.returnPercent);
+		const wins = returns.filter(value => value > 0);
+		const losses = returns.filter(value => value <= 0);
+		const grossProfit = wins.reduce((sum, value) => sum + value, 0);
+		const grossLoss = Math.abs(losses.reduce((sum, value) => sum + value, 0));
+		const returnPercent = (equity - 1) * 100;
+		const buyAndHoldReturnPercent = ((last / first) * (1 - fee) * (1 - fee) - 1) * 100;
+
+		return {
+			trades,
+			stats: {
+				trades: trades.length,
+				wins: wins.length,
+				losses: losses.length,
+				winRatePercent: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+				returnPercent,
+				maxDrawdownPercent: StrategyBacktestService._maxDrawdown(equityCurve),
+				averageTradePercent: trades.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / trades.length : null,
+				bestTradePercent: trades.length > 0 ? Math.max(...returns) : null,
+				worstTradePercent: trades.length > 0 ? Math.min(...returns) : null,
+				profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+				exposurePercent: (candlesInPosition / candles.length) * 100,
+				feePercent,
+			},
+			buyAndHold: {
+				returnPercent: buyAndHoldReturnPercent,
+				maxDrawdownPercent: StrategyBacktestService._maxDrawdown(buyAndHoldCurve),
+				outperformancePercent: returnPercent - buyAndHoldReturnPercent,
+			},
+			equityCurve,
+		};
+	}
+
+	/**
+	 * Left/right series compared by a rule, with null where the indicator is still warming up.
+	 * @private
+	 */
+	static _ruleSeries(rule, candles) {
+		const closes = candles.map(candle => candle.close);
+		const constant = value => closes.map(() => value);
+		const sma = period => closes.map((_, i) => i + 1 < period ? null
+			: closes.slice(i + 1 - period, i + 1).reduce((sum, value) => sum + value, 0) / period);
+		const previousWindow = (lookback, pick) => candles.map((_, i) => i < lookback ? null
+			: pick(candles.slice(i - lookback, i)));
+
+		switch(rule.type) {
+			case 'price':
+				return { left: closes, right: constant(rule.value) };
+			case 'price_change':
+				return {
+					left: closes.map((close, i) => i < rule.lookback ? null : (close / closes[i - rule.lookback] - 1) * 100),
+					right: constant(rule.value),
+				};
+			case 'rsi':
+				return { left: StrategyBacktestService._rsi(closes, rule.period), right: constant(rule.value) };
+			case 'price_vs_sma':
+				return { left: closes, right: sma(rule.period) };
+			case 'sma_cross':
+				return { left: sma(rule.fast), right: sma(rule.slow) };
+			case 'breakout':
+				return {
+					left: closes,
+					right: previousWindow(rule.lookback, window => rule.op === 'below'
+						? Math.min(...window.map(candle => candle.low))
+						: Math.max(...window.map(candle => candle.high))),
+				};
+			case 'volume_spike': {
+				const averages = previousWindow(rule.lookback, window => window.reduce((sum, candle) => sum + candle.volume, 0) / window.length);
+				return {
+					left: candles.map((candle, i) => averages[i] > 0 ? candle.volume / averages[i] : null),
+					right: constant(rule.value),
+				};
+			}
+			default:
+				throw new Error(`Unsupported rule type: ${ rule.type }`);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static _compare(op, { left, right }, i) {
+		const valid = index => index >= 0 && left[index] !== null && right[index] !== null;
+		if(!valid(i)) return false;
+
+		switch(op) {
+			case 'above':
+				return left[i] > right[i];
+			case 'below':
+				return left[i] < right[i];
+			case 'cross_above':
+				return valid(i - 1) && left[i] > right[i] && left[i - 1] <= right[i - 1];
+			case 'cross_below':
+				return valid(i - 1) && left[i] < right[i] && left[i - 1] >= right[i - 1];
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Wilder's RSI.
+	 * @private
+	 */
+	static _rsi(closes, period) {
+		const rsi = closes.map(() => null);
+		if(closes.length <= period) return rsi;
+
+		let gain = 0;
+		let loss = 0;
+		for(let i = 1; i <= period; i++) {
+			const change = closes[i] - closes[i - 1];
+			if(change > 0) gain += change;
+			else loss -= change;
+		}
+		gain /= period;
+		loss /= period;
+
+		for(let i = period; i < closes.length; i++) {
+			if(i > period) {
+				const change = closes[i] - closes[i - 1];
+				gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+				loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+			}
+			rsi[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+		}
+		return rsi;
+	}
+
+	/**
+	 * Largest peak-to-trough drop of an equity curve, in percent.
+	 * @private
+	 */
+	static _maxDrawdown(curve) {
+		let peak = -Infinity;
+		let maxDrawdown = 0;
+		for(const { equity } of curve) {
+			peak = Math.max(peak, equity);
+			if(peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+		}
+		return maxDrawdown;
+	}
+
+	/**
+	 * Stop loss / take profit / trailing stop percentages mentioned in a text, e.g. "stop loss at 8%".
+	 * @private
+	 */
+	static _parseRiskLimits(text) {
+		if(!text || typeof text !== 'string') return null;
+		const lower = text.toLowerCase();
+		const limits = {};
+		const percent = pattern => {
+			const match = lower.match(pattern);
+			return match ? Math.abs(parseFloat(match[1])) || null : null;
+		};
+
+		const trailing = percent(/\btrailing(?:\s*stop)?\b\D*?(\d+(?:\.\d+)?)\s*%/);
+		const stopLoss = trailing ? null : percent(/\b(?:stop(?:[\s-]*loss)?|sl)\b\D*?(\d+(?:\.\d+)?)\s*%/);
+		const takeProfit = percent(/\b(?:take[\s-]*profit|tp|target)\b\D*?(\d+(?:\.\d+)?)\s*%/);
+		if(trailing) limits.trailingStopPercent = trailing;
+		if(stopLoss) limits.stopLossPercent = stopLoss;
+		if(takeProfit) limits.takeProfitPercent = takeProfit;
+
+		return Object.keys(limits).length > 0 ? limits : null;
+	}
+
+	/**
+	 * @private
+	 */
+	static _asList(value) {
+		if(Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim());
+		if(typeof value !== 'string' || !value.trim()) return [];
+		return value.split(/\n|;|\band\b/i).map(item => item.trim()).filter(Boolean);
+	}
+}
+
+export default StrategyBacktestService;
@@ -2,6 +2,7 @@ import { Telegraf, Markup } from 'telegraf';
 import { PrismaClient } from '@prisma/client';
 import ConversationService from '#services/conversation.service.js';
 import { createLogger } from '#utils/logger.js';
+import { SOLANA_ADDRESS_REGEX, escapeHtml } from '#utils/format.js';
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
@@ -12,6 +13,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 // Importación correcta con la ruta absoluta usando el alias
 import AIService from '#services/ai.service.js';
+import SchedulerService from '#services/scheduler.service.js';
+import VybeStreamService from '#services/vybe-stream.service.js';
+import KnownAccountsService from '#services/known-accounts.service.js';
+import VybeService from '#services/vybe.service.js';
+import ApiCallService from '#services/api-call.service.js';
 // Define una ruta para archivos temporales (puede ser configurable)
 const TEMP_DIR = path.join(__dirname, '..', 'temp_audio');
 
@@ -20,6 +26,9 @@ const TEMP_DIR = path.join(__dirname, '..', 'temp_audio');
  * Designed to work reliably with ConversationService JSON responses
  */
 class TelegramBotService {
+	// Telegram limita los mensajes a 4096 caracteres; dejamos margen para el cursor y el HTML escapado
+	static MAX_STREAM_PREVIEW_CHARS = 3500;
+
 	constructor(token) {
 		this.holdersCache = new Map();
 		// Verificar que AIService está disponible
@@ -42,12 +51,17 @@ class TelegramBotService {
 			this.bot = new Telegraf(token);
 			this.prisma = new PrismaClient();
 			this.conversationService = new ConversationService();
+			this.scheduler = new SchedulerService(this.bot.telegram);
+			this.vybeStream = new VybeStreamService(this.bot.telegram);
 			this.logger.info('TelegramBotService instantiated successfully.');
 			// Opciones de depuración
 			this.debugMode = process.env.DEBUG_MODE === 'true';
 			this.logger.info(`Debug mode is ${ this.debugMode ? 'enabled' : 'disabled' }`);
 			this.showFullJson = process.env.SHOW_FULL_JSON_RESPONSE === 'true';
 			this.logger.info(`Show full JSON response is ${ this.showFullJson ? 'enabled' : 'disabled' }`);
+			// Streaming de respuestas: intervalo mínimo entre ediciones del mensaje de progreso (límite de Telegram)
+			this.streamReplies = process.env.TELEGRAM_STREAM_REPLIES !== 'false';
+			this.streamEditIntervalMs = parseInt(process.env.TELEGRAM_STREAM_EDIT_INTERVAL_MS) || 1200;
 		} catch(error) {
 			this.logger.error('FATAL Error during TelegramBotService instantiation', { err: error });
 			throw error;
@@ -148,7 +162,12 @@ class TelegramBotService {
 				throw new Error('Audio transcription service is unavailable.');
 			}
 
-			const transcribedText = await AIService.convertAudioToText(oggFilePath);
+			// La transcripción se registra en ApiCall a nombre del usuario y chat internos
+			const { user, chat } = await this._getOrCreateUserAndSession(ctx);
+			const transcribedText = await ApiCallService.runWithContext(
+				{ userId: user?.id ?? null, chatId: chat?.id ?? null },
+				() => AIService.convertAudioToText(oggFilePath),
+			);
 			this.logger.info(`Voice message transcribed`, { userId, textLength: transcribedText?.length });
 
 			// Validar transcripción
@@ -234,12 +253,16 @@ class TelegramBotService {
 				{ command: 'help', description: '❓ Show help and examples' },
 			]);
 
-			await this.bot.launch();
-			this.logger.info('✅ Telegram Bot launched successfully and is polling!');
-
 			// Setup graceful shutdown handlers
 			process.once('SIGINT', () => this._stopGracefully('SIGINT'));
 			process.once('SIGTERM', () => this._stopGracefully('SIGTERM'));
+
+			// Start the scheduled task worker and the live Vybe stream before polling (bot.launch only resolves when polling stops)
+			this.scheduler.start();
+			this.vybeStream.start();
+
+			await this.bot.launch();
+			this.logger.info('✅ Telegram Bot launched successfully and is polling!');
 		} catch(error) {
 			this.logger.error('FATAL: Failed to launch Telegram Bot!', { err: error });
 			await this.prisma.$disconnect().catch(e =>
@@ -401,6 +424,9 @@ Your powerful assistant for navigating Solana with real-time data!
 		});
 
 		let progressMsg = null; // Variable para guardar la referencia al mensaje de progreso
+		let streamedText = ''; // Texto de la respuesta recibido hasta ahora por streaming
+		let lastStreamEdit = 0;
+		let pendingStreamEdit = null;
 
 		try {
 			// 1. Acciones iniciales: indicador de "escribiendo" y obtener contexto
@@ -425,6 +451,12 @@ Your powerful assistant for navigating Solana with real-time data!
 			const progressCallback = async (stage, detail) => {
 				// Solo intentar actualizar si tenemos un mensaje de progreso válido
 				if(!progressMsg) return;
+				// Con la respuesta ya llegando por streaming no tapamos el texto con etapas finales
+				if(streamedText && [ 'finalizing', 'complete' ].includes(stage)) return;
+				// Cualquier otra etapa (p. ej. más tool calls) descarta el texto intermedio
+				streamedText = '';
+				clearTimeout(pendingStreamEdit);
+				pendingStreamEdit = null;
 
 				try {
 					let stageEmoji = '⏳';
@@ -447,6 +479,10 @@ Your powerful assistant for navigating Solana with real-time data!
 							stageEmoji = '⚙️';
 							stageTitle = 'PROCESSING REQUEST';
 							break;
+						case 'agent_step':
+							stageEmoji = '🔁';
+							stageTitle = 'PLANNING NEXT STEP';
+							break;
 						case 'executing_tools':
 							stageEmoji = '🛠️';
 							stageTitle = 'EXECUTING ACTIONS';
@@ -490,7 +526,7 @@ Your powerful assistant for navigating Solana with real-time data!
 					});
 
 					// Mantener indicador de "typing" para operaciones largas
-					if([ 'main_consultation', 'executing_tools', 'synthesis' ].includes(stage)) {
+					if([ 'main_consultation', 'agent_step', 'executing_tools', 'synthesis' ].includes(stage)) {
 						await ctx.sendChatAction('typing').catch(() => {});
 					}
 				} catch(error) {
@@ -498,6 +534,33 @@ Your powerful assistant for navigating Solana with real-time data!
 				}
 			};
 
+			// 3b. Streaming: volcamos el texto parcial en el mensaje de progreso con ediciones espaciadas
+			const flushStreamedText = () => {
+				pendingStreamEdit = null;
+				if(!progressMsg || !streamedText) return;
+				lastStreamEdit = Date.now();
+				const preview = streamedText.length > TelegramBotService.MAX_STREAM_PREVIEW_CHARS
+					? `${ streamedText.substring(0, TelegramBotService.MAX_STREAM_PREVIEW_CHARS) }…`
+					: streamedText;
+
+				ctx.telegram.editMessageText(chatId, progressMsg.message_id, null, `${ this._escapeHtml(preview) } ▌`, { parse_mode: 'HTML' })
+					.catch(e => {
+						if(!e.description?.includes('message is not modified')) {
+							this.logger.warn('Failed to update streamed reply preview', { err: e.description || e.message });
+						}
+					});
+			};
+			const streamCallback = this.streamReplies ? text => {
+				if(!progressMsg || !text) return;
+				streamedText = text;
+				const wait = this.streamEditIntervalMs - (Date.now() - lastStreamEdit);
+				if(wait <= 0) {
+					flushStreamedText();
+				} else if(!pendingStreamEdit) {
+					pendingStreamEdit = setTimeout(flushStreamedText, wait);
+				}
+			} : null;
+
 			// 4. Llamar al ConversationService
 			const startTime = Date.now();
 			const response = await this.conversationService.sendMessage(
@@ -506,9 +569,11 @@ Your powerful assistant for navigating Solana with real-time data!
 				messageText,
 				session.id,     // ID de la sesión de Telegram
 				progressCallback, // Pasar la función de callback
-				// Puedes añadir opciones adicionales aquí si tu servicio las soporta
+				streamCallback, // Texto parcial de la respuesta final
 			);
 			const duration = Date.now() - startTime;
+			clearTimeout(pendingStreamEdit);
+			pendingStreamEdit = null;
 
 			this.logger.info('Received response from ConversationService', {
 				durationMs: duration,
@@ -548,6 +613,7 @@ Your powerful assistant for navigating Solana with real-time data!
 				userId: userId,
 				chatId: chatId,
 			});
+			clearTimeout(pendingStreamEdit);
 			// Intentar borrar el mensaje de progreso si aún existe y hubo un error grave
 			if(progressMsg) {
 				await ctx.telegram.deleteMessage(chatId, progressMsg.message_id).catch(() => {});
@@ -610,7 +676,11 @@ Your powerful assistant for navigating Solana with real-time data!
 				const voiceToUse = voiceConf?.voice || 'nova';
 
 				// Generar audio usando AIService directamente
-				const audioResult = await AIService.createAudioFromText(assistantText, voiceToUse);
+				// El TTS lo dispara la respuesta del asistente: se registra ligado a ese mensaje
+				const audioResult = await ApiCallService.runWithContext(
+					{ userId, chatId: response.chat?.id ?? null, messageId: response.assistantMessage?.id ?? null },
+					() => AIService.createAudioFromText(assistantText, voiceToUse),
+				);
 
 				if(!audioResult || !audioResult.stream) {
 					this.logger.warn('[_handleAssistantResponse] Audio generation did not return a stream. Skipping voice.', { userId: userId.toString() });
@@ -768,10 +838,17 @@ Your powerful assistant for navigating Solana with real-time data!
 			let walletTimeSeriesFound = null;
 			let topTokensDataFound = null;
 			let programDetailsFound = null;
+			let programActivityFound = null;
 			let programActiveUsersFound = null;
 			let programRankingFound = null;
 			let tokenRecommendationsFound = null;
 			let pricePredictionFound = null;
+			let walletNftsFound = null;
+			let multiWalletNftsFound = null;
+			let nftCollectionOwnersFound = null;
+			let tokenTradesFound = null;
+			let multiWalletPortfolioFound = null;
+			let rebalanceReportFound = null;
 			if(
 				// Direct price prediction structure
 				(response.structuredData?.tokenSymbol &&
@@ -849,6 +926,12 @@ Your powerful assistant for navigating Solana with real-time data!
 				this.logger.info('[sendEnhancedResponse] Found VALID program details data.');
 				programDetailsFound = response.structuredData;
 			}
+			const activitySource = response.structuredData?.data?.metrics ? response.structuredData.data : response.structuredData;
+			if(activitySource?.programId && activitySource?.metrics &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'program_activity_report')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID program activity report data.');
+				programActivityFound = activitySource;
+			}
 
 			if(
 				// Estructura específica de top tokens
@@ -879,15 +962,57 @@ Your powerful assistant for navigating Solana with real-time data!
 				walletTimeSeriesFound = response.structuredData;
 			}
 
+			// NFT holdings (una wallet o varias) y owners de una colección
+			const nftSource = response.structuredData?.data?.collections ? response.structuredData.data : response.structuredData;
+			if(Array.isArray(nftSource?.collections) &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'fetch_multi_wallet_nfts')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID multi-wallet NFT data.');
+				multiWalletNftsFound = nftSource;
+			} else if(Array.isArray(nftSource?.collections) &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'fetch_wallet_nfts')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID wallet NFT data.');
+				walletNftsFound = nftSource;
+			}
+
+			const ownersSource = response.structuredData?.data?.topOwners ? response.structuredData.data : response.structuredData;
+			if(Array.isArray(ownersSource?.topOwners) &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'analyze_nft_collection_owners')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID NFT collection owners data.');
+				nftCollectionOwnersFound = ownersSource;
+			}
+
+			const tradesSource = response.structuredData?.data?.pressure ? response.structuredData.data : response.structuredData;
+			if(tradesSource?.pressure &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'analyze_token_trades')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID token trades data.');
+				tokenTradesFound = tradesSource;
+			}
+
+			const portfolioSource = response.structuredData?.data?.holdings ? response.structuredData.data : response.structuredData;
+			if(Array.isArray(portfolioSource?.holdings) && Array.isArray(portfolioSource?.wallets) &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'fetch_multi_wallet_portfolio')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID multi-wallet portfolio data.');
+				multiWalletPortfolioFound = portfolioSource;
+			}
+
+			const rebalanceSource = response.structuredData?.data?.assets ? response.structuredData.data : response.structuredData;
+			if(Array.isArray(rebalanceSource?.assets) && rebalanceSource?.plan &&
+				response.executedActions?.some(action => typeof action === 'object' && action.name === 'rebalance_portfolio')) {
+				this.logger.info('[sendEnhancedResponse] Found VALID rebalance report data.');
+				rebalanceReportFound = rebalanceSource;
+			}
+
 			// Check for wallet data - ENHANCED detection with detailed logging
-			if(response.structuredData?.data?.wallet ||
+			// (un resultado solo de NFTs también trae "wallet", pero sin tokens lo pinta su propia tarjeta)
+			if(walletNftsFound && !response.structuredData?.tokens && !response.structuredData?.data?.tokens) {
+				this.logger.info('[sendEnhancedResponse] Wallet data is NFT-only, using the NFT card.');
+			} else if(response.structuredData?.data?.wallet ||
 				(response.structuredData?.data?.tokens &&
 					response.structuredData?.data?.tokens?.ownerAddress) ||
 				(response.executedActions?.some(action =>
 					typeof action === 'object' &&
 					(action.name === 'fetch_wallet_data' ||
-						action.name === 'fetch_wallet_tokens' ||
-						action.name === 'fetch_wallet_nfts')))) {
+						action.name === 'fetch_wallet_tokens')))) {
 
 				this.logger.info('[sendEnhancedResponse] Found VALID wallet data.');
 				walletDataFound = response.structuredData;
@@ -970,6 +1095,68 @@ Your powerful assistant for navigating Solana with real-time data!
 				}
 			}
 
+			if(walletNftsFound || multiWalletNftsFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting NFT holdings section.');
+				const nftCard = walletNftsFound
+					? this._formatWalletNftsInfo(walletNftsFound)
+					: this._formatMultiWalletNftsInfo(multiWalletNftsFound);
+				if(nftCard) {
+					messageSections.push(nftCard);
+					this.logger.info('[sendEnhancedResponse] NFT holdings section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] NFT holdings formatter returned null or empty.');
+					messageSections.push('<i>(Could not format NFT holdings)</i>');
+				}
+			}
+
+			if(nftCollectionOwnersFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting NFT collection owners section.');
+				const ownersCard = this._formatNftCollectionOwnersInfo(nftCollectionOwnersFound);
+				if(ownersCard) {
+					messageSections.push(ownersCard);
+					this.logger.info('[sendEnhancedResponse] NFT collection owners section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] _formatNftCollectionOwnersInfo returned null or empty.');
+					messageSections.push('<i>(Could not format NFT collection owners)</i>');
+				}
+			}
+
+			if(multiWalletPortfolioFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting multi-wallet portfolio section.');
+				const portfolioCard = this._createWalletPortfolio(multiWalletPortfolioFound);
+				if(portfolioCard) {
+					messageSections.push(portfolioCard);
+					this.logger.info('[sendEnhancedResponse] Multi-wallet portfolio section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] _createWalletPortfolio returned null or empty.');
+					messageSections.push('<i>(Could not format the combined portfolio)</i>');
+				}
+			}
+
+			if(rebalanceReportFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting rebalance report section.');
+				const rebalanceCard = this._formatRebalanceReportInfo(rebalanceReportFound);
+				if(rebalanceCard) {
+					messageSections.push(rebalanceCard);
+					this.logger.info('[sendEnhancedResponse] Rebalance report section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] _formatRebalanceReportInfo returned null or empty.');
+					messageSections.push('<i>(Could not format the rebalance report)</i>');
+				}
+			}
+
+			if(tokenTradesFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting token trades section.');
+				const tradesCard = this._formatTokenTradesInfo(tokenTradesFound);
+				if(tradesCard) {
+					messageSections.push(tradesCard);
+					this.logger.info('[sendEnhancedResponse] Token trades section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] _formatTokenTradesInfo returned null or empty.');
+					messageSections.push('<i>(Could not format trade flow data)</i>');
+				}
+			}
+
 			// Sección de Información del Token (si encontramos datos válidos para ella)
 			if(tokenDataForCard) {
 				this.logger.info('[sendEnhancedResponse] Formatting token info section.');
@@ -1053,6 +1240,17 @@ Your powerful assistant for navigating Solana with real-time data!
 					messageSections.push('<i>(Could not format program details)</i>');
 				}
 			}
+			if(programActivityFound) {
+				this.logger.info('[sendEnhancedResponse] Formatting program activity report section.');
+				const activityInfo = this._formatProgramActivityReportInfo(programActivityFound);
+				if(activityInfo) {
+					messageSections.push(activityInfo);
+					this.logger.info('[sendEnhancedResponse] Program activity report section added.');
+				} else {
+					this.logger.warn('[sendEnhancedResponse] _formatProgramActivityReportInfo returned null or empty.');
+					messageSections.push('<i>(Could not format program activity report)</i>');
+				}
+			}
 			// Sección del Texto del Asistente (siempre añadir si no está vacío)
 			const enhancedText = this._enhanceTextFormatting(response.assistantMessage.text);
 			if(enhancedText.trim().length > 0) {
@@ -1971,6 +2169,8 @@ Your powerful assistant for navigating Solana with real-time data!
 
 		try {
 			let buttons = [];
+			// Wallet o token del que trata la respuesta, para el botón del grafo de red
+			let graphTarget = null;
 			const historyActionExecuted = actionNames.includes('fetch_token_price_history');
 			const holdersActionExecuted = actionNames.includes('fetch_token_holders');
 			const walletActionExecuted = actionNames.includes('fetch_wallet_data') ||
@@ -2007,6 +2207,7 @@ Your powerful assistant for navigating Solana with real-time data!
 					const historyButtons = [];
 					const resolutionButtons = [];
 					if(actualAddress) {
+						graphTarget = { entity: 'token', address: actualAddress };
 						const resolutions = [ '1h', '4h', '1d', '1w' ];
 						resolutions.forEach(res => {
 							const cbData = buildCallbackData('token:history', actualAddress, res);
@@ -2078,6 +2279,7 @@ Your powerful assistant for navigating Solana with real-time data!
 				// Second row: Explorer and other actions
 				const row2 = [];
 				if(tokenAddress) {
+					graphTarget = { entity: 'token', address: tokenAddress };
 					// Add SolScan explorer button
 					row2.push(Markup.button.url('🔍 Explorer', `https://solscan.io/token/${ tokenAddress }`));
 
@@ -2116,6 +2318,7 @@ Your powerful assistant for navigating Solana with real-time data!
 					if(cbAlert) row2.push(Markup.button.callback('🔔 Alert', cbAlert));
 				}
 				if(address) {
+					graphTarget = { entity: 'token', address };
 					const explorerUrl = `https://solscan.io/token/${ address }`;
 					row2.push(Markup.button.url('🔍 Explorer', explorerUrl));
 				}
@@ -2138,6 +2341,7 @@ Your powerful assistant for navigating Solana with real-time data!
 						Markup.button.callback('❓ Help', 'action:show_help'),
 					]);
 				} else {
+					graphTarget = { entity: 'wallet', address: walletAddress };
 					const walletButtons = [];
 
 					// First row: Main wallet analysis actions
@@ -2385,6 +2589,7 @@ Your powerful assistant for navigating Solana with real-time data!
 
 				// Explorer link
 				if(predictionTokenAddress) {
+					graphTarget = { entity: 'token', address: predictionTokenAddress };
 					row4.push(Markup.button.url('🔍 Explorer', `https://solscan.io/token/${ predictionTokenAddress }`));
 				}
 
@@ -2591,6 +2796,17 @@ Your powerful assistant for navigating Solana with real-time data!
 				this.logger.info('[createDynamicKeyboard] Default buttons generated.', { count: buttons.flat().length });
 			}
 
+			// --- Grafo de red: el que pidió el modelo con get_network_graph o el del wallet/token mostrado ---
+			// Va después de los botones por defecto para no sustituirlos cuando es el único botón
+			const requestedGraph = (executedActions || []).find(action =>
+				action?.name === 'get_network_graph' && action.result?.success,
+			)?.result?.data;
+			const graphUrl = requestedGraph?.url ||
+				(graphTarget ? this._networkGraphUrl(graphTarget.entity, graphTarget.address) : null);
+			if(graphUrl) {
+				buttons.push([ Markup.button.url('🕸️ View network graph', graphUrl) ]);
+			}
+
 			return buttons.length > 0 ? { reply_markup: { inline_keyboard: buttons } } : null;
 
 		} catch(error) {
@@ -2789,9 +3005,14 @@ Your powerful assistant for navigating Solana with real-time data!
 
 	/**
 	 * Create wallet portfolio visual
+	 * Results of fetch_multi_wallet_portfolio (`wallets` + `holdings`) get the merged view.
 	 */
 	_createWalletPortfolio(data) {
 		try {
+			if(Array.isArray(data?.wallets) && Array.isArray(data.holdings)) {
+				return this._createMergedWalletPortfolio(data);
+			}
+
 			if(!data.tokens || !data.tokens.data || data.tokens.data.length === 0) {
 				return null;
 			}
@@ -2847,6 +3068,122 @@ Your powerful assistant for navigating Solana with real-time data!
 		}
 	}
 
+	/**
+	 * Merged portfolio of several wallets: combined value, per-wallet split, merged holdings and value history
+	 */
+	_createMergedWalletPortfolio(data) {
+		const totalValue = parseFloat(data.totalValueUsd) || 0;
+		const change = parseFloat(data.totalValueUsd1dChange) || 0;
+		const bar = (percent, length = 10) => {
+			const filled = Math.min(length, Math.max(0, Math.round((parseFloat(percent) || 0) / (100 / length))));
+			return '█'.repeat(filled) + '▒'.repeat(length - filled);
+		};
+
+		let visual = `<b>💼 COMBINED PORTFOLIO</b> (${ data.wallets.length } wallets)\n\n`;
+		visual += `• Total Value: <b>$${ this._formatNumber(totalValue) }</b>\n`;
+		visual += `• 24h Change: ${ change >= 0 ? '📈' : '📉' } <b>${ change >= 0 ? '+' : '-' }$${ this._formatNumber(Math.abs(change)) }</b>\n`;
+		visual += `• Tokens: <b>${ data.tokenCount ?? data.holdings.length }</b>\n`;
+
+		if(Array.isArray(data.walletBreakdown) && data.walletBreakdown.length > 0) {
+			visual += `\n<b>👛 BY WALLET</b>\n`;
+			data.walletBreakdown.forEach(wallet => {
+				if(wallet.valueUsd === null || wallet.valueUsd === undefined) {
+					visual += `• <code>${ this._shortenAddress(wallet.wallet) }</code>: <i>unavailable</i>\n`;
+					return;
+				}
+				visual += `• <code>${ this._shortenAddress(wallet.wallet) }</code>: $${ this._formatNumber(wallet.valueUsd) } ${ bar(wallet.portfolioPercent) } <b>${ (parseFloat(wallet.portfolioPercent) || 0).toFixed(1) }%</b>\n`;
+			});
+		}
+
+		if(data.holdings.length > 0) {
+			visual += `\n<b>🏆 MERGED HOLDINGS</b>\n`;
+			data.holdings.slice(0, 8).forEach((holding, index) => {
+				const walletCount = Array.isArray(holding.wallets) && holding.wallets.length > 1 ? ` • ${ holding.wallets.length } wallets` : '';
+				visual += `${ index + 1 }. <code>${ this._escapeHtml(holding.symbol || 'UNKNOWN') }</code>: ${ this._formatNumber(holding.amount || 0) }${ walletCount }\n`;
+				visual += `   $${ this._formatNumber(holding.valueUsd || 0) } ${ bar(holding.portfolioPercent) } <b>${ (parseFloat(holding.portfolioPercent) || 0).toFixed(1) }%</b>\n`;
+			});
+		}
+
+		const history = Array.isArray(data.valueHistory) ? data.valueHistory : [];
+		if(history.length > 1) {
+			const values = history.map(point => parseFloat(point.totalValueUsd) || 0);
+			const first = values[0];
+			const last = values[values.length - 1];
+			const min = Math.min(...values);
+			const range = Math.max(...values) - min;
+			const sparkline = values.map(value => '▁▂▃▄▅▆▇█'[range > 0 ? Math.round((value - min) / range * 7) : 3]).join('');
+			const percent = first > 0 ? (last - first) / first * 100 : 0;
+
+			visual += `\n<b>📈 COMBINED VALUE (${ history.length } days)</b>\n`;
+			visual += `<code>${ sparkline }</code>\n`;
+			visual += `$${ this._formatNumber(first) } → $${ this._formatNumber(last) } (<b>${ percent >= 0 ? '+' : '' }${ percent.toFixed(2) }%</b>)\n`;
+		}
+
+		visual += `\n<i>Data provided by Vybe Network API • ${ this._formatDate(new Date()) }</i>`;
+		return visual;
+	}
+
+	/**
+	 * Formatter for rebalance_portfolio: target vs current weight per asset, drift and proposed trades
+	 */
+	_formatRebalanceReportInfo(report) {
+		try {
+			if(!report?.plan || !Array.isArray(report.assets)) {
+				this.logger.warn('[_formatRebalanceReportInfo] Called with null or invalid data');
+				return null;
+			}
+
+			const tolerance = parseFloat(report.tolerancePercent) || 0;
+			const walletCount = Array.isArray(report.wallets) ? report.wallets.length : 0;
+			const statusIcons = { in_band: '✅', overweight: '🔺', underweight: '🔻' };
+
+			let card = `<b>⚖️ REBALANCE: ${ this._escapeHtml(report.plan.name) }</b>\n\n`;
+			card += `• Portfolio Value: <b>$${ this._formatNumber(report.totalValueUsd || 0) }</b> (${ walletCount } wallet${ walletCount === 1 ? '' : 's' })\n`;
+			card += `• Tolerance: ±${ tolerance }% • Out of band: <b>${ report.outOfBandCount || 0 }</b>\n`;
+
+			card += `\n<b>🎯 TARGET vs CURRENT</b>\n`;
+			report.assets.forEach(asset => {
+				const drift = parseFloat(asset.driftPercent) || 0;
+				const label = asset.planned === false ? ' <i>(not in plan)</i>' : '';
+				card += `${ statusIcons[asset.status] || '•' } <code>${ this._escapeHtml(asset.token) }</code>${ label }: ${ (parseFloat(asset.currentPercent) || 0).toFixed(1) }% / ${ (parseFloat(asset.targetPercent) || 0).toFixed(1) }% (<b>${ drift >= 0 ? '+' : '' }${ drift.toFixed(1) } pp</b>)\n`;
+			});
+			if(report.otherHoldings?.count > 0) {
+				card += `<i>+${ report.otherHoldings.count } other holding(s) outside the plan: $${ this._formatNumber(report.otherHoldings.valueUsd || 0) } (${ (parseFloat(report.otherHoldings.percent) || 0).toFixed(1) }%)</i>\n`;
+			}
+
+			const trades = Array.isArray(report.trades) ? report.trades : [];
+			if(trades.length === 0) {
+				card += `\n✅ <b>No rebalance needed</b>: every asset is within ±${ tolerance }% of its target.\n`;
+			} else {
+				card += `\n<b>🔁 PROPOSED TRADES</b>\n`;
+				trades.forEach(trade => {
+					const amount = trade.amount !== null && trade.amount !== undefined ? ` ≈ ${ this._formatNumber(trade.amount) } ${ this._escapeHtml(trade.token) }` : '';
+					card += `${ trade.action === 'sell' ? '🔴 SELL' : '🟢 BUY' } <code>${ this._escapeHtml(trade.token) }</code>: <b>$${ this._formatNumber(trade.tradeUsd) }</b>${ amount }\n`;
+				});
+				const net = parseFloat(report.totals?.netUsd) || 0;
+				card += `\n• Sells: $${ this._formatNumber(report.totals?.sellUsd || 0) } • Buys: $${ this._formatNumber(report.totals?.buyUsd || 0) }\n`;
+				if(Math.abs(net) >= (parseFloat(report.minTradeUsd) || 0)) {
+					card += net > 0
+						? `• Extra cash needed: <b>$${ this._formatNumber(net) }</b>\n`
+						: `• Cash freed: <b>$${ this._formatNumber(-net) }</b>\n`;
+				}
+			}
+
+			if(report.driftAlert?.scheduled) {
+				card += `\n🔔 Drift alert scheduled (<code>${ this._escapeHtml(report.driftAlert.cronExpression) }</code>, ${ this._escapeHtml(report.driftAlert.timezone) }) • next check ${ this._escapeHtml(report.driftAlert.nextRun) }\n`;
+			}
+
+			card += `\n<i>Data provided by Vybe Network API • ${ this._formatDate(new Date()) }</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatRebalanceReportInfo] Error formatting rebalance report', {
+				err: error,
+				errorMessage: error.message,
+			});
+			return null;
+		}
+	}
+
 	/**
 	 * Create price prediction visual
 	 */
@@ -2964,14 +3301,7 @@ Your powerful assistant for navigating Solana with real-time data!
 	 * @returns {string} - HTML-escaped text
 	 */
 	_escapeHtml(text) {
-		if(!text || typeof text !== 'string') return '';
-
-		return text
-			.replace(/&/g, '&amp;')
-			.replace(/</g, '&lt;')
-			.replace(/>/g, '&gt;')
-			.replace(/"/g, '&quot;')
-			.replace(/'/g, '&#039;');
+		return escapeHtml(text);
 	}
 
 	/**
@@ -3262,6 +3592,10 @@ Your powerful assistant for navigating Solana with real-time data!
 			this.bot.stop(signal);
 			this.logger.info('Telegraf polling stopped.');
 
+			// Stop scheduled task worker and live Vybe stream
+			await this.scheduler.stop();
+			await this.vybeStream.stop();
+
 			// Disconnect Prisma
 			await this.prisma.$disconnect();
 			this.logger.info('Prisma connection closed.');
@@ -3467,6 +3801,10 @@ Your powerful assistant for navigating Solana with real-time data!
 							stageEmoji = '⚙️';
 							stageTitle = 'PROCESSING REQUEST';
 							break;
+						case 'agent_step':
+							stageEmoji = '🔁';
+							stageTitle = 'PLANNING NEXT STEP';
+							break;
 						case 'executing_tools':
 							stageEmoji = '🛠️';
 							stageTitle = 'EXECUTING ACTIONS';
@@ -3506,7 +3844,7 @@ Your powerful assistant for navigating Solana with real-time data!
 						processingMessage = null;
 					});
 
-					if([ 'main_consultation', 'executing_tools', 'synthesis' ].includes(stage)) {
+					if([ 'main_consultation', 'agent_step', 'executing_tools', 'synthesis' ].includes(stage)) {
 						await ctx.sendChatAction('typing').catch(() => {});
 					}
 				} catch(error) {
@@ -3900,15 +4238,242 @@ Your powerful assistant for navigating Solana with real-time data!
 		}
 	}
 
+	/**
+	 * Formats the NFT holdings of a single wallet (fetch_wallet_nfts)
+	 * @param {object} nftData - Action result: { wallet, totalValueUsd, totalValueSol, collectionCount, collections }
+	 * @returns {string|null} HTML formatted card
+	 */
+	_formatWalletNftsInfo(nftData) {
+		try {
+			if(!nftData || !Array.isArray(nftData.collections)) {
+				this.logger.warn('[_formatWalletNftsInfo] Invalid NFT data structure');
+				return null;
+			}
+
+			let card = `<b>🖼️ NFT PORTFOLIO</b>\n\n`;
+			card += `<b>Address:</b> <code>${ this._shortenAddress(nftData.wallet) }</code>\n\n`;
+			card += this._formatNftHoldingsBody(nftData);
+			card += `\n<i>Data provided by Vybe Network API • ${ this._formatDate(new Date()) }</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatWalletNftsInfo] Error formatting wallet NFTs', { err: error, errorMessage: error.message });
+			return null;
+		}
+	}
+
+	/**
+	 * Formats the NFT holdings aggregated over several wallets (fetch_multi_wallet_nfts)
+	 * @param {object} nftData - Action result: { wallets, totalValueUsd, totalValueSol, collectionCount, collections }
+	 * @returns {string|null} HTML formatted card
+	 */
+	_formatMultiWalletNftsInfo(nftData) {
+		try {
+			if(!nftData || !Array.isArray(nftData.collections)) {
+				this.logger.warn('[_formatMultiWalletNftsInfo] Invalid NFT data structure');
+				return null;
+			}
+
+			const wallets = Array.isArray(nftData.wallets) ? nftData.wallets : [];
+			let card = `<b>🖼️ COMBINED NFT PORTFOLIO</b>\n\n`;
+			card += `<b>Wallets (${ wallets.length }):</b>\n`;
+			wallets.forEach(wallet => {
+				card += `• <code>${ this._shortenAddress(wallet) }</code>\n`;
+			});
+			card += '\n' + this._formatNftHoldingsBody(nftData);
+			card += `\n<i>Data provided by Vybe Network API • ${ this._formatDate(new Date()) }</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatMultiWalletNftsInfo] Error formatting multi-wallet NFTs', { err: error, errorMessage: error.message });
+			return null;
+		}
+	}
+
+	_formatNftHoldingsBody(nftData) {
+		const collections = nftData.collections;
+		const totalValue = parseFloat(nftData.totalValueUsd) || 0;
+
+		let body = `<b>📊 SUMMARY</b>\n`;
+		body += `• Total Value: <b>$${ this._formatNumber(totalValue) }</b> (${ this._formatNumber(parseFloat(nftData.totalValueSol) || 0) } SOL)\n`;
+		body += `• Collections: <b>${ nftData.collectionCount ?? collections.length }</b>\n`;
+
+		if(collections.length === 0) {
+			return body + '\n<i>No NFTs with price data found</i>\n';
+		}
+
+		body += `\n<b>🏆 TOP COLLECTIONS</b>\n`;
+		collections.slice(0, 10).forEach((collection, index) => {
+			const valueUsd = parseFloat(collection.valueUsd) || 0;
+			const percentage = totalValue > 0 ? valueUsd / totalValue * 100 : 0;
+			const barLength = Math.min(10, Math.round(percentage / 10));
+			const bar = '█'.repeat(barLength) + '▒'.repeat(10 - barLength);
+
+			body += `${ index + 1 }. <b>${ this._escapeHtml(collection.name || 'Unknown collection') }</b> × ${ collection.items || 0 }\n`;
+			body += `   $${ this._formatNumber(valueUsd) } ${ bar } <b>${ percentage.toFixed(1) }%</b>`;
+			if(collection.floorPriceSol) body += ` • floor ${ this._formatNumber(collection.floorPriceSol) } SOL`;
+			body += '\n';
+		});
+		return body;
+	}
+
+	/**
+	 * Formats the ownership analysis of an NFT collection (analyze_nft_collection_owners)
+	 * @param {object} ownersData - Action result with totals, distribution and topOwners
+	 * @returns {string|null} HTML formatted card
+	 */
+	_formatNftCollectionOwnersInfo(ownersData) {
+		try {
+			if(!ownersData || !Array.isArray(ownersData.topOwners)) {
+				this.logger.warn('[_formatNftCollectionOwnersInfo] Invalid owners data structure');
+				return null;
+			}
+
+			const percent = value => `${ (parseFloat(value) || 0).toFixed(1) }%`;
+
+			let card = `<b>🐋 NFT COLLECTION OWNERS</b>\n\n`;
+			card += `<b>Collection:</b> <code>${ this._shortenAddress(ownersData.collection) }</code>\n\n`;
+
+			card += `<b>📊 SUMMARY</b>\n`;
+			card += `• Owners: <b>${ this._formatNumber(ownersData.totalOwners || 0) }</b>\n`;
+			card += `• Items: <b>${ this._formatNumber(ownersData.totalItems || 0) }</b> (avg ${ (parseFloat(ownersData.averageItemsPerOwner) || 0).toFixed(2) } per owner)\n`;
+			card += `• Top 1 holds: <b>${ percent(ownersData.top1ItemsPercent) }</b> • Top 10: <b>${ percent(ownersData.top10ItemsPercent) }</b>\n`;
+			card += `• Whales (≥${ ownersData.whaleMinItems } items): <b>${ ownersData.whaleCount || 0 }</b> holding <b>${ percent(ownersData.whaleItemsPercent) }</b>\n`;
+
+			if(Array.isArray(ownersData.distribution) && ownersData.distribution.length > 0) {
+				card += `\n<b>📦 OWNERS BY ITEMS HELD</b>\n`;
+				ownersData.distribution.forEach(bucket => {
+					const barLength = Math.min(10, Math.round((parseFloat(bucket.itemsPercent) || 0) / 10));
+					card += `<code>${ String(bucket.itemsHeld).padEnd(6) }</code> ${ '█'.repeat(barLength) }${ '▒'.repeat(10 - barLength) } ${ bucket.owners } owners • ${ percent(bucket.itemsPercent) } of items\n`;
+				});
+			}
+
+			if(ownersData.topOwners.length > 0) {
+				card += `\n<b>🏆 TOP OWNERS</b>\n`;
+				ownersData.topOwners.slice(0, 10).forEach((row, index) => {
+					const rankEmoji = index < 3 ? [ '🥇', '🥈', '🥉' ][index] : `${ index + 1 }.`;
+					card += `${ rankEmoji } <code>${ this._shortenAddress(row.owner) }</code>: <b>${ row.items }</b> items (${ percent(row.itemsPercent) })\n`;
+				});
+			}
+
+			card += `\n<i>Data provided by Vybe Network API</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatNftCollectionOwnersInfo] Error formatting collection owners', { err: error, errorMessage: error.message });
+			return null;
+		}
+	}
+
+	/**
+	 * Formats the trade flow analysis of a token (analyze_token_trades)
+	 * @param {object} tradesData - Action result with pressure, sizeDistribution, traders, volumeByProgram and largestTrades
+	 * @returns {string|null} HTML formatted card
+	 */
+	_formatTokenTradesInfo(tradesData) {
+		try {
+			if(!tradesData?.pressure) {
+				this.logger.warn('[_formatTokenTradesInfo] Invalid trades data structure');
+				return null;
+			}
+
+			const pressure = tradesData.pressure;
+			// _shortenAddress ya devuelve HTML escapado
+			const tokenLabel = tradesData.tokenSymbol ? this._escapeHtml(tradesData.tokenSymbol) : this._shortenAddress(tradesData.token);
+			const signalLabels = {
+				strong_buy: '🟢 Strong buy pressure',
+				buy: '🟢 Buy pressure',
+				neutral: '⚪ Balanced',
+				sell: '🔴 Sell pressure',
+				strong_sell: '🔴 Strong sell pressure',
+			};
+
+			let card = `<b>📊 TRADE FLOW OF ${ tokenLabel }</b> (${ tradesData.windowHours || 24 }h)\n\n`;
+
+			const buyShare = pressure.buyRatio !== null && pressure.buyRatio !== undefined ? pressure.buyRatio * 100 : null;
+			card += `<b>⚖️ BUY / SELL PRESSURE</b>\n`;
+			if(buyShare !== null) {
+				const buyBars = Math.round(buyShare / 10);
+				card += `${ '🟩'.repeat(buyBars) }${ '🟥'.repeat(10 - buyBars) } <b>${ buyShare.toFixed(1) }%</b> buys\n`;
+			}
+			card += `• Buys: <b>${ pressure.buys }</b> ($${ this._formatNumber(pressure.buyVolumeUsd || 0) }) • Sells: <b>${ pressure.sells }</b> ($${ this._formatNumber(pressure.sellVolumeUsd || 0) })\n`;
+			card += `• Net: <b>${ pressure.netBuyVolumeUsd >= 0 ? '+' : '-' }$${ this._formatNumber(Math.abs(pressure.netBuyVolumeUsd || 0)) }</b> • ${ signalLabels[pressure.signal] || 'Not enough data' }\n\n`;
+
+			card += `<b>📈 ACTIVITY</b>\n`;
+			card += `• Trades: <b>${ tradesData.tradesAnalyzed || 0 }</b> • Volume: <b>$${ this._formatNumber(tradesData.totalVolumeUsd || 0, true) }</b>\n`;
+			card += `• Unique traders: <b>${ tradesData.traders?.unique || 0 }</b>\n`;
+			if(tradesData.medianTradeUsd) {
+				card += `• Median trade: <b>$${ this._formatNumber(tradesData.medianTradeUsd) }</b> • Average: <b>$${ this._formatNumber(tradesData.averageTradeUsd || 0) }</b>\n`;
+			}
+
+			if(Array.isArray(tradesData.sizeDistribution) && tradesData.sizeDistribution.some(bucket => bucket.trades > 0)) {
+				card += `\n<b>📦 TRADE SIZES</b>\n`;
+				tradesData.sizeDistribution.forEach(bucket => {
+					card += `<code>${ this._escapeHtml(String(bucket.size).padEnd(10)) }</code> ${ bucket.trades } trades • $${ this._formatNumber(bucket.volumeUsd || 0, true) }\n`;
+				});
+			}
+
+			if(Array.isArray(tradesData.volumeByProgram) && tradesData.volumeByProgram.length > 0) {
+				card += `\n<b>🏦 VOLUME BY DEX</b>\n`;
+				tradesData.volumeByProgram.slice(0, 5).forEach(program => {
+					const share = parseFloat(program.volumeSharePercent) || 0;
+					const barLength = Math.min(10, Math.round(share / 10));
+					const name = program.name ? this._escapeHtml(program.name) : this._shortenAddress(program.programId);
+					card += `• ${ name }: $${ this._formatNumber(program.volumeUsd || 0, true) } ${ '█'.repeat(barLength) }${ '▒'.repeat(10 - barLength) } <b>${ share.toFixed(1) }%</b>\n`;
+				});
+			}
+
+			if(Array.isArray(tradesData.largestTrades) && tradesData.largestTrades.length > 0) {
+				card += `\n<b>🐋 LARGEST TRADES</b>\n`;
+				tradesData.largestTrades.slice(0, 5).forEach((trade, index) => {
+					const sideEmoji = trade.side === 'buy' ? '🟢' : trade.side === 'sell' ? '🔴' : '⚪';
+					card += `${ index + 1 }. ${ sideEmoji } <b>$${ this._formatNumber(trade.valueUsd || 0) }</b> by <code>${ this._shortenAddress(trade.trader) }</code>`;
+					if(trade.programName) card += ` on ${ this._escapeHtml(trade.programName) }`;
+					card += '\n';
+				});
+			}
+
+			if(tradesData.dataset && tradesData.dataset.complete === false) {
+				card += `\n<i>⚠️ Only the latest ${ tradesData.tradesAnalyzed } trades were analyzed</i>\n`;
+			}
+			card += `\n<i>Sides inferred from price moves when not reported • Data provided by Vybe Network API</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatTokenTradesInfo] Error formatting token trades', { err: error, errorMessage: error.message });
+			return null;
+		}
+	}
+
+	/**
+	 * Vybe network graph widget URL for a wallet or token, or null if the address is not a Solana address
+	 * (e.g. a symbol used as fallback).
+	 */
+	_networkGraphUrl(entity, address) {
+		if(typeof address !== 'string' || !SOLANA_ADDRESS_REGEX.test(address)) return null;
+		try {
+			return VybeService.getNetworkGraphWidgetUrl({
+				address,
+				entity,
+				connectionNode: VybeService.NETWORK_GRAPH_DEFAULT_CONNECTION_NODE,
+			});
+		} catch(error) {
+			this.logger.warn('[_networkGraphUrl] Could not build network graph URL', { entity, address, errorMessage: error.message });
+			return null;
+		}
+	}
+
 	/**
 	 * Helper method to shorten wallet/token addresses
+	 * Addresses in Vybe's known accounts are shown with their label, e.g. "Binance Hot Wallet (5tzFki...uAi9)".
 	 * @param {string} address - The full address
-	 * @returns {string} Shortened address
+	 * @returns {string} Shortened address, HTML-escaped when it carries a label
 	 */
 	_shortenAddress(address) {
 		if(!address || typeof address !== 'string') return 'Unknown';
 		if(address.length <= 16) return address;
-		return `${ address.substring(0, 6) }...${ address.substring(address.length - 4) }`;
+		const shortened = `${ address.substring(0, 6) }...${ address.substring(address.length - 4) }`;
+
+		const label = KnownAccountsService.getLabel(address);
+		if(!label) return shortened;
+		const shortLabel = label.length > 28 ? `${ label.substring(0, 27) }…` : label;
+		return `${ this._escapeHtml(shortLabel) } (${ shortened })`;
 	}
 
 	/**
@@ -4436,6 +5001,86 @@ Your powerful assistant for navigating Solana with real-time data!
 		}
 	}
 
+	/**
+	 * Formatter for program_activity_report: one block per series with change, trend, sparkline and anomalies
+	 */
+	_formatProgramActivityReportInfo(report) {
+		try {
+			if(!report?.metrics) {
+				this.logger.warn('[_formatProgramActivityReportInfo] Called with null or invalid data');
+				return null;
+			}
+
+			const labels = {
+				activeUsers: '👥 Active Users',
+				transactions: '🔁 Transactions',
+				instructions: '⚙️ Instructions',
+				tvl: '🏦 TVL',
+			};
+			const trendEmoji = { growing: '📈', declining: '📉', stable: '➡️', unknown: '❔' };
+			const formatPercent = value => value === null || value === undefined ? 'n/a' : `${ value >= 0 ? '+' : '' }${ value.toFixed(1) }%`;
+			const formatValue = (metric, value) => metric === 'tvl' ? `$${ this._formatNumber(value) }` : Math.round(value).toLocaleString('en-US');
+			const sparkline = points => {
+				const values = points.map(point => point.value);
+				const min = Math.min(...values);
+				const range = Math.max(...values) - min;
+				return values.slice(-24).map(value => '▁▂▃▄▅▆▇█'[range > 0 ? Math.round((value - min) / range * 7) : 3]).join('');
+			};
+
+			const name = report.programName ? this._escapeHtml(report.programName) : this._shortenAddress(report.programId);
+			let card = `<b>📡 PROGRAM ACTIVITY: ${ name }</b> (${ report.range })\n\n`;
+
+			Object.keys(labels).forEach(metric => {
+				const summary = report.metrics[metric];
+				if(!summary) return;
+
+				card += `<b>${ labels[metric] }</b> ${ trendEmoji[summary.trend] || '' }\n`;
+				card += `• Latest: <b>${ formatValue(metric, summary.latest) }</b> (${ formatPercent(summary.changePercent) } over window)\n`;
+				card += `• Range: ${ formatValue(metric, summary.min) } – ${ formatValue(metric, summary.max) } • Trend: ${ formatPercent(summary.trendChangePercent) }\n`;
+				if(Array.isArray(summary.points) && summary.points.length > 1) {
+					card += `<code>${ sparkline(summary.points) }</code>\n`;
+				}
+				(summary.anomalies || []).slice(-3).forEach(anomaly => {
+					const icon = anomaly.direction === 'spike' ? '⚡' : '🕳';
+					card += `  ${ icon } ${ anomaly.direction } ${ formatValue(metric, anomaly.value) } on ${ this._formatDate(new Date(anomaly.time * 1000)) }\n`;
+				});
+				card += '\n';
+			});
+
+			const ratios = report.ratios || {};
+			const ratioLines = [];
+			if(ratios.transactionsPerUser) ratioLines.push(`• Tx per user: <b>${ ratios.transactionsPerUser.toFixed(2) }</b>`);
+			if(ratios.instructionsPerTransaction) ratioLines.push(`• Instructions per tx: <b>${ ratios.instructionsPerTransaction.toFixed(2) }</b>`);
+			if(ratios.tvlPerUser) ratioLines.push(`• TVL per user: <b>$${ this._formatNumber(ratios.tvlPerUser) }</b>`);
+			if(ratioLines.length > 0) card += `<b>⚖️ RATIOS</b>\n${ ratioLines.join('\n') }\n\n`;
+
+			const flagLabels = {
+				user_growth: '🚀 Strong user growth',
+				user_decline: '⚠️ Users dropping sharply',
+				tvl_inflow: '💰 TVL inflow',
+				tvl_outflow: '🚨 TVL outflow',
+				activity_without_users: '🤖 Activity growing without new users',
+				anomalies_detected: '⚡ Anomalous points detected',
+			};
+			if(Array.isArray(report.flags) && report.flags.length > 0) {
+				card += `<b>🚩 SIGNALS</b>\n${ report.flags.map(flag => `• ${ flagLabels[flag] || flag }`).join('\n') }\n\n`;
+			}
+
+			if(Array.isArray(report.unavailable) && report.unavailable.length > 0) {
+				card += `<i>Unavailable: ${ report.unavailable.map(entry => this._escapeHtml(entry.metric)).join(', ') }</i>\n`;
+			}
+
+			card += `<i>Data from Vybe Network API • ${ this._formatDate(new Date()) }</i>`;
+			return card;
+		} catch(error) {
+			this.logger.error('[_formatProgramActivityReportInfo] Error formatting program activity report', {
+				err: error,
+				errorMessage: error.message,
+			});
+			return null;
+		}
+	}
+
 	/**
 	 * Specialized formatter for Program Active Users data
 	 * Add this method to your TelegramBotService class
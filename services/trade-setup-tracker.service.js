@@ -0,0 +1,316 @@
+// trade-setup-tracker.service.js
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import VybeService from './vybe.service.js';
+import AlertConditionService from './alert-condition.service.js';
+import { createLogger } from '#utils/logger.js';
+import { escapeHtml, formatNumber } from '#utils/format.js';
+
+/**
+ * Follows the trade setups saved with `upsert_trade_setup` (`trade_setup` memory objects) against
+ * live prices and moves each one through `pending` → `entered` → `stopped` / `target_hit`.
+ *
+ * The state lives in the setup's `data.tracking`. A pending setup is entered when the price reaches
+ * `entryPrice` from the side it was on when tracking started (so both dip buys and breakout entries
+ * work); an entered setup closes when it touches its stop loss or take profit. Setups saved as
+ * `active` are taken as already entered at `entryPrice`. Every transition is sent to the chat, and
+ * closed setups get a `trade_journal` memory object with the outcome.
+ *
+ * Prices are polled (token details, cached ~1 minute by VybeCacheService), so a move that crosses
+ * a level and comes back between two checks is not seen. Checks without a transition only persist
+ * `tracking.lastPrice` every `TRACKING_PERSIST_INTERVAL_MS` or after a `TRACKING_PERSIST_MOVE_PERCENT` move.
+ */
+class TradeSetupTrackerService {
+	static DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+	static STATES = [ 'pending', 'entered', 'stopped', 'target_hit' ];
+	static CLOSED_STATES = [ 'stopped', 'target_hit' ];
+	// Estados de `status` (los que elige el usuario) que el tracker no toca
+	static IGNORED_STATUSES = [ 'completed', 'canceled' ];
+	// Sin transición, el último precio solo se guarda cada tanto o tras un movimiento grande
+	static TRACKING_PERSIST_INTERVAL_MS = 15 * 60 * 1000;
+	static TRACKING_PERSIST_MOVE_PERCENT = 1;
+
+	/**
+	 * @param {import('telegraf').Telegram} telegram - Telegraf API client used to deliver transitions.
+	 * @param {object} [options]
+	 * @param {number} [options.checkIntervalMs] - Minimum delay between two checks of the active setups.
+	 * @param {AlertConditionService} [options.conditionService] - Used to resolve token symbols.
+	 */
+	constructor(telegram, options = {}) {
+		this.logger = createLogger({
+			name: 'TradeSetupTrackerService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+		this.telegram = telegram;
+		this.checkIntervalMs = options.checkIntervalMs
+			|| parseInt(process.env.TRADE_SETUP_CHECK_INTERVAL_MS)
+			|| TradeSetupTrackerService.DEFAULT_CHECK_INTERVAL_MS;
+		this.conditionService = options.conditionService || new AlertConditionService();
+		this.lastRunAt = 0;
+	}
+
+	/**
+	 * Checks every tracked setup against the current price, at most once per `checkIntervalMs`.
+	 * @param {object} [options]
+	 * @param {boolean} [options.force] - Ignore the check interval.
+	 * @returns {Promise<number>} Number of transitions.
+	 */
+	async runChecks({ force = false } = {}) {
+		if(!force && Date.now() - this.lastRunAt < this.checkIntervalMs) return 0;
+		this.lastRunAt = Date.now();
+
+		const setups = (await this.prisma.memoryObject.findMany({
+			where: { objectType: 'trade_setup', isActive: true },
+		})).filter(setup => TradeSetupTrackerService.isTracked(setup.data));
+		if(setups.length === 0) return 0;
+
+		const chats = await this.prisma.chat.findMany({
+			where: { id: { in: [ ...new Set(setups.map(setup => setup.chatId)) ] } },
+			include: { session: true },
+		});
+		const telegramChatIds = new Map(chats.map(chat => [ chat.id, chat.session?.chatId ?? null ]));
+
+		// Un precio por token aunque varios setups lo sigan
+		const prices = new Map();
+		let transitions = 0;
+		for(const setup of setups) {
+			try {
+				const tokenAddress = await this._resolveTokenAddress(setup);
+				if(!prices.has(tokenAddress)) prices.set(tokenAddress, await this._getPrice(tokenAddress));
+				const price = prices.get(tokenAddress);
+				if(price === null) continue;
+
+				transitions += await this.checkSetup(setup, price, telegramChatIds.get(setup.chatId));
+			} catch(error) {
+				// Un setup con token irresoluble no frena al resto; se reintenta en el próximo chequeo
+				this.logger.warn(`Could not check trade setup ${ setup.id } (${ setup.name }): ${ error.message }`);
+			}
+		}
+
+		if(transitions > 0) this.logger.info(`Trade setups: ${ transitions } transition(s) over ${ setups.length } tracked setup(s).`);
+		return transitions;
+	}
+
+	/**
+	 * Whether a setup is still followed by the tracker.
+	 * @param {object} data - Setup data.
+	 * @returns {boolean}
+	 */
+	static isTracked(data) {
+		if(!data || TradeSetupTrackerService.IGNORED_STATUSES.includes(data.status)) return false;
+		if(TradeSetupTrackerService.CLOSED_STATES.includes(data.tracking?.state)) return false;
+		return parseFloat(data.entryPrice) > 0 && [ 'long', 'short' ].includes(data.direction);
+	}
+
+	/**
+	 * Next tracking state for a price, without side effects.
+	 * @param {object} data - Setup data (`direction`, `entryPrice`, `stopLoss`, `takeProfit`, `status`, `tracking`).
+	 * @param {number} price - Current price.
+	 * @param {Date} [now=new Date()]
+	 * @returns {{ tracking: object, transition: string|null }} Updated tracking and the new state if it changed.
+	 */
+	static advance(data, price, now = new Date()) {
+		const isLong = data.direction === 'long';
+		const entryPrice = parseFloat(data.entryPrice);
+		const stopLoss = parseFloat(data.stopLoss) || null;
+		const takeProfit = parseFloat(data.takeProfit) || null;
+		const timestamp = now.toISOString();
+
+		const tracking = data.tracking
+			? { ...data.tracking }
+			: data.status === 'active'
+				? { state: 'entered', startedAt: timestamp, referencePrice: price, enteredAt: timestamp, enteredPrice: entryPrice }
+				: { state: 'pending', startedAt: timestamp, referencePrice: price };
+		tracking.lastPrice = price;
+		tracking.lastCheckedAt = timestamp;
+
+		let transition = null;
+		if(tracking.state === 'pending') {
+			const reached = tracking.referencePrice >= entryPrice ? price <= entryPrice : price >= entryPrice;
+			if(reached) {
+				Object.assign(tracking, { state: 'entered', enteredAt: timestamp, enteredPrice: price });
+				transition = 'entered';
+			}
+		} else if(tracking.state === 'entered') {
+			const stopHit = stopLoss && (isLong ? price <= stopLoss : price >= stopLoss);
+			const targetHit = takeProfit && (isLong ? price >= takeProfit : price <= takeProfit);
+			if(stopHit || targetHit) {
+				Object.assign(tracking, { state: stopHit ? 'stopped' : 'target_hit', closedAt: timestamp, exitPrice: price });
+				transition = tracking.state;
+			}
+		}
+
+		if(tracking.state === 'entered') {
+			const move = (price - tracking.enteredPrice) / tracking.enteredPrice * 100;
+			tracking.unrealizedPercent = isLong ? move : -move;
+		}
+		return { tracking, transition };
+	}
+
+	/**
+	 * Whether a check without transition should save the tracking state: always for a setup that was
+	 * not tracked yet (its reference price decides the entry side), otherwise when the saved state is
+	 * older than `TRACKING_PERSIST_INTERVAL_MS` or the price moved `TRACKING_PERSIST_MOVE_PERCENT` since.
+	 * @param {object|undefined} previous - Saved `data.tracking`.
+	 * @param {number} price - Current price.
+	 * @param {Date} [now=new Date()]
+	 * @returns {boolean}
+	 */
+	static shouldPersist(previous, price, now = new Date()) {
+		if(!previous?.lastCheckedAt || !(previous.lastPrice > 0)) return true;
+		if(now - new Date(previous.lastCheckedAt) >= TradeSetupTrackerService.TRACKING_PERSIST_INTERVAL_MS) return true;
+		return Math.abs(price / previous.lastPrice - 1) * 100 >= TradeSetupTrackerService.TRACKING_PERSIST_MOVE_PERCENT;
+	}
+
+	/**
+	 * Journal entry of a closed setup.
+	 * @param {object} setup - MemoryObject row.
+	 * @param {object} tracking - Closed tracking state.
+	 * @returns {object}
+	 */
+	static journalEntry(setup, tracking) {
+		const data = setup.data;
+		const isLong = data.direction === 'long';
+		const move = (tracking.exitPrice - tracking.enteredPrice) / tracking.enteredPrice * 100;
+		const risk = data.stopLoss ? Math.abs(tracking.enteredPrice - parseFloat(data.stopLoss)) : null;
+		const pnlPerUnit = isLong ? tracking.exitPrice - tracking.enteredPrice : tracking.enteredPrice - tracking.exitPrice;
+
+		return {
+			setupId: setup.id,
+			setupName: setup.name,
+			token: data.token,
+			tokenAddress: data.tokenAddress || null,
+			direction: data.direction,
+			plannedEntryPrice: parseFloat(data.entryPrice),
+			stopLoss: data.stopLoss ?? null,
+			takeProfit: data.takeProfit ?? null,
+			enteredPrice: tracking.enteredPrice,
+			exitPrice: tracking.exitPrice,
+			outcome: tracking.state,
+			returnPercent: isLong ? move : -move,
+			rMultiple: risk ? pnlPerUnit / risk : null,
+			enteredAt: tracking.enteredAt,
+			closedAt: tracking.closedAt,
+			durationHours: (new Date(tracking.closedAt) - new Date(tracking.enteredAt)) / 3600000,
+			rationale: data.rationale || '',
+		};
+	}
+
+	/**
+	 * Advances one setup and, on a transition, persists its tracking state and notifies the chat.
+	 * Otherwise the state is only persisted when it is new, stale or the price moved (see `shouldPersist`).
+	 * @param {object} setup - MemoryObject row.
+	 * @param {number} price - Current price of the setup's token.
+	 * @param {bigint|string|null} telegramChatId
+	 * @returns {Promise<number>} 1 if the setup changed state, 0 otherwise.
+	 */
+	async checkSetup(setup, price, telegramChatId) {
+		const { tracking, transition } = TradeSetupTrackerService.advance(setup.data, price);
+		if(!transition && !TradeSetupTrackerService.shouldPersist(setup.data.tracking, price)) return 0;
+
+		const data = { ...setup.data, tracking, updatedAt: transition ? new Date().toISOString() : setup.data.updatedAt };
+		if(transition === 'entered') data.status = 'active';
+		if(TradeSetupTrackerService.CLOSED_STATES.includes(transition)) data.status = 'completed';
+
+		await this.prisma.memoryObject.update({ where: { id: setup.id }, data: { data } });
+		if(!transition) return 0;
+
+		this.logger.info(`Trade setup ${ setup.id } (${ setup.name }) → ${ transition } at ${ price }`);
+
+		if(TradeSetupTrackerService.CLOSED_STATES.includes(transition)) {
+			const entry = TradeSetupTrackerService.journalEntry({ ...setup, data }, tracking);
+			await this.prisma.memoryObject.create({
+				data: {
+					chatId: setup.chatId,
+					objectType: 'trade_journal',
+					name: `${ setup.name } · ${ transition } ${ tracking.closedAt.substring(0, 10) }`,
+					data: entry,
+					isActive: true,
+				},
+			});
+		}
+
+		if(telegramChatId && this.telegram) {
+			try {
+				await this.telegram.sendMessage(String(telegramChatId), this.formatTransition(setup, data, transition, price), {
+					parse_mode: 'HTML',
+					disable_web_page_preview: true,
+				});
+			} catch(error) {
+				this.logger.warn(`Could not deliver trade setup update to chat ${ telegramChatId }: ${ error.message }`);
+			}
+		}
+		return 1;
+	}
+
+	/**
+	 * Telegram message for a transition.
+	 * @returns {string} HTML message.
+	 */
+	formatTransition(setup, data, transition, price) {
+		const titles = {
+			entered: '📥 <b>TRADE ENTERED</b>',
+			stopped: '🛑 <b>STOP LOSS HIT</b>',
+			target_hit: '🎯 <b>TARGET HIT</b>',
+		};
+		const { tracking } = data;
+		const lines = [
+			`${ titles[transition] } · <b>${ escapeHtml(data.direction.toUpperCase()) } ${ escapeHtml(data.token) }</b>`,
+			'',
+			`Price: <b>$${ formatNumber(price, 4, 8) }</b>`,
+			`Entry: $${ formatNumber(tracking.enteredPrice ?? data.entryPrice, 4, 8) }`
+				+ `${ data.stopLoss ? ` · Stop: $${ formatNumber(data.stopLoss, 4, 8) }` : '' }`
+				+ `${ data.takeProfit ? ` · Target: $${ formatNumber(data.takeProfit, 4, 8) }` : '' }`,
+		];
+
+		if(TradeSetupTrackerService.CLOSED_STATES.includes(transition)) {
+			const entry = TradeSetupTrackerService.journalEntry({ ...setup, data }, tracking);
+			const sign = entry.returnPercent >= 0 ? '+' : '';
+			lines.push(`Result: <b>${ sign }${ entry.returnPercent.toFixed(2) }%</b>${ entry.rMultiple !== null ? ` (${ sign }${ entry.rMultiple.toFixed(2) }R)` : '' } in ${ this._formatDuration(entry.durationHours) }`);
+			lines.push('', '<i>Saved to your trade journal.</i>');
+		}
+
+		lines.push('', `<i>Setup: ${ escapeHtml(setup.name) }</i>`);
+		return lines.join('\n');
+	}
+
+	/**
+	 * Mint address of the setup's token, resolving (and saving) it from the symbol when missing.
+	 * @private
+	 */
+	async _resolveTokenAddress(setup) {
+		if(setup.data.tokenAddress) return setup.data.tokenAddress;
+
+		const tokenAddress = await this.conditionService.resolveTokenAddress(setup.data.token.replace(/^\$/, '').toUpperCase());
+		setup.data = { ...setup.data, tokenAddress };
+		await this.prisma.memoryObject.update({ where: { id: setup.id }, data: { data: setup.data } });
+		return tokenAddress;
+	}
+
+	/**
+	 * Current USD price of a token, or null if Vybe has none.
+	 * @private
+	 */
+	async _getPrice(tokenAddress) {
+		try {
+			const details = await VybeService.getTokenDetails(tokenAddress);
+			const price = parseFloat(details?.price ?? details?.price_usd);
+			return price > 0 ? price : null;
+		} catch(error) {
+			this.logger.warn(`Could not fetch price of ${ tokenAddress }: ${ error.message }`);
+			return null;
+		}
+	}
+
+	_formatDuration(hours) {
+		if(hours < 1) return `${ Math.max(1, Math.round(hours * 60)) }m`;
+		if(hours < 48) return `${ hours.toFixed(1) }h`;
+		return `${ (hours / 24).toFixed(1) }d`;
+	}
+}
+
+export default TradeSetupTrackerService;
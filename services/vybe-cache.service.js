@@ -0,0 +1,345 @@
+// vybe-cache.service.js
+import 'dotenv/config';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { createLogger } from '#utils/logger.js';
+
+/**
+ * Persistent cache for Vybe API GET responses, stored in the VybeData table.
+ *
+ * Each endpoint has a `ttl` (seconds the response is fresh) and a `stale` window
+ * (extra seconds during which the expired response is still served while it is
+ * refreshed in the background). Past that window the request waits for the API,
+ * and the expired copy is only used if the API call fails.
+ */
+class VybeCacheService {
+	static prisma = new PrismaClient();
+
+	static logger = createLogger({
+		name: 'VybeCacheService',
+		level: process.env.LOG_LEVEL || 'info',
+		files: process.env.LOG_TO_FILES === 'true',
+		console: true,
+	});
+
+	/**
+	 * Cacheable endpoints. Order matters: the first matching pattern wins, so fixed paths
+	 * (e.g. /token/trades) go before the parametrized ones (/token/:mint).
+	 * The first capture group, when present, is stored as the VybeData `address`.
+	 */
+	static ENDPOINTS = [
+		// Tokens
+		{ dataType: 'token_instruction_names', pattern: /^\/token\/instruction-names$/, ttl: 24 * 60 * 60, stale: 24 * 60 * 60 },
+		{ dataType: 'token_trades', pattern: /^\/token\/trades$/, ttl: 30, stale: 60 },
+		{ dataType: 'token_transfers', pattern: /^\/token\/transfers$/, ttl: 30, stale: 60 },
+		{ dataType: 'token_top_holders', pattern: /^\/token\/([^/]+)\/top-holders$/, ttl: 5 * 60, stale: 30 * 60 },
+		{ dataType: 'token_holders_ts', pattern: /^\/token\/([^/]+)\/holders-ts$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'token_volume_ts', pattern: /^\/token\/([^/]+)\/transfer-volume$/, ttl: 15 * 60, stale: 60 * 60 },
+		{ dataType: 'token_details', pattern: /^\/token\/([^/]+)$/, ttl: 60, stale: 5 * 60 },
+		{ dataType: 'tokens_summary', pattern: /^\/tokens$/, ttl: 5 * 60, stale: 30 * 60 },
+		// Accounts
+		{ dataType: 'known_accounts', pattern: /^\/account\/known-accounts$/, ttl: 24 * 60 * 60, stale: 7 * 24 * 60 * 60 },
+		{ dataType: 'wallet_tokens', pattern: /^\/account\/token-balance\/([^/]+)$/, ttl: 2 * 60, stale: 10 * 60 },
+		{ dataType: 'wallet_tokens_ts', pattern: /^\/account\/token-balance-ts\/([^/]+)$/, ttl: 15 * 60, stale: 60 * 60 },
+		{ dataType: 'wallet_nfts', pattern: /^\/account\/nft-balance\/([^/]+)$/, ttl: 10 * 60, stale: 60 * 60 },
+		{ dataType: 'wallet_pnl', pattern: /^\/account\/pnl\/([^/]+)$/, ttl: 5 * 60, stale: 30 * 60 },
+		// Prices
+		{ dataType: 'price_markets', pattern: /^\/price\/markets$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'price_programs', pattern: /^\/price\/programs$/, ttl: 24 * 60 * 60, stale: 24 * 60 * 60 },
+		{ dataType: 'pyth_accounts', pattern: /^\/price\/pyth-accounts$/, ttl: 24 * 60 * 60, stale: 24 * 60 * 60 },
+		{ dataType: 'token_ohlcv', pattern: /^\/price\/([^/]+)\/token-ohlcv$/, ttl: 5 * 60, stale: 15 * 60 },
+		{ dataType: 'market_ohlcv', pattern: /^\/price\/([^/]+)\/market-ohlcv$/, ttl: 5 * 60, stale: 15 * 60 },
+		{ dataType: 'pair_ohlcv', pattern: /^\/price\/([^/]+)\/pair-ohlcv$/, ttl: 5 * 60, stale: 15 * 60 },
+		{ dataType: 'pyth_price', pattern: /^\/price\/([^/]+)\/pyth-price$/, ttl: 15, stale: 30 },
+		{ dataType: 'pyth_price_ohlc', pattern: /^\/price\/([^/]+)\/pyth-price-ohlc$/, ttl: 5 * 60, stale: 15 * 60 },
+		{ dataType: 'pyth_price_ts', pattern: /^\/price\/([^/]+)\/pyth-price-ts$/, ttl: 5 * 60, stale: 15 * 60 },
+		{ dataType: 'pyth_product', pattern: /^\/price\/([^/]+)\/pyth-product$/, ttl: 24 * 60 * 60, stale: 24 * 60 * 60 },
+		// Programs
+		{ dataType: 'program_ranking', pattern: /^\/program\/ranking$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'known_program_accounts', pattern: /^\/program\/known-program-accounts$/, ttl: 24 * 60 * 60, stale: 7 * 24 * 60 * 60 },
+		{ dataType: 'programs_list', pattern: /^\/programs$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'program_active_users', pattern: /^\/program\/([^/]+)\/active-users$/, ttl: 15 * 60, stale: 60 * 60 },
+		{ dataType: 'program_active_users_ts', pattern: /^\/program\/([^/]+)\/active-users-ts$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'program_instructions_ts', pattern: /^\/program\/([^/]+)\/instructions-count-ts$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'program_transactions_ts', pattern: /^\/program\/([^/]+)\/transactions-count-ts$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'program_tvl', pattern: /^\/program\/([^/]+)\/tvl$/, ttl: 60 * 60, stale: 6 * 60 * 60 },
+		{ dataType: 'program_details', pattern: /^\/program\/([^/]+)$/, ttl: 60 * 60, stale: 24 * 60 * 60 },
+		// NFTs
+		{ dataType: 'nft_collection_owners', pattern: /^\/nft\/collection-owners\/([^/]+)$/, ttl: 15 * 60, stale: 60 * 60 },
+	];
+
+	// Placeholder `address` for endpoints that are not tied to an address (e.g. /tokens)
+	static GLOBAL_ADDRESS = '*';
+
+	// Ventana temporal de las series: quien llama la calcula con Date.now(), así que se redondea antes del hash
+	static TIME_WINDOW_KEYS = [ 'timeStart', 'timeEnd', 'time_start', 'time_end' ];
+	static RESOLUTION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60, mo: 30 * 24 * 60 * 60, y: 365 * 24 * 60 * 60 };
+
+	static stats = VybeCacheService._emptyStats();
+
+	// Refrescos en curso, para no pedir lo mismo dos veces cuando llegan peticiones simultáneas
+	static inFlight = new Map();
+
+	/**
+	 * Whether the cache is enabled. Set `VYBE_CACHE_ENABLED=false` to always hit the API.
+	 * @returns {boolean}
+	 */
+	static isEnabled() {
+		return process.env.VYBE_CACHE_ENABLED !== 'false';
+	}
+
+	/**
+	 * Finds the cache configuration for an API path.
+	 * @param {string} path - API path, e.g. '/token/So111.../top-holders'.
+	 * @returns {object|null} `{ dataType, ttl, stale, address }` or null if the path is not cacheable.
+	 */
+	static resolveEndpoint(path) {
+		for(const endpoint of this.ENDPOINTS) {
+			const match = path.match(endpoint.pattern);
+			if(match) {
+				return {
+					dataType: endpoint.dataType,
+					ttl: endpoint.ttl,
+					stale: endpoint.stale,
+					address: match[1] ? decodeURIComponent(match[1]) : null,
+				};
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Builds the VybeData `address` key for a request. Query parameters are sorted and hashed
+	 * so that the same request always maps to the same row regardless of parameter order.
+	 * Time-window params (`TIME_WINDOW_KEYS`) are rounded down to a bucket of the request's
+	 * `resolution` or the endpoint TTL, whichever is longer, so windows computed from `Date.now()`
+	 * a few seconds apart share the row.
+	 * @param {object} endpoint - Result of `resolveEndpoint`.
+	 * @param {object|null} queryParams - Query parameters of the request.
+	 * @returns {string}
+	 */
+	static buildAddressKey(endpoint, queryParams) {
+		const base = endpoint.address || this.GLOBAL_ADDRESS;
+		const bucket = Math.max(this.resolutionSeconds(queryParams?.resolution) || 0, endpoint.ttl || 0, 1);
+		const entries = Object.entries(queryParams || {})
+			.filter(([ , value ]) => value !== undefined && value !== null)
+			.map(([ key, value ]) => [ key, this.TIME_WINDOW_KEYS.includes(key) ? this._roundTime(value, bucket) : value ])
+			.sort(([ a ], [ b ]) => a.localeCompare(b));
+		if(entries.length === 0) return base;
+
+		const queryString = entries.map(([ key, value ]) => `${ key }=${ value }`).join('&');
+		const hash = crypto.createHash('sha1').update(queryString).digest('hex').substring(0, 16);
+		return `${ base }?${ hash }`;
+	}
+
+	/**
+	 * Length in seconds of a Vybe resolution such as '1m', '4h', '1d', '1w', '1mo'.
+	 * @param {string} resolution
+	 * @returns {number|null} Seconds, or null if it is not a resolution.
+	 */
+	static resolutionSeconds(resolution) {
+		const match = String(resolution ?? '').trim().match(/^(\d+)\s*(mo|[smhdwy])$/i);
+		if(!match) return null;
+		return parseInt(match[1]) * this.RESOLUTION_UNITS[match[2].toLowerCase()];
+	}
+
+	/**
+	 * Rounds a unix timestamp (seconds or milliseconds) down to a bucket of `bucketSeconds`.
+	 * Values that are not numeric timestamps are returned unchanged.
+	 * @private
+	 */
+	static _roundTime(value, bucketSeconds) {
+		const number = Number(value);
+		if(!Number.isFinite(number) || number <= 0) return value;
+
+		const unit = number > 1e12 ? 1000 : 1;
+		const bucket = bucketSeconds * unit;
+		return Math.floor(number / bucket) * bucket;
+	}
+
+	/**
+	 * Returns a cached response for a GET request, or runs `fetcher` and caches its result.
+	 * Non-cacheable paths (and every path while the cache is disabled) go straight to `fetcher`.
+	 * Cache read/write failures never break the request; they only fall back to the API.
+	 * @param {string} path - API path.
+	 * @param {object|null} queryParams - Query parameters.
+	 * @param {function(): Promise<object>} fetcher - Performs the real API request.
+	 * @returns {Promise<object>} Response data.
+	 */
+	static async getOrFetch(path, queryParams, fetcher) {
+		const endpoint = this.isEnabled() ? this.resolveEndpoint(path) : null;
+		if(!endpoint) return fetcher();
+
+		const key = { dataType: endpoint.dataType, address: this.buildAddressKey(endpoint, queryParams) };
+		const stats = this._statsFor(key.dataType);
+
+		let entry = null;
+		try {
+			entry = await this.prisma.vybeData.findUnique({ where: { dataType_address: key } });
+		} catch(error) {
+			stats.errors++;
+			this.logger.warn(`Cache read failed for ${ key.dataType }:${ key.address }, using API: ${ error.message }`);
+			return fetcher();
+		}
+
+		const now = Date.now();
+		if(entry) {
+			const expiresAt = entry.expiresAt.getTime();
+			if(expiresAt > now) {
+				stats.hits++;
+				this.logger.debug(`Cache hit ${ key.dataType }:${ key.address }`);
+				return entry.data;
+			}
+			if(expiresAt + endpoint.stale * 1000 > now) {
+				stats.staleHits++;
+				this.logger.debug(`Serving stale ${ key.dataType }:${ key.address }, revalidating in background`);
+				this._refresh(key, endpoint, fetcher).catch(error =>
+					this.logger.warn(`Background revalidation failed for ${ key.dataType }:${ key.address }: ${ error.message }`),
+				);
+				return entry.data;
+			}
+		}
+
+		stats.misses++;
+		try {
+			return await this._refresh(key, endpoint, fetcher);
+		} catch(error) {
+			// Mejor un dato viejo que ningún dato si la API está caída
+			if(entry) {
+				stats.staleOnError++;
+				this.logger.warn(`API failed for ${ key.dataType }:${ key.address }, serving expired copy from ${ entry.lastUpdate.toISOString() }`);
+				return entry.data;
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Fetches fresh data and stores it. Concurrent refreshes of the same key share one request.
+	 * @private
+	 */
+	static _refresh(key, endpoint, fetcher) {
+		const inFlightKey = `${ key.dataType }:${ key.address }`;
+		if(this.inFlight.has(inFlightKey)) return this.inFlight.get(inFlightKey);
+
+		const promise = (async () => {
+			const data = await fetcher();
+			await this._store(key, endpoint, data);
+			return data;
+		})().finally(() => this.inFlight.delete(inFlightKey));
+
+		this.inFlight.set(inFlightKey, promise);
+		return promise;
+	}
+
+	/**
+	 * @private
+	 */
+	static async _store(key, endpoint, data) {
+		const stats = this._statsFor(key.dataType);
+		const now = new Date();
+		const expiresAt = new Date(now.getTime() + endpoint.ttl * 1000);
+
+		try {
+			await this.prisma.vybeData.upsert({
+				where: { dataType_address: key },
+				update: { data, lastUpdate: now, expiresAt },
+				create: { ...key, data, lastUpdate: now, expiresAt, source: 'vybe' },
+			});
+			stats.writes++;
+		} catch(error) {
+			stats.errors++;
+			this.logger.warn(`Cache write failed for ${ key.dataType }:${ key.address }: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Removes entries that are past their stale window. Rows whose dataType is no longer
+	 * configured are removed as soon as they expire.
+	 * @returns {Promise<number>} Number of deleted rows.
+	 */
+	static async cleanup() {
+		const functionName = 'cleanup';
+		this.logger.entry(functionName);
+
+		const now = Date.now();
+		const staleByDataType = {};
+		for(const endpoint of this.ENDPOINTS) staleByDataType[endpoint.dataType] = endpoint.stale;
+
+		try {
+			let deleted = 0;
+			for(const [ dataType, stale ] of Object.entries(staleByDataType)) {
+				const result = await this.prisma.vybeData.deleteMany({
+					where: { dataType, expiresAt: { lt: new Date(now - stale * 1000) } },
+				});
+				deleted += result.count;
+			}
+
+			const orphans = await this.prisma.vybeData.deleteMany({
+				where: { source: 'vybe', dataType: { notIn: Object.keys(staleByDataType) }, expiresAt: { lt: new Date(now) } },
+			});
+			deleted += orphans.count;
+
+			this.stats.cleanups++;
+			this.stats.cleanedEntries += deleted;
+			if(deleted > 0) this.logger.info(`Removed ${ deleted } expired cache entr${ deleted === 1 ? 'y' : 'ies' }.`);
+			this.logger.exit(functionName, { deleted });
+			return deleted;
+		} catch(error) {
+			this.logger.error('Error cleaning Vybe cache', { error: error.message });
+			this.logger.exit(functionName, { error: true });
+			throw error;
+		}
+	}
+
+	/**
+	 * Cache statistics since the process started (or since the last `resetStats`),
+	 * plus current row counts from the database.
+	 * @returns {Promise<object>} `{ enabled, since, totals, hitRate, byDataType, entries, expiredEntries }`.
+	 */
+	static async getStats() {
+		const totals = { hits: 0, staleHits: 0, misses: 0, staleOnError: 0, writes: 0, errors: 0 };
+		for(const dataTypeStats of Object.values(this.stats.byDataType)) {
+			for(const key of Object.keys(totals)) totals[key] += dataTypeStats[key];
+		}
+
+		const requests = totals.hits + totals.staleHits + totals.misses;
+		const stats = {
+			enabled: this.isEnabled(),
+			since: this.stats.since,
+			totals,
+			hitRate: requests > 0 ? Number(((totals.hits + totals.staleHits) / requests).toFixed(4)) : null,
+			byDataType: this.stats.byDataType,
+			cleanups: this.stats.cleanups,
+			cleanedEntries: this.stats.cleanedEntries,
+			inFlight: this.inFlight.size,
+		};
+
+		try {
+			const now = new Date();
+			stats.entries = await this.prisma.vybeData.count();
+			stats.expiredEntries = await this.prisma.vybeData.count({ where: { expiresAt: { lt: now } } });
+		} catch(error) {
+			this.logger.warn(`Could not count cache entries: ${ error.message }`);
+		}
+
+		return stats;
+	}
+
+	static resetStats() {
+		this.stats = this._emptyStats();
+	}
+
+	static _emptyStats() {
+		return { since: new Date(), byDataType: {}, cleanups: 0, cleanedEntries: 0 };
+	}
+
+	static _statsFor(dataType) {
+		if(!this.stats.byDataType[dataType]) {
+			this.stats.byDataType[dataType] = { hits: 0, staleHits: 0, misses: 0, staleOnError: 0, writes: 0, errors: 0 };
+		}
+		return this.stats.byDataType[dataType];
+	}
+}
+
+export default VybeCacheService;
@@ -0,0 +1,642 @@
+// vybe-stream.service.js
+import 'dotenv/config';
+import WebSocket from 'ws';
+import { PrismaClient } from '@prisma/client';
+import VybeService from './vybe.service.js';
+import AlertConditionService from './alert-condition.service.js';
+import KnownAccountsService from './known-accounts.service.js';
+import { createLogger } from '#utils/logger.js';
+import { SOLANA_ADDRESS_REGEX, escapeHtml, formatNumber } from '#utils/format.js';
+
+/**
+ * Keeps one Vybe WebSocket connection open and subscribes it to what users are watching:
+ * trades and transfers of the tokens in active watchlists, trades of the tokens with a pending
+ * price alert and the Pyth feeds (`price_feed` in the condition) of pending oracle alerts.
+ *
+ * Subscriptions are rebuilt from the database on an interval and a new `configure` message is sent
+ * only when the resulting filters change. Watchlist events above a USD threshold are sent to the
+ * owning Telegram chats; an event for a pending alert moves its `nextRun` to now so SchedulerService
+ * evaluates it on its next tick instead of waiting for the regular check interval.
+ *
+ * Whale alerts (`whale_alert` memory objects created with `create_whale_alert`) replace the generic
+ * transfer notifications of their chat with the user's own USD / token thresholds, and label
+ * sender and receiver with Vybe's known accounts.
+ */
+class VybeStreamService {
+	static STREAMS = [ 'trades', 'transfers', 'oraclePrices' ];
+	static DEFAULT_RECONCILE_INTERVAL_MS = 60 * 1000;
+	static DEFAULT_MIN_EVENT_USD = 50000;
+	static DEFAULT_NOTIFY_COOLDOWN_MS = 5 * 60 * 1000;
+	static DEFAULT_ALERT_WAKE_INTERVAL_MS = 15 * 1000;
+	static RECONNECT_BASE_DELAY_MS = 1000;
+	static RECONNECT_MAX_DELAY_MS = 60 * 1000;
+	static SYMBOL_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+	static MAX_RECENT_WHALE_TRANSFERS = 5000;
+
+	/**
+	 * @param {import('telegraf').Telegram} telegram - Telegraf API client used to deliver events.
+	 * @param {object} [options]
+	 * @param {boolean} [options.enabled] - Whether `start()` opens the stream. Defaults to `VYBE_STREAM_ENABLED === 'true'`.
+	 * @param {string} [options.websocketUrl] - WebSocket endpoint, e.g. a local stand-in server. Defaults to VybeService's URL.
+	 * @param {number} [options.reconcileIntervalMs] - How often subscriptions are rebuilt from the database.
+	 * @param {number} [options.minEventUsd] - Minimum USD value of a trade or transfer to notify a watchlist.
+	 * @param {number} [options.notifyCooldownMs] - Minimum delay between notifications for the same chat, stream and token.
+	 * @param {number} [options.alertWakeIntervalMs] - Minimum delay between two wake-ups of the same alert.
+	 */
+	constructor(telegram, options = {}) {
+		this.logger = createLogger({
+			name: 'VybeStreamService',
+			level: process.env.LOG_LEVEL || 'info',
+			files: process.env.LOG_TO_FILES === 'true',
+			console: true,
+		});
+
+		this.prisma = new PrismaClient();
+		this.telegram = telegram;
+		this.enabled = options.enabled ?? process.env.VYBE_STREAM_ENABLED === 'true';
+		this.websocketUrl = options.websocketUrl || VybeService._WEBSOCKET_URL;
+		this.reconcileIntervalMs = options.reconcileIntervalMs
+			|| parseInt(process.env.VYBE_STREAM_RECONCILE_INTERVAL_MS)
+			|| VybeStreamService.DEFAULT_RECONCILE_INTERVAL_MS;
+		this.minEventUsd = options.minEventUsd
+			?? (parseFloat(process.env.VYBE_STREAM_MIN_EVENT_USD) || VybeStreamService.DEFAULT_MIN_EVENT_USD);
+		this.notifyCooldownMs = options.notifyCooldownMs
+			?? (parseInt(process.env.VYBE_STREAM_NOTIFY_COOLDOWN_MS) || VybeStreamService.DEFAULT_NOTIFY_COOLDOWN_MS);
+		this.alertWakeIntervalMs = options.alertWakeIntervalMs ?? VybeStreamService.DEFAULT_ALERT_WAKE_INTERVAL_MS;
+		this.conditionService = new AlertConditionService();
+
+		this.ws = null;
+		this.isStopped = false;
+		this.isReconciling = false;
+		this.reconcileTimer = null;
+		this.reconnectTimer = null;
+		this.reconnectAttempts = 0;
+
+		// stream -> key (mint o price feed) -> suscriptores
+		this.routes = this._emptyRoutes();
+		this.filters = null;
+		this.filtersSignature = null;
+
+		this.usdPrices = new Map();
+		this.symbolCache = new Map();
+		this.recentWhaleTransfers = new Set();
+		this.lastNotified = new Map();
+		this.lastWake = new Map();
+		this.stats = { events: 0, notifications: 0, alertWakes: 0 };
+	}
+
+	/**
+	 * Starts the reconcile loop; the connection is opened as soon as there is something to subscribe to.
+	 * Does nothing when the stream is disabled. Safe to call more than once.
+	 */
+	start() {
+		if(!this.enabled) {
+			this.logger.info('Vybe stream disabled (set VYBE_STREAM_ENABLED=true to enable).');
+			return;
+		}
+		if(this.reconcileTimer) {
+			this.logger.warn('Vybe stream already running.');
+			return;
+		}
+
+		this.isStopped = false;
+		this.logger.info(`Starting Vybe stream (${ this.websocketUrl }, reconcile every ${ this.reconcileIntervalMs }ms)...`);
+		this.reconcileTimer = setInterval(() => this.reconcile(), this.reconcileIntervalMs);
+		this.reconcile();
+	}
+
+	/**
+	 * Stops reconciling, closes the connection and the Prisma clients.
+	 */
+	async stop() {
+		this.isStopped = true;
+		if(this.reconcileTimer) {
+			clearInterval(this.reconcileTimer);
+			this.reconcileTimer = null;
+		}
+		this._disconnect();
+		await this.prisma.$disconnect();
+		await this.conditionService.prisma.$disconnect();
+		this.logger.info('Vybe stream stopped.', this.stats);
+	}
+
+	/**
+	 * Rebuilds the subscriptions from the database and applies them. Overlapping runs are skipped.
+	 */
+	async reconcile() {
+		if(this.isReconciling) return;
+		this.isReconciling = true;
+
+		try {
+			const subscriptions = await this.loadSubscriptions();
+			this.applySubscriptions(subscriptions);
+		} catch(error) {
+			this.logger.error('Error while reconciling Vybe stream subscriptions', { error: error.message });
+		} finally {
+			this.isReconciling = false;
+		}
+	}
+
+	/**
+	 * Collects the subscriptions of every active watchlist, whale alert and pending alert.
+	 * @returns {Promise<Array<object>>} `{ stream, key, subscriber }` entries, where `key` is a mint or a price feed account.
+	 */
+	async loadSubscriptions() {
+		const subscriptions = [];
+
+		const watchlists = await this.prisma.memoryObject.findMany({
+			where: { objectType: 'watchlist', isActive: true },
+			select: { chatId: true, name: true, data: true },
+		});
+
+		const chats = watchlists.length > 0
+			? await this.prisma.chat.findMany({
+				where: { id: { in: [ ...new Set(watchlists.map(w => w.chatId)) ] } },
+				include: { session: true },
+			})
+			: [];
+		const telegramChatIds = new Map(chats.map(chat => [ chat.id, chat.session?.chatId ?? null ]));
+
+		for(const watchlist of watchlists) {
+			const telegramChatId = telegramChatIds.get(watchlist.chatId);
+			if(!telegramChatId) continue;
+
+			for(const token of watchlist.data?.tokens || []) {
+				const mint = await this._resolveMint(token);
+				if(!mint) continue;
+
+				const subscriber = { kind: 'watchlist', telegramChatId: String(telegramChatId), watchlist: watchlist.name, token };
+				subscriptions.push({ stream: 'trades', key: mint, subscriber });
+				subscriptions.push({ stream: 'transfers', key: mint, subscriber });
+			}
+		}
+
+		// Las whale alerts sólo cubren tokens que siguen en alguna watchlist del chat
+		const whaleAlerts = await this.prisma.memoryObject.findMany({
+			where: { objectType: 'whale_alert', isActive: true },
+			select: { chatId: true, name: true, data: true },
+		});
+
+		for(const whaleAlert of whaleAlerts) {
+			const telegramChatId = telegramChatIds.get(whaleAlert.chatId);
+			if(!telegramChatId) continue;
+
+			const { token, watchlist: watchlistName, minUsd = null, minAmount = null } = whaleAlert.data || {};
+			const watchedTokens = watchlists
+				.filter(w => w.chatId === whaleAlert.chatId && (!watchlistName || w.name === watchlistName))
+				.flatMap(w => w.data?.tokens || []);
+			const tokens = [ ...new Set(token
+				? watchedTokens.filter(t => t.toLowerCase() === token.toLowerCase())
+				: watchedTokens) ];
+
+			for(const watchedToken of tokens) {
+				const mint = await this._resolveMint(watchedToken);
+				if(!mint) continue;
+
+				const subscriber = { kind: 'whale', telegramChatId: String(telegramChatId), alert: whaleAlert.name, token: watchedToken, minUsd, minAmount };
+				subscriptions.push({ stream: 'transfers', key: mint, subscriber });
+			}
+		}
+
+		const alerts = await this.prisma.scheduledTask.findMany({
+			where: { taskType: 'alert', status: 'Pending' },
+			select: { id: true, payload: true },
+		});
+
+		for(const alert of alerts) {
+			const condition = AlertConditionService.parseCondition(alert.payload?.condition);
+			if(!condition) continue;
+
+			const subscriber = { kind: 'alert', taskId: alert.id, condition };
+			if(condition.price_feed) {
+				subscriptions.push({ stream: 'oraclePrices', key: condition.price_feed, subscriber });
+				continue;
+			}
+			if(!AlertConditionService.isEvaluable(alert.payload.condition)) continue;
+
+			const mint = condition.token_address || alert.payload.tokenAddress || await this._resolveMint(condition.token_symbol);
+			if(mint) subscriptions.push({ stream: 'trades', key: mint, subscriber });
+		}
+
+		return subscriptions;
+	}
+
+	/**
+	 * Replaces the routing table and, when the resulting filters changed, reconfigures the stream.
+	 * The connection is opened when the first subscription appears and closed when none are left.
+	 * @param {Array<object>} subscriptions - Entries as returned by `loadSubscriptions`.
+	 */
+	applySubscriptions(subscriptions) {
+		const routes = this._emptyRoutes();
+		for(const { stream, key, subscriber } of subscriptions) {
+			if(!routes[stream] || !key) continue;
+			if(!routes[stream].has(key)) routes[stream].set(key, []);
+			routes[stream].get(key).push(subscriber);
+		}
+		this.routes = routes;
+
+		// Un array vacío en Vybe significa "todo", así que los streams sin claves se omiten
+		const filters = {};
+		for(const stream of VybeStreamService.STREAMS) {
+			const keys = [ ...routes[stream].keys() ].sort();
+			if(keys.length === 0) continue;
+			filters[stream] = keys.map(key => this._buildFilter(stream, key));
+		}
+
+		const signature = JSON.stringify(filters);
+		if(signature === this.filtersSignature) return;
+
+		this.filtersSignature = signature;
+		this.filters = Object.keys(filters).length > 0 ? filters : null;
+		this.logger.info('Vybe stream subscriptions changed', {
+			trades: filters.trades?.length || 0,
+			transfers: filters.transfers?.length || 0,
+			oraclePrices: filters.oraclePrices?.length || 0,
+		});
+
+		if(!this.filters) {
+			this._disconnect();
+		} else if(this.ws?.readyState === WebSocket.OPEN) {
+			this._configure();
+		} else {
+			this.connect();
+		}
+	}
+
+	/**
+	 * Opens the connection if it is not already open or connecting.
+	 * Filters are sent once the socket is open; on close it reconnects with exponential backoff.
+	 */
+	connect() {
+		if(this.isStopped || this.ws || this.reconnectTimer) return;
+
+		try {
+			const ws = VybeService.createWebSocketConnection({
+				onOpen: () => {
+					this.reconnectAttempts = 0;
+					this.logger.info('Vybe stream connected.');
+					this._configure();
+				},
+				onMessage: messageEvent => this.handleMessage(messageEvent.data),
+				onError: errorEvent => this.logger.warn('Vybe stream error', { error: errorEvent?.message }),
+				onClose: () => {
+					// Un socket cerrado por _disconnect ya no es el actual y no debe reconectar
+					if(this.ws !== ws) return;
+					this.ws = null;
+					if(!this.isStopped && this.filters) this._scheduleReconnect();
+				},
+			}, this.websocketUrl);
+			this.ws = ws;
+		} catch(error) {
+			this.logger.error('Could not open Vybe stream', { error: error.message });
+			this.ws = null;
+			this._scheduleReconnect();
+		}
+	}
+
+	/**
+	 * Parses a raw WebSocket message (one event or an array of events) and dispatches it.
+	 * @param {string|Buffer} data - Raw message payload.
+	 */
+	async handleMessage(data) {
+		let payload;
+		try {
+			payload = JSON.parse(data.toString());
+		} catch(error) {
+			this.logger.debug('Ignoring non-JSON stream message', { data: String(data).substring(0, 200) });
+			return;
+		}
+
+		for(const event of Array.isArray(payload) ? payload : [ payload ]) {
+			try {
+				await this.handleEvent(event);
+			} catch(error) {
+				this.logger.error('Error while handling stream event', { error: error.message });
+			}
+		}
+	}
+
+	/**
+	 * Routes a single trade, transfer or oracle price event to its subscribers.
+	 * @param {object} event - Event as sent by Vybe.
+	 */
+	async handleEvent(event) {
+		const stream = this._classifyEvent(event);
+		if(!stream) return;
+		this.stats.events++;
+
+		let keys;
+		switch(stream) {
+			case 'trades':
+				this._updatePricesFromTrade(event);
+				keys = [ event.baseMintAddress, event.quoteMintAddress ];
+				break;
+			case 'transfers':
+				keys = [ event.mintAddress ];
+				break;
+			case 'oraclePrices':
+				keys = [ event.priceFeedAccount ];
+				break;
+		}
+
+		// Un mismo evento se notifica una sola vez por chat aunque lo cubran varias watchlists,
+		// y los chats con whale alert para el token no reciben la notificación genérica
+		const notifiedChats = new Set();
+		for(const key of keys) {
+			const subscribers = this.routes[stream].get(key) || [];
+			const whaleChats = new Set(subscribers.filter(s => s.kind === 'whale').map(s => s.telegramChatId));
+
+			for(const subscriber of subscribers) {
+				if(subscriber.kind === 'alert') {
+					await this._wakeAlert(subscriber, stream, event, key);
+					continue;
+				}
+				if(notifiedChats.has(subscriber.telegramChatId)) continue;
+
+				let sent = false;
+				if(subscriber.kind === 'whale') {
+					sent = await this._notifyWhale(subscriber, event, key);
+				} else if(!whaleChats.has(subscriber.telegramChatId)) {
+					sent = await this._notifyWatchlist(subscriber, stream, event, key);
+				}
+				if(sent) notifiedChats.add(subscriber.telegramChatId);
+			}
+		}
+	}
+
+	/**
+	 * Sends a transfer that meets a whale alert's USD or token threshold, with labelled sender and receiver.
+	 * @returns {Promise<boolean>} Whether a message was sent.
+	 */
+	async _notifyWhale(subscriber, event, mint) {
+		const amount = this._transferAmount(event);
+		const usdValue = this._transferUsdValue(event);
+		const meetsUsd = subscriber.minUsd !== null && usdValue !== null && usdValue >= subscriber.minUsd;
+		const meetsAmount = subscriber.minAmount !== null && amount >= subscriber.minAmount;
+		if(!meetsUsd && !meetsAmount) return false;
+
+		// Una transferencia puede llegar en varios eventos (una instrucción por cada uno)
+		const transferKey = `${ subscriber.telegramChatId }:${ event.signature }:${ mint }`;
+		if(event.signature && this.recentWhaleTransfers.has(transferKey)) return false;
+		if(this.recentWhaleTransfers.size >= VybeStreamService.MAX_RECENT_WHALE_TRANSFERS) this.recentWhaleTransfers.clear();
+		this.recentWhaleTransfers.add(transferKey);
+
+		const [ senderLabel, receiverLabel ] = await Promise.all([
+			this._labelAccount(event.senderAddress),
+			this._labelAccount(event.receiverAddress),
+		]);
+
+		const token = escapeHtml(this._tokenLabel(subscriber.token));
+		const thresholds = [
+			...(subscriber.minUsd !== null ? [ `≥ $${ formatNumber(subscriber.minUsd) }` ] : []),
+			...(subscriber.minAmount !== null ? [ `≥ ${ formatNumber(subscriber.minAmount) } ${ token }` ] : []),
+		];
+		const lines = [
+			`🐋 <b>WHALE TRANSFER</b> · <b>${ token }</b>`,
+			'',
+			`${ usdValue !== null ? `≈ $${ formatNumber(usdValue) } ` : '' }(${ formatNumber(amount) } ${ token })`,
+			`${ escapeHtml(senderLabel || 'unknown') } → ${ escapeHtml(receiverLabel || 'unknown') }`,
+			`<code>${ escapeHtml(this._shortenAddress(event.senderAddress)) }</code> → <code>${ escapeHtml(this._shortenAddress(event.receiverAddress)) }</code>`,
+		];
+		if(event.signature) lines.push(`<a href="https://solscan.io/tx/${ encodeURIComponent(event.signature) }">View transaction</a>`);
+		lines.push('', `<i>Whale alert: ${ escapeHtml(subscriber.alert) } · ${ thresholds.join(' or ') }</i>`);
+
+		try {
+			await this.telegram.sendMessage(subscriber.telegramChatId, lines.join('\n'), {
+				parse_mode: 'HTML',
+				disable_web_page_preview: true,
+			});
+			this.stats.notifications++;
+			return true;
+		} catch(error) {
+			this.logger.warn(`Could not deliver whale transfer to chat ${ subscriber.telegramChatId }: ${ error.message }`);
+			return false;
+		}
+	}
+
+	/**
+	 * Looks up the Vybe known-account label of an address (e.g. "Binance Hot Wallet").
+	 * @returns {Promise<string|null>} Null for unknown addresses or if the directory could not be loaded.
+	 */
+	async _labelAccount(address) {
+		if(!address) return null;
+		return KnownAccountsService.lookupLabel(address);
+	}
+
+	/**
+	 * Sends a large trade or transfer to a watchlist's chat, respecting the per-token cooldown.
+	 * @returns {Promise<boolean>} Whether a message was sent.
+	 */
+	async _notifyWatchlist(subscriber, stream, event, mint) {
+		const usdValue = stream === 'trades' ? this._tradeUsdValue(event) : this._transferUsdValue(event);
+		if(usdValue === null || usdValue < this.minEventUsd) return false;
+
+		const cooldownKey = `${ subscriber.telegramChatId }:${ stream }:${ mint }`;
+		const last = this.lastNotified.get(cooldownKey);
+		if(last && Date.now() - last.at < this.notifyCooldownMs) {
+			last.suppressed++;
+			return false;
+		}
+		this.lastNotified.set(cooldownKey, { at: Date.now(), suppressed: 0 });
+
+		const text = this._formatEvent(subscriber, stream, event, mint, usdValue, last?.suppressed || 0);
+		try {
+			await this.telegram.sendMessage(subscriber.telegramChatId, text, {
+				parse_mode: 'HTML',
+				disable_web_page_preview: true,
+			});
+			this.stats.notifications++;
+			return true;
+		} catch(error) {
+			this.logger.warn(`Could not deliver stream event to chat ${ subscriber.telegramChatId }: ${ error.message }`);
+			return false;
+		}
+	}
+
+	/**
+	 * Moves a pending alert's `nextRun` to now so the scheduler evaluates it right away.
+	 * Price thresholds are only woken when the observed price crosses them.
+	 */
+	async _wakeAlert(subscriber, stream, event, key) {
+		const { taskId, condition } = subscriber;
+		const last = this.lastWake.get(taskId);
+		if(last && Date.now() - last < this.alertWakeIntervalMs) return;
+
+		if(condition.condition === 'price_above' || condition.condition === 'price_below') {
+			const price = stream === 'oraclePrices' ? parseFloat(event.price) : this.usdPrices.get(key);
+			if(typeof price === 'number' && !isNaN(price)) {
+				const crossed = condition.condition === 'price_above' ? price >= condition.threshold : price <= condition.threshold;
+				if(!crossed) return;
+			}
+		}
+
+		this.lastWake.set(taskId, Date.now());
+		const now = new Date();
+		const woken = await this.prisma.scheduledTask.updateMany({
+			where: { id: taskId, status: 'Pending', nextRun: { gt: now } },
+			data: { nextRun: now },
+		});
+		if(woken.count > 0) {
+			this.stats.alertWakes++;
+			this.logger.debug(`Woke alert task ${ taskId } from ${ stream } event`);
+		}
+	}
+
+	_formatEvent(subscriber, stream, event, mint, usdValue, suppressed) {
+		const token = escapeHtml(this._tokenLabel(subscriber.token));
+		const lines = [];
+
+		if(stream === 'trades') {
+			const isBase = event.baseMintAddress === mint;
+			const usdPrice = this.usdPrices.get(mint);
+			lines.push(`💱 <b>LARGE TRADE</b> · <b>${ token }</b>`, '');
+			lines.push(`≈ $${ formatNumber(usdValue) } (${ formatNumber(isBase ? event.baseSize : event.quoteSize) } ${ token })`);
+			if(usdPrice) lines.push(`Price: $${ formatNumber(usdPrice) }`);
+			if(event.authorityAddress) lines.push(`Trader: <code>${ escapeHtml(this._shortenAddress(event.authorityAddress)) }</code>`);
+		} else {
+			lines.push(`🔀 <b>LARGE TRANSFER</b> · <b>${ token }</b>`, '');
+			lines.push(`≈ $${ formatNumber(usdValue) } (${ formatNumber(this._transferAmount(event)) } ${ token })`);
+			lines.push(`<code>${ escapeHtml(this._shortenAddress(event.senderAddress)) }</code> → <code>${ escapeHtml(this._shortenAddress(event.receiverAddress)) }</code>`);
+		}
+
+		if(event.signature) lines.push(`<a href="https://solscan.io/tx/${ encodeURIComponent(event.signature) }">View transaction</a>`);
+		lines.push('', `<i>Watchlist: ${ escapeHtml(subscriber.watchlist) }${ suppressed > 0 ? ` · ${ suppressed } similar event(s) skipped` : '' }</i>`);
+		return lines.join('\n');
+	}
+
+	_tokenLabel(token) {
+		return SOLANA_ADDRESS_REGEX.test(token) ? this._shortenAddress(token) : String(token).toUpperCase();
+	}
+
+	_classifyEvent(event) {
+		if(!event || typeof event !== 'object') return null;
+		if(event.priceFeedAccount) return 'oraclePrices';
+		if(event.baseMintAddress && event.quoteMintAddress) return 'trades';
+		if(event.mintAddress && (event.senderAddress || event.receiverAddress)) return 'transfers';
+		return null;
+	}
+
+	/**
+	 * Keeps a USD price per mint from trades quoted in a stablecoin or in SOL,
+	 * used to value trades and transfers that don't carry a USD amount.
+	 */
+	_updatePricesFromTrade(event) {
+		const price = parseFloat(event.price);
+		if(!price || price <= 0) return;
+
+		const quoteUsd = this._usdPrice(event.quoteMintAddress);
+		if(quoteUsd) {
+			this.usdPrices.set(event.baseMintAddress, price * quoteUsd);
+			return;
+		}
+		const baseUsd = this._usdPrice(event.baseMintAddress);
+		if(baseUsd) this.usdPrices.set(event.quoteMintAddress, baseUsd / price);
+	}
+
+	_usdPrice(mint) {
+		if(VybeService.USD_STABLE_MINTS.includes(mint)) return 1;
+		return this.usdPrices.get(mint) || null;
+	}
+
+	_tradeUsdValue(event) {
+		const quoteUsd = this._usdPrice(event.quoteMintAddress);
+		if(quoteUsd) return (parseFloat(event.quoteSize) || 0) * quoteUsd;
+		const baseUsd = this._usdPrice(event.baseMintAddress);
+		if(baseUsd) return (parseFloat(event.baseSize) || 0) * baseUsd;
+		return null;
+	}
+
+	_transferUsdValue(event) {
+		const valueUsd = parseFloat(event.valueUsd);
+		if(!isNaN(valueUsd)) return valueUsd;
+		const usdPrice = this._usdPrice(event.mintAddress);
+		return usdPrice ? this._transferAmount(event) * usdPrice : null;
+	}
+
+	_transferAmount(event) {
+		const calculated = parseFloat(event.calculatedAmount);
+		if(!isNaN(calculated)) return calculated;
+		return (parseFloat(event.amount) || 0) / Math.pow(10, parseInt(event.decimal) || 0);
+	}
+
+	/**
+	 * Resolves a watchlist entry (symbol or mint) to a mint address. Results, including failures,
+	 * are cached so a reconcile does not hit the token resolution on every run.
+	 * @returns {Promise<string|null>}
+	 */
+	async _resolveMint(token) {
+		if(!token) return null;
+		if(SOLANA_ADDRESS_REGEX.test(token)) return token;
+
+		const symbol = String(token).toUpperCase();
+		const cached = this.symbolCache.get(symbol);
+		if(cached && Date.now() - cached.at < VybeStreamService.SYMBOL_CACHE_TTL_MS) return cached.address;
+
+		let address = null;
+		try {
+			address = await this.conditionService.resolveTokenAddress(symbol);
+		} catch(error) {
+			this.logger.warn(`Could not resolve ${ symbol } for the Vybe stream: ${ error.message }`);
+		}
+		this.symbolCache.set(symbol, { address, at: Date.now() });
+		return address;
+	}
+
+	_buildFilter(stream, key) {
+		switch(stream) {
+			case 'trades':
+				return { tokenMintAddress: key };
+			case 'transfers':
+				return { mintAddress: key };
+			case 'oraclePrices':
+				return { priceFeedAccount: key };
+		}
+	}
+
+	_configure() {
+		if(!this.filters || this.ws?.readyState !== WebSocket.OPEN) return;
+		try {
+			VybeService.sendWebSocketConfigure(this.ws, this.filters);
+		} catch(error) {
+			this.logger.error('Could not configure Vybe stream', { error: error.message });
+		}
+	}
+
+	_scheduleReconnect() {
+		if(this.isStopped || this.reconnectTimer) return;
+
+		const delay = Math.min(
+			VybeStreamService.RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts),
+			VybeStreamService.RECONNECT_MAX_DELAY_MS,
+		);
+		this.reconnectAttempts++;
+		this.logger.warn(`Vybe stream closed, reconnecting in ${ delay }ms (attempt ${ this.reconnectAttempts })`);
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			this.connect();
+		}, delay);
+	}
+
+	_disconnect() {
+		if(this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		if(this.ws) {
+			const ws = this.ws;
+			this.ws = null;
+			ws.close();
+		}
+	}
+
+	_emptyRoutes() {
+		return Object.fromEntries(VybeStreamService.STREAMS.map(stream => [ stream, new Map() ]));
+	}
+
+	_shortenAddress(address) {
+		if(!address || address.length < 12) return address || '';
+		return `${ address.substring(0, 4) }...${ address.substring(address.length - 4) }`;
+	}
+}
+
+export default VybeStreamService;
@@ -1,6 +1,9 @@
 import fetch from 'node-fetch';
 import WebSocket from 'ws';
 import 'dotenv/config'; // Ensure dotenv is configured to load environment variables
+import VybeCacheService from './vybe-cache.service.js';
+import { backoffDelay, createCircuitBreaker, createTokenBucket, parseRetryAfter, sleep } from '#utils/resilience.js';
+import { recordOrReplay } from '#utils/record-replay.js';
 
 /**
  * @fileoverview VybeService - Static class for interacting with the Vybe Network API (v2).
@@ -36,6 +39,41 @@ if(typeof process === 'undefined' || !process.env) {
  * // Add other potential streams like NFT Events when available
  */
 
+/**
+ * Thrown when Vybe keeps failing with transient errors (429, 5xx, network) after all retries,
+ * or while the circuit breaker is open and requests are short-circuited without hitting the API.
+ */
+class VybeDegradedError extends Error {
+	static MESSAGE_PREFIX = 'Vybe is degraded';
+
+	/**
+	 * @param {string} detail - What failed.
+	 * @param {object} [options]
+	 * @param {string} [options.reason] - 'retries_exhausted' or 'circuit_open'.
+	 * @param {number|null} [options.retryAfterMs] - Suggested wait before trying again, if known.
+	 */
+	constructor(detail, { reason = 'retries_exhausted', retryAfterMs = null } = {}) {
+		super(`${ VybeDegradedError.MESSAGE_PREFIX }: ${ detail }`);
+		this.name = 'VybeDegradedError';
+		this.code = 'VYBE_DEGRADED';
+		this.reason = reason;
+		this.retryAfterMs = retryAfterMs;
+	}
+
+	/**
+	 * Whether an error is, or wraps, a VybeDegradedError. Action handlers re-throw with their own
+	 * message and lose the instance, so the message prefix is checked as well.
+	 * @param {Error} error
+	 * @returns {boolean}
+	 */
+	static matches(error) {
+		for(let current = error; current; current = current.cause) {
+			if(current instanceof VybeDegradedError) return true;
+		}
+		return typeof error?.message === 'string' && error.message.includes(VybeDegradedError.MESSAGE_PREFIX);
+	}
+}
+
 /**
  * @class VybeService
  * @description Provides static methods to interact with the Vybe Network API V2 for Solana data analysis.
@@ -55,13 +93,65 @@ class VybeService {
 	static _BASE_URL = 'https://api.vybenetwork.xyz'; // Example URL, verify this!
 
 	/**
-	 * The base URL for the Vybe WebSocket API.
-	 * Confirm the exact URL from your Vybe API dashboard (available for Business/Premium plans).
+	 * The base URL for the Vybe WebSocket API (available for Business/Premium plans).
+	 * Can be overridden with `VYBE_WEBSOCKET_URL`, e.g. to point at a local stand-in server.
 	 * @type {string}
 	 * @private
 	 * @static
 	 */
-	static _WEBSOCKET_URL = 'wss://your-websocket-uri-here'; // Example URL, verify this!
+	static _WEBSOCKET_URL = process.env.VYBE_WEBSOCKET_URL || 'wss://api.vybenetwork.xyz/live';
+
+	/**
+	 * Mints of USD stablecoins (USDC, USDT) whose price is taken as 1 USD when valuing trades and markets.
+	 * @type {string[]}
+	 * @static
+	 */
+	static USD_STABLE_MINTS = [
+		'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+		'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+	];
+
+	/**
+	 * Network graph widget connection node used when none is requested: counterparties (wallets)
+	 * are what users usually want to see around a wallet, token or program.
+	 * @type {'program' | 'token' | 'wallet'}
+	 * @static
+	 */
+	static NETWORK_GRAPH_DEFAULT_CONNECTION_NODE = 'wallet';
+
+	/**
+	 * Retry policy for transient failures (429, 5xx and network errors).
+	 * `Retry-After` is honoured when present, otherwise exponential backoff with full jitter is used.
+	 * @private
+	 * @static
+	 */
+	static _MAX_RETRIES = process.env.VYBE_MAX_RETRIES !== undefined ? parseInt(process.env.VYBE_MAX_RETRIES) : 3;
+	static _RETRYABLE_STATUSES = [ 429, 500, 502, 503, 504 ];
+	static _RETRY_BASE_DELAY_MS = 500;
+	static _RETRY_MAX_DELAY_MS = 10 * 1000;
+	static _MAX_RETRY_AFTER_MS = 60 * 1000;
+
+	/**
+	 * Token bucket shared by every request of the process, so bursts from concurrent tool calls
+	 * and background jobs stay under the plan's rate limit.
+	 * @private
+	 * @static
+	 */
+	static _rateLimiter = createTokenBucket({
+		capacity: parseInt(process.env.VYBE_RATE_LIMIT_BURST) || 10,
+		refillPerSecond: (parseInt(process.env.VYBE_RATE_LIMIT_PER_MINUTE) || 120) / 60,
+	});
+
+	/**
+	 * Opens after repeated requests fail with transient errors; while open, requests fail fast
+	 * with a VybeDegradedError instead of waiting on a struggling API.
+	 * @private
+	 * @static
+	 */
+	static _circuitBreaker = createCircuitBreaker({
+		failureThreshold: parseInt(process.env.VYBE_CIRCUIT_FAILURE_THRESHOLD) || 5,
+		cooldownMs: parseInt(process.env.VYBE_CIRCUIT_COOLDOWN_MS) || 30 * 1000,
+	});
 
 	/**
 	 * Retrieves the API key from the environment variable.
@@ -80,7 +170,9 @@ class VybeService {
 
 	/**
 	 * Internal helper method to make authenticated requests to the Vybe API.
-	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * GET requests go through `VybeCacheService` (per-endpoint TTLs, stale-while-revalidate);
+	 * POST requests always hit the API. With `RECORD_REPLAY_MODE` set, the call is recorded to or
+	 * replayed from the cassette (see `#utils/record-replay.js`) before reaching the cache.
 	 * @param {string} path - The API endpoint path (e.g., '/accounts/known-accounts').
 	 * @param {string} [method='GET'] - The HTTP method (GET, POST).
 	 * @param {object|null} [queryParams=null] - Object containing query parameters.
@@ -91,6 +183,30 @@ class VybeService {
 	 * @static
 	 */
 	static async _request(path, method = 'GET', queryParams = null, body = null) {
+		return recordOrReplay('vybe', { path, method, queryParams, body }, () => {
+			if(method === 'GET') {
+				return VybeCacheService.getOrFetch(path, queryParams, () => this._fetchFromApi(path, method, queryParams, body));
+			}
+			return this._fetchFromApi(path, method, queryParams, body);
+		});
+	}
+
+	/**
+	 * Performs the authenticated HTTP request against the Vybe API, bypassing the cache.
+	 * Every attempt waits for the shared rate limiter; 429, 5xx and network errors are retried
+	 * and, once retries run out, counted by the circuit breaker.
+	 * Uses API key from `process.env.VYBE_API_KEY`.
+	 * @param {string} path - The API endpoint path.
+	 * @param {string} method - The HTTP method (GET, POST).
+	 * @param {object|null} queryParams - Object containing query parameters.
+	 * @param {object|null} body - Object containing the request body for POST requests.
+	 * @returns {Promise<object>} A promise that resolves with the JSON response data.
+	 * @throws {VybeDegradedError} If transient errors persist after retries or the circuit breaker is open.
+	 * @throws {Error} If the API returns a non-retryable error status or the API key is missing.
+	 * @private
+	 * @static
+	 */
+	static async _fetchFromApi(path, method, queryParams, body) {
 		const apiKey = this._getApiKey(); // Get API key or throw error
 		const url = new URL(this._BASE_URL + path);
 
@@ -114,33 +230,214 @@ class VybeService {
 			options.body = JSON.stringify(body);
 		}
 
-		try {
-			const response = await fetch(url.toString(), options);
+		if(!this._circuitBreaker.canRequest()) {
+			const retryAfterMs = this._circuitBreaker.retryInMs();
+			throw new VybeDegradedError(`requests paused after repeated failures, retry in ${ Math.ceil(retryAfterMs / 1000) }s (path ${ path })`, {
+				reason: 'circuit_open',
+				retryAfterMs,
+			});
+		}
+
+		for(let attempt = 0; ; attempt++) {
+			await this._rateLimiter.take();
+
+			let response;
+			let failure;
+			let retryAfterMs = null;
+			try {
+				response = await fetch(url.toString(), options);
+			} catch(error) {
+				failure = error instanceof Error ? error.message : String(error);
+			}
 
-			if(!response.ok) {
+			if(response?.ok) {
+				this._circuitBreaker.recordSuccess();
+				if(response.status === 204) {
+					return {};
+				}
+				try {
+					return await response.json();
+				} catch(error) {
+					throw new Error(`Vybe API request failed for path ${ path }: invalid JSON response (${ error.message })`);
+				}
+			}
+
+			if(response) {
 				let errorBody;
 				try {
 					errorBody = await response.json();
 				} catch(e) {
-					errorBody = await response.text();
+					errorBody = await response.text().catch(() => '');
+				}
+				failure = `API Error: ${ response.status } ${ response.statusText } - ${ JSON.stringify(errorBody) }`;
+
+				// Un 4xx distinto de 429 es un error de la petición, no de Vybe
+				if(!this._RETRYABLE_STATUSES.includes(response.status)) {
+					this._circuitBreaker.recordSuccess();
+					console.error(`Vybe API request failed for path ${ path }: ${ failure }`);
+					throw new Error(`Vybe API request failed for path ${ path }: ${ failure }`);
 				}
-				throw new Error(`API Error: ${ response.status } ${ response.statusText } - ${ JSON.stringify(errorBody) }`);
+
+				if(response.status === 429) this._rateLimiter.drain();
+				retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
 			}
 
-			if(response.status === 204) {
-				return {};
+			const canRetry = attempt < this._MAX_RETRIES && (retryAfterMs === null || retryAfterMs <= this._MAX_RETRY_AFTER_MS);
+			if(!canRetry) {
+				this._circuitBreaker.recordFailure();
+				console.error(`Vybe API request failed for path ${ path } after ${ attempt + 1 } attempt(s): ${ failure }`);
+				throw new VybeDegradedError(`request to ${ path } failed after ${ attempt + 1 } attempt(s): ${ failure }`, {
+					reason: 'retries_exhausted',
+					retryAfterMs: retryAfterMs ?? this._circuitBreaker.retryInMs(),
+				});
 			}
 
-			return await response.json();
-		} catch(error) {
-			// Include the original error message if available
-			const errorMessage = error instanceof Error ? error.message : String(error);
-			console.error(`Vybe API request failed for path ${ path }: ${ errorMessage }`);
-			// Re-throw a potentially more informative error or the original
-			throw new Error(`Vybe API request failed for path ${ path }: ${ errorMessage }`);
+			const delay = retryAfterMs ?? backoffDelay(attempt, this._RETRY_BASE_DELAY_MS, this._RETRY_MAX_DELAY_MS);
+			console.warn(`Vybe API transient failure for path ${ path } (${ failure }), retry ${ attempt + 1 }/${ this._MAX_RETRIES } in ${ delay }ms`);
+			await sleep(delay);
 		}
 	}
 
+	// --- Pagination ---
+
+	/**
+	 * Default budget for walking paged endpoints. Vybe pages are 0-based.
+	 * @private
+	 * @static
+	 */
+	static _PAGINATION_DEFAULTS = {
+		pageSize: 100,
+		maxRows: 1000,
+		maxPages: 50,
+		maxDurationMs: 20 * 1000,
+	};
+
+	/**
+	 * Walks a paged endpoint and yields its rows one by one, stopping at the last page or when the
+	 * row, page or time budget is exhausted (the time budget is checked before each new page).
+	 * The returned iterator exposes `stats` (`{ pagesFetched, rows, stopReason, complete }`), filled
+	 * in while iterating; `stopReason` is 'complete', 'row_budget', 'page_budget' or 'time_budget'.
+	 * @param {function(object): Promise<object>} fetchPage - Fetches one page, receives `{ page, limit }`.
+	 * @param {object} [options={}]
+	 * @param {string} [options.rowsKey] - Response field holding the rows (e.g. 'data', 'transfers'). Guessed if omitted.
+	 * @param {number} [options.pageSize=100] - Rows requested per page.
+	 * @param {number} [options.maxRows=1000] - Maximum rows yielded.
+	 * @param {number} [options.maxPages=50] - Maximum pages fetched.
+	 * @param {number} [options.maxDurationMs=20000] - Maximum time spent walking pages.
+	 * @returns {AsyncGenerator<object>} Async iterator of rows with a `stats` property.
+	 * @static
+	 */
+	static paginate(fetchPage, options = {}) {
+		const { rowsKey, pageSize, maxRows, maxPages, maxDurationMs } = { ...this._PAGINATION_DEFAULTS, ...options };
+		const stats = { pagesFetched: 0, rows: 0, stopReason: null, complete: false };
+
+		const walk = async function* () {
+			const startedAt = Date.now();
+			for(let page = 0; ; page++) {
+				if(stats.rows >= maxRows) {
+					stats.stopReason = 'row_budget';
+					return;
+				}
+				if(page >= maxPages) {
+					stats.stopReason = 'page_budget';
+					return;
+				}
+				if(page > 0 && Date.now() - startedAt >= maxDurationMs) {
+					stats.stopReason = 'time_budget';
+					return;
+				}
+
+				const response = await fetchPage({ page, limit: pageSize });
+				const rows = VybeService._extractRows(response, rowsKey);
+				stats.pagesFetched++;
+
+				for(const row of rows.slice(0, maxRows - stats.rows)) {
+					stats.rows++;
+					yield row;
+				}
+
+				if(rows.length < pageSize) {
+					stats.stopReason = 'complete';
+					stats.complete = true;
+					return;
+				}
+			}
+		};
+
+		const iterator = walk();
+		iterator.stats = stats;
+		return iterator;
+	}
+
+	/**
+	 * Drains an iterator returned by `paginate` (or the `iterate*` helpers).
+	 * @param {AsyncGenerator<object>} iterator
+	 * @returns {Promise<{ rows: Array<object>, stats: object }>}
+	 * @static
+	 */
+	static async collectPages(iterator) {
+		const rows = [];
+		for await (const row of iterator) rows.push(row);
+		return { rows, stats: iterator.stats };
+	}
+
+	/**
+	 * Finds the rows array in a page response.
+	 * @private
+	 * @static
+	 */
+	static _extractRows(response, rowsKey) {
+		if(Array.isArray(response)) return response;
+		if(rowsKey) return Array.isArray(response?.[rowsKey]) ? response[rowsKey] : [];
+		const key = [ 'data', 'transfers', 'accounts', 'items' ].find(k => Array.isArray(response?.[k]));
+		return key ? response[key] : [];
+	}
+
+	/**
+	 * Iterates the top holders of a token (Vybe serves at most the top 1,000).
+	 * @param {string} mintAddress - The token mint address.
+	 * @param {object} [params={}] - Extra query parameters for `getTopTokenHolders`.
+	 * @param {object} [budget={}] - `paginate` options (pageSize, maxRows, maxPages, maxDurationMs).
+	 * @returns {AsyncGenerator<object>} Holder rows.
+	 * @static
+	 */
+	static iterateTopTokenHolders(mintAddress, params = {}, budget = {}) {
+		return this.paginate(page => this.getTopTokenHolders(mintAddress, { ...params, ...page }), { rowsKey: 'data', ...budget });
+	}
+
+	/**
+	 * Iterates token transfers. Pass `timeEnd` (and a sort) so new transfers don't shift pages while walking.
+	 * @param {object} [params={}] - Query parameters for `getTokenTransfers`.
+	 * @param {object} [budget={}] - `paginate` options.
+	 * @returns {AsyncGenerator<object>} Transfer rows.
+	 * @static
+	 */
+	static iterateTokenTransfers(params = {}, budget = {}) {
+		return this.paginate(page => this.getTokenTransfers({ ...params, ...page }), { rowsKey: 'transfers', ...budget });
+	}
+
+	/**
+	 * Iterates token trades.
+	 * @param {object} [params={}] - Query parameters for `getTokenTrades`.
+	 * @param {object} [budget={}] - `paginate` options.
+	 * @returns {AsyncGenerator<object>} Trade rows.
+	 * @static
+	 */
+	static iterateTokenTrades(params = {}, budget = {}) {
+		return this.paginate(page => this.getTokenTrades({ ...params, ...page }), { rowsKey: 'data', ...budget });
+	}
+
+	/**
+	 * Iterates labelled known accounts.
+	 * @param {object} [params={}] - Query parameters for `getKnownAccounts`.
+	 * @param {object} [budget={}] - `paginate` options.
+	 * @returns {AsyncGenerator<object>} Account rows.
+	 * @static
+	 */
+	static iterateKnownAccounts(params = {}, budget = {}) {
+		return this.paginate(page => this.getKnownAccounts({ ...params, ...page }), { rowsKey: 'accounts', ...budget });
+	}
+
 	/**
 	 * Retrieves comprehensive analysis of a wallet's trading performance (PnL).
 	 */
@@ -783,29 +1080,23 @@ class VybeService {
 	 * Creates and initiates a WebSocket connection to the Vybe real-time data stream.
 	 * **Requires a Business or Premium plan.**
 	 * Uses API key from `process.env.VYBE_API_KEY` (must be a Business/Premium key).
-	 * Remember to get your specific WebSocket URI from the Vybe dashboard.
 	 * @param {object} callbacks - Callback functions for WebSocket events.
 	 * @param {function} [callbacks.onOpen] - Called when the connection is established. Receives the WebSocket event.
 	 * @param {function} [callbacks.onMessage] - Called when a message is received. Receives the WebSocket message event. Message data needs parsing (JSON.parse).
 	 * @param {function} [callbacks.onError] - Called when an error occurs. Receives the WebSocket error event.
 	 * @param {function} [callbacks.onClose] - Called when the connection is closed. Receives the WebSocket close event.
-	 * @param {string} [websocketUri=VybeService._WEBSOCKET_URL] - The specific WebSocket URI provided by Vybe. Defaults to the class placeholder.
+	 * @param {string} [websocketUri=VybeService._WEBSOCKET_URL] - The specific WebSocket URI provided by Vybe. Defaults to `VYBE_WEBSOCKET_URL` or the public Vybe endpoint.
 	 * @param {boolean} [enableReconnect=false] - Simple flag for basic reconnect logic example (implement robust reconnect separately).
 	 * @returns {WebSocket} The WebSocket instance. The caller is responsible for managing this instance.
-	 * @throws {Error} If the VYBE_API_KEY environment variable is not set.
+	 * @throws {Error} If the VYBE_API_KEY environment variable is not set or no URI is available.
 	 * @static
 	 * @see https://docs.vybenetwork.com/docs/connecting-to-websocket
 	 */
 	static createWebSocketConnection(callbacks, websocketUri = VybeService._WEBSOCKET_URL, enableReconnect = false) {
-		// Dynamically import 'ws' only if in Node.js and needed
-		const WebSocket = require('ws'); // Ensure 'ws' is installed (`npm install ws`)
-
 		const apiKey = this._getApiKey(); // Get API key or throw error (Must be Business/Premium for WS)
 
-		if(!websocketUri || websocketUri === 'wss://your-websocket-uri-here') {
-			console.warn('WebSocket URI is not set or is using the placeholder. Get the correct URI from your Vybe dashboard.');
-			// Consider throwing an error if a real URI is strictly required
-			// throw new Error("WebSocket URI is required. Obtain it from your Vybe dashboard.");
+		if(!websocketUri) {
+			throw new Error('WebSocket URI is required. Set VYBE_WEBSOCKET_URL or pass it explicitly.');
 		}
 
 		const ws = new WebSocket(websocketUri, {
@@ -851,7 +1142,6 @@ class VybeService {
 	 */
 	static sendWebSocketConfigure(wsInstance, filters) {
 		// Check if wsInstance is a valid WebSocket object from 'ws' library
-		const WebSocket = require('ws'); // Make sure WebSocket is defined
 		if(!wsInstance || !(wsInstance instanceof WebSocket) || wsInstance.readyState !== WebSocket.OPEN) {
 			console.error('WebSocket is not open or not a valid instance. Cannot send configuration.');
 			return;
@@ -917,4 +1207,5 @@ class VybeService {
 
 }
 
+export { VybeDegradedError };
 export default VybeService;
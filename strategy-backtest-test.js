@@ -0,0 +1,81 @@
+// strategy-backtest-test.js
+// Comprueba las partes puras de StrategyBacktestService (parser de condiciones, RSI y simulación)
+// con velas hechas a mano, sin llamar a Vybe ni a la base de datos.
+import 'dotenv/config';
+import { isDeepStrictEqual } from 'util';
+import StrategyBacktestService from '#services/strategy-backtest.service.js';
+
+let failures = 0;
+
+function check(name, actual, expected) {
+	const ok = typeof expected === 'number'
+		? typeof actual === 'number' && Math.abs(actual - expected) < 1e-9
+		: isDeepStrictEqual(actual, expected);
+	if(!ok) failures++;
+	console.log(ok ? `✅ ${ name }` : `❌ ${ name }: expected ${ JSON.stringify(expected) }, got ${ JSON.stringify(actual) }`);
+}
+
+// Velas con open = high = low = close salvo que se indique otra cosa
+const candles = closes => closes.map((close, i) => ({
+	time: 1700000000 + i * 86400,
+	open: close, high: close, low: close, close, volume: 1000,
+	...(typeof close === 'object' ? close : {}),
+}));
+
+function testParseConditionText() {
+	console.log('\n=== parseConditionText ===');
+	const parse = StrategyBacktestService.parseConditionText;
+
+	check('RSI below 30', parse('RSI below 30'), { type: 'rsi', op: 'below', value: 30, period: 14 });
+	check('RSI(7) crosses above 70', parse('RSI(7) crosses above 70'), { type: 'rsi', op: 'cross_above', value: 70, period: 7 });
+	check('price crosses above the 50-day MA', parse('Price crosses above the 50-day MA'), { type: 'price_vs_sma', op: 'cross_above', period: 50 });
+	check('10 MA crosses above 30 MA', parse('10 MA crosses above 30 MA'), { type: 'sma_cross', op: 'cross_above', fast: 10, slow: 30 });
+	check('breaks the 20-day high', parse('Price breaks the 20-day high'), { type: 'breakout', op: 'above', lookback: 20 });
+	check('volume 3x average', parse('Volume 3x the average'), { type: 'volume_spike', op: 'above', value: 3, lookback: 20 });
+	check('price drops 10% in 3 days', parse('Price drops 10% in 3 days'), { type: 'price_change', op: 'below', value: -10, lookback: 3 });
+	check('price above $2.5', parse('Price above $2.5'), { type: 'price', op: 'above', value: 2.5 });
+	check('stop loss is not a condition', parse('Stop loss at 8%'), null);
+	check('unknown text', parse('buy when the vibes are good'), null);
+}
+
+function testRsi() {
+	console.log('\n=== _rsi ===');
+	// Periodo 2: +1, +1 -> 100; -1 -> gain 0.5 / loss 0.5 -> 50; +1 -> gain 0.75 / loss 0.25 -> 75
+	check('Wilder RSI(2)', StrategyBacktestService._rsi([ 1, 2, 3, 2, 3 ], 2), [ null, null, 100, 50, 75 ]);
+	check('not enough closes', StrategyBacktestService._rsi([ 1, 2 ], 2), [ null, null ]);
+}
+
+function testSimulate() {
+	console.log('\n=== simulate ===');
+	const entry = [ { type: 'price', op: 'above', value: 11 } ];
+
+	// Entra a 12 en la vela 2; la vela 4 abre en 9, por debajo del stop (12 * 0.8 = 9.6): sale a 9 (-25%)
+	const stopCandles = candles([ 10, 10, 12, 11, 9 ]);
+	const stopRun = StrategyBacktestService.simulate(stopCandles, { entry, exit: [], stopLossPercent: 20 }, { feePercent: 0 });
+	check('stop loss: one trade', stopRun.trades.length, 1);
+	check('stop loss: exit reason', stopRun.trades[0]?.reason, 'stop_loss');
+	check('stop loss: exit price', stopRun.trades[0]?.exitPrice, 9);
+	check('stop loss: return', stopRun.stats.returnPercent, -25);
+	check('stop loss: max drawdown', stopRun.stats.maxDrawdownPercent, 25);
+	check('stop loss: exposure', stopRun.stats.exposurePercent, 40);
+	check('stop loss: buy and hold', stopRun.buyAndHold.returnPercent, -10);
+
+	// Con 1% por lado: 0.99 * 0.75 * 0.99 = 0.735075
+	const feeRun = StrategyBacktestService.simulate(stopCandles, { entry, exit: [], stopLossPercent: 20 }, { feePercent: 1 });
+	check('fees: return', feeRun.stats.returnPercent, -26.4925);
+
+	// Entra a 12 en la vela 1; la vela 3 abre en 13 y toca 16: take profit a 12 * 1.2 = 14.4
+	const takeProfitCandles = candles([ 10, 12, 12, { close: 15, open: 13, high: 16, low: 13 } ]);
+	const takeProfitRun = StrategyBacktestService.simulate(takeProfitCandles, { entry, exit: [], takeProfitPercent: 20 }, { feePercent: 0 });
+	check('take profit: exit reason', takeProfitRun.trades[0]?.reason, 'take_profit');
+	check('take profit: exit price', takeProfitRun.trades[0]?.exitPrice, 14.4);
+	check('take profit: return', takeProfitRun.stats.returnPercent, 20);
+	check('take profit: win rate', takeProfitRun.stats.winRatePercent, 100);
+}
+
+testParseConditionText();
+testRsi();
+testSimulate();
+
+console.log(failures === 0 ? '\n=== All strategy backtest checks passed ===' : `\n=== ${ failures } strategy backtest checks failed ===`);
+if(failures > 0) process.exitCode = 1;
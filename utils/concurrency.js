@@ -0,0 +1,33 @@
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input, regardless of completion order.
+ * If a call rejects, no new calls are started and the returned promise rejects with that error.
+ * @template T, R
+ * @param {Array<T>} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls (values < 1 are treated as 1).
+ * @param {function(T, number): Promise<R>} fn - Async mapper, receives the item and its index.
+ * @returns {Promise<Array<R>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+	const results = new Array(items.length);
+	const workerCount = Math.min(Math.max(1, limit || 1), items.length);
+	let nextIndex = 0;
+	let failed = false;
+
+	const worker = async () => {
+		while(!failed && nextIndex < items.length) {
+			const index = nextIndex++;
+			try {
+				results[index] = await fn(items[index], index);
+			} catch(error) {
+				failed = true;
+				throw error;
+			}
+		}
+	};
+
+	await Promise.all(Array.from({ length: workerCount }, worker));
+	return results;
+}
+
+export { mapWithConcurrency };
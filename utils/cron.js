@@ -0,0 +1,244 @@
+import moment from 'moment-timezone';
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+const FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'dayOfMonth', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12, names: [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ] },
+	{ name: 'dayOfWeek', min: 0, max: 7, names: [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ] },
+];
+
+const DAY_NAMES = {
+	sunday: 0, sun: 0,
+	monday: 1, mon: 1,
+	tuesday: 2, tue: 2, tues: 2,
+	wednesday: 3, wed: 3,
+	thursday: 4, thu: 4, thur: 4, thurs: 4,
+	friday: 5, fri: 5,
+	saturday: 6, sat: 6,
+};
+
+// Upper bound for the next-run search (about 5 years of skips); protects against impossible dates like 31 feb
+const MAX_SEARCH_STEPS = 50000;
+
+function parseValue(value, field) {
+	const lower = value.toLowerCase();
+	const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+	if(nameIndex !== -1) return nameIndex + field.min;
+
+	if(!/^\d+$/.test(value)) throw new Error(`Invalid ${ field.name } value: ${ value }`);
+	const number = parseInt(value);
+	if(number < field.min || number > field.max) {
+		throw new Error(`${ field.name } value ${ number } out of range ${ field.min }-${ field.max }`);
+	}
+	return number;
+}
+
+function parseField(expression, field) {
+	const values = new Set();
+
+	for(const part of expression.split(',')) {
+		const [ range, stepText ] = part.split('/');
+		const step = stepText === undefined ? 1 : parseInt(stepText);
+		if(isNaN(step) || step < 1) throw new Error(`Invalid step in ${ field.name }: ${ part }`);
+		// Un paso mayor que el rango sólo dispararía en el primer valor (*/90 en minutos = cada hora)
+		if(step > field.max) throw new Error(`Step ${ step } is out of range for ${ field.name } (max ${ field.max }): ${ part }`);
+
+		let start, end;
+		if(range === '*') {
+			start = field.min;
+			end = field.max;
+		} else if(range.includes('-')) {
+			const [ from, to ] = range.split('-');
+			start = parseValue(from, field);
+			end = parseValue(to, field);
+			if(start > end) throw new Error(`Invalid range in ${ field.name }: ${ range }`);
+		} else {
+			start = parseValue(range, field);
+			end = stepText === undefined ? start : field.max;
+		}
+
+		for(let value = start; value <= end; value += step) values.add(value);
+	}
+
+	// 7 is an alias of Sunday
+	if(field.name === 'dayOfWeek' && values.has(7)) {
+		values.delete(7);
+		values.add(0);
+	}
+
+	return { values, wildcard: expression === '*' };
+}
+
+/**
+ * Parses a 5-field cron expression.
+ * @param {string} expression - e.g. '0 9 * * 1-5'.
+ * @returns {object} Parsed fields, each `{ values: Set<number>, wildcard: boolean }`.
+ * @throws {Error} If the expression is not valid.
+ */
+function parseCron(expression) {
+	if(!expression || typeof expression !== 'string') throw new Error('Cron expression is required');
+
+	const parts = expression.trim().split(/\s+/);
+	if(parts.length !== 5) throw new Error(`Cron expression must have 5 fields, got ${ parts.length }: ${ expression }`);
+
+	const parsed = {};
+	FIELDS.forEach((field, index) => {
+		parsed[field.name] = parseField(parts[index], field);
+	});
+	return parsed;
+}
+
+/**
+ * Whether a string is a valid 5-field cron expression.
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+	try {
+		parseCron(expression);
+		return true;
+	} catch(e) {
+		return false;
+	}
+}
+
+function matchesDay(parsed, time) {
+	const domMatch = parsed.dayOfMonth.values.has(time.date());
+	const dowMatch = parsed.dayOfWeek.values.has(time.day());
+
+	// Cron semantics: when both day fields are restricted, either one matching is enough
+	if(!parsed.dayOfMonth.wildcard && !parsed.dayOfWeek.wildcard) return domMatch || dowMatch;
+	return domMatch && dowMatch;
+}
+
+/**
+ * Computes the next time a cron expression fires after a given date, evaluated in a timezone.
+ * @param {string} expression - 5-field cron expression.
+ * @param {string} [timezone='UTC'] - IANA timezone the expression is written in.
+ * @param {Date} [fromDate=new Date()] - Reference date; the result is strictly after it.
+ * @returns {Date} Next run as a UTC Date.
+ */
+function getNextCronRun(expression, timezone = 'UTC', fromDate = new Date()) {
+	const parsed = parseCron(expression);
+	const time = moment.tz(fromDate, timezone).startOf('minute').add(1, 'minute');
+
+	for(let step = 0; step < MAX_SEARCH_STEPS; step++) {
+		if(!parsed.month.values.has(time.month() + 1)) {
+			time.add(1, 'month').startOf('month');
+			continue;
+		}
+		if(!matchesDay(parsed, time)) {
+			time.add(1, 'day').startOf('day');
+			continue;
+		}
+		if(!parsed.hour.values.has(time.hour())) {
+			time.add(1, 'hour').startOf('hour');
+			continue;
+		}
+		if(!parsed.minute.values.has(time.minute())) {
+			time.add(1, 'minute');
+			continue;
+		}
+		return time.toDate();
+	}
+
+	throw new Error(`Could not find a next run for cron expression: ${ expression }`);
+}
+
+function parseTimeOfDay(text) {
+	if(/\bnoon\b/.test(text)) return { hour: 12, minute: 0 };
+	if(/\bmidnight\b/.test(text)) return { hour: 0, minute: 0 };
+
+	const match = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/) || text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+	if(!match) return null;
+
+	let hour = parseInt(match[1]);
+	const minute = match[2] ? parseInt(match[2]) : 0;
+	const meridiem = match[3];
+	if(meridiem === 'pm' && hour < 12) hour += 12;
+	if(meridiem === 'am' && hour === 12) hour = 0;
+	if(hour > 23 || minute > 59) return null;
+
+	return { hour, minute };
+}
+
+function intervalToCron(minutes, text) {
+	if(minutes < 1) throw new Error(`Invalid interval in recurrence "${ text }"`);
+	if(minutes < 60) return `*/${ minutes } * * * *`;
+
+	// Los intervalos de horas enteras pasan al campo de horas (120 minutos -> cada 2 horas)
+	const hours = minutes / 60;
+	if(Number.isInteger(hours) && hours <= 23) return `0 */${ hours } * * *`;
+	if(hours === 24) return '0 0 * * *';
+
+	throw new Error(`Cannot schedule "${ text }": intervals must be under 60 minutes, whole hours up to 23, or 24 hours. Use a daily/weekly phrase or a cron expression instead.`);
+}
+
+/**
+ * Converts a natural-language recurrence into a cron expression.
+ * Supports phrases like "every 15 minutes", "hourly", "every 4 hours", "every day at 8:30",
+ * "every weekday at 9am", "every monday and thursday at 6pm", "weekly", "every month on the 1st".
+ * Minute intervals of whole hours are converted ("every 120 minutes" -> every 2 hours).
+ * @param {string} text - Recurrence description.
+ * @returns {string|null} Cron expression or null if the phrase is not understood.
+ * @throws {Error} If the phrase is an interval cron cannot express (e.g. "every 90 minutes", "every 36 hours").
+ */
+function naturalLanguageToCron(text) {
+	if(!text || typeof text !== 'string') return null;
+	const phrase = text.toLowerCase().trim();
+
+	let match = phrase.match(/every\s+(\d+)\s*(?:minutes?|mins?)\b/);
+	if(match) return intervalToCron(parseInt(match[1]), text);
+	if(/\bevery\s+minute\b/.test(phrase)) return '* * * * *';
+
+	match = phrase.match(/every\s+(\d+)\s*(?:hours?|hrs?)\b/);
+	if(match) return intervalToCron(parseInt(match[1]) * 60, text);
+	if(/\b(every\s+hour|hourly)\b/.test(phrase)) return '0 * * * *';
+
+	let defaultHour = 9;
+	if(/\bevening\b/.test(phrase)) defaultHour = 18;
+	if(/\bnight\b/.test(phrase)) defaultHour = 21;
+	const time = parseTimeOfDay(phrase) || { hour: defaultHour, minute: 0 };
+	const timeFields = `${ time.minute } ${ time.hour }`;
+
+	if(/\bweekdays?\b/.test(phrase)) return `${ timeFields } * * 1-5`;
+	if(/\bweekends?\b/.test(phrase)) return `${ timeFields } * * 0,6`;
+
+	const days = Object.keys(DAY_NAMES)
+		.filter(name => new RegExp(`\\b${ name }s?\\b`).test(phrase))
+		.map(name => DAY_NAMES[name]);
+	if(days.length > 0) return `${ timeFields } * * ${ [ ...new Set(days) ].sort().join(',') }`;
+
+	match = phrase.match(/\b(?:on\s+the\s+)?(\d{1,2})(?:st|nd|rd|th)\b/);
+	if(/\b(every\s+month|monthly)\b/.test(phrase)) {
+		const day = match ? Math.min(parseInt(match[1]), 31) : 1;
+		return `${ timeFields } ${ day } * *`;
+	}
+
+	if(/\b(every\s+week|weekly)\b/.test(phrase)) return `${ timeFields } * * 1`;
+	if(/\b(every\s+day|daily|every\s+morning|every\s+evening|every\s+night)\b/.test(phrase)) return `${ timeFields } * * *`;
+
+	return null;
+}
+
+/**
+ * Normalizes a recurrence given either as a cron expression or in natural language.
+ * @param {string} recurrence - Cron expression or phrase such as "every weekday at 9am".
+ * @returns {string} Valid cron expression.
+ * @throws {Error} If the recurrence cannot be understood.
+ */
+function toCronExpression(recurrence) {
+	if(isValidCron(recurrence)) return recurrence.trim().split(/\s+/).join(' ');
+	// Parece un cron (5 campos de dígitos, * , - /) pero no es válido: se explica por qué
+	if(/^[\d*][\d*,\/-]*(\s+[\d*a-z][\w*,\/-]*){4}$/i.test(String(recurrence || '').trim())) parseCron(recurrence);
+
+	const cron = naturalLanguageToCron(recurrence);
+	if(!cron || !isValidCron(cron)) {
+		throw new Error(`Could not understand recurrence "${ recurrence }". Use a cron expression (e.g. "0 9 * * 1-5") or a phrase like "every weekday at 9am".`);
+	}
+	return cron;
+}
+
+export { parseCron, isValidCron, getNextCronRun, naturalLanguageToCron, toCronExpression };
@@ -0,0 +1,37 @@
+// Helpers shared by the services that build Telegram HTML messages
+
+// Base58 public key (wallets, mints, programs)
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Escapes text for Telegram's HTML parse mode.
+ * @param {*} text - Value to escape; null and undefined give an empty string.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+	if(text === null || text === undefined) return '';
+
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#039;');
+}
+
+/**
+ * Formats a number with thousands separators. Values below 1 (in absolute value) keep more
+ * decimals so small token prices are still readable.
+ * @param {number|string} value - Non-numeric values are shown as 0.
+ * @param {number} [maximumFractionDigits=2]
+ * @param {number} [smallFractionDigits=6] - Maximum decimals for values below 1.
+ * @returns {string}
+ */
+function formatNumber(value, maximumFractionDigits = 2, smallFractionDigits = 6) {
+	const number = parseFloat(value) || 0;
+	return number.toLocaleString('en-US', {
+		maximumFractionDigits: Math.abs(number) < 1 ? smallFractionDigits : maximumFractionDigits,
+	});
+}
+
+export { SOLANA_ADDRESS_REGEX, escapeHtml, formatNumber };
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Record/replay of outgoing calls (Vybe, LLM completions, Chroma) so tests can run offline.
+ *
+ * - `RECORD_REPLAY_MODE=record`: calls go through and every response (or error) is written to the cassette.
+ *   The cassette is started from scratch the first time something is recorded in the process.
+ * - `RECORD_REPLAY_MODE=replay`: responses come only from the cassette; a call with no recorded
+ *   entry throws, nothing reaches the network.
+ * - Anything else (default): calls go through untouched.
+ *
+ * The cassette is `<RECORD_REPLAY_DIR>/<RECORD_REPLAY_CASSETTE>.json` (defaults: `fixtures`, `default`).
+ * Entries are matched by namespace and a hash of the request. Timestamps, dates and time-window
+ * params are masked before hashing so a replay on another day still matches; calls repeated with
+ * the same request are replayed in recording order (the last one repeats once exhausted).
+ *
+ * The mode is read when each call is made, so it can be switched from a test runner with
+ * `configureRecordReplay()`. Conversation state still lives in MySQL: replays need the same
+ * database state (e.g. a fresh schema) the cassette was recorded against.
+ */
+
+const SECRET_KEYS = [ 'embeddingFunction', 'apiKey', 'api_key', 'openai_api_key', 'authorization', 'x-api-key' ];
+const VOLATILE_KEYS = [ 'timeStart', 'timeEnd', 'time_start', 'time_end', 'timestamp' ];
+const DATE_REGEX = /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/g;
+
+let overrides = {};
+const cassettes = new Map();
+
+/**
+ * @returns {'record'|'replay'|'off'} Current mode.
+ */
+function getRecordReplayMode() {
+	const mode = overrides.mode ?? process.env.RECORD_REPLAY_MODE;
+	return mode === 'record' || mode === 'replay' ? mode : 'off';
+}
+
+/**
+ * @returns {boolean} Whether calls are being recorded or replayed.
+ */
+function isRecordReplayActive() {
+	return getRecordReplayMode() !== 'off';
+}
+
+/**
+ * Overrides the environment from code, e.g. in a test runner. Pass `{}` to go back to the environment.
+ * @param {object} options
+ * @param {'record'|'replay'|'off'} [options.mode]
+ * @param {string} [options.cassette] - Cassette name.
+ * @param {string} [options.dir] - Directory holding the cassettes.
+ */
+function configureRecordReplay(options = {}) {
+	overrides = { ...options };
+}
+
+/**
+ * Records or replays a call depending on the mode.
+ * @param {string} namespace - Source of the call ('vybe', 'ai', 'chroma').
+ * @param {object} request - JSON-serializable description of the call; secrets are stripped.
+ * @param {function(): Promise<*>} fn - Performs the real call.
+ * @returns {Promise<*>} The real or recorded response.
+ */
+async function recordOrReplay(namespace, request, fn) {
+	const mode = getRecordReplayMode();
+	if(mode === 'off') return fn();
+
+	const normalized = normalizeRequest(request);
+	const key = crypto.createHash('sha1').update(`${ namespace }:${ JSON.stringify(normalized) }`).digest('hex');
+	const cassette = loadCassette(mode);
+
+	if(mode === 'replay') {
+		const matches = cassette.entries.filter(entry => entry.namespace === namespace && entry.key === key);
+		if(matches.length === 0) {
+			throw new Error(`No recorded ${ namespace } response in cassette '${ cassette.name }' for ${ JSON.stringify(normalized).substring(0, 300) }. Re-record with RECORD_REPLAY_MODE=record.`);
+		}
+
+		const served = cassette.served.get(key) || 0;
+		cassette.served.set(key, served + 1);
+		const entry = matches[Math.min(served, matches.length - 1)];
+		if(entry.error) {
+			const error = new Error(entry.error.message);
+			error.name = entry.error.name;
+			if(entry.error.code) error.code = entry.error.code;
+			throw error;
+		}
+		// Copia para que quien la reciba no altere el cassette (structuredClone no existe en Node 16)
+		return JSON.parse(JSON.stringify(entry.response));
+	}
+
+	try {
+		const response = await fn();
+		saveEntry(cassette, { namespace, key, request: normalized, response: response === undefined ? null : response });
+		return response;
+	} catch(error) {
+		saveEntry(cassette, { namespace, key, request: normalized, error: { name: error.name, message: error.message, code: error.code } });
+		throw error;
+	}
+}
+
+/**
+ * Sorts object keys, drops secrets and non-serializable values and masks volatile values.
+ * @param {*} value
+ * @returns {*} Normalized copy.
+ */
+function normalizeRequest(value) {
+	if(typeof value === 'string') return value.replace(DATE_REGEX, '<date>');
+	if(typeof value === 'function' || typeof value === 'symbol') return undefined;
+	if(Array.isArray(value)) return value.map(item => normalizeRequest(item) ?? null);
+	if(!value || typeof value !== 'object') return value;
+
+	const normalized = {};
+	for(const key of Object.keys(value).sort()) {
+		if(SECRET_KEYS.includes(key) || SECRET_KEYS.includes(key.toLowerCase())) continue;
+		if(VOLATILE_KEYS.includes(key) && value[key] !== undefined && value[key] !== null) {
+			normalized[key] = '<time>';
+			continue;
+		}
+		const item = normalizeRequest(value[key]);
+		if(item !== undefined) normalized[key] = item;
+	}
+	return normalized;
+}
+
+function cassettePath() {
+	const dir = overrides.dir || process.env.RECORD_REPLAY_DIR || 'fixtures';
+	const name = overrides.cassette || process.env.RECORD_REPLAY_CASSETTE || 'default';
+	return { name, file: path.resolve(dir, `${ name }.json`) };
+}
+
+function loadCassette(mode) {
+	const { name, file } = cassettePath();
+	const cacheKey = `${ mode }:${ file }`;
+	if(cassettes.has(cacheKey)) return cassettes.get(cacheKey);
+
+	let entries = [];
+	if(mode === 'replay') {
+		if(!fs.existsSync(file)) {
+			throw new Error(`Cassette '${ name }' not found at ${ file }. Record it first with RECORD_REPLAY_MODE=record.`);
+		}
+		entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || [];
+	}
+
+	const cassette = { name, file, entries, served: new Map() };
+	cassettes.set(cacheKey, cassette);
+	return cassette;
+}
+
+function saveEntry(cassette, entry) {
+	cassette.entries.push(entry);
+	fs.mkdirSync(path.dirname(cassette.file), { recursive: true });
+	fs.writeFileSync(cassette.file, JSON.stringify({ version: 1, entries: cassette.entries }, null, '\t'));
+}
+
+export { getRecordReplayMode, isRecordReplayActive, configureRecordReplay, recordOrReplay, normalizeRequest };
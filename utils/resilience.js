@@ -0,0 +1,123 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a token bucket shared by every caller that holds it. `take()` resolves once a token is
+ * available; waiting callers are served in arrival order.
+ * @param {object} options
+ * @param {number} options.capacity - Maximum burst size.
+ * @param {number} options.refillPerSecond - Tokens added per second.
+ * @returns {{ take: function(): Promise<void>, drain: function(): void, available: function(): number }}
+ */
+function createTokenBucket({ capacity, refillPerSecond }) {
+	let tokens = capacity;
+	let lastRefill = Date.now();
+	let queue = Promise.resolve();
+
+	const refill = () => {
+		const now = Date.now();
+		tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+		lastRefill = now;
+	};
+
+	return {
+		take() {
+			const turn = queue.then(async () => {
+				refill();
+				if(tokens < 1) {
+					await sleep(((1 - tokens) / refillPerSecond) * 1000);
+					refill();
+				}
+				tokens -= 1;
+			});
+			queue = turn.catch(() => {});
+			return turn;
+		},
+		// Tras un 429 vaciamos el bucket para que el resto de llamadas también frenen
+		drain() {
+			refill();
+			tokens = Math.min(tokens, 0);
+		},
+		available() {
+			refill();
+			return tokens;
+		},
+	};
+}
+
+/**
+ * Creates a circuit breaker that opens after `failureThreshold` consecutive failures.
+ * While open, `canRequest()` is false until `cooldownMs` has passed; then a single trial request
+ * is let through (half-open) and its outcome closes or re-opens the circuit.
+ * @param {object} options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit.
+ * @param {number} options.cooldownMs - How long the circuit stays open before a trial request.
+ * @returns {object} `{ canRequest, recordSuccess, recordFailure, retryInMs, getState }`.
+ */
+function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+	let state = 'closed';
+	let failures = 0;
+	let openedAt = 0;
+	let trialInFlight = false;
+
+	return {
+		canRequest() {
+			if(state === 'open' && Date.now() - openedAt >= cooldownMs) {
+				state = 'half_open';
+				trialInFlight = false;
+			}
+			if(state === 'open') return false;
+			if(state === 'half_open') {
+				if(trialInFlight) return false;
+				trialInFlight = true;
+			}
+			return true;
+		},
+		recordSuccess() {
+			state = 'closed';
+			failures = 0;
+			trialInFlight = false;
+		},
+		recordFailure() {
+			failures++;
+			trialInFlight = false;
+			if(state === 'half_open' || failures >= failureThreshold) {
+				state = 'open';
+				openedAt = Date.now();
+			}
+		},
+		retryInMs() {
+			return state === 'open' ? Math.max(0, openedAt + cooldownMs - Date.now()) : 0;
+		},
+		getState() {
+			return { state, failures };
+		},
+	};
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and `min(maxMs, baseMs * 2^attempt)`.
+ * @param {number} attempt - Zero-based retry attempt.
+ * @param {number} baseMs
+ * @param {number} maxMs
+ * @returns {number} Delay in milliseconds.
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+	return Math.round(Math.random() * Math.min(maxMs, baseMs * Math.pow(2, attempt)));
+}
+
+/**
+ * Parses a `Retry-After` header (delta seconds or HTTP date).
+ * @param {string|null} value - Header value.
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+	if(!value) return null;
+
+	const seconds = Number(value);
+	if(!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(value);
+	return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export { createTokenBucket, createCircuitBreaker, backoffDelay, parseRetryAfter, sleep };
@@ -0,0 +1,100 @@
+// vybe-stream-test.js
+// Ejecuta VybeStreamService contra un servidor WebSocket local que imita al de Vybe,
+// sin base de datos ni Telegram: las suscripciones se pasan a mano y los mensajes se imprimen.
+import 'dotenv/config';
+import { WebSocketServer } from 'ws';
+import VybeStreamService from '#services/vybe-stream.service.js';
+
+const PORT = parseInt(process.env.VYBE_STREAM_TEST_PORT) || 8787;
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+const SENDER = '5Q544fKrFoe6tsEbD7S8ExxNRAfmZ8GSt1o3S2D9H1bS';
+const RECEIVER = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function startStandIn() {
+	const server = new WebSocketServer({ port: PORT });
+	const received = [];
+
+	server.on('connection', (socket, request) => {
+		console.log(`🔌 Stand-in: client connected (X-API-Key: ${ request.headers['x-api-key'] ? 'present' : 'missing' })`);
+
+		socket.on('message', data => {
+			const message = JSON.parse(data.toString());
+			received.push(message);
+			console.log('📥 Stand-in: configure received', JSON.stringify(message.filters));
+
+			// Un trade pequeño (no notifica), uno grande y un transfer grande valorado con el precio del trade
+			socket.send(JSON.stringify({
+				baseMintAddress: JUP, quoteMintAddress: USDC, price: '0.8', baseSize: '100', quoteSize: '80',
+				authorityAddress: SENDER, signature: 'smallTradeSignature',
+			}));
+			socket.send(JSON.stringify([
+				{
+					baseMintAddress: JUP, quoteMintAddress: USDC, price: '0.8', baseSize: '100000', quoteSize: '80000',
+					authorityAddress: SENDER, signature: 'largeTradeSignature',
+				},
+				{
+					mintAddress: JUP, senderAddress: SENDER, receiverAddress: RECEIVER, amount: '200000000000', decimal: 6,
+					signature: 'largeTransferSignature',
+				},
+			]));
+		});
+	});
+
+	return { server, received };
+}
+
+async function testVybeStream() {
+	console.log('=== Starting Vybe Stream Test ===');
+	process.env.VYBE_API_KEY = process.env.VYBE_API_KEY || 'stand-in-key';
+
+	const { server, received } = startStandIn();
+	const sent = [];
+	const telegram = {
+		sendMessage: async (chatId, text) => {
+			sent.push({ chatId, text });
+			console.log(`📤 Telegram -> ${ chatId }\n${ text }\n`);
+		},
+	};
+
+	const stream = new VybeStreamService(telegram, {
+		enabled: true,
+		websocketUrl: `ws://localhost:${ PORT }`,
+		minEventUsd: 10000,
+	});
+
+	try {
+		// Sin pasar por loadSubscriptions(): una watchlist con JUP en el chat 123
+		stream.applySubscriptions([
+			{ stream: 'trades', key: JUP, subscriber: { kind: 'watchlist', telegramChatId: '123', watchlist: 'DeFi', token: 'JUP' } },
+			{ stream: 'transfers', key: JUP, subscriber: { kind: 'watchlist', telegramChatId: '123', watchlist: 'DeFi', token: 'JUP' } },
+		]);
+		await sleep(1000);
+
+		console.log(received.length === 1 ? '✅ One configure message sent' : `❌ Expected 1 configure message, got ${ received.length }`);
+		console.log(sent.length === 2 ? '✅ Large trade and transfer delivered' : `❌ Expected 2 notifications, got ${ sent.length }`);
+
+		// Las mismas suscripciones no deben reconfigurar el stream
+		stream.applySubscriptions([
+			{ stream: 'trades', key: JUP, subscriber: { kind: 'watchlist', telegramChatId: '123', watchlist: 'DeFi', token: 'JUP' } },
+			{ stream: 'transfers', key: JUP, subscriber: { kind: 'watchlist', telegramChatId: '123', watchlist: 'DeFi', token: 'JUP' } },
+		]);
+		await sleep(300);
+		console.log(received.length === 1 ? '✅ Unchanged subscriptions not resent' : '❌ Unchanged subscriptions were resent');
+
+		// Sin suscripciones la conexión se cierra
+		stream.applySubscriptions([]);
+		await sleep(300);
+		console.log(!stream.ws ? '✅ Connection closed with no subscriptions' : '❌ Connection still open');
+	} catch(error) {
+		console.error('❌ Vybe stream test failed:', error);
+	} finally {
+		await stream.stop();
+		server.close();
+		console.log('=== Vybe Stream Test finished ===', stream.stats);
+	}
+}
+
+testVybeStream();